@@ -0,0 +1,110 @@
+// FILE: server/auth.js
+// Email + password accounts and bearer-token sessions for the dev server.
+// - Passwords: scrypt with a per-account salt
+// - Sessions: random token handed to the client once; only its sha256 is stored
+// - requireSession() resolves req.uid from the session, never from the body
+
+import crypto from "node:crypto";
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MIN_PASSWORD = 8;
+const COOKIE = "pm_session";
+
+/* ---------------- crypto helpers ---------------- */
+function hashPassword(password, salt) {
+  return crypto.scryptSync(String(password), salt, 64).toString("hex");
+}
+
+function samePassword(password, salt, expectedHex) {
+  const got = Buffer.from(hashPassword(password, salt), "hex");
+  const want = Buffer.from(String(expectedHex || ""), "hex");
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function readToken(req) {
+  const h = req.get("authorization") || "";
+  const m = /^Bearer\s+(.+)$/i.exec(h);
+  if (m) return m[1].trim();
+  // Cookie fallback for same-origin setups (no cookie-parser dependency)
+  const raw = req.get("cookie") || "";
+  for (const part of raw.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === COOKIE) return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+function validEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || ""));
+}
+
+/* ---------------- middleware ---------------- */
+/** Resolves req.uid from the session token or answers 401. */
+export function requireSession(store) {
+  return (req, res, next) => {
+    const token = readToken(req);
+    const s = token ? store.getSession(hashToken(token)) : null;
+    if (!s) return res.status(401).json({ error: "unauthorized" });
+    req.uid = s.uid;
+    req.sessionHash = hashToken(token);
+    next();
+  };
+}
+
+/* ---------------- routes ---------------- */
+function issueSession(store, res, uid) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  store.putSession(hashToken(token), { uid, expiresAt });
+  res.setHeader(
+    "Set-Cookie",
+    `${COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`
+  );
+  return { token, uid, expiresAt };
+}
+
+/**
+ * Mounts /api/auth/* on the express app.
+ *   POST /api/auth/signup  { email, password } → { token, uid, expiresAt }
+ *   POST /api/auth/login   { email, password } → { token, uid, expiresAt }
+ *   POST /api/auth/logout  (session)           → { ok }
+ *   GET  /api/auth/me      (session)           → { uid, email }
+ */
+export function mountAuth(app, store) {
+  app.post("/api/auth/signup", (req, res) => {
+    const { email, password } = req.body || {};
+    if (!validEmail(email)) return res.status(400).json({ error: "invalid_email" });
+    if (String(password || "").length < MIN_PASSWORD) return res.status(400).json({ error: "weak_password" });
+
+    const salt = crypto.randomBytes(16).toString("hex");
+    const uid = "u_" + crypto.randomUUID();
+    const acct = store.createAccount({ email, uid, salt, passHash: hashPassword(password, salt) });
+    if (!acct) return res.status(409).json({ error: "email_taken" });
+
+    return res.json(issueSession(store, res, acct.uid));
+  });
+
+  app.post("/api/auth/login", (req, res) => {
+    const { email, password } = req.body || {};
+    const acct = store.findAccount(email);
+    if (!acct || !samePassword(password, acct.salt, acct.passHash)) {
+      return res.status(401).json({ error: "bad_credentials" });
+    }
+    return res.json(issueSession(store, res, acct.uid));
+  });
+
+  app.post("/api/auth/logout", requireSession(store), (req, res) => {
+    store.deleteSession(req.sessionHash);
+    res.setHeader("Set-Cookie", `${COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+    return res.json({ ok: true });
+  });
+
+  app.get("/api/auth/me", requireSession(store), (req, res) => {
+    const acct = store.findAccountByUid(req.uid);
+    return res.json({ uid: req.uid, email: acct ? acct.email : null });
+  });
+}
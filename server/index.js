@@ -3,9 +3,22 @@
 // - Serves checkout & portal URLs (mock unless Stripe keys provided)
 // - Grants coin packs
 // - Returns entitlements patches for "Restore Purchases"
+// - Persists users to a local JSON file (server/store.js)
+// - Fulfils purchases from Stripe webhooks (server/webhooks.js)
+// - Keeps the authoritative wallet journal (server/ledger.js)
+// - Accepts batched client queue ops (server/syncOps.js)
+// - Stores per-account cloud saves (server/saves.js)
 
+import crypto from "node:crypto";
 import express from "express";
 import cors from "cors";
+import { openStore } from "./store.js";
+import { mountAuth, requireSession } from "./auth.js";
+import { transition, entitlementFor } from "./subscriptions.js";
+import { mountWebhooks, handleEvent, subIdForPrice } from "./webhooks.js";
+import { mountLedger, verifyJournal } from "./ledger.js";
+import { mountSync } from "./syncOps.js";
+import { mountSaves } from "./saves.js";
 
 // Optional: Stripe wiring (kept lazy; mock if no keys)
 let stripe = null;
@@ -13,43 +26,57 @@ const STRIPE_KEY = process.env.STRIPE_SECRET;
 if (STRIPE_KEY) {
   const pkg = await import("stripe");
   stripe = new pkg.default(STRIPE_KEY, { apiVersion: "2023-10-16" });
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.warn("[stripe] STRIPE_WEBHOOK_SECRET not set; webhooks use the dev secret");
+  }
 }
 
-// In-memory dev DB (replace with real DB later)
-const db = {
-  users: {
-    // Example user bucket by client-provided UID; for now we use "local"
-    local: {
-      coins: 0,
-      coinPacks: {}, // { packId: count }
-      subs: {},      // { sub_ad_lite: true, sub_ad_free: false }
-      lastSync: 0,
-    },
-  },
-};
-
-function udb(uid = "local") {
-  if (!db.users[uid]) db.users[uid] = { coins: 0, coinPacks: {}, subs: {}, lastSync: 0 };
-  return db.users[uid];
+// File-backed dev DB (see server/store.js); survives restarts.
+const store = openStore();
+{
+  const chain = verifyJournal(store);
+  if (!chain.ok) console.error("[ledger] journal chain broken at", chain.badAt, "of", chain.count);
 }
 
 // --- helpers ---
 function grantCoins(uid, packId, amount) {
-  const u = udb(uid);
-  u.coins = (u.coins || 0) + (Number(amount) || 0);
-  u.coinPacks[packId] = (u.coinPacks[packId] || 0) + 1;
-  u.lastSync = Date.now();
+  store.updateUser(uid, (u) => {
+    u.coins = (u.coins || 0) + (Number(amount) || 0);
+    u.coinPacks[packId] = (u.coinPacks[packId] || 0) + 1;
+    u.lastSync = Date.now();
+  });
+}
+
+// on=true starts/renews a period; on=false revokes immediately.
+// Pass a transition name ("cancel", "payment_failed") for finer lifecycle steps.
+function setSub(uid, subId, on = true, opts = {}) {
+  const kind = typeof on === "string" ? on : on ? "activate" : "revoke";
+  store.updateUser(uid, (u) => {
+    transition(u, subId, kind, opts);
+    u.lastSync = Date.now();
+  });
 }
 
-function setSub(uid, subId, on = true) {
-  const u = udb(uid);
-  u.subs[subId] = !!on;
-  u.lastSync = Date.now();
+// Mock-mode fulfilment: run a synthetic checkout.session.completed through the
+// same handler the webhook uses, so both paths grant identically.
+function fulfilMock(session) {
+  const event = {
+    id: "evt_mock_" + crypto.randomUUID(),
+    type: "checkout.session.completed",
+    data: { object: session },
+  };
+  return store.batch(() => {
+    const result = handleEvent(event, { store, grantCoins, setSub });
+    store.recordEvent(event.id, event.type);
+    return result;
+  });
 }
 
 // --- server ---
 const app = express();
-app.use(express.json());
+// Raw-body route first: signature checks need the exact bytes.
+mountWebhooks(app, { store, grantCoins, setSub });
+app.use(express.json({ limit: "5mb" })); // cloud saves carry whole city layouts
 app.use(
   cors({
     origin: [/^http:\/\/localhost:\d+$/],
@@ -60,20 +87,33 @@ app.use(
 // Simple health
 app.get("/api/health", (_req, res) => res.json({ ok: true }));
 
+// Accounts + sessions; every route below resolves req.uid from the session.
+mountAuth(app, store);
+const authed = requireSession(store);
+mountLedger(app, store, authed);
+mountSync(app, store, authed);
+mountSaves(app, store, authed);
+
 /**
  * POST /api/checkout
+ * auth: session (Authorization: Bearer <token> or pm_session cookie)
  * body: { type: "sub"|"one_time", priceId, metadata?: { packId, coins } }
  * Returns { url } where client should be redirected (Stripe or mock).
  */
-app.post("/api/checkout", async (req, res) => {
-  const { type, priceId, metadata = {}, uid = "local" } = req.body || {};
+app.post("/api/checkout", authed, async (req, res) => {
+  const { type, priceId, metadata = {} } = req.body || {};
+  const uid = req.uid;
   try {
     if (stripe && priceId) {
-      // Real Stripe session (works once keys & prices are set in your dashboard)
+      // Real Stripe session (works once keys & prices are set in your dashboard).
+      // Nothing is granted here; checkout.session.completed fulfils it.
+      const isSub = type === "sub";
+      const meta = { ...metadata, uid, priceId, ...(isSub ? { subId: subIdForPrice(priceId) } : {}) };
       const session = await stripe.checkout.sessions.create({
-        mode: type === "sub" ? "subscription" : "payment",
+        mode: isSub ? "subscription" : "payment",
         line_items: [{ price: priceId, quantity: 1 }],
-        metadata: { uid, ...metadata },
+        metadata: meta,
+        ...(isSub ? { subscription_data: { metadata: meta } } : {}),
         success_url: process.env.SUCCESS_URL || "http://localhost:5173/#/shop?ok=1",
         cancel_url: process.env.CANCEL_URL || "http://localhost:5173/#/shop?cancel=1",
       });
@@ -81,22 +121,14 @@ app.post("/api/checkout", async (req, res) => {
     }
 
     // --- MOCK FLOW (no Stripe keys yet) ---
-    // Simulate instant success:
-    if (type === "one_time") {
-      const packId = metadata.packId || "pack_unknown";
-      const coins = Number(metadata.coins || 0);
-      grantCoins(uid, packId, coins);
-    } else if (type === "sub") {
-      // Decide which sub based on priceId env mapping (dev mock)
-      // If priceId not set, guess from common ids used in UI:
-      const subId =
-        priceId?.includes("FREE") || priceId?.includes("free")
-          ? "sub_ad_free"
-          : "sub_ad_lite";
-      setSub(uid, subId, true);
-    }
-
-    console.log("[mock] checkout fulfilled", { type, priceId, metadata });
+    // Simulate instant payment confirmation through the webhook handler:
+    const result = fulfilMock(
+      type === "sub"
+        ? { mode: "subscription", metadata: { uid, priceId, subId: subIdForPrice(priceId) } }
+        : { mode: "payment", payment_status: "paid", metadata: { ...metadata, uid } }
+    );
+
+    console.log("[mock] checkout fulfilled", { type, priceId, metadata, result });
     // Send user "back" to app
     return res.json({ url: process.env.SUCCESS_URL || "http://localhost:5173/#/shop?ok=1" });
   } catch (e) {
@@ -109,8 +141,8 @@ app.post("/api/checkout", async (req, res) => {
  * POST /api/portal
  * Returns { url } to Stripe billing portal OR a mock URL to /#/shop.
  */
-app.post("/api/portal", async (req, res) => {
-  const uid = (req.body && req.body.uid) || "local";
+app.post("/api/portal", authed, async (req, res) => {
+  const uid = req.uid;
   try {
     if (stripe) {
       // You would look up the Stripe customer by your uid here.
@@ -129,34 +161,45 @@ app.post("/api/portal", async (req, res) => {
 /**
  * POST /api/entitlements/refresh
  * Server would verify purchases (Stripe webhooks / receipts), then return a patch.
- * For mock: just reflect in-memory state.
+ * For mock: just reflect stored state.
  */
-app.post("/api/entitlements/refresh", (req, res) => {
-  const uid = (req.body && req.body.uid) || "local";
-  const u = udb(uid);
+app.post("/api/entitlements/refresh", authed, (req, res) => {
+  const uid = req.uid;
+  const u = store.getUser(uid);
 
-  // Patch format expected by your entitlements module:
+  // Patch format expected by src/modules/entitlements.js::applyReceiptPatch():
   // {
   //   flags: { ad_lite: boolean, ad_free: boolean },
-  //   subs:  ["sub_ad_lite", "sub_ad_free"],
+  //   subs:  { sub_ad_lite: boolean, sub_ad_free: boolean },
+  //   entitlement: { isActive, tier, adTier, status, expiresAt, graceUntil? },
   //   grants: { coins: number }  // optional one-time coin top-ups
   // }
   const patch = {
     flags: { ad_lite: !!u.subs.sub_ad_lite, ad_free: !!u.subs.sub_ad_free },
-    subs: Object.keys(u.subs).filter((k) => !!u.subs[k]),
+    subs: { ...u.subs },
+    entitlement: entitlementFor(u),
     grants: { coins: u.coins || 0 },
     ts: Date.now(),
   };
 
   // Clear staged coins after “restore” so we don’t double-grant on every refresh.
-  u.coins = 0;
+  store.updateUser(uid, (rec) => { rec.coins = 0; });
   return res.json(patch);
 });
 
-// Dev: coin grant helper (optional)
-app.post("/api/dev/grant", (req, res) => {
-  const { coins = 0, uid = "local" } = req.body || {};
-  grantCoins(uid, "dev_grant", Number(coins) || 0);
+/**
+ * GET /api/entitlement
+ * Current subscription entitlement for the signed-in user (see server/subscriptions.js).
+ * Returns { isActive, tier, adTier, status, expiresAt, graceUntil? }.
+ */
+app.get("/api/entitlement", authed, (req, res) => {
+  return res.json(entitlementFor(store.getUser(req.uid)));
+});
+
+// Dev: coin grant helper (optional) — grants to the signed-in user only
+app.post("/api/dev/grant", authed, (req, res) => {
+  const { coins = 0 } = req.body || {};
+  grantCoins(req.uid, "dev_grant", Number(coins) || 0);
   res.json({ ok: true });
 });
 
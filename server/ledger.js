@@ -0,0 +1,259 @@
+// FILE: server/ledger.js
+// Server-authoritative wallet ledger (double-entry, append-only).
+// - Every client wallet op (deposit, spend, refund, skim, hold, release) becomes one
+//   journal transaction whose entries sum to zero per currency
+// - Transactions are hash-chained and HMAC-signed; verifyJournal() re-checks the chain
+// - Balances are always computed from the journal, never stored
+//
+// - Client amounts are bounded by what the journal allows (earn rate, skim %,
+//   yearly USD cap, one capped opening); anything else is rejected, not booked
+//
+// Currencies: "micro" (microMate, 1 Mate = 1_000_000) and "usd_c" (USD cents).
+// Accounts:   user:<uid>:mate, user:<uid>:usd_hold, user:<uid>:usd,
+//             sys:earnings, sys:spend, sys:skim, sys:review
+
+import crypto from "node:crypto";
+
+const SECRET = process.env.LEDGER_SECRET || "ledger_dev_local";
+export const USD_CAP_CENTS = 500 * 100; // per calendar year, matches wallet.js usd_cap
+
+const MICRO_PER_MATE = 1_000_000;
+const CENTS_PER_MICRO = 100 / 100_000 / MICRO_PER_MATE; // wallet.js USD_PER_MICRO × 100
+
+// Deposits: token bucket refilled at the earn rate, banked up to the offline cap
+// (generous: passive income + fares + ad rewards)
+const EARN_MICRO_PER_MIN = 120 * MICRO_PER_MATE;
+const EARN_BANK_MS = 8 * 60 * 60 * 1000;      // wallet.js OFFLINE_CAP_MS
+const EARN_BANK_MICRO = EARN_MICRO_PER_MIN * (EARN_BANK_MS / 60_000);
+
+// Skims are a share of deposited Mate (wallet.js MAX_TOTAL_SKIM) + 1¢ rounding
+const MAX_SKIM_PCT = 0.0375;
+
+// One-time carry-over of a pre-ledger wallet
+const OPENING_MAX_MICRO = 100_000 * MICRO_PER_MATE;
+
+const acct = {
+  mate: (uid) => `user:${uid}:mate`,
+  hold: (uid) => `user:${uid}:usd_hold`,
+  usd: (uid) => `user:${uid}:usd`,
+};
+
+/* ---------------- signing ---------------- */
+function bodyOf(tx) {
+  const { id, uid, kind, entries, meta, clientAt, at } = tx;
+  return JSON.stringify({ id, uid, kind, entries, meta, clientAt, at });
+}
+function hashTx(prevHash, tx) {
+  return crypto.createHash("sha256").update(`${prevHash}|${bodyOf(tx)}`).digest("hex");
+}
+function signHash(hash) {
+  return crypto.createHmac("sha256", SECRET).update(hash).digest("hex");
+}
+
+/** Re-walks the whole chain. Returns { ok, count, badAt? }. */
+export function verifyJournal(store) {
+  let prev = "";
+  const all = store.allJournal();
+  for (let i = 0; i < all.length; i++) {
+    const tx = all[i];
+    if (tx.prevHash !== prev || tx.hash !== hashTx(prev, tx) || tx.sig !== signHash(tx.hash)) {
+      return { ok: false, count: all.length, badAt: i };
+    }
+    prev = tx.hash;
+  }
+  return { ok: true, count: all.length };
+}
+
+/* ---------------- balances ---------------- */
+// Walks the user's journal once: balances plus the limits the next op is checked against.
+function stateFor(store, uid, now = Date.now()) {
+  const sums = { [acct.mate(uid)]: 0, [acct.hold(uid)]: 0, [acct.usd(uid)]: 0 };
+  const year = new Date(now).getUTCFullYear();
+  let ytdCents = 0;
+  let depositedMicro = 0;
+  let skimmedCents = 0;
+  let refundableMicro = 0;
+  let bucket = EARN_BANK_MICRO; // a new ledger starts as if idle for the whole bank
+  let lastAt = 0;
+  const txs = store.journalFor(uid);
+
+  for (const tx of txs) {
+    for (const e of tx.entries) if (e.account in sums) sums[e.account] += e.amount;
+    if (lastAt) bucket = Math.min(EARN_BANK_MICRO, bucket + EARN_MICRO_PER_MIN * ((tx.at - lastAt) / 60_000));
+    lastAt = tx.at;
+
+    if (tx.kind === "deposit") {
+      const a = tx.entries.find((e) => e.account === acct.mate(uid))?.amount || 0;
+      depositedMicro += a;
+      bucket -= a;
+    } else if (tx.kind === "spend" && tx.meta?.k !== "forfeit") {
+      refundableMicro += tx.entries.find((e) => e.account === "sys:spend")?.amount || 0;
+    } else if (tx.kind === "refund") {
+      refundableMicro -= tx.entries.find((e) => e.account === acct.mate(uid))?.amount || 0;
+    } else if (tx.kind === "skim") {
+      skimmedCents += tx.entries.find((e) => e.account === acct.hold(uid))?.amount || 0;
+    } else if (tx.kind === "release" && new Date(tx.at).getUTCFullYear() === year) {
+      ytdCents += tx.entries.find((e) => e.account === acct.usd(uid))?.amount || 0;
+    }
+  }
+  if (lastAt) bucket = Math.min(EARN_BANK_MICRO, bucket + EARN_MICRO_PER_MIN * ((now - lastAt) / 60_000));
+
+  return {
+    balance: {
+      micro: sums[acct.mate(uid)],
+      usdHoldCents: sums[acct.hold(uid)],
+      usdCents: sums[acct.usd(uid)],
+      usdYtdCents: ytdCents,
+      usdCapCents: USD_CAP_CENTS,
+    },
+    opened: txs.length > 0,
+    earnLeftMicro: Math.max(0, Math.floor(bucket)),
+    refundLeftMicro: Math.max(0, refundableMicro),
+    skimLeftCents: Math.max(0, Math.round(depositedMicro * CENTS_PER_MICRO * MAX_SKIM_PCT) + 1 - skimmedCents),
+  };
+}
+
+/** Computes the user's balances from their journal. */
+export function balancesFor(store, uid) {
+  return stateFor(store, uid).balance;
+}
+
+/* ---------------- posting ---------------- */
+const posInt = (n) => Math.max(0, Math.floor(Number(n) || 0));
+
+// op → entries, or { error } if the op is not allowed against current balances
+function entriesFor(store, uid, op) {
+  const state = stateFor(store, uid);
+  const bal = state.balance;
+  const a = posInt(op.amount);
+
+  switch (op.kind) {
+    case "opening": {
+      // One-time carry-over of a pre-ledger local wallet.
+      if (state.opened) return { error: "already_opened" };
+      const hold = posInt(op.usdHoldCents), usd = posInt(op.usdCents);
+      if (a > OPENING_MAX_MICRO || hold + usd > USD_CAP_CENTS) return { error: "opening_too_large" };
+      return {
+        entries: [
+          { account: "sys:earnings", currency: "micro", amount: -a },
+          { account: acct.mate(uid), currency: "micro", amount: a },
+          { account: "sys:review", currency: "usd_c", amount: -(hold + usd) },
+          { account: acct.hold(uid), currency: "usd_c", amount: hold },
+          { account: acct.usd(uid), currency: "usd_c", amount: usd },
+        ],
+      };
+    }
+    case "deposit":
+      if (!a) return { error: "bad_amount" };
+      if (a > state.earnLeftMicro) return { error: "earn_rate_exceeded" };
+      return {
+        entries: [
+          { account: "sys:earnings", currency: "micro", amount: -a },
+          { account: acct.mate(uid), currency: "micro", amount: a },
+        ],
+      };
+    case "spend":
+      if (!a) return { error: "bad_amount" };
+      if (bal.micro < a) return { error: "insufficient_funds" };
+      return {
+        entries: [
+          { account: acct.mate(uid), currency: "micro", amount: -a },
+          { account: "sys:spend", currency: "micro", amount: a },
+        ],
+      };
+    case "refund":
+      // Gives back an earlier spend (builder undo); not earnings, so no earn limit
+      if (!a) return { error: "bad_amount" };
+      if (a > state.refundLeftMicro) return { error: "refund_exceeded" };
+      return {
+        entries: [
+          { account: "sys:spend", currency: "micro", amount: -a },
+          { account: acct.mate(uid), currency: "micro", amount: a },
+        ],
+      };
+    case "skim":
+    case "hold":
+      if (!a) return { error: "bad_amount" };
+      // Skims only come out of deposited Mate; nothing is held past the yearly cap
+      if (op.kind === "skim" && a > state.skimLeftCents) return { error: "skim_exceeded" };
+      if (bal.usdHoldCents + bal.usdYtdCents + a > USD_CAP_CENTS) return { error: "cap_reached" };
+      return {
+        entries: [
+          { account: op.kind === "skim" ? "sys:skim" : "sys:review", currency: "usd_c", amount: -a },
+          { account: acct.hold(uid), currency: "usd_c", amount: a },
+        ],
+      };
+    case "release": {
+      // Server decides the releasable amount (hold available, yearly cap).
+      const capLeft = Math.max(0, bal.usdCapCents - bal.usdYtdCents);
+      const amt = Math.min(a || bal.usdHoldCents, bal.usdHoldCents, capLeft);
+      if (amt <= 0) return { error: capLeft <= 0 ? "cap_reached" : "nothing_held" };
+      return {
+        entries: [
+          { account: acct.hold(uid), currency: "usd_c", amount: -amt },
+          { account: acct.usd(uid), currency: "usd_c", amount: amt },
+        ],
+      };
+    }
+    default:
+      return { error: "unknown_kind" };
+  }
+}
+
+function balanced(entries) {
+  const per = {};
+  for (const e of entries) per[e.currency] = (per[e.currency] || 0) + e.amount;
+  return Object.values(per).every((v) => v === 0);
+}
+
+/**
+ * Posts one client op. Idempotent by op.id (a replay returns the original result).
+ * @param {{ id:string, kind:string, amount?:number, t?:number, meta?:object }} op
+ * @returns {{ id:string, ok:boolean, error?:string, duplicate?:boolean }}
+ */
+export function postOp(store, uid, op) {
+  const id = String(op?.id || "");
+  if (!id) return { id, ok: false, error: "missing_id" };
+
+  const prior = store.findJournal(id);
+  if (prior) {
+    return prior.uid === uid ? { id, ok: true, duplicate: true } : { id, ok: false, error: "id_conflict" };
+  }
+
+  const res = entriesFor(store, uid, op);
+  if (res.error) return { id, ok: false, error: res.error };
+  const entries = res.entries.filter((e) => e.amount !== 0);
+  if (!balanced(entries)) return { id, ok: false, error: "unbalanced" };
+
+  const tx = {
+    id,
+    uid,
+    kind: op.kind,
+    entries,
+    meta: op.meta && typeof op.meta === "object" ? op.meta : {},
+    clientAt: Number(op.t) || 0,
+    at: Date.now(),
+  };
+  tx.prevHash = store.journalHead();
+  tx.hash = hashTx(tx.prevHash, tx);
+  tx.sig = signHash(tx.hash);
+  store.appendJournal(tx);
+  return { id, ok: true };
+}
+
+/**
+ * Mounts wallet routes (session required):
+ *   GET  /api/wallet          → balances
+ *   POST /api/wallet/journal  { ops:[…] } → { results:[…], balance }
+ */
+export function mountLedger(app, store, authed) {
+  app.get("/api/wallet", authed, (req, res) => {
+    return res.json({ balance: balancesFor(store, req.uid), head: store.journalHead() });
+  });
+
+  app.post("/api/wallet/journal", authed, (req, res) => {
+    const ops = Array.isArray(req.body?.ops) ? req.body.ops.slice(0, 500) : [];
+    const results = store.batch(() => ops.map((op) => postOp(store, req.uid, op)));
+    return res.json({ results, balance: balancesFor(store, req.uid), head: store.journalHead() });
+  });
+}
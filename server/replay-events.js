@@ -0,0 +1,109 @@
+/* eslint-disable no-console */
+// Local Stripe event simulator.
+// Signs fixture events from server/fixtures/stripe with the webhook secret and
+// POSTs them to /api/webhooks/stripe, so the whole purchase flow runs offline.
+//
+// Usage:
+//   node server/replay-events.js --uid <uid> [--url http://localhost:8787] [--fresh] <fixture...|all>
+//   node server/replay-events.js --list
+//
+// Fixture placeholders: "{{uid}}" inside any string, "{{periodEnd}}" (now + 30 days, unix seconds).
+// Event ids are made unique per uid; pass --fresh for new ids (bypasses idempotency).
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { signPayload } from "./webhooks.js";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(HERE, "fixtures", "stripe");
+
+function listFixtures() {
+  return fs.readdirSync(FIXTURES).filter((f) => f.endsWith(".json")).map((f) => f.replace(/\.json$/, "")).sort();
+}
+
+function parseArgs(argv) {
+  const out = { url: process.env.PM_SERVER_URL || "http://localhost:8787", uid: null, fresh: false, list: false, names: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--uid") out.uid = argv[++i];
+    else if (a === "--url") out.url = argv[++i];
+    else if (a === "--fresh") out.fresh = true;
+    else if (a === "--list") out.list = true;
+    else out.names.push(a);
+  }
+  return out;
+}
+
+function fill(value, vars) {
+  if (typeof value === "string") {
+    if (value in vars.exact) return vars.exact[value];
+    return value.replaceAll("{{uid}}", vars.uid);
+  }
+  if (Array.isArray(value)) return value.map((v) => fill(v, vars));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v, vars)]));
+  }
+  return value;
+}
+
+function loadEvent(name, { uid, fresh }) {
+  const raw = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), "utf8"));
+  const vars = {
+    uid,
+    exact: { "{{periodEnd}}": Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60 },
+  };
+  const event = fill(raw, vars);
+  event.id = fresh ? `evt_${crypto.randomUUID()}` : `${event.id}_${uid}`;
+  event.created = Math.floor(Date.now() / 1000);
+  return event;
+}
+
+async function send(url, event) {
+  const body = JSON.stringify(event);
+  const r = await fetch(`${url.replace(/\/+$/, "")}/api/webhooks/stripe`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Stripe-Signature": signPayload(body) },
+    body,
+  });
+  const data = await r.json().catch(() => ({}));
+  return { status: r.status, data };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const all = listFixtures();
+  if (args.list) {
+    console.log(all.join("\n"));
+    return;
+  }
+  if (!args.uid) {
+    console.error("missing --uid (see GET /api/auth/me for the signed-in uid)");
+    process.exitCode = 1;
+    return;
+  }
+  const names = args.names.includes("all") ? all : args.names;
+  if (!names.length) {
+    console.error(`no fixtures given; available: ${all.join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  for (const name of names) {
+    if (!all.includes(name)) {
+      console.error(`unknown fixture: ${name}`);
+      process.exitCode = 1;
+      continue;
+    }
+    const event = loadEvent(name, args);
+    const { status, data } = await send(args.url, event);
+    console.log(`${name} → ${status}`, data);
+    if (status >= 400) process.exitCode = 1;
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
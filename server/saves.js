@@ -0,0 +1,40 @@
+// FILE: server/saves.js
+// Cloud save slots for src/modules/sync.js snapshots (one per account).
+//   GET /api/save  → { version, snapshot, meta, updatedAt }   (version 0 = nothing saved)
+//   PUT /api/save  { baseVersion, snapshot, meta } → { version, updatedAt }
+//
+// Optimistic concurrency: a PUT must name the version it was based on. If another
+// device saved in between, the server answers 409 with the remote save so the
+// client can merge (see mergeSnapshots in sync.js) and retry on top of it.
+
+const MAX_KEYS = 500;
+
+function validSnapshot(snap) {
+  if (!snap || typeof snap !== "object" || Array.isArray(snap)) return false;
+  const entries = Object.entries(snap);
+  return entries.length <= MAX_KEYS && entries.every(([k, v]) => k.startsWith("pm_") && typeof v === "string");
+}
+
+export function mountSaves(app, store, authed) {
+  app.get("/api/save", authed, (req, res) => {
+    return res.json(store.getSave(req.uid));
+  });
+
+  app.put("/api/save", authed, (req, res) => {
+    const { baseVersion, snapshot, meta = {} } = req.body || {};
+    if (!validSnapshot(snapshot)) return res.status(400).json({ error: "bad_snapshot" });
+
+    const cur = store.getSave(req.uid);
+    if (Number(baseVersion) !== cur.version) {
+      return res.status(409).json({ error: "conflict", remote: cur });
+    }
+
+    const next = store.putSave(req.uid, {
+      version: cur.version + 1,
+      snapshot,
+      meta: { ...meta, receivedAt: Date.now() },
+      updatedAt: Date.now(),
+    });
+    return res.json({ version: next.version, updatedAt: next.updatedAt });
+  });
+}
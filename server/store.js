@@ -0,0 +1,356 @@
+// FILE: server/store.js
+// File-backed user store for the dev payments server.
+// - Keeps one JSON document on disk (default: server/data/db.json)
+// - Runs ordered schema migrations on open and records the applied version
+// - Exposes a small repository interface so routes never touch the raw document
+//
+// Swap this module for a real database later; keep the repository API.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { PERIOD_MS, deriveSubs } from "./subscriptions.js";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = process.env.PM_DB_FILE || path.join(HERE, "data", "db.json");
+
+/* ---------------- schema ---------------- */
+export function blankUser() {
+  return {
+    coins: 0,        // staged coins, cleared on entitlement refresh
+    coinPacks: {},   // { packId: count }
+    subs: {},        // { sub_ad_lite: true, sub_ad_free: false } (derived from subscriptions)
+    subscriptions: {}, // { subId: { status, periodEnd, graceUntil, updatedAt } }
+    stats: {},       // { [op.k]: { count, sums: { field: total } } } from synced stats ops
+    events: [],      // recent synced client events (capped)
+    lastSync: 0,
+  };
+}
+
+function normalizeUser(u) {
+  const out = { ...blankUser(), ...(u && typeof u === "object" ? u : {}) };
+  out.coins = Number(out.coins) || 0;
+  if (!out.coinPacks || typeof out.coinPacks !== "object") out.coinPacks = {};
+  if (!out.subs || typeof out.subs !== "object") out.subs = {};
+  if (!out.subscriptions || typeof out.subscriptions !== "object") out.subscriptions = {};
+  if (!out.stats || typeof out.stats !== "object") out.stats = {};
+  if (!Array.isArray(out.events)) out.events = [];
+  out.lastSync = Number(out.lastSync) || 0;
+  return out;
+}
+
+/**
+ * Ordered migrations. Each entry upgrades the whole document to `version`.
+ * Never edit a shipped migration; append a new one instead.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "init_users",
+    up(doc) {
+      doc.users = doc.users && typeof doc.users === "object" ? doc.users : {};
+      return doc;
+    },
+  },
+  {
+    version: 2,
+    name: "normalize_user_records",
+    up(doc) {
+      for (const uid of Object.keys(doc.users)) doc.users[uid] = normalizeUser(doc.users[uid]);
+      return doc;
+    },
+  },
+  {
+    version: 3,
+    name: "accounts_and_sessions",
+    up(doc) {
+      doc.accounts = doc.accounts && typeof doc.accounts === "object" ? doc.accounts : {}; // email → account
+      doc.sessions = doc.sessions && typeof doc.sessions === "object" ? doc.sessions : {}; // tokenHash → session
+      return doc;
+    },
+  },
+  {
+    version: 4,
+    name: "subscription_lifecycle",
+    up(doc) {
+      // Old records only had booleans; treat `true` as a fresh period from now.
+      const now = Date.now();
+      for (const u of Object.values(doc.users)) {
+        u.subscriptions = u.subscriptions && typeof u.subscriptions === "object" ? u.subscriptions : {};
+        for (const [id, on] of Object.entries(u.subs || {})) {
+          if (u.subscriptions[id]) continue;
+          u.subscriptions[id] = on
+            ? { status: "active", periodEnd: now + PERIOD_MS, graceUntil: 0, updatedAt: now }
+            : { status: "canceled", periodEnd: now, graceUntil: 0, updatedAt: now };
+        }
+        deriveSubs(u, now);
+      }
+      return doc;
+    },
+  },
+  {
+    version: 5,
+    name: "webhook_events",
+    up(doc) {
+      doc.events = doc.events && typeof doc.events === "object" ? doc.events : {};             // eventId → { type, at }
+      doc.stripeSubs = doc.stripeSubs && typeof doc.stripeSubs === "object" ? doc.stripeSubs : {}; // stripe sub id → { uid, subId }
+      return doc;
+    },
+  },
+  {
+    version: 6,
+    name: "wallet_journal",
+    up(doc) {
+      doc.journal = Array.isArray(doc.journal) ? doc.journal : []; // append-only, hash-chained (server/ledger.js)
+      return doc;
+    },
+  },
+  {
+    version: 7,
+    name: "sync_ops",
+    up(doc) {
+      doc.syncOps = doc.syncOps && typeof doc.syncOps === "object" ? doc.syncOps : {}; // opId → { uid, stream, at }
+      for (const uid of Object.keys(doc.users)) doc.users[uid] = normalizeUser(doc.users[uid]);
+      return doc;
+    },
+  },
+  {
+    version: 8,
+    name: "cloud_saves",
+    up(doc) {
+      doc.saves = doc.saves && typeof doc.saves === "object" ? doc.saves : {}; // uid → { version, snapshot, meta, updatedAt }
+      return doc;
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function migrate(doc) {
+  const from = Number(doc.schemaVersion) || 0;
+  const applied = [];
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    doc = m.up(doc) || doc;
+    doc.schemaVersion = m.version;
+    applied.push(m.name);
+  }
+  return { doc, applied };
+}
+
+/* ---------------- disk io ---------------- */
+function readDoc(file) {
+  try {
+    const raw = fs.readFileSync(file, "utf8");
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw e;
+  }
+}
+
+// write to a temp file and rename so a crash never leaves half a document
+function writeDoc(file, doc) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(doc, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/* ---------------- repository ---------------- */
+/**
+ * Opens (and migrates) the store.
+ * @param {{ file?: string }} [opts]
+ */
+export function openStore({ file = DEFAULT_FILE } = {}) {
+  const { doc, applied } = migrate(readDoc(file));
+  if (applied.length) {
+    writeDoc(file, doc);
+    console.log("[store] migrated", file, "→ v" + doc.schemaVersion, applied);
+  }
+
+  // Inside batch() writes are deferred to one write at the end of the batch
+  let batchDepth = 0;
+  let dirty = false;
+  function persist() {
+    if (batchDepth) { dirty = true; return; }
+    writeDoc(file, doc);
+  }
+
+  /** Runs `fn` with every write in it collapsed into a single persist (one request). */
+  function batch(fn) {
+    batchDepth++;
+    try {
+      return fn();
+    } finally {
+      if (--batchDepth === 0 && dirty) {
+        dirty = false;
+        writeDoc(file, doc);
+      }
+    }
+  }
+
+  /** Returns a copy of the user record (created lazily, not persisted until written). */
+  function getUser(uid = "local") {
+    // `subs` is re-derived on read so periods that lapsed since the last write report correctly
+    return deriveSubs(normalizeUser(doc.users[uid]));
+  }
+
+  /**
+   * Read-modify-write a user record. `fn` receives a mutable copy and may
+   * return nothing or a replacement object. The result is persisted.
+   */
+  function updateUser(uid = "local", fn) {
+    const cur = normalizeUser(doc.users[uid]);
+    const next = normalizeUser(fn(cur) || cur);
+    doc.users[uid] = next;
+    persist();
+    return { ...next };
+  }
+
+  function listUsers() { return Object.keys(doc.users); }
+
+  /* ---- accounts ---- */
+  function findAccount(email) {
+    const a = doc.accounts[String(email || "").toLowerCase()];
+    return a ? { ...a } : null;
+  }
+
+  function findAccountByUid(uid) {
+    const a = Object.values(doc.accounts).find((x) => x.uid === uid);
+    return a ? { ...a } : null;
+  }
+
+  /** Creates an account and its empty user record. Returns null if the email is taken. */
+  function createAccount({ email, uid, passHash, salt }) {
+    const key = String(email || "").toLowerCase();
+    if (!key || doc.accounts[key]) return null;
+    doc.accounts[key] = { email: key, uid, passHash, salt, createdAt: Date.now() };
+    if (!doc.users[uid]) doc.users[uid] = blankUser();
+    persist();
+    return { ...doc.accounts[key] };
+  }
+
+  /* ---- sessions (keyed by token hash, never the raw token) ---- */
+  function putSession(tokenHash, { uid, expiresAt }) {
+    doc.sessions[tokenHash] = { uid, createdAt: Date.now(), expiresAt };
+    persist();
+  }
+
+  function getSession(tokenHash) {
+    const s = doc.sessions[tokenHash];
+    if (!s) return null;
+    if (s.expiresAt && s.expiresAt < Date.now()) {
+      delete doc.sessions[tokenHash];
+      persist();
+      return null;
+    }
+    return { ...s };
+  }
+
+  function deleteSession(tokenHash) {
+    if (!doc.sessions[tokenHash]) return;
+    delete doc.sessions[tokenHash];
+    persist();
+  }
+
+  /* ---- processed webhook events (idempotency) ---- */
+  function hasEvent(id) { return !!doc.events[id]; }
+
+  function recordEvent(id, type) {
+    doc.events[id] = { type, at: Date.now() };
+    persist();
+  }
+
+  /* ---- stripe subscription id → { uid, subId } ---- */
+  function linkStripeSub(stripeSubId, link) {
+    doc.stripeSubs[stripeSubId] = { ...link };
+    persist();
+  }
+
+  function findStripeSub(stripeSubId) {
+    const l = doc.stripeSubs[stripeSubId];
+    return l ? { ...l } : null;
+  }
+
+  /* ---- synced client ops (idempotency for /api/sync/ops) ---- */
+  function findSyncOp(id) {
+    const r = doc.syncOps[id];
+    return r ? { ...r } : null;
+  }
+
+  /** Applies `fn` to the user record and records the op id in one write. */
+  function applySyncOp(id, uid, stream, fn) {
+    const cur = normalizeUser(doc.users[uid]);
+    doc.users[uid] = normalizeUser(fn(cur) || cur);
+    doc.syncOps[id] = { uid, stream, at: Date.now() };
+    persist();
+  }
+
+  /* ---- cloud saves (one current snapshot per user) ---- */
+  function getSave(uid) {
+    const sv = doc.saves[uid];
+    return sv ? { ...sv } : { version: 0, snapshot: null, meta: null, updatedAt: 0 };
+  }
+
+  function putSave(uid, save) {
+    doc.saves[uid] = { ...save };
+    persist();
+    return { ...doc.saves[uid] };
+  }
+
+  /* ---- wallet journal (append-only; see server/ledger.js) ---- */
+  const journalIds = new Map(doc.journal.map((tx, i) => [tx.id, i]));
+  const journalByUid = new Map(); // uid → txs in journal order
+  const indexTx = (tx) => {
+    if (!journalByUid.has(tx.uid)) journalByUid.set(tx.uid, []);
+    journalByUid.get(tx.uid).push(tx);
+  };
+  doc.journal.forEach(indexTx);
+
+  function appendJournal(tx) {
+    if (journalIds.has(tx.id)) return false;
+    doc.journal.push(tx);
+    journalIds.set(tx.id, doc.journal.length - 1);
+    indexTx(tx);
+    persist();
+    return true;
+  }
+
+  function findJournal(id) {
+    const i = journalIds.get(id);
+    return i == null ? null : doc.journal[i];
+  }
+
+  function journalFor(uid) { return (journalByUid.get(uid) || []).slice(); }
+  function journalHead() { return doc.journal.length ? doc.journal[doc.journal.length - 1].hash : ""; }
+  function allJournal() { return doc.journal.slice(); }
+
+  return {
+    file,
+    get schemaVersion() { return doc.schemaVersion; },
+    batch,
+    getUser,
+    updateUser,
+    listUsers,
+    findAccount,
+    findAccountByUid,
+    createAccount,
+    putSession,
+    getSession,
+    deleteSession,
+    hasEvent,
+    recordEvent,
+    linkStripeSub,
+    findStripeSub,
+    getSave,
+    putSave,
+    findSyncOp,
+    applySyncOp,
+    appendJournal,
+    findJournal,
+    journalFor,
+    journalHead,
+    allJournal,
+  };
+}
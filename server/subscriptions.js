@@ -0,0 +1,93 @@
+// FILE: server/subscriptions.js
+// Subscription lifecycle for stored user records.
+// Each user keeps `subscriptions: { [subId]: Lifecycle }` where
+//   Lifecycle = { status: "active"|"past_due"|"canceled", periodEnd, graceUntil, updatedAt }
+// and the boolean `subs` map is always derived from it (true = currently entitled).
+//
+// Derived states (what the client sees):
+//   active    – paid and inside the current period
+//   grace     – payment failed, still entitled until graceUntil
+//   cancelled – user cancelled, still entitled until periodEnd
+//   expired   – no longer entitled
+
+export const PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+export const GRACE_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Highest tier first; the entitlement reports the best active one.
+const AD_TIERS = [
+  ["sub_ad_free", "free"],
+  ["sub_ad_lite", "lite"],
+];
+
+/** Derived state for one lifecycle record. */
+export function lifecycleState(rec, now = Date.now()) {
+  if (!rec) return { state: "expired", isActive: false, expiresAt: 0, graceUntil: 0 };
+  const periodEnd = Number(rec.periodEnd) || 0;
+  const graceUntil = Number(rec.graceUntil) || 0;
+
+  if (rec.status === "active" && now < periodEnd) {
+    return { state: "active", isActive: true, expiresAt: periodEnd, graceUntil: 0 };
+  }
+  if (rec.status === "past_due" && now < graceUntil) {
+    return { state: "grace", isActive: true, expiresAt: periodEnd, graceUntil };
+  }
+  if (rec.status === "canceled" && now < periodEnd) {
+    return { state: "cancelled", isActive: true, expiresAt: periodEnd, graceUntil: 0 };
+  }
+  return { state: "expired", isActive: false, expiresAt: periodEnd, graceUntil: 0 };
+}
+
+/** Recomputes `u.subs` from `u.subscriptions`. Mutates and returns `u`. */
+export function deriveSubs(u, now = Date.now()) {
+  const subs = {};
+  for (const [id, rec] of Object.entries(u.subscriptions || {})) {
+    subs[id] = lifecycleState(rec, now).isActive;
+  }
+  u.subs = subs;
+  return u;
+}
+
+/**
+ * Applies a lifecycle transition to a user record (mutates).
+ *   "activate"    – new or renewed period
+ *   "cancel"      – keep access until periodEnd, then expire
+ *   "revoke"      – end immediately
+ *   "payment_failed" – enter grace
+ */
+export function transition(u, subId, kind, { now = Date.now(), periodEnd } = {}) {
+  if (!u.subscriptions) u.subscriptions = {};
+  const cur = u.subscriptions[subId] || { status: "canceled", periodEnd: 0, graceUntil: 0 };
+  let next = cur;
+
+  if (kind === "activate") {
+    next = { status: "active", periodEnd: Number(periodEnd) || now + PERIOD_MS, graceUntil: 0 };
+  } else if (kind === "cancel") {
+    next = { ...cur, status: "canceled", graceUntil: 0 };
+  } else if (kind === "revoke") {
+    next = { ...cur, status: "canceled", periodEnd: now, graceUntil: 0 };
+  } else if (kind === "payment_failed") {
+    next = { ...cur, status: "past_due", graceUntil: now + GRACE_MS };
+  }
+
+  u.subscriptions[subId] = { ...next, updatedAt: now };
+  return deriveSubs(u, now);
+}
+
+/**
+ * Entitlement payload for GET /api/entitlement (shape used by subGuard.ts).
+ * @returns {{ isActive:boolean, tier:"free"|"plus", adTier:"none"|"lite"|"free",
+ *             status:"active"|"grace"|"cancelled"|"expired", expiresAt:number, graceUntil?:number }}
+ */
+export function entitlementFor(u, now = Date.now()) {
+  const subs = u.subscriptions || {};
+  for (const [subId, adTier] of AD_TIERS) {
+    const s = lifecycleState(subs[subId], now);
+    if (!s.isActive) continue;
+    const out = { isActive: true, tier: "plus", adTier, status: s.state, expiresAt: s.expiresAt };
+    if (s.graceUntil) out.graceUntil = s.graceUntil;
+    return out;
+  }
+  // Nothing active: report the most recent expiry so clients can show "expired on …"
+  const lastEnd = Math.max(0, ...Object.values(subs).map((r) => Number(r.periodEnd) || 0));
+  return { isActive: false, tier: "free", adTier: "none", status: "expired", expiresAt: lastEnd };
+}
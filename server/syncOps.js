@@ -0,0 +1,68 @@
+// FILE: server/syncOps.js
+// Batched op intake for client queues.
+//   POST /api/sync/ops  { ops:[{ id, stream, ... }] }
+//   → { acks:[{ id, ok, error?, duplicate? }], wallet }
+//
+// Streams:
+//   wallet – ledger ops from wallet.js (see server/ledger.js)
+//   stats  – stats.js ops { id, k, t, n?, data } aggregated per op kind
+//            (n > 1: a client delta op folding n ops, data already summed)
+//   events – syncQueue.js events { id, type, payload, at } kept as a capped log
+//
+// Every op carries a client id. An ack (ok or a permanent error) tells the client
+// to drop the op; a non-2xx response means "retry the whole batch later".
+
+import { postOp, balancesFor } from "./ledger.js";
+
+const MAX_BATCH = 200;
+const MAX_EVENTS = 1000;
+
+function applyStats(u, op) {
+  const k = String(op.k || "unknown");
+  const row = u.stats[k] || { count: 0, sums: {} };
+  row.count += Math.max(1, Math.floor(Number(op.n) || 1));
+  for (const [field, v] of Object.entries(op.data || {})) {
+    const n = Number(v);
+    if (Number.isFinite(n)) row.sums[field] = (row.sums[field] || 0) + n;
+  }
+  row.lastAt = Number(op.t) || Date.now();
+  u.stats[k] = row;
+}
+
+function applyEvent(u, op) {
+  u.events.push({ id: op.id, type: String(op.type || ""), payload: op.payload ?? null, at: Number(op.at) || Date.now() });
+  if (u.events.length > MAX_EVENTS) u.events.splice(0, u.events.length - MAX_EVENTS);
+}
+
+/** Processes one op for `uid`; returns its ack. */
+export function acceptOp(store, uid, op) {
+  const id = String(op?.id || "");
+  if (!id) return { id, ok: false, error: "missing_id" };
+
+  if (op.stream === "wallet") return postOp(store, uid, op);
+
+  const apply = op.stream === "stats" ? applyStats : op.stream === "events" ? applyEvent : null;
+  if (!apply) return { id, ok: false, error: "unknown_stream" };
+
+  const prior = store.findSyncOp(id);
+  if (prior) {
+    return prior.uid === uid ? { id, ok: true, duplicate: true } : { id, ok: false, error: "id_conflict" };
+  }
+  store.applySyncOp(id, uid, op.stream, (u) => {
+    apply(u, op);
+    u.lastSync = Date.now();
+  });
+  return { id, ok: true };
+}
+
+export function mountSync(app, store, authed) {
+  app.post("/api/sync/ops", authed, (req, res) => {
+    const ops = Array.isArray(req.body?.ops) ? req.body.ops : null;
+    if (!ops) return res.status(400).json({ error: "bad_batch" });
+    if (ops.length > MAX_BATCH) return res.status(413).json({ error: "batch_too_large", max: MAX_BATCH });
+
+    // Applied in memory, written once for the whole batch
+    const acks = store.batch(() => ops.map((op) => acceptOp(store, req.uid, op)));
+    return res.json({ acks, wallet: balancesFor(store, req.uid) });
+  });
+}
@@ -0,0 +1,158 @@
+// FILE: server/webhooks.js
+// Stripe webhook endpoint for the dev server.
+// - Verifies the Stripe-Signature header (HMAC-SHA256 over "<t>.<raw body>")
+// - Handles checkout.session.completed, customer.subscription.updated/deleted,
+//   invoice.payment_failed by calling grantCoins / setSub
+// - Idempotent by event id (processed ids are kept in the store)
+//
+// Works without the stripe SDK so the same path can be driven offline by
+// server/replay-events.js, which signs fixture events with the same secret.
+
+import crypto from "node:crypto";
+import express from "express";
+
+export const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || "whsec_dev_local";
+const TOLERANCE_SEC = 5 * 60;
+
+/* ---------------- signatures ---------------- */
+function hmac(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload, "utf8").digest("hex");
+}
+
+/** Builds a Stripe-Signature header value for `payload` (used by the replay CLI). */
+export function signPayload(payload, secret = WEBHOOK_SECRET, t = Math.floor(Date.now() / 1000)) {
+  return `t=${t},v1=${hmac(secret, `${t}.${payload}`)}`;
+}
+
+/** Returns true when `header` carries a valid v1 signature for `payload` within tolerance. */
+export function verifySignature(payload, header, secret = WEBHOOK_SECRET, now = Date.now()) {
+  const parts = String(header || "").split(",").map((p) => p.trim().split("="));
+  const t = Number(parts.find(([k]) => k === "t")?.[1]);
+  const sigs = parts.filter(([k]) => k === "v1").map(([, v]) => v);
+  if (!Number.isFinite(t) || !sigs.length) return false;
+  if (Math.abs(now / 1000 - t) > TOLERANCE_SEC) return false;
+
+  const want = Buffer.from(hmac(secret, `${t}.${payload}`), "hex");
+  return sigs.some((s) => {
+    const got = Buffer.from(String(s), "hex");
+    return got.length === want.length && crypto.timingSafeEqual(got, want);
+  });
+}
+
+/* ---------------- mapping ---------------- */
+/** Maps a Stripe price id to our sub id (env mapping first, then the UI naming convention). */
+export function subIdForPrice(priceId) {
+  const p = String(priceId || "");
+  if (p && p === process.env.STRIPE_PRICE_SUB_FREE) return "sub_ad_free";
+  if (p && p === process.env.STRIPE_PRICE_SUB_LITE) return "sub_ad_lite";
+  return /free/i.test(p) ? "sub_ad_free" : "sub_ad_lite";
+}
+
+function subPriceId(sub) {
+  return sub?.items?.data?.[0]?.price?.id || sub?.plan?.id || "";
+}
+
+// Resolve { uid, subId } for a Stripe subscription object or id.
+function resolveSub(store, stripeSubId, obj) {
+  const linked = stripeSubId ? store.findStripeSub(stripeSubId) : null;
+  if (linked) return linked;
+  const meta = obj?.metadata || {};
+  if (!meta.uid) return null;
+  return { uid: meta.uid, subId: meta.subId || subIdForPrice(subPriceId(obj)) };
+}
+
+/* ---------------- handlers ---------------- */
+/**
+ * Applies one verified event. Returns a short label for logging.
+ * @param {object} event  Stripe event
+ * @param {{ store, grantCoins:Function, setSub:Function }} deps
+ */
+export function handleEvent(event, { store, grantCoins, setSub }) {
+  const obj = event?.data?.object || {};
+
+  switch (event.type) {
+    case "checkout.session.completed": {
+      const meta = obj.metadata || {};
+      const uid = meta.uid;
+      if (!uid) return "skipped:no_uid";
+      if (obj.mode === "subscription") {
+        const subId = meta.subId || subIdForPrice(meta.priceId);
+        if (obj.subscription) store.linkStripeSub(obj.subscription, { uid, subId });
+        setSub(uid, subId, true);
+        return `sub:${subId}`;
+      }
+      if (obj.payment_status && obj.payment_status !== "paid") return "skipped:unpaid";
+      grantCoins(uid, meta.packId || "pack_unknown", Number(meta.coins || 0));
+      return `coins:${meta.packId || "pack_unknown"}`;
+    }
+
+    case "customer.subscription.updated": {
+      const link = resolveSub(store, obj.id, obj);
+      if (!link) return "skipped:unknown_sub";
+      const periodEnd = Number(obj.current_period_end) * 1000 || undefined;
+      if (obj.status === "active" || obj.status === "trialing") {
+        setSub(link.uid, link.subId, true, { periodEnd });
+        if (obj.cancel_at_period_end) setSub(link.uid, link.subId, "cancel");
+      } else if (obj.status === "past_due" || obj.status === "unpaid") {
+        setSub(link.uid, link.subId, "payment_failed");
+      } else if (obj.status === "canceled" || obj.status === "incomplete_expired") {
+        setSub(link.uid, link.subId, false);
+      }
+      return `sub_updated:${link.subId}:${obj.status}`;
+    }
+
+    case "customer.subscription.deleted": {
+      const link = resolveSub(store, obj.id, obj);
+      if (!link) return "skipped:unknown_sub";
+      setSub(link.uid, link.subId, false);
+      return `sub_deleted:${link.subId}`;
+    }
+
+    case "invoice.payment_failed": {
+      const stripeSubId = typeof obj.subscription === "string" ? obj.subscription : obj.subscription?.id;
+      const link = resolveSub(store, stripeSubId, obj.subscription_details || obj);
+      if (!link) return "skipped:unknown_sub";
+      setSub(link.uid, link.subId, "payment_failed");
+      return `payment_failed:${link.subId}`;
+    }
+
+    default:
+      return "ignored";
+  }
+}
+
+/**
+ * Mounts POST /api/webhooks/stripe. Must be registered BEFORE express.json(),
+ * because signature checks need the raw body.
+ */
+export function mountWebhooks(app, deps) {
+  app.post("/api/webhooks/stripe", express.raw({ type: "*/*" }), (req, res) => {
+    const raw = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+    if (!verifySignature(raw, req.get("stripe-signature"))) {
+      return res.status(400).json({ error: "bad_signature" });
+    }
+
+    let event;
+    try { event = JSON.parse(raw); } catch { return res.status(400).json({ error: "bad_json" }); }
+    if (!event?.id || !event?.type) return res.status(400).json({ error: "bad_event" });
+
+    if (deps.store.hasEvent(event.id)) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    try {
+      // Fulfilled and recorded in one write, so a crash can't leave a grant a retry repeats
+      const result = deps.store.batch(() => {
+        const r = handleEvent(event, deps);
+        deps.store.recordEvent(event.id, event.type);
+        return r;
+      });
+      console.log("[webhook]", event.type, event.id, result);
+      return res.json({ received: true, result });
+    } catch (e) {
+      // Not recorded → Stripe (or the replay CLI) can retry.
+      console.error("webhook error", event.type, event.id, e);
+      return res.status(500).json({ error: "webhook_failed" });
+    }
+  });
+}
@@ -30,6 +30,9 @@ import {
   saveOfflineTimestamp,
 } from "./modules/offlineEarnings";
 import { startAutoSync, noteMutation } from "./modules/sync";
+import { startQueueAutoFlush } from "./modules/syncQueue";
+import { flushAll } from "./modules/syncTransport";
+import { ensurePersistentStorage, compactStorage } from "./modules/storage";
 import { isBetaMode } from "./modules/config.js";
 import { getWallet } from "./modules/wallet";
 import { getBoostTimes, isBoostActive, fmtMMSS } from "./modules/boost";
@@ -78,6 +81,8 @@ export default function App() {
   // one-time redirects and hooks
   useEffect(() => { if (tab === "Play") setTab("Payouts"); }, []); // legacy
   useEffect(() => { startAutoSync({ intervalMs: 2 * 60 * 1000 }); }, []);
+  useEffect(() => { startQueueAutoFlush(); flushAll(); }, []); // drain op queues to /api/sync/ops
+  useEffect(() => { ensurePersistentStorage(); compactStorage().catch(() => {}); }, []);
   useEffect(() => { document.documentElement.classList.toggle("dark", !!dark); }, [dark]);
 
   useEffect(() => {
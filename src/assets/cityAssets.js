@@ -233,11 +233,12 @@ export function getBuildingTextureKey(buildingType) {
 
 /**
  * Get random traffic vehicle texture
+ * @param {() => number} rng - [0, 1) source (the sim passes its seeded stream)
  * @returns {string} - Random traffic vehicle key
  */
-export function getRandomTrafficVehicle() {
+export function getRandomTrafficVehicle(rng = Math.random) {
   const vehicles = ['vehicle_sedan', 'vehicle_compact', 'vehicle_sports'];
-  return vehicles[Math.floor(Math.random() * vehicles.length)];
+  return vehicles[Math.floor(rng() * vehicles.length)];
 }
 
 /**
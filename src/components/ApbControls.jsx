@@ -1,6 +1,7 @@
 // FILE: src/components/ApbControls.jsx
 import React, { useEffect, useState, useRef } from "react";
 import { getApbStatus, skipApbCooldownWithAd } from "../modules/cityEconomy";
+import { getWanted, onHeatChange } from "../modules/heat";
 
 // mm:ss from seconds
 function fmtMMSS_fromSec(sec = 0) {
@@ -21,6 +22,7 @@ function fmtMMSS_fromSec(sec = 0) {
  */
 export default function ApbControls({ compact = false, onRun, onSkipped }) {
   const [apb, setApb] = useState(() => getApbStatus());
+  const [wanted, setWanted] = useState(() => getWanted());
   const [busySkip, setBusySkip] = useState(false);
   const mounted = useRef(true);
 
@@ -30,6 +32,7 @@ export default function ApbControls({ compact = false, onRun, onSkipped }) {
     const tick = () => {
       if (!mounted.current) return;
       setApb(getApbStatus());
+      setWanted(getWanted()); // getWanted includes decay; the city isn't always running tickHeat
     };
 
     const id = setInterval(tick, 1000);
@@ -37,11 +40,15 @@ export default function ApbControls({ compact = false, onRun, onSkipped }) {
 
     const sync = () => tick();
     window.addEventListener("apb:status", sync);
+    const unsubHeat = onHeatChange(() => {
+      if (mounted.current) setWanted(getWanted());
+    });
 
     return () => {
       mounted.current = false;
       clearInterval(id);
       window.removeEventListener("apb:status", sync);
+      unsubHeat();
     };
   }, []);
 
@@ -93,6 +100,16 @@ export default function ApbControls({ compact = false, onRun, onSkipped }) {
         {statusLabel}
       </span>
 
+      {wanted.stars > 0 && (
+        <span
+          className="text-xs tabular-nums text-amber-500"
+          title={`Heat ${Math.round(wanted.level)} · APB payout x${wanted.payoutMult}`}
+          aria-label={`Wanted level ${wanted.stars} of 5`}
+        >
+          {"★".repeat(wanted.stars)}
+        </span>
+      )}
+
       {/* Run button NEVER renders in compact mode (safe for header) */}
       {!compact && (
         <button
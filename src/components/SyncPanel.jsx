@@ -4,18 +4,37 @@ import {
   restoreBackupSnapshot,
   getLastSync,
   setLastSync,
-  getPendingCounts
+  getPendingCounts,
+  previewCloudMerge,
+  acceptCloudMerge,
+  pushCloudSave,
 } from "../modules/sync";
+import { flushAll, getTransportState } from "../modules/syncTransport";
+import { getStorageReport, getStorageWarnings, onStorageWarning, compactStorage } from "../modules/storage";
+
+const fmtKB = (b) => `${Math.round((Number(b) || 0) / 1024)} KB`;
 
 export default function SyncPanel({ dark = true }) {
   const [lastSync, setLS] = useState(getLastSync());
   const [pending, setPending] = useState(getPendingCounts());
+  const [transport, setTransport] = useState(getTransportState());
   const [msg, setMsg] = useState("");
+  const [cloud, setCloud] = useState(null);          // previewCloudMerge() result
+  const [cityChoice, setCityChoice] = useState("local");
+  const [cloudBusy, setCloudBusy] = useState(false);
+  const [storage, setStorage] = useState(null);      // getStorageReport() result
+  const [storageWarn, setStorageWarn] = useState(getStorageWarnings()[0] || null);
   const fileRef = useRef(null);
 
+  useEffect(() => {
+    getStorageReport().then(setStorage).catch(() => {});
+    return onStorageWarning(setStorageWarn);
+  }, []);
+
   useEffect(() => {
     const t = setInterval(() => {
       setPending(getPendingCounts());
+      setTransport(getTransportState());
       setLS(getLastSync());
     }, 1000);
     return () => clearInterval(t);
@@ -59,6 +78,79 @@ export default function SyncPanel({ dark = true }) {
     if (fileRef.current) fileRef.current.value = "";
   }
 
+  async function pushNow() {
+    setMsg("Sending…");
+    const results = await flushAll();
+    const failed = results.filter((r) => !r.ok);
+    if (!failed.length) {
+      setLastSync(Date.now());
+      setLS(getLastSync());
+      setMsg("All queues sent.");
+    } else {
+      setMsg(`Not sent: ${failed.map((r) => r.reason).join(", ")}`);
+    }
+    setTimeout(() => setMsg(""), 2500);
+  }
+
+  // First stream that is failing, for the status line
+  const failing = Object.entries(transport).find(([, s]) => s.lastError);
+
+  async function checkCloud() {
+    setCloudBusy(true);
+    try {
+      const p = await previewCloudMerge();
+      if (!p.ok) setMsg(`Cloud unavailable: ${p.reason}`);
+      setCloud(p.ok ? p : null);
+    } catch {
+      setMsg("Cloud unavailable.");
+    } finally {
+      setCloudBusy(false);
+    }
+  }
+
+  async function uploadLocal() {
+    setCloudBusy(true);
+    try {
+      const r = await pushCloudSave();
+      if (r.ok) {
+        setMsg(`Uploaded as cloud version ${r.version}.`);
+        setCloud(null);
+        setLS(getLastSync());
+      } else if (r.conflict) {
+        setMsg("Another device saved first. Review the merge below.");
+        setCloud(await previewCloudMerge());
+      } else {
+        setMsg(`Upload failed: ${r.reason}`);
+      }
+    } finally {
+      setCloudBusy(false);
+    }
+  }
+
+  async function acceptCloud() {
+    setCloudBusy(true);
+    try {
+      const r = await acceptCloudMerge(cloud, { cityChoice });
+      if (r.ok) {
+        setMsg("Cloud save merged.");
+        setTimeout(() => location.reload(), 600);
+      } else {
+        setMsg(r.conflict ? "Cloud changed again; check again." : `Merge failed: ${r.reason}`);
+        setCloud(null);
+      }
+    } finally {
+      setCloudBusy(false);
+    }
+  }
+
+  async function compactNow() {
+    const r = await compactStorage();
+    setStorage(await getStorageReport());
+    setStorageWarn(null);
+    setMsg(`Freed ${fmtKB(r.freedBytes)} (history ${r.history.before} → ${r.history.after}).`);
+    setTimeout(() => setMsg(""), 2500);
+  }
+
   function markSyncedNow() {
     setLastSync(Date.now());
     setLS(getLastSync());
@@ -99,17 +191,111 @@ export default function SyncPanel({ dark = true }) {
         {pill("Pending (total)", pending.total)}
         {pill("Wallet ops", pending.wallet)}
         {pill("Stats ops", pending.stats)}
+        {pill("Events", pending.events)}
       </div>
 
+      {failing && (
+        <div style={{ fontSize: 12, opacity: 0.8, marginBottom: 10 }}>
+          {failing[0]} sync failing ({failing[1].lastError})
+          {failing[1].nextAt > Date.now()
+            ? ` · retry in ${Math.ceil((failing[1].nextAt - Date.now()) / 1000)}s`
+            : ""}
+        </div>
+      )}
+
       <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
         <button onClick={doExport} style={btnStyle(dark)}>Export backup</button>
         <label style={btnStyle(dark, true)}>
           Import backup
           <input ref={fileRef} type="file" accept="application/json" onChange={doImport} style={{ display: "none" }} />
         </label>
+        <button onClick={pushNow} style={btnStyle(dark)}>Sync now</button>
         <button onClick={markSyncedNow} style={btnStyle(dark)}>Mark as synced</button>
       </div>
 
+      {/* Local storage */}
+      {storage && (
+        <div style={{ fontSize: 12, opacity: 0.85, marginTop: 10 }}>
+          Device storage: {fmtKB(storage.local.bytes)} of ~{fmtKB(storage.local.cap)} ({Math.round(storage.local.pct * 100)}%)
+          {" · "}{storage.backend === "indexeddb" ? "IndexedDB" : "localStorage only"}
+          {storage.persisted === false && " · not persistent"}
+        </div>
+      )}
+      {storageWarn && (
+        <div style={{ fontSize: 12, marginTop: 6, color: dark ? "#fbbf24" : "#b45309" }}>
+          Storage warning: {storageWarn.reason.replace(/_/g, " ")}{storageWarn.key ? ` (${storageWarn.key})` : ""}
+          <button onClick={compactNow} style={{ ...btnStyle(dark), marginLeft: 8, padding: "4px 8px" }}>Compact</button>
+        </div>
+      )}
+
+      {/* Cloud save */}
+      <div style={{ marginTop: 16, paddingTop: 12, borderTop: `1px solid ${dark ? "#374151" : "#e5e7eb"}` }}>
+        <div style={{ fontWeight: 600, marginBottom: 8 }}>Cloud save</div>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+          <button onClick={checkCloud} disabled={cloudBusy} style={btnStyle(dark)}>Check cloud</button>
+          <button onClick={uploadLocal} disabled={cloudBusy} style={btnStyle(dark)}>Upload this device</button>
+        </div>
+
+        {cloud && (
+          <div style={{ fontSize: 13 }}>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginBottom: 8 }}>
+              <div>
+                <div style={{ opacity: 0.7 }}>Cloud</div>
+                <b>v{cloud.remote.version}</b>{" "}
+                {cloud.remote.updatedAt ? new Date(cloud.remote.updatedAt).toLocaleString() : "empty"}
+                {cloud.remote.meta?.device && <div style={{ opacity: 0.7 }}>device {String(cloud.remote.meta.device).slice(0, 8)}</div>}
+              </div>
+              <div>
+                <div style={{ opacity: 0.7 }}>This device</div>
+                <b>v{cloud.local.version}</b>{" "}
+                {cloud.local.ts ? new Date(cloud.local.ts).toLocaleString() : "—"}
+                <div style={{ opacity: 0.7 }}>hash {cloud.local.hash}</div>
+              </div>
+            </div>
+
+            {cloud.upToDate ? (
+              <div style={{ opacity: 0.8 }}>Cloud is at the version this device last synced.</div>
+            ) : (
+              <>
+                <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 8 }}>
+                  <thead>
+                    <tr style={{ textAlign: "left", opacity: 0.7 }}>
+                      <th>Key</th><th>Change</th><th>Rule</th><th>Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {cloud.plan.decisions
+                      .filter((d) => d.status !== "same")
+                      .map((d) => (
+                        <tr key={d.key} style={{ color: d.needsPrompt ? (dark ? "#fbbf24" : "#b45309") : undefined }}>
+                          <td style={{ fontFamily: "monospace" }}>{d.key}</td>
+                          <td>{d.status.replace("_", " ")}</td>
+                          <td>{d.rule}</td>
+                          <td>{d.needsPrompt ? cityChoice : d.result}</td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+
+                {cloud.plan.needsPrompt && (
+                  <div style={{ marginBottom: 8 }}>
+                    City layouts changed on both devices:
+                    <label style={{ marginLeft: 8 }}>
+                      <input type="radio" checked={cityChoice === "local"} onChange={() => setCityChoice("local")} /> keep this device
+                    </label>
+                    <label style={{ marginLeft: 8 }}>
+                      <input type="radio" checked={cityChoice === "remote"} onChange={() => setCityChoice("remote")} /> use cloud
+                    </label>
+                  </div>
+                )}
+
+                <button onClick={acceptCloud} disabled={cloudBusy} style={btnStyle(dark)}>Accept merge</button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
       {msg && <div style={{ marginTop: 10, fontSize: 13, color: dark ? "#34d399" : "#065f46" }}>{msg}</div>}
     </div>
   );
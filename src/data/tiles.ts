@@ -4,6 +4,7 @@ export const TILES = {
   road:       { id: "road",       code: "r",        placeable: true,  drivable: true,  kind: "road", lanes: 1, cost: 1 },
   avenue:     { id: "avenue",     code: "av",       placeable: true,  drivable: true,  kind: "road", lanes: 2, cost: 2 },
   roundabout: { id: "roundabout", code: "rb",       placeable: true,  drivable: true,  kind: "rb",   lanes: 1, cost: 2 },
+  signal:     { id: "signal",     code: "sig",      placeable: true,  drivable: true,  kind: "road", lanes: 1, cost: 2 },
 
   home:       { id: "home",       code: "home",     placeable: true,  drivable: true,  kind: "poi",  cost: 1 },
   house:      { id: "house",      code: "house",    placeable: true,  drivable: false, kind: "poi",  cost: 1 },
@@ -26,6 +27,7 @@ const CODE_TO_ID: Record<string, TileId> = {
   road: "road",
   avenue: "avenue",
   roundabout: "roundabout",
+  signal: "signal",
   home: "home",
   house: "house",
   park: "park",
@@ -40,6 +42,7 @@ const CODE_TO_ID: Record<string, TileId> = {
   r: "road",
   av: "avenue",
   rb: "roundabout",
+  sig: "signal",
   h: "home",
   st: "home",
   start: "home",
@@ -1,5 +1,8 @@
 // src/game/ai/path.js
 // Road graph + A* for grid movement on "driveable" tiles (road/avenue)
+// - buildRoadGraph / updateRoadGraphCells: static per-cell edge costs
+// - aStar: binary-heap A* with optional live cost (congestion) and avoid set
+// - createPathService: the shared router CityScene hands to its systems
 
 const key = (x, y) => `${x},${y}`;
 const unkey = (k) => {
@@ -7,8 +10,16 @@ const unkey = (k) => {
   return { x: parseInt(k.slice(0, i), 10), y: parseInt(k.slice(i + 1), 10) };
 };
 
-// Manhattan heuristic for 4-neighbour grid
-const H = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+// Manhattan heuristic for 4-neighbour grid, scaled by the cheapest step so
+// it stays admissible when avenues cost less than 1
+const H = (a, b, minCost = 1) => (Math.abs(a.x - b.x) + Math.abs(a.y - b.y)) * minCost;
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Cost of entering a cell, by tile kind: avenues are preferred, roundabouts
+// avoided, signals cost a little for the wait
+export const ROUTE_COSTS = { avenue: 0.7, road: 1, start: 1, signal: 1.2, roundabout: 1.6 };
+const MIN_ROUTE_COST = Math.min(...Object.values(ROUTE_COSTS));
 
 // Build a graph out of a grid of booleans + an optional cost selector per cell
 export function buildRoadGraph(grid, isDriveable, edgeCost) {
@@ -17,59 +28,110 @@ export function buildRoadGraph(grid, isDriveable, edgeCost) {
 
   const nodes = new Map();
   const edges = new Map();
-
-  const addNode = (x, y) => {
-    const k = key(x, y);
-    if (!nodes.has(k)) nodes.set(k, { x, y });
-    if (!edges.has(k)) edges.set(k, []);
-    return k;
-  };
-
-  const costFor = (x, y) => (edgeCost ? edgeCost(x, y) : 1);
+  const graph = { nodes, edges, w, h };
 
   for (let y = 0; y < h; y++) {
     for (let x = 0; x < w; x++) {
-      if (!isDriveable(x, y)) continue;
-      const k0 = addNode(x, y);
-      // 4-neighbour connections
-      const neigh = [
-        [x + 1, y],
-        [x - 1, y],
-        [x, y + 1],
-        [x, y - 1],
-      ];
-      for (const [nx, ny] of neigh) {
-        if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
-        if (!isDriveable(nx, ny)) continue;
-        const k1 = addNode(nx, ny);
-        edges.get(k0).push({ to: k1, cost: costFor(nx, ny) });
-      }
+      linkCell(graph, isDriveable, edgeCost, x, y);
     }
   }
 
-  return { nodes, edges };
+  return graph;
+}
+
+// (Re)computes one cell's node and outgoing edges
+function linkCell(graph, isDriveable, edgeCost, x, y) {
+  const k0 = key(x, y);
+  if (!isDriveable(x, y)) {
+    graph.nodes.delete(k0);
+    graph.edges.delete(k0);
+    return;
+  }
+  graph.nodes.set(k0, { x, y });
+  const out = [];
+  for (const [dx, dy] of NEIGHBOURS) {
+    const nx = x + dx, ny = y + dy;
+    if (nx < 0 || ny < 0 || nx >= graph.w || ny >= graph.h) continue;
+    if (!isDriveable(nx, ny)) continue;
+    out.push({ to: key(nx, ny), cost: edgeCost ? edgeCost(nx, ny) : 1 });
+  }
+  graph.edges.set(k0, out);
 }
 
-export function aStar(graph, startKey, goalKey) {
+/**
+ * Incremental update after tiles changed. Edge cost is the cost of the
+ * destination cell, so each changed cell relinks itself and its neighbours.
+ * Grid size must be unchanged (rebuild otherwise).
+ */
+export function updateRoadGraphCells(graph, isDriveable, edgeCost, cells) {
+  const touched = new Set();
+  for (const { x, y } of cells) {
+    touched.add(key(x, y));
+    for (const [dx, dy] of NEIGHBOURS) {
+      const nx = x + dx, ny = y + dy;
+      if (nx >= 0 && ny >= 0 && nx < graph.w && ny < graph.h) touched.add(key(nx, ny));
+    }
+  }
+  for (const k of touched) {
+    const { x, y } = unkey(k);
+    linkCell(graph, isDriveable, edgeCost, x, y);
+  }
+  return touched.size;
+}
+
+// Min-heap of [f, key]
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const p = (i - 1) >> 1;
+    if (heap[p][0] <= heap[i][0]) break;
+    [heap[p], heap[i]] = [heap[i], heap[p]];
+    i = p;
+  }
+}
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+      if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+      if (m === i) break;
+      [heap[m], heap[i]] = [heap[i], heap[m]];
+      i = m;
+    }
+  }
+  return top;
+}
+
+/**
+ * A* over a road graph. Returns the list of keys from start to goal, or null.
+ * opts:
+ *   extraCost(toKey) – live cost added per step (e.g. congestion)
+ *   avoid            – Set of keys not to enter (start/goal are always allowed)
+ *   maxExpanded      – give up after this many expansions
+ *   minCost          – cheapest possible step (keeps the heuristic admissible)
+ */
+export function aStar(graph, startKey, goalKey, opts = {}) {
   if (!graph.nodes.has(startKey) || !graph.nodes.has(goalKey)) return null;
+  const { extraCost = null, avoid = null, maxExpanded = Infinity, minCost = 1 } = opts;
+  const goal = graph.nodes.get(goalKey);
 
-  const open = new Set([startKey]);
+  const heap = [];
   const came = new Map();
   const g = new Map([[startKey, 0]]);
-  const f = new Map([[startKey, H(graph.nodes.get(startKey), graph.nodes.get(goalKey))]]);
-
-  const popBest = () => {
-    let best = null, bestF = Infinity;
-    for (const k of open) {
-      const val = f.get(k) ?? Infinity;
-      if (val < bestF) { bestF = val; best = k; }
-    }
-    return best;
-  };
+  const closed = new Set();
+  heapPush(heap, [H(graph.nodes.get(startKey), goal, minCost), startKey]);
 
-  while (open.size) {
-    const cur = popBest();
-    if (cur == null) break;
+  let expanded = 0;
+  while (heap.length) {
+    const [, cur] = heapPop(heap);
+    if (closed.has(cur)) continue;
     if (cur === goalKey) {
       // reconstruct
       const out = [];
@@ -77,17 +139,18 @@ export function aStar(graph, startKey, goalKey) {
       while (c) { out.push(c); c = came.get(c); }
       return out.reverse();
     }
-    open.delete(cur);
+    closed.add(cur);
+    if (++expanded > maxExpanded) return null;
 
     const gc = g.get(cur) ?? Infinity;
     for (const { to, cost } of graph.edges.get(cur) || []) {
-      const tentative = gc + (cost ?? 1);
+      if (closed.has(to)) continue;
+      if (avoid?.has(to) && to !== goalKey) continue;
+      const tentative = gc + (cost ?? 1) + (extraCost ? extraCost(to) : 0);
       if (tentative < (g.get(to) ?? Infinity)) {
         came.set(to, cur);
         g.set(to, tentative);
-        const h = H(graph.nodes.get(to), graph.nodes.get(goalKey));
-        f.set(to, tentative + h);
-        open.add(to);
+        heapPush(heap, [tentative + H(graph.nodes.get(to), goal, minCost), to]);
       }
     }
   }
@@ -118,5 +181,95 @@ export function nearestRoadKey(isDriveable, w, h, gx, gy) {
   return null;
 }
 
+/**
+ * Shared routing service over a live tile grid.
+ *   getGrid()          – current grid (array of rows of tile codes)
+ *   isDriveable(x, y)  – tile can be driven on
+ *   cellCost(x, y)     – static cost of entering a cell (see ROUTE_COSTS)
+ *   dynamicCost(x, y)  – live extra cost, read at search time (congestion)
+ *   minCost            – cheapest cellCost (defaults to ROUTE_COSTS' minimum)
+ *
+ * sync() diffs the grid against the last snapshot and relinks only the
+ * changed cells; a size change falls back to a full rebuild.
+ */
+export function createPathService({ getGrid, isDriveable, cellCost = null, dynamicCost = null, minCost = MIN_ROUTE_COST }) {
+  let graph = { nodes: new Map(), edges: new Map(), w: 0, h: 0 };
+  let snapshot = [];
+  let version = 0;
+
+  const takeSnapshot = (grid) => grid.map((row) => (Array.isArray(row) ? row.slice() : []));
+  const extraCost = dynamicCost
+    ? (k) => { const { x, y } = unkey(k); return dynamicCost(x, y) || 0; }
+    : null;
+
+  return {
+    get graph() { return graph; },
+    get version() { return version; },
+
+    rebuild() {
+      const grid = getGrid() || [];
+      graph = buildRoadGraph(grid, isDriveable, cellCost);
+      snapshot = takeSnapshot(grid);
+      version += 1;
+      return graph.nodes.size;
+    },
+
+    /** Relinks the given cells ([{ x, y }]). */
+    updateCells(cells) {
+      if (!cells.length) return 0;
+      const n = updateRoadGraphCells(graph, isDriveable, cellCost, cells);
+      const grid = getGrid() || [];
+      for (const { x, y } of cells) if (snapshot[y]) snapshot[y][x] = grid[y]?.[x];
+      version += 1;
+      return n;
+    },
+
+    /** Picks up builder edits. Returns the number of changed cells (-1 = full rebuild). */
+    sync() {
+      const grid = getGrid() || [];
+      const h = grid.length, w = grid[0]?.length || 0;
+      if (h !== graph.h || w !== graph.w) { this.rebuild(); return -1; }
+      const changed = [];
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          if ((grid[y]?.[x] ?? "") !== (snapshot[y]?.[x] ?? "")) changed.push({ x, y });
+        }
+      }
+      this.updateCells(changed);
+      return changed.length;
+    },
+
+    hasCell(gx, gy) {
+      return graph.nodes.has(key(gx, gy));
+    },
+
+    neighbors(gx, gy) {
+      return (graph.edges.get(key(gx, gy)) || []).map(({ to }) => {
+        const { x, y } = unkey(to);
+        return { gx: x, gy: y };
+      });
+    },
+
+    degree(gx, gy) {
+      return (graph.edges.get(key(gx, gy)) || []).length;
+    },
+
+    /**
+     * Cheapest route between two cells as [{ gx, gy }] (start included), or null.
+     * opts: { avoid:Set<"x,y">, congestion:boolean = true, maxExpanded }
+     */
+    findPath(start, goal, { avoid = null, congestion = true, maxExpanded = Infinity } = {}) {
+      if (!start || !goal) return null;
+      const keys = aStar(graph, key(start.gx, start.gy), key(goal.gx, goal.gy), {
+        extraCost: congestion ? extraCost : null,
+        avoid,
+        maxExpanded,
+        minCost,
+      });
+      return keys ? keys.map((k) => { const { x, y } = unkey(k); return { gx: x, gy: y }; }) : null;
+    },
+  };
+}
+
 export const cellKey = key;
 export const fromKey = unkey;
@@ -0,0 +1,202 @@
+// src/game/ai/roadNetwork.js
+// Road network analyzer for city layouts (builder + cityEconomy)
+// - analyzeLayout(grid) → { health, issues, cellIssues, stats }
+// - Checks, on the same drivable set CityScene uses (road, avenue,
+//   roundabout, signal, start):
+//     road_island   road cells not connected to the main network (the one
+//                   the home tile sits on, else the largest)
+//     dead_end      a road that stops short of the map edge with no
+//                   roundabout to turn at (GridSystem.trueCulDeSac traps cars)
+//     no_road       a building with no road next to it
+//     unreachable   a building whose roads don't connect to the home tile
+//     no_home       tiles placed but no home/start tile
+//     no_spawn_edge no road runs off the map edge, so no traffic enters
+//                   (same rule as GridSystem.edgeRoadCells)
+// - health: 100 minus weighted penalties, clamped 0..100
+
+import { buildRoadGraph, cellKey } from "./path.js";
+import { normalizeId } from "../../data/tiles";
+
+const DRIVABLE = new Set(["road", "avenue", "roundabout", "signal", "start"]);
+
+// Health penalties
+const PENALTY = {
+  no_home: 15,
+  no_spawn_edge: 15,
+  island: 25,       // × share of road cells cut off from the main network
+  unreachable: 35,  // × share of buildings that can't be reached
+  dead_end: 3,      // per dead end…
+  dead_end_max: 15, // …capped
+};
+
+export const ISSUE_REASONS = {
+  road_island: "Road isn't connected to the main network",
+  dead_end: "Dead end – traffic gets stuck here",
+  no_road: "Building has no road next to it",
+  unreachable: "Building can't be reached from home",
+  no_home: "No home tile",
+  no_spawn_edge: "No road reaches the map edge – no traffic can enter",
+};
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Grid cell → tile id ("start" stays "start": it is drivable in the city)
+function tileAt(grid, x, y) {
+  const raw = grid[y]?.[x];
+  if (!raw) return "";
+  const base = String(raw).split("@")[0].toLowerCase();
+  if (base === "st" || base === "start") return "start";
+  return normalizeId(base) || base;
+}
+
+export function analyzeLayout(gridIn) {
+  const grid = Array.isArray(gridIn) ? gridIn : [];
+  const h = grid.length;
+  const w = grid.reduce((m, row) => Math.max(m, Array.isArray(row) ? row.length : 0), 0);
+
+  const ids = Array.from({ length: h }, (_, y) =>
+    Array.from({ length: w }, (_, x) => tileAt(grid, x, y))
+  );
+  const isDrivable = (x, y) => DRIVABLE.has(ids[y]?.[x]);
+  const graph = buildRoadGraph(ids, isDrivable);
+
+  // Connected road components
+  const compOf = new Map();
+  const compSize = [];
+  for (const k of graph.nodes.keys()) {
+    if (compOf.has(k)) continue;
+    const c = compSize.length;
+    let size = 0;
+    const stack = [k];
+    compOf.set(k, c);
+    while (stack.length) {
+      const cur = stack.pop();
+      size++;
+      for (const e of graph.edges.get(cur) || []) {
+        if (!compOf.has(e.to)) {
+          compOf.set(e.to, c);
+          stack.push(e.to);
+        }
+      }
+    }
+    compSize.push(size);
+  }
+
+  const roadsAround = (x, y) =>
+    NEIGHBOURS.map(([dx, dy]) => [x + dx, y + dy])
+      .filter(([nx, ny]) => isDrivable(nx, ny))
+      .map(([nx, ny]) => cellKey(nx, ny));
+
+  // Home: a "home" building (reached through its roads) or a drivable "start"
+  const homeComps = new Set();
+  let homes = 0;
+  let buildings = 0;
+  let tiles = 0;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const id = ids[y][x];
+      if (!id) continue;
+      tiles++;
+      if (id === "start") {
+        homes++;
+        homeComps.add(compOf.get(cellKey(x, y)));
+      } else if (id === "home") {
+        homes++;
+        for (const k of roadsAround(x, y)) homeComps.add(compOf.get(k));
+      }
+      if (!isDrivable(x, y)) buildings++;
+    }
+  }
+
+  // Main network: the home's, else the largest
+  let main = -1;
+  for (const c of homeComps) {
+    if (main < 0 || compSize[c] > compSize[main]) main = c;
+  }
+  if (main < 0 && compSize.length) {
+    main = compSize.indexOf(Math.max(...compSize));
+  }
+  const reachable = homeComps.size ? homeComps : new Set(main >= 0 ? [main] : []);
+
+  const cellIssues = [];
+  const add = (x, y, type) => cellIssues.push({ x, y, type, reason: ISSUE_REASONS[type] });
+  let islandCells = 0;
+  let deadEnds = 0;
+  let unreachable = 0;
+
+  const onEdge = (x, y) => x === 0 || y === 0 || x === w - 1 || y === h - 1;
+  const nearRoundabout = (x, y) =>
+    ids[y][x] === "roundabout" ||
+    NEIGHBOURS.some(([dx, dy]) => ids[y + dy]?.[x + dx] === "roundabout");
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const id = ids[y][x];
+      if (!id) continue;
+
+      if (isDrivable(x, y)) {
+        const k = cellKey(x, y);
+        if (compOf.get(k) !== main && !reachable.has(compOf.get(k))) {
+          islandCells++;
+          add(x, y, "road_island");
+          continue;
+        }
+        const degree = graph.edges.get(k)?.length || 0;
+        if (degree === 1 && !onEdge(x, y) && !nearRoundabout(x, y) && id !== "start") {
+          deadEnds++;
+          add(x, y, "dead_end");
+        }
+        continue;
+      }
+
+      const roads = roadsAround(x, y);
+      if (!roads.length) {
+        unreachable++;
+        add(x, y, "no_road");
+      } else if (id !== "home" && !roads.some((k) => reachable.has(compOf.get(k)))) {
+        unreachable++;
+        add(x, y, "unreachable");
+      }
+    }
+  }
+
+  // Spawn edge: a road on the border with another road one step inward
+  let spawnEdges = 0;
+  for (let x = 0; x < w; x++) {
+    if (isDrivable(x, 0) && isDrivable(x, 1)) spawnEdges++;
+    if (isDrivable(x, h - 1) && isDrivable(x, h - 2)) spawnEdges++;
+  }
+  for (let y = 0; y < h; y++) {
+    if (isDrivable(0, y) && isDrivable(1, y)) spawnEdges++;
+    if (isDrivable(w - 1, y) && isDrivable(w - 2, y)) spawnEdges++;
+  }
+
+  const issues = [];
+  if (tiles > 0 && !homes) issues.push({ type: "no_home", reason: ISSUE_REASONS.no_home });
+  if (graph.nodes.size > 0 && !spawnEdges) {
+    issues.push({ type: "no_spawn_edge", reason: ISSUE_REASONS.no_spawn_edge });
+  }
+
+  const roads = graph.nodes.size;
+  let health = 100;
+  if (issues.some((i) => i.type === "no_home")) health -= PENALTY.no_home;
+  if (issues.some((i) => i.type === "no_spawn_edge")) health -= PENALTY.no_spawn_edge;
+  if (roads) health -= PENALTY.island * (islandCells / roads);
+  if (buildings) health -= PENALTY.unreachable * (unreachable / buildings);
+  health -= Math.min(PENALTY.dead_end_max, PENALTY.dead_end * deadEnds);
+
+  return {
+    health: Math.max(0, Math.min(100, Math.round(health))),
+    issues,
+    cellIssues,
+    stats: {
+      roads,
+      buildings,
+      networks: compSize.length,
+      islandCells,
+      deadEnds,
+      unreachable,
+      spawnEdges,
+    },
+  };
+}
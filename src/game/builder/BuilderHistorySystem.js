@@ -0,0 +1,225 @@
+// FILE: src/game/builder/BuilderHistorySystem.js
+// Undo/redo command history for the City Builder, one stack pair per slot.
+// - Commands are plain JSON so they persist across reloads:
+//     { type: 'place',  x, y, id, rot, prev: {id, rot} | null, cost }
+//     { type: 'remove', x, y, tile: {id, rot} }
+//     { type: 'rotate', x, y, id, from, to }
+//     { type: 'batch',  label, cmds: [...] }   (drag strokes, reset, …)
+//     { type: 'slot',   from, to }             (lives on the slot it leads to)
+// - record() drops the redo stack; beginBatch/endBatch nest, and an empty
+//   batch is never recorded
+// - BuilderManager applies the commands; this system only stores them.
+//
+// ES6 MODULE VERSION
+
+import { BaseSystem } from '../scenes/systems/BaseSystem.js';
+import { kvGetSync, kvSetSync, kvRemoveSync } from '../../modules/storage';
+
+export class BuilderHistorySystem extends BaseSystem {
+  static get defaultConfig() {
+    return {
+      MAX_ENTRIES: 100,                        // per slot, undo stack only
+      STORAGE_KEY: 'pm_builder_history_v1',    // + ":<slotId>", in IndexedDB
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+
+    this.slotId = null;
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // Open batch (nested begin/end collapse into the outermost one)
+    this.batch = null;
+    this.batchDepth = 0;
+
+    // Called after every change (BuilderManager re-emits 'history:changed')
+    this.onChange = null;
+  }
+
+  onInitialize() {
+    this.emit('history:initialized');
+  }
+
+  onUpdate(_time, _delta) {
+    // History is event-driven
+  }
+
+  onDestroy() {
+    this.endBatch(true);
+    this.onChange = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // SLOT BINDING + PERSISTENCE
+  // ---------------------------------------------------------------------------
+
+  keyFor(slotId) {
+    return `${this.config.STORAGE_KEY}:${slotId || 'default'}`;
+  }
+
+  // Load the stacks of a slot (closes any open batch on the old one first)
+  setSlot(slotId) {
+    this.endBatch(true);
+    this.slotId = slotId || 'default';
+    const saved = kvGetSync(this.keyFor(this.slotId), null);
+    this.undoStack = Array.isArray(saved?.undo) ? saved.undo : [];
+    this.redoStack = Array.isArray(saved?.redo) ? saved.redo : [];
+    this._changed();
+  }
+
+  persist() {
+    if (!this.slotId) return;
+    kvSetSync(this.keyFor(this.slotId), {
+      undo: this.undoStack,
+      redo: this.redoStack,
+    });
+  }
+
+  // Forget a slot's history (current slot, or a deleted one)
+  clear(slotId = this.slotId) {
+    if (slotId === this.slotId) {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.batch = null;
+      this.batchDepth = 0;
+      this._changed();
+    }
+    kvRemoveSync(this.keyFor(slotId));
+  }
+
+  // ---------------------------------------------------------------------------
+  // RECORDING
+  // ---------------------------------------------------------------------------
+
+  record(cmd) {
+    if (!cmd) return;
+    if (this.batch) {
+      this.batch.cmds.push(cmd);
+      return;
+    }
+    this.pushUndo(cmd);
+    this.redoStack = [];
+    this.persist();
+    this._changed();
+  }
+
+  beginBatch(label = 'batch') {
+    if (this.batchDepth++ === 0) {
+      this.batch = { type: 'batch', label, cmds: [] };
+    }
+  }
+
+  // force: close however deep we are (slot change / teardown)
+  endBatch(force = false) {
+    if (!this.batch) {
+      this.batchDepth = 0;
+      return;
+    }
+    this.batchDepth = force ? 0 : Math.max(0, this.batchDepth - 1);
+    if (this.batchDepth > 0) return;
+
+    const batch = this.batch;
+    this.batch = null;
+    if (!batch.cmds.length) return;
+    this.record(batch.cmds.length === 1 ? batch.cmds[0] : batch);
+  }
+
+  isBatching() {
+    return !!this.batch;
+  }
+
+  // ---------------------------------------------------------------------------
+  // STACKS
+  // ---------------------------------------------------------------------------
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null;
+  }
+
+  peekRedo() {
+    return this.redoStack[this.redoStack.length - 1] || null;
+  }
+
+  popUndo() {
+    const cmd = this.undoStack.pop() || null;
+    this.persist();
+    this._changed();
+    return cmd;
+  }
+
+  popRedo() {
+    const cmd = this.redoStack.pop() || null;
+    this.persist();
+    this._changed();
+    return cmd;
+  }
+
+  pushUndo(cmd) {
+    this.undoStack.push(cmd);
+    const max = this.config.MAX_ENTRIES;
+    if (this.undoStack.length > max) {
+      this.undoStack.splice(0, this.undoStack.length - max);
+    }
+    this.persist();
+    this._changed();
+  }
+
+  pushRedo(cmd) {
+    this.redoStack.push(cmd);
+    this.persist();
+    this._changed();
+  }
+
+  getState() {
+    return {
+      slotId: this.slotId,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: labelOf(this.peekUndo()),
+      redoLabel: labelOf(this.peekRedo()),
+    };
+  }
+
+  _changed() {
+    if (typeof this.onChange === 'function') this.onChange(this.getState());
+  }
+
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      slotId: this.slotId,
+      undo: this.undoStack.length,
+      redo: this.redoStack.length,
+      batching: this.isBatching(),
+    };
+  }
+}
+
+// Short label for tooltips ("place road", "reset", "switch slot")
+function labelOf(cmd) {
+  if (!cmd) return null;
+  switch (cmd.type) {
+    case 'place':
+      return `place ${cmd.id}`;
+    case 'remove':
+      return `remove ${cmd.tile?.id || 'tile'}`;
+    case 'rotate':
+      return `rotate ${cmd.id}`;
+    case 'batch':
+      return cmd.label || 'batch';
+    case 'slot':
+      return 'switch slot';
+    default:
+      return cmd.type || null;
+  }
+}
@@ -17,6 +17,7 @@ export class BuilderInventorySystem extends BaseSystem {
         road: 0,
         avenue: 0,
         roundabout: 0,
+        signal: 0,
 
         // Housing
         home: 0,   // player's home – always available
@@ -50,11 +51,12 @@ export class BuilderInventorySystem extends BaseSystem {
         road: 25,      // 25 MC per road beyond owned
         avenue: 8,
         roundabout: 15,
+        signal: 20,
         park: 6,
       },
 
       // Infrastructure tiles (always start unlocked)
-      INFRASTRUCTURE: ['road', 'avenue', 'roundabout'],
+      INFRASTRUCTURE: ['road', 'avenue', 'roundabout', 'signal'],
 
       // localStorage key for unlock state
       UNLOCK_STORAGE_KEY: 'pm_builder_unlocks_v1',
@@ -2,10 +2,14 @@
 // FINAL FIX - Correct order: validate FIRST, charge, THEN place
 
 import { BuilderGridSystem } from "./BuilderGridSystem.js";
+import { BuilderHistorySystem } from "./BuilderHistorySystem.js";
 import { BuilderInventorySystem } from "./BuilderInventorySystem.js";
 import { BuilderPlacementSystem } from "./BuilderPlacementSystem.js";
 import { BuilderSlotSystem } from "./BuilderSlotSystem.js";
+import { BuilderToolSystem } from "./BuilderToolSystem.js";
 import { BuilderUISystem } from "./BuilderUISystem.js";
+import { encodeCityCode, parseCityImport, toCityJSON } from "../../modules/cityCodes.js";
+import { analyzeLayout } from "../ai/roadNetwork.js";
 
 // Tiny internal event emitter (avoid Node 'events' in browser)
 class MiniEmitter {
@@ -46,6 +50,8 @@ export class BuilderManager extends MiniEmitter {
       placement: {},
       slot: {},
       ui: {},
+      history: {},
+      tools: {},
     };
 
     // Core systems
@@ -54,6 +60,8 @@ export class BuilderManager extends MiniEmitter {
     this.placementSystem = new BuilderPlacementSystem(config.placement || {});
     this.slotSystem = new BuilderSlotSystem(config.slot || {});
     this.uiSystem = new BuilderUISystem(config.ui || {});
+    this.historySystem = new BuilderHistorySystem(config.history || {});
+    this.toolSystem = new BuilderToolSystem(config.tools || {});
 
     // Stitch in external modules
     if (buildInventory && wallet) {
@@ -67,6 +75,11 @@ export class BuilderManager extends MiniEmitter {
     // Store wallet reference for mate coin spending
     this.walletModule = wallet || null;
 
+    // Latest road network analysis (see getLayoutHealth)
+    this.analysis = null;
+    // Set when a save was held back by an open history batch
+    this._saveAfterBatch = false;
+
     if (typeof this.uiSystem.setInventorySystem === "function") {
       this.uiSystem.setInventorySystem(this.inventorySystem);
     }
@@ -88,6 +101,15 @@ export class BuilderManager extends MiniEmitter {
       placement: this.placementSystem,
       slot: this.slotSystem,
     });
+    this.toolSystem.setSystems({
+      grid: this.gridSystem,
+      placement: this.placementSystem,
+      inventory: this.inventorySystem,
+    });
+    this.toolSystem.initialize();
+    this.historySystem.initialize();
+    this.historySystem.onChange = (state) => this.emit("history:changed", state);
+    this.historySystem.setSlot(this.slotSystem.activeSlot);
 
     this._setupEventHandlers();
 
@@ -149,11 +171,16 @@ export class BuilderManager extends MiniEmitter {
       this.placementSystem.loadGrid(grid, w, h);
     }
 
+    if (typeof this.placementSystem.setBlueprint === "function") {
+      this.placementSystem.setBlueprint(layout.meta?.blueprint || null);
+    }
+
     if (typeof this.uiSystem.onLayoutChanged === "function") {
       this.uiSystem.onLayoutChanged({ w, h, grid });
     }
 
     this.emit("layout:applied", { w, h, grid, meta: layout.meta || {} });
+    this._analyze(grid);
   }
 
   _collectCurrentLayout() {
@@ -165,12 +192,20 @@ export class BuilderManager extends MiniEmitter {
     const cols = this.gridSystem.cols || 6;
     const rows = this.gridSystem.rows || 6;
 
+    // Keep the slot's own meta (name, kind, import info); the blueprint
+    // always comes from the placement system
+    const prevMeta = { ...(this.slotSystem.getCurrentLayout()?.meta || {}) };
+    delete prevMeta.blueprint;
+    const blueprint = this.placementSystem.getBlueprint?.() || null;
+
     return {
       w: cols,
       h: rows,
       grid: snapshot || [],
       meta: {
-        kind: "city",
+        ...prevMeta,
+        kind: prevMeta.kind || "city",
+        ...(blueprint ? { blueprint } : {}),
         updatedAt: Date.now(),
       },
     };
@@ -183,6 +218,8 @@ export class BuilderManager extends MiniEmitter {
       placement: this.placementSystem,
       slot: this.slotSystem,
       ui: this.uiSystem,
+      history: this.historySystem,
+      tools: this.toolSystem,
     };
   }
 
@@ -194,14 +231,41 @@ export class BuilderManager extends MiniEmitter {
     return this.inventorySystem.computeUsage(layout.grid);
   }
 
+  /**
+   * Place a tile (recorded for undo).
+   * Re-placing the same tile type only changes its rotation, which is free.
+   */
+  placeTile(x, y, id, rot = 0) {
+    const existing = this.placementSystem?.getTileAt(x, y);
+    if (existing && existing.id === id) {
+      return this.rotateTile(x, y, rot);
+    }
+
+    const res = this._chargeAndPlace(x, y, id, rot);
+    if (res && res.success) {
+      this.historySystem.record({
+        type: "place",
+        x,
+        y,
+        id,
+        rot,
+        prev: existing ? { id: existing.id, rot: existing.rot || 0 } : null,
+        cost: res.cost,
+      });
+      this._saveActiveSlot();
+    }
+    return res;
+  }
+
   /**
    * CRITICAL FIX: Proper order
    * 1. Validate placement (DON'T place yet)
    * 2. Calculate cost
    * 3. Charge wallet if needed
    * 4. ONLY THEN actually place the tile
+   * Returns the placement result plus the MC charged (`cost`).
    */
-  placeTile(x, y, id, rot = 0) {
+  _chargeAndPlace(x, y, id, rot = 0) {
     console.debug('[BuilderManager] placeTile START', { x, y, id, rot });
     
     if (!this.placementSystem) {
@@ -280,25 +344,21 @@ export class BuilderManager extends MiniEmitter {
     console.debug('[BuilderManager] placement result:', res);
     
     if (res && res.success) {
-      // Persist layout to active slot
-      const layout = this._collectCurrentLayout();
-      this.slotSystem.saveSlot(layout, this.slotSystem.activeSlot);
-      
-      console.debug('[BuilderManager] tile placed and saved', {
+      console.debug('[BuilderManager] tile placed', {
         id,
         x,
         y,
         cost: placementCost,
       });
-    } else {
-      // CRITICAL: If placement failed AFTER charging, we have a problem
-      // This shouldn't happen since we validated first, but log it
-      console.error('[BuilderManager] CRITICAL: Placement failed after charging!', {
-        chargedAmount: placementCost,
-        placementResult: res,
-      });
+      return { ...res, cost: placementCost };
     }
-    
+
+    // CRITICAL: If placement failed AFTER charging, we have a problem
+    // This shouldn't happen since we validated first, but log it
+    console.error('[BuilderManager] CRITICAL: Placement failed after charging!', {
+      chargedAmount: placementCost,
+      placementResult: res,
+    });
     return res;
   }
 
@@ -308,27 +368,605 @@ export class BuilderManager extends MiniEmitter {
     }
     const res = this.placementSystem.removeTile(x, y);
     if (res && res.success) {
-      const layout = this._collectCurrentLayout();
-      this.slotSystem.saveSlot(layout, this.slotSystem.activeSlot);
+      this.historySystem.record({
+        type: "remove",
+        x,
+        y,
+        tile: { id: res.tile.id, rot: res.tile.rot || 0 },
+      });
+      this._saveActiveSlot();
+    }
+    return res;
+  }
+
+  // Turn a placed tile in place (free, recorded for undo)
+  rotateTile(x, y, rot = 0) {
+    const tile = this.placementSystem?.getTileAt(x, y);
+    if (!tile) {
+      return { success: false, reason: "no_tile" };
+    }
+    const from = tile.rot || 0;
+    if (from === rot) {
+      return { success: true, tile, unchanged: true };
     }
+    const res = this.placementSystem.placeTile(x, y, tile.id, rot);
+    this.historySystem.record({ type: "rotate", x, y, id: tile.id, from, to: rot });
+    this._saveActiveSlot();
     return res;
   }
 
+  // ---------------------------------------------------------------------------
+  // DRAG TOOLS
+  // ---------------------------------------------------------------------------
+
+  // Cost preview for a drag; `balance` is the MC on hand right now
+  previewDrag(tool, from, to, tileId, opts = {}) {
+    const plan = this.toolSystem.plan(tool, from, to, tileId, opts);
+    const balance = this.walletModule?.getMate ? this.walletModule.getMate() : Infinity;
+    return { ...plan, balance, affordable: plan.cost <= balance };
+  }
+
+  // Re-plan against the current layout and commit it as one undo step
+  applyDrag(tool, from, to, tileId, opts = {}) {
+    const plan = this.previewDrag(tool, from, to, tileId, opts);
+    if (plan.tooMany) {
+      return { success: false, reason: "too_many_cells", plan };
+    }
+    if (!plan.affordable) {
+      return { success: false, reason: "insufficient_funds", cost: plan.cost, plan };
+    }
+    if (!plan.place.length && !plan.erase.length) {
+      return { success: false, reason: plan.skipped[0]?.reason || "nothing_to_do", plan };
+    }
+    return this._applyPlan(tool, plan);
+  }
+
+  // Erase then place a plan's cells as one batch
+  _applyPlan(label, plan) {
+    let placed = 0;
+    let removed = 0;
+    let spent = 0;
+    const failed = [];
+    this.batch(label, () => {
+      for (const c of plan.erase) {
+        if (this.removeTile(c.x, c.y)?.success) removed++;
+      }
+      for (const c of plan.place) {
+        const res = this.placeTile(c.x, c.y, c.id, c.rot);
+        if (res?.success) {
+          placed++;
+          spent += res.cost || 0;
+        } else {
+          failed.push({ x: c.x, y: c.y, reason: res?.reason });
+        }
+      }
+    });
+
+    return { success: placed + removed > 0, placed, removed, spent, failed, plan };
+  }
+
+  // ---------------------------------------------------------------------------
+  // BLUEPRINT
+  // ---------------------------------------------------------------------------
+
+  getBlueprint() {
+    return this.placementSystem.getBlueprint();
+  }
+
+  // layout: { name, w, h, grid } (an imported city, the pre-prestige city, …)
+  setBlueprint(layout) {
+    this.placementSystem.setBlueprint(layout);
+    this._saveActiveSlot();
+    return { success: !!this.placementSystem.getBlueprint() };
+  }
+
+  clearBlueprint() {
+    this.placementSystem.setBlueprint(null);
+    this._saveActiveSlot();
+    return { success: true };
+  }
+
+  // A pasted code / city JSON as this slot's blueprint
+  setBlueprintFromCode(text) {
+    const parsed = parseCityImport(text);
+    if (!parsed.ok) return { success: false, reason: parsed.reason, detail: parsed.detail };
+    return this.setBlueprint(parsed.layout);
+  }
+
+  /**
+   * Checklist for the blueprint on this slot (null without one):
+   *   { name, total, done, todo, blocked, cells,
+   *     byTile: {id: {need, have, mateCost, unlocked}},
+   *     fill: {count, cost} }   ← what "fill what I can afford" would place
+   * `have` is the unused part of the owned stack (buildInventory).
+   */
+  getBlueprintStatus() {
+    const blueprint = this.placementSystem.getBlueprint();
+    if (!blueprint) return null;
+
+    const cells = this.placementSystem.getBlueprintCells();
+    const todo = cells.filter((c) => c.status === "todo");
+    const usage = this.recomputeUsage() || { available: {} };
+
+    const byTile = {};
+    for (const c of todo) {
+      const entry = (byTile[c.id] ??= {
+        need: 0,
+        have: usage.available[c.id] || 0,
+        mateCost: this.inventorySystem.getMateCost(c.id),
+        unlocked: this.inventorySystem.isUnlocked(c.id),
+      });
+      entry.need++;
+    }
+
+    const fill = this._affordableFill(todo);
+    return {
+      name: blueprint.name,
+      total: cells.length,
+      done: cells.filter((c) => c.status === "done").length,
+      todo: todo.length,
+      blocked: cells.filter((c) => c.status === "blocked").length,
+      cells,
+      byTile,
+      fill: { count: fill.place.length, cost: fill.cost },
+    };
+  }
+
+  // Place every blueprint cell the player can afford, as one undo step
+  fillBlueprint() {
+    if (!this.placementSystem.getBlueprint()) {
+      return { success: false, reason: "no_blueprint" };
+    }
+    const todo = this.placementSystem
+      .getBlueprintCells()
+      .filter((c) => c.status === "todo");
+    const plan = this._affordableFill(todo);
+    if (!plan.place.length) {
+      return { success: false, reason: plan.skipped[0]?.reason || "nothing_to_do", plan };
+    }
+    return this._applyPlan("blueprint", plan);
+  }
+
+  // Plan the cells, then keep the ones that fit in the MC balance (in plan
+  // order, so roads come before the buildings that need them). The kept cells
+  // are planned again: a building whose road was cut drops out as needs_road,
+  // and count/cost/byTile match what _applyPlan will place.
+  _affordableFill(cells) {
+    const plan = this.toolSystem.planCells(cells, "blueprint");
+    const balance = this.walletModule?.getMate ? this.walletModule.getMate() : Infinity;
+    let cost = 0;
+    const keep = [];
+    const cut = [];
+    for (const c of plan.place) {
+      if (cost + c.mate > balance) {
+        cut.push({ x: c.x, y: c.y, reason: "insufficient_funds" });
+        continue;
+      }
+      cost += c.mate;
+      keep.push(c);
+    }
+    if (!cut.length) return plan;
+
+    // Fewer cells never price higher, so the re-plan still fits the balance
+    const kept = this.toolSystem.planCells(keep, "blueprint");
+    return { ...kept, skipped: [...plan.skipped, ...cut, ...kept.skipped] };
+  }
+
+  // Inside a batch (drag stroke, blueprint fill) the save waits for the batch
+  // to end: one saveSim + analysis per stroke instead of one per cell
+  _saveActiveSlot() {
+    if (this.historySystem.isBatching()) {
+      this._saveAfterBatch = true;
+      return;
+    }
+    this._saveAfterBatch = false;
+    const layout = this._collectCurrentLayout();
+    this.slotSystem.saveSlot(layout, this.slotSystem.activeSlot);
+    this._analyze(layout.grid);
+  }
+
+  // ---------------------------------------------------------------------------
+  // LAYOUT HEALTH
+  // Road network checks (islands, dead ends, unreachable buildings, spawn
+  // edge) re-run after every edit; cityEconomy uses the same score.
+  // ---------------------------------------------------------------------------
+
+  // { health, issues, cellIssues: [{x, y, type, reason}], stats }
+  getLayoutHealth() {
+    return this.analysis || this.analyzeLayout();
+  }
+
+  // Re-run on the placed tiles (the screen loads slots straight into placement)
+  analyzeLayout() {
+    return this._analyze(this._collectCurrentLayout().grid);
+  }
+
+  _analyze(grid) {
+    this.analysis = analyzeLayout(grid);
+    this.emit("layout:analyzed", this.analysis);
+    return this.analysis;
+  }
+
+  // ---------------------------------------------------------------------------
+  // UNDO / REDO
+  // Under the global ownership model "used" tiles are derived from the grid,
+  // so taking a tile off the grid frees its stack slot again; the MC paid for
+  // a placement beyond the owned stack is refunded explicitly.
+  // ---------------------------------------------------------------------------
+
+  // Group everything fn() does into one undo step (drag stroke, reset, …)
+  batch(label, fn) {
+    this.historySystem.beginBatch(label);
+    try {
+      return fn();
+    } finally {
+      this.endBatch();
+    }
+  }
+
+  beginBatch(label) {
+    this.historySystem.beginBatch(label);
+  }
+
+  endBatch() {
+    this.historySystem.endBatch();
+    this._flushBatchSave();
+  }
+
+  _flushBatchSave() {
+    if (this._saveAfterBatch && !this.historySystem.isBatching()) this._saveActiveSlot();
+  }
+
+  canUndo() {
+    this._syncHistorySlot();
+    return this.historySystem.canUndo();
+  }
+
+  canRedo() {
+    this._syncHistorySlot();
+    return this.historySystem.canRedo();
+  }
+
+  getHistoryState() {
+    this._syncHistorySlot();
+    return this.historySystem.getState();
+  }
+
+  undo() {
+    return this._step("undo");
+  }
+
+  redo() {
+    return this._step("redo");
+  }
+
+  _step(dir) {
+    this._syncHistorySlot();
+    const history = this.historySystem;
+    history.endBatch(true);
+    this._flushBatchSave();
+
+    const cmd = dir === "undo" ? history.peekUndo() : history.peekRedo();
+    if (!cmd) {
+      return { success: false, reason: dir === "undo" ? "nothing_to_undo" : "nothing_to_redo" };
+    }
+
+    // The layout changed underneath the history (other tab, old save, …)
+    if (!this._applies(cmd, dir, this._cellIds())) {
+      console.warn(`[BuilderManager] ${dir}: history no longer matches the layout, clearing it`);
+      history.clear();
+      return { success: false, reason: "stale_history" };
+    }
+
+    if (dir === "undo") history.popUndo();
+    else history.popRedo();
+
+    // Replays go straight to the placement system, so nothing is re-recorded
+    const res = cmd.type === "slot" ? this._stepSlot(cmd, dir) : this._stepTiles(cmd, dir);
+
+    if (!res.success) {
+      // Put it back so the user can retry (e.g. after earning the coins)
+      if (dir === "undo") history.pushUndo(cmd);
+      else history.pushRedo(cmd);
+      return res;
+    }
+
+    if (cmd.type !== "slot") {
+      if (dir === "undo") history.pushRedo(cmd);
+      else history.pushUndo(cmd);
+      this._saveActiveSlot();
+    }
+
+    return { ...res, cmd, slotId: this.slotSystem.activeSlot };
+  }
+
+  _stepTiles(cmd, dir) {
+    const done = [];
+    const list = cmd.type === "batch" ? cmd.cmds : [cmd];
+    const ordered = dir === "undo" ? [...list].reverse() : list;
+
+    for (const c of ordered) {
+      const res = this._applyOne(c, dir);
+      if (!res.success) {
+        // Roll back the part of the step that already went through
+        const back = dir === "undo" ? "redo" : "undo";
+        for (const d of done.reverse()) this._applyOne(d, back);
+        return res;
+      }
+      done.push(c);
+    }
+    return { success: true };
+  }
+
+  _applyOne(cmd, dir) {
+    const placement = this.placementSystem;
+    const { x, y } = cmd;
+
+    if (cmd.type === "place") {
+      if (dir === "undo") {
+        if (cmd.prev) placement.placeTile(x, y, cmd.prev.id, cmd.prev.rot);
+        else placement.removeTile(x, y);
+        if (cmd.cost > 0 && this.walletModule?.refundMate) {
+          this.walletModule.refundMate(cmd.cost, {
+            k: "builder_refund",
+            tile: cmd.id,
+            x,
+            y,
+          });
+        }
+        return { success: true };
+      }
+      const res = this._chargeAndPlace(x, y, cmd.id, cmd.rot);
+      if (res?.success) cmd.cost = res.cost;
+      return res || { success: false };
+    }
+
+    if (cmd.type === "remove") {
+      if (dir === "undo") placement.placeTile(x, y, cmd.tile.id, cmd.tile.rot);
+      else placement.removeTile(x, y);
+      return { success: true };
+    }
+
+    if (cmd.type === "rotate") {
+      placement.placeTile(x, y, cmd.id, dir === "undo" ? cmd.from : cmd.to);
+      return { success: true };
+    }
+
+    return { success: false, reason: "unknown_command" };
+  }
+
+  // A slot command sits on the undo stack of the slot it switched to; undoing
+  // it hands it to the origin slot's redo stack and back again.
+  _stepSlot(cmd, dir) {
+    const target = dir === "undo" ? cmd.from : cmd.to;
+    const res = this.slotSystem.switchSlot(target);
+    if (!res || !res.success) {
+      return { success: false, reason: res?.reason || "switch_failed" };
+    }
+    if (res.layout) this._applyLayoutToEngine(res.layout);
+
+    this.historySystem.setSlot(target);
+    if (dir === "undo") this.historySystem.pushRedo(cmd);
+    else this.historySystem.pushUndo(cmd);
+    return { success: true, slotChanged: true };
+  }
+
+  // Dry-run cmd against the current cells ("x,y" → id), updating them as it goes
+  _applies(cmd, dir, cells) {
+    const key = (c) => `${c.x},${c.y}`;
+    const at = (c) => cells.get(key(c)) || null;
+    const put = (c, id) => (id ? cells.set(key(c), id) : cells.delete(key(c)));
+
+    switch (cmd.type) {
+      case "place": {
+        const before = dir === "undo" ? cmd.id : cmd.prev?.id || null;
+        const after = dir === "undo" ? cmd.prev?.id || null : cmd.id;
+        if (at(cmd) !== before) return false;
+        put(cmd, after);
+        return true;
+      }
+      case "remove": {
+        if (at(cmd) !== (dir === "undo" ? null : cmd.tile?.id)) return false;
+        put(cmd, dir === "undo" ? cmd.tile?.id : null);
+        return true;
+      }
+      case "rotate":
+        return at(cmd) === cmd.id;
+      case "batch": {
+        const list = Array.isArray(cmd.cmds) ? cmd.cmds : [];
+        const ordered = dir === "undo" ? [...list].reverse() : list;
+        return ordered.every((c) => this._applies(c, dir, cells));
+      }
+      case "slot": {
+        const target = dir === "undo" ? cmd.from : cmd.to;
+        return this.slotSystem.listSlots().some((slot) => slot.id === target);
+      }
+      default:
+        return false;
+    }
+  }
+
+  _cellIds() {
+    const cells = new Map();
+    for (const tile of this.placementSystem.getTilesArray()) {
+      cells.set(`${tile.x},${tile.y}`, tile.id);
+    }
+    return cells;
+  }
+
+  // Follow slot changes made outside the manager (other tab, slot deleted)
+  _syncHistorySlot() {
+    const active = this.slotSystem.activeSlot;
+    if (active && active !== this.historySystem.slotId) {
+      this.historySystem.setSlot(active);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // SLOTS
+  // ---------------------------------------------------------------------------
+
   loadSlot(slotId) {
     const res = this.slotSystem.switchSlot(slotId);
     if (res && res.success && res.layout) {
       this._applyLayoutToEngine(res.layout);
     }
+    this._syncHistorySlot();
+    return res;
+  }
+
+  // User-facing slot switch (recorded, so undo goes back to the old slot)
+  switchSlot(slotId) {
+    const from = this.slotSystem.activeSlot;
+    if (!slotId || slotId === from) {
+      return { success: true, layout: this.slotSystem.getCurrentLayout() };
+    }
+    const res = this.loadSlot(slotId);
+    if (res && res.success && from) {
+      this.historySystem.record({ type: "slot", from, to: slotId });
+    }
     return res;
   }
 
+  // ---------------------------------------------------------------------------
+  // IMPORT / EXPORT (city codes)
+  // ---------------------------------------------------------------------------
+
+  // { code, json } for a slot (active slot by default)
+  exportLayout(slotId = this.slotSystem.activeSlot) {
+    const citySlots = this.slotSystem.citySlotsModule;
+    if (!citySlots) return { success: false, reason: "module_not_set" };
+
+    const sim = citySlots.loadSim(slotId);
+    if (!sim) return { success: false, reason: "not_found" };
+    const meta = citySlots.getSlotMeta?.(slotId);
+    const layout = {
+      name: meta?.name || slotId,
+      kind: meta?.kind || sim.meta?.kind || "city",
+      w: sim.w,
+      h: sim.h,
+      grid: sim.grid,
+      houseColors: sim.meta?.houseColors || {},
+    };
+
+    try {
+      return { success: true, code: encodeCityCode(layout), json: toCityJSON(layout) };
+    } catch (e) {
+      console.warn("[BuilderManager] export failed", e);
+      return { success: false, reason: "bad_layout" };
+    }
+  }
+
+  /**
+   * What building `layout` in an empty slot would take from this player:
+   *   { need, missing: {id: n}, locked: [id], outside, cost, balance, ok }
+   * `missing` counts tiles beyond what the owned stacks allow, `outside`
+   * counts tiles on cells the lot hasn't unlocked, `cost` is the MC for
+   * placements beyond the owned stacks.
+   */
+  checkLayoutRequirements(layout) {
+    const inv = this.inventorySystem;
+    const need = {};
+    let outside = 0;
+
+    (layout.grid || []).forEach((row, y) =>
+      (row || []).forEach((id, x) => {
+        if (!id) return;
+        need[id] = (need[id] || 0) + 1;
+        if (!this.gridSystem.isCellUnlocked(x, y)) outside++;
+      })
+    );
+
+    const missing = {};
+    const locked = [];
+    let cost = 0;
+    for (const [id, count] of Object.entries(need)) {
+      if (!inv.isUnlocked(id)) locked.push(id);
+      const max = inv.getMaxAllowed(id);
+      if (count > max) missing[id] = count - max;
+      for (let k = 0; k < Math.min(count, max); k++) {
+        cost += inv.getPlacementCost(id, k);
+      }
+    }
+
+    const balance = this.walletModule?.getMate ? this.walletModule.getMate() : Infinity;
+    const ok =
+      !locked.length && !Object.keys(missing).length && !outside && cost <= balance;
+    return { need, missing, locked, outside, cost, balance, ok };
+  }
+
+  /**
+   * Import a code / city JSON into a new slot and switch to it.
+   * When the player can't build it (tiles, unlocks, lot size or MC) the new
+   * slot starts empty and carries the layout as a blueprint (meta.blueprint).
+   */
+  importLayout(text) {
+    const parsed = parseCityImport(text);
+    if (!parsed.ok) return { success: false, reason: parsed.reason, detail: parsed.detail };
+
+    const layout = parsed.layout;
+    const requirements = this.checkLayoutRequirements(layout);
+    const asBlueprint = !requirements.ok;
+    const slotId = `import_${Date.now().toString(36)}`;
+    const from = this.slotSystem.activeSlot;
+
+    if (!asBlueprint && requirements.cost > 0) {
+      const spend = this.walletModule.spendMate(requirements.cost, {
+        k: "builder_import",
+        slot: slotId,
+      });
+      if (!spend?.ok) {
+        return { success: false, reason: "insufficient_funds", cost: requirements.cost };
+      }
+    }
+
+    const meta = { name: layout.name, kind: layout.kind, importedAt: Date.now() };
+    if (asBlueprint) {
+      meta.blueprint = {
+        name: layout.name,
+        w: layout.w,
+        h: layout.h,
+        grid: layout.grid,
+        houseColors: layout.houseColors,
+      };
+    } else {
+      meta.houseColors = layout.houseColors;
+    }
+    const created = this.slotSystem.createSlot(slotId, {
+      w: layout.w,
+      h: layout.h,
+      grid: asBlueprint ? [] : layout.grid,
+      meta,
+    });
+
+    if (!created?.success) {
+      if (!asBlueprint && requirements.cost > 0) {
+        this.walletModule.refundMate(requirements.cost, { k: "builder_import_refund", slot: slotId });
+      }
+      return { success: false, reason: created?.reason || "create_failed" };
+    }
+
+    // createSlot already made it active in citySlots; load it + record the switch
+    this.loadSlot(slotId);
+    if (from && from !== slotId) {
+      this.historySystem.record({ type: "slot", from, to: slotId });
+    }
+
+    return { success: true, slotId, blueprint: asBlueprint, requirements, layout };
+  }
+
   createSlot(slotId) {
     const baseLayout = this._collectCurrentLayout();
     return this.slotSystem.createSlot(slotId, baseLayout);
   }
 
   deleteSlot(slotId) {
-    return this.slotSystem.deleteSlot(slotId);
+    const res = this.slotSystem.deleteSlot(slotId);
+    if (res && res.success) {
+      this.historySystem.clear(slotId);
+      this._syncHistorySlot();
+    }
+    return res;
   }
 
   renameSlot(slotId, newName) {
@@ -342,6 +980,7 @@ export class BuilderManager extends MiniEmitter {
       if (this.inventorySystem?.destroy) this.inventorySystem.destroy();
       if (this.gridSystem?.destroy) this.gridSystem.destroy();
       if (this.slotSystem?.destroy) this.slotSystem.destroy();
+      if (this.historySystem?.destroy) this.historySystem.destroy();
     } catch (e) {
       console.error("[BuilderManager] destroy error", e);
     }
@@ -8,7 +8,7 @@ export class BuilderPlacementSystem extends BaseSystem {
   static get defaultConfig() {
     return {
       // Tile categories
-      ROADLIKE: new Set(['road', 'avenue', 'roundabout']),
+      ROADLIKE: new Set(['road', 'avenue', 'roundabout', 'signal']),
       BUILDINGS: new Set(['home', 'house', 'park', 'shop', 'hq', 'apb', 'bank', 'garage', 'paintshop']),
       
       // Placement rules
@@ -23,6 +23,9 @@ export class BuilderPlacementSystem extends BaseSystem {
     // Current selection
     this.selectedTile = 'erase';
     this.rotation = 0;
+
+    // Blueprint: ghost plan drawn over the grid ({ name, w, h, grid } | null)
+    this.blueprint = null;
     
     this.emit('placement:initialized');
   }
@@ -274,19 +277,21 @@ export class BuilderPlacementSystem extends BaseSystem {
   }
 
   // Get tiles that should show as roundabouts (3+ road connections)
-  getAutoRoundabouts() {
+  // tiles: optional {x, y, id} list to check instead of the placed tiles
+  // (drag tools pass a planned layout)
+  getAutoRoundabouts(tiles = Array.from(this.placedTiles.values())) {
     const autoRoundabouts = new Set();
     const drivable = new Set();
     
     // Build set of drivable positions
-    for (const tile of this.placedTiles.values()) {
+    for (const tile of tiles) {
       if (this.isRoadLike(tile.id)) {
         drivable.add(this.keyOf(tile.x, tile.y));
       }
     }
     
     // Find roads with 3+ connections
-    for (const tile of this.placedTiles.values()) {
+    for (const tile of tiles) {
       if (tile.id !== 'road' && tile.id !== 'avenue') continue;
       
       const connections = [
@@ -304,6 +309,41 @@ export class BuilderPlacementSystem extends BaseSystem {
     return autoRoundabouts;
   }
 
+  // ---------- Blueprint ----------
+
+  setBlueprint(blueprint) {
+    const grid = Array.isArray(blueprint?.grid) ? blueprint.grid : null;
+    this.blueprint = grid
+      ? {
+          name: String(blueprint.name || 'Blueprint'),
+          w: blueprint.w || grid[0]?.length || 0,
+          h: blueprint.h || grid.length,
+          grid: grid.map((row) => (Array.isArray(row) ? row.map((id) => id || '') : [])),
+        }
+      : null;
+    this.emit('placement:blueprint', { blueprint: this.blueprint });
+  }
+
+  getBlueprint() {
+    return this.blueprint;
+  }
+
+  // Blueprint cells vs the placed tiles:
+  //   todo = empty cell, done = same tile, blocked = a different tile sits there
+  getBlueprintCells() {
+    const out = [];
+    if (!this.blueprint) return out;
+    this.blueprint.grid.forEach((row, y) =>
+      row.forEach((id, x) => {
+        if (!id) return;
+        const current = this.getTileAt(x, y);
+        const status = !current ? 'todo' : current.id === id ? 'done' : 'blocked';
+        out.push({ x, y, id, status, current: current?.id || null });
+      })
+    );
+    return out;
+  }
+
   // Get statistics
   getStats() {
     const stats = {
@@ -328,6 +368,7 @@ export class BuilderPlacementSystem extends BaseSystem {
       selectedTile: this.selectedTile,
       rotation: this.rotation,
       placedCount: this.placedTiles.size,
+      blueprint: this.blueprint ? this.blueprint.name : null,
       stats,
     };
   }
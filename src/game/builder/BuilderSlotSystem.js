@@ -26,6 +26,7 @@ export class BuilderSlotSystem extends BaseSystem {
     this.slots = [];
     this.currentLayout = null;
 
+    this.unsubLayouts = null;
     this.storageHandler = null;
   }
 
@@ -45,8 +46,8 @@ export class BuilderSlotSystem extends BaseSystem {
     this.slots = this.listSlots();
     this.currentLayout = this.loadSlot(activeId);
 
-    // Listen for slot changes from other tabs/windows
-    this.setupStorageListener();
+    // Listen for slot changes (this tab via citySlots events, other tabs via storage)
+    this.setupLayoutListener();
 
     this.emit("slot:initialized", {
       activeSlot: this.activeSlot,
@@ -60,6 +61,8 @@ export class BuilderSlotSystem extends BaseSystem {
   }
 
   onDestroy() {
+    this.unsubLayouts?.();
+    this.unsubLayouts = null;
     if (this.storageHandler && typeof window !== "undefined") {
       window.removeEventListener("storage", this.storageHandler);
     }
@@ -169,7 +172,7 @@ export class BuilderSlotSystem extends BaseSystem {
       }
 
       const { setActiveSlot } = this.citySlotsModule;
-      const success = setActiveSlot(slotId);
+      const success = setActiveSlot(slotId) === slotId;
 
       if (success) {
         this.activeSlot = slotId;
@@ -204,15 +207,15 @@ export class BuilderSlotSystem extends BaseSystem {
         baseLayout || this.getDefaultLayout()
       );
 
-      const success = createSlot(slotId, layout);
+      const res = createSlot(slotId, layout);
 
-      if (success) {
+      if (res?.success) {
         this.slots = this.listSlots();
         this.emit("slot:created", { slotId, layout });
         return { success: true, layout };
       }
 
-      return { success: false, reason: "create_failed" };
+      return { success: false, reason: res?.reason || "create_failed" };
     } catch (e) {
       console.error("[BuilderSlotSystem] Failed to create slot:", e);
       return { success: false, error: e };
@@ -227,7 +230,7 @@ export class BuilderSlotSystem extends BaseSystem {
       }
 
       const { deleteSlot } = this.citySlotsModule;
-      const success = deleteSlot(slotId);
+      const success = deleteSlot(slotId)?.success;
 
       if (success) {
         this.slots = this.listSlots();
@@ -260,7 +263,7 @@ export class BuilderSlotSystem extends BaseSystem {
       }
 
       const { renameSlot } = this.citySlotsModule;
-      const success = renameSlot(slotId, newName);
+      const success = renameSlot(slotId, newName)?.success;
 
       if (success) {
         this.slots = this.listSlots();
@@ -339,29 +342,34 @@ export class BuilderSlotSystem extends BaseSystem {
   }
 
   // ---------------------------------------------------------------------------
-  // CROSS-TAB SYNC
+  // LAYOUT EVENTS + CROSS-TAB SYNC
   // ---------------------------------------------------------------------------
 
-  setupStorageListener() {
+  setupLayoutListener() {
     if (typeof window === "undefined") return;
 
+    // Slot cap hit event (written by the Builder UI, not part of citySlots)
     this.storageHandler = (e) => {
-      // Slot cap hit event
-      if (e && e.key === "pm_layout_slot_cap_hit_v1") {
-        try {
-          const payload = JSON.parse(e.newValue || "{}");
-          this.emit("slot:cap_hit", { cap: payload.cap });
-        } catch {
-          // ignore parse errors
-        }
-        return;
+      if (!e || e.key !== "pm_layout_slot_cap_hit_v1") return;
+      try {
+        const payload = JSON.parse(e.newValue || "{}");
+        this.emit("slot:cap_hit", { cap: payload.cap });
+      } catch {
+        // ignore parse errors
       }
+    };
+    window.addEventListener("storage", this.storageHandler);
 
-      // General storage change - reload slots and active layout if needed
+    const subscribe = this.citySlotsModule?.onLayoutsChange;
+    if (!subscribe) return;
+    this.unsubLayouts = subscribe((evt) => {
       this.slots = this.listSlots();
       const newActive = this.getActiveSlot();
 
-      if (newActive !== this.activeSlot) {
+      // Reload when the active slot changed, or another tab saved into it
+      const activeChanged = newActive !== this.activeSlot;
+      const savedElsewhere = evt.external && (!evt.slotId || evt.slotId === newActive);
+      if (activeChanged || savedElsewhere || evt.type === "cleared") {
         this.activeSlot = newActive;
         this.currentLayout = this.loadSlot(newActive);
         this.emit("slot:external_change", {
@@ -369,9 +377,7 @@ export class BuilderSlotSystem extends BaseSystem {
           layout: this.currentLayout,
         });
       }
-    };
-
-    window.addEventListener("storage", this.storageHandler);
+    });
   }
 
   // ---------------------------------------------------------------------------
@@ -0,0 +1,269 @@
+// FILE: src/game/builder/BuilderToolSystem.js
+// Drag tools for the City Builder: turns a drag (start cell → end cell) into
+// a placement plan with a cost preview. Nothing is placed here —
+// BuilderManager.applyDrag() commits a plan as one undoable batch.
+// - line:      L-shaped run along the longer axis first (roads, avenues)
+// - rect:      fills the box (parks); buildings still need a road next to them
+// - erase_box: removes everything in the box
+// - autoConnect (line only): roads face along their run, and cells that end
+//   up with 3+ road neighbours become roundabout tiles (getAutoRoundabouts
+//   on the planned layout)
+// Line/rect only fill empty cells; occupied cells are listed as skipped.
+//
+// ES6 MODULE VERSION
+
+import { BaseSystem } from '../scenes/systems/BaseSystem.js';
+
+export const DRAG_TOOLS = ['paint', 'line', 'rect', 'erase_box'];
+
+export class BuilderToolSystem extends BaseSystem {
+  static get defaultConfig() {
+    return {
+      LINE_TILES: new Set(['road', 'avenue']),
+      MAX_CELLS: 400,          // one drag can't plan more than this
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+
+    // System references (set by BuilderManager)
+    this.gridSystem = null;
+    this.placementSystem = null;
+    this.inventorySystem = null;
+  }
+
+  setSystems({ grid, placement, inventory }) {
+    this.gridSystem = grid || null;
+    this.placementSystem = placement || null;
+    this.inventorySystem = inventory || null;
+  }
+
+  onInitialize() {
+    this.emit('tools:initialized');
+  }
+
+  onUpdate(_time, _delta) {
+    // Tools are event-driven
+  }
+
+  // ---------------------------------------------------------------------------
+  // SHAPES
+  // ---------------------------------------------------------------------------
+
+  // Cells from a to b: along the longer axis first, then the other.
+  // Each cell carries the axis it was reached on ('h' | 'v').
+  lineCells(a, b) {
+    const cells = [];
+    const horizontalFirst = Math.abs(b.x - a.x) >= Math.abs(b.y - a.y);
+    const corner = horizontalFirst ? { x: b.x, y: a.y } : { x: a.x, y: b.y };
+
+    const walk = (from, to, axis, skipFirst) => {
+      const dx = Math.sign(to.x - from.x);
+      const dy = Math.sign(to.y - from.y);
+      const steps = Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y));
+      for (let i = skipFirst ? 1 : 0; i <= steps; i++) {
+        cells.push({ x: from.x + dx * i, y: from.y + dy * i, axis });
+      }
+    };
+
+    walk(a, corner, horizontalFirst ? 'h' : 'v', false);
+    walk(corner, b, horizontalFirst ? 'v' : 'h', true);
+    return cells;
+  }
+
+  rectCells(a, b) {
+    const cells = [];
+    const [x0, x1] = [Math.min(a.x, b.x), Math.max(a.x, b.x)];
+    const [y0, y1] = [Math.min(a.y, b.y), Math.max(a.y, b.y)];
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) cells.push({ x, y });
+    }
+    return cells;
+  }
+
+  // ---------------------------------------------------------------------------
+  // PLANNING
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Plan a drag. Returns
+   *   { tool, tileId, place: [{x, y, id, rot, mate}], erase: [{x, y, id}],
+   *     skipped: [{x, y, reason}], byTile: {id: {count, fromStock, mate}},
+   *     fromStock, cost, tooMany }
+   * `cost` is the MateCoin total for the cells beyond the owned stacks.
+   */
+  plan(tool, a, b, tileId, { autoConnect = false } = {}) {
+    const out = this._emptyPlan(tool, tileId);
+    if (!a || !b || !this.placementSystem) return out;
+
+    const placement = this.placementSystem;
+    const shape = tool === 'line' ? this.lineCells(a, b) : this.rectCells(a, b);
+    if (shape.length > this.config.MAX_CELLS) {
+      out.tooMany = true;
+      return out;
+    }
+
+    if (tool === 'erase_box') {
+      for (const c of shape) {
+        const tile = placement.getTileAt(c.x, c.y);
+        if (tile) out.erase.push({ x: c.x, y: c.y, id: tile.id });
+      }
+      return out;
+    }
+
+    if (tool === 'line' && !this.config.LINE_TILES.has(tileId)) {
+      out.skipped.push({ x: a.x, y: a.y, reason: 'line_roads_only' });
+      return out;
+    }
+
+    // Planned layout: placed tiles + what this drag adds
+    const cells = this._placedCells();
+
+    const wanted = [];
+    for (const c of shape) {
+      const key = placement.keyOf(c.x, c.y);
+      const existing = cells.get(key);
+      if (existing) {
+        if (existing.id !== tileId) out.skipped.push({ x: c.x, y: c.y, reason: 'occupied' });
+        continue;
+      }
+      const rot = autoConnect && tool === 'line' && c.axis === 'v' ? 90 : 0;
+      const cell = { x: c.x, y: c.y, id: tileId, rot };
+      cells.set(key, cell);
+      wanted.push(cell);
+    }
+
+    // Auto-connect: junctions become real roundabouts (new cells and the
+    // existing road cells the line runs into)
+    if (autoConnect && tool === 'line') {
+      const junctions = placement.getAutoRoundabouts(Array.from(cells.values()));
+      const planned = new Set(wanted.map((c) => placement.keyOf(c.x, c.y)));
+      for (const key of junctions) {
+        const cell = cells.get(key);
+        if (planned.has(key)) {
+          cell.id = 'roundabout';
+          cell.rot = 0;
+        } else if (this._touches(cell, planned)) {
+          wanted.push({ x: cell.x, y: cell.y, id: 'roundabout', rot: 0, replaces: cell.id });
+        }
+      }
+    }
+
+    this._price(wanted, cells, out);
+    return out;
+  }
+
+  // Plan a given list of cells ({x, y, id, rot}), e.g. a blueprint fill.
+  // Occupied cells are skipped like in the drag tools.
+  planCells(list, tool = 'fill') {
+    const out = this._emptyPlan(tool, null);
+    if (!this.placementSystem) return out;
+
+    const placement = this.placementSystem;
+    const cells = this._placedCells();
+    const wanted = [];
+    for (const c of list || []) {
+      const key = placement.keyOf(c.x, c.y);
+      const existing = cells.get(key);
+      if (existing) {
+        if (existing.id !== c.id) out.skipped.push({ x: c.x, y: c.y, reason: 'occupied' });
+        continue;
+      }
+      const cell = { x: c.x, y: c.y, id: c.id, rot: c.rot || 0 };
+      cells.set(key, cell);
+      wanted.push(cell);
+    }
+
+    this._price(wanted, cells, out);
+    return out;
+  }
+
+  _emptyPlan(tool, tileId) {
+    return {
+      tool,
+      tileId,
+      place: [],
+      erase: [],
+      skipped: [],
+      byTile: {},
+      fromStock: 0,
+      cost: 0,
+      tooMany: false,
+    };
+  }
+
+  _placedCells() {
+    const placement = this.placementSystem;
+    const cells = new Map();
+    for (const t of placement.getTilesArray()) cells.set(placement.keyOf(t.x, t.y), { ...t });
+    return cells;
+  }
+
+  _touches(cell, keys) {
+    const p = this.placementSystem;
+    return (
+      keys.has(p.keyOf(cell.x - 1, cell.y)) ||
+      keys.has(p.keyOf(cell.x + 1, cell.y)) ||
+      keys.has(p.keyOf(cell.x, cell.y - 1)) ||
+      keys.has(p.keyOf(cell.x, cell.y + 1))
+    );
+  }
+
+  // Validate + price the wanted cells in order, the way placeTile would
+  _price(wanted, cells, out) {
+    const placement = this.placementSystem;
+    const grid = this.gridSystem;
+    const inv = this.inventorySystem;
+    const counts = {};
+    const countOf = (id) => (counts[id] ??= placement.countTileType(id));
+    const hasRoad = (x, y) =>
+      [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].some(([nx, ny]) => {
+        const t = cells.get(placement.keyOf(nx, ny));
+        return t && placement.isRoadLike(t.id);
+      });
+
+    // Roads first so buildings in the same drag can lean on them
+    const ordered = [...wanted].sort(
+      (p, q) => Number(placement.isBuilding(p.id)) - Number(placement.isBuilding(q.id))
+    );
+
+    for (const cell of ordered) {
+      const { x, y, id } = cell;
+      let reason = null;
+      if (grid && !grid.isInBounds(x, y)) reason = 'out_of_bounds';
+      else if (grid && !grid.isCellUnlocked(x, y)) reason = 'locked_area';
+      else if (inv && !inv.isUnlocked(id)) reason = 'not_unlocked';
+      else if (inv && countOf(id) + 1 > inv.getMaxAllowed(id)) reason = 'max_owned_reached';
+      else if (placement.config.BUILDINGS_REQUIRE_ROAD && placement.isBuilding(id) && !hasRoad(x, y)) {
+        reason = 'needs_road';
+      }
+
+      if (reason) {
+        out.skipped.push({ x, y, reason });
+        if (!cell.replaces) cells.delete(placement.keyOf(x, y));
+        continue;
+      }
+
+      const mate = inv ? inv.getPlacementCost(id, countOf(id)) : 0;
+      counts[id] = countOf(id) + 1;
+      if (cell.replaces) counts[cell.replaces] = countOf(cell.replaces) - 1;
+
+      const entry = (out.byTile[id] ??= { count: 0, fromStock: 0, mate: 0 });
+      entry.count++;
+      if (mate > 0) entry.mate += mate;
+      else entry.fromStock++;
+
+      out.place.push({ x, y, id, rot: cell.rot || 0, mate });
+      out.cost += mate;
+      if (mate === 0) out.fromStock++;
+    }
+  }
+
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      maxCells: this.config.MAX_CELLS,
+    };
+  }
+}
@@ -2,6 +2,7 @@
 // Manages UI state, tile categories, selections, and unlock UX
 
 import { BaseSystem } from '../scenes/systems/BaseSystem.js';
+import { DRAG_TOOLS } from './BuilderToolSystem.js';
 
 export class BuilderUISystem extends BaseSystem {
   static get defaultConfig() {
@@ -12,7 +13,7 @@ export class BuilderUISystem extends BaseSystem {
           name: 'Roads',
           icon: '🛣️',
           color: '#6b7280',
-          tiles: ['road', 'avenue', 'roundabout'],
+          tiles: ['road', 'avenue', 'roundabout', 'signal'],
         },
         residential: {
           name: 'Housing',
@@ -45,6 +46,7 @@ export class BuilderUISystem extends BaseSystem {
         road:       { name: 'Road', icon: '🛣️', color: '#6b7280' },
         avenue:     { name: 'Avenue', icon: '🛣️', color: '#9ca3af' },
         roundabout: { name: 'Roundabout', icon: '↻', color: '#a3a3a3' },
+        signal:     { name: 'Traffic Signal', icon: '🚦', color: '#78716c' }, // timed lights; overrides stop/yield at a junction
         home:       { name: 'Player Home', icon: '🏡', color: '#fb7185' }, // Player's starter home
         house:      { name: 'House', icon: '🏠', color: '#f59e0b' },
         park:       { name: 'Park', icon: '🌳', color: '#34d399' },
@@ -78,6 +80,10 @@ export class BuilderUISystem extends BaseSystem {
     // Drag mode
     this.dragMode = null; // null | 'place' | 'erase'
 
+    // Drag tool (see BuilderToolSystem) + road auto-connect
+    this.dragTool = 'paint'; // 'paint' | 'line' | 'rect' | 'erase_box'
+    this.autoConnect = false;
+
     // Unlock modal state
     this.unlockModalOpen = false;
 
@@ -335,6 +341,27 @@ export class BuilderUISystem extends BaseSystem {
     return this.dragMode;
   }
 
+  // Set drag tool
+  setDragTool(tool) {
+    this.dragTool = DRAG_TOOLS.includes(tool) ? tool : 'paint';
+    this.emit('ui:drag_tool_changed', { tool: this.dragTool });
+  }
+
+  // Get drag tool
+  getDragTool() {
+    return this.dragTool;
+  }
+
+  // Toggle road auto-connect for the line tool
+  setAutoConnect(enabled) {
+    this.autoConnect = !!enabled;
+    this.emit('ui:auto_connect_changed', { enabled: this.autoConnect });
+  }
+
+  getAutoConnect() {
+    return this.autoConnect;
+  }
+
   // ---------- Unlock modal state ----------
 
   openUnlockModal() {
@@ -361,6 +388,8 @@ export class BuilderUISystem extends BaseSystem {
       darkMode: this.darkMode,
       toastVisible: this.showToast,
       dragMode: this.dragMode,
+      dragTool: this.dragTool,
+      autoConnect: this.autoConnect,
       unlockModalOpen: this.unlockModalOpen,
     };
   }
@@ -1,6 +1,13 @@
 // FILE: src/game/scenes/CityScene.js
 // City driving + traffic + APB + HUD + routing + end-of-run summary + APB spawn ramp.
+// Wanted level: heat (modules/heat.js) → stars → cop units, speed, roadblocks, payout.
+// Rides: R = Self-Drive taxi job, H = hire an NPC driver (RideSystem + modules/rides.js).
 // Personas: aggressive | fast | neutral | slow (+ tailgating + rare chaos crashes).
+// Sim: all rolls come from SystemManager's seeded streams and gameplay reads the
+// sim clock (simNow). APB runs step at a fixed rate and are recorded (seed +
+// inputs); P replays the last run bit-for-bit without paying out.
+// Run traces (GhostSystem + modules/apbRuns.js): G/B watch the last/best run;
+// the best run's ghost races along on the next APB.
 
 import Phaser from "phaser";
 import {
@@ -9,7 +16,8 @@ import {
   markApbRunStarted,
 } from "../../modules/cityEconomy";
 import { isBoostActive, getBoostTimes, onChange as onBoostChange } from "../../modules/boost";
-import { addCoins } from "../../modules/wallet";
+import { addCoins, refundMate, spendMate } from "../../modules/wallet";
+import { getWanted, wantedForLevel, addHeatFor, tickHeat, onHeatChange, HEAT_GAIN } from "../../modules/heat";
 import { loadCityAssets, getRoadTextureKey, getBuildingTextureKey, getRandomTrafficVehicle, textureExists } from "../../assets/cityAssets";
 import { GridSystem, lanePositionFor } from "./systems/GridSystem.js";
 import { RevealSystem } from "./systems/RevealSystem.js";
@@ -17,7 +25,16 @@ import { NavigationSystem, lanePointInCell, laneSnapPoint, entryPosition, turnTy
 import { RenderSystem } from "./systems/RenderSystem.js";
 import { TrafficSystem } from "./systems/TrafficSystem.js";
 import { CopSystem } from './systems/CopSystem.js';
+import { RideSystem } from './systems/RideSystem.js';
+import { SignalSystem } from './systems/SignalSystem.js';
+import { GhostSystem } from './systems/GhostSystem.js';
+import { EnvironmentSystem, NEUTRAL_ENV } from './systems/EnvironmentSystem.js';
+import { PedestrianSystem } from './systems/PedestrianSystem.js';
 import { SystemManager } from './systems/SystemManager.js';
+import { createPathService, ROUTE_COSTS } from "../ai/path.js";
+import { hashSeed, randomSeed } from "../sim/random.js";
+import { createInputRecorder, createInputPlayer, saveReplay, loadReplay } from "../sim/inputRecorder.js";
+import { loadRuns } from "../../modules/apbRuns";
 
 let citySlots = null;
 try {
@@ -50,6 +67,7 @@ const COP_SPEED_STACK = 95; // Reduced from 150
 const TRAFFIC_MAX = 10;
 const TRAFFIC_SPAWN_MS = 1400;
 const TRAFFIC_SPEED = 70; // base; per-car speed = base * persona.mult
+const CONGESTION_COST = 0.75; // extra route cost per NPC car in a cell
 const LANE_OFFSET = Math.round(TILE * 0.18);
 
 // spacing
@@ -76,9 +94,6 @@ const MM_TILE_BASE = 5;
 const MM_SCALES = [2.2, 2.8, 3.6];
 const TOP_UI_OFFSET = 24;
 
-// city-builder fallback storage
-const BUILDER_LS_KEY = "pm_city_state_v1";
-
 // ===== APB coin rules (new) =====
 const EVASION_EVADED = 50;          // +50 when you evade
 const BONUS_PER_10_HITS = 1;        // +1 coin per 10 hits, always rounding UP
@@ -89,6 +104,22 @@ function isSubscriber() {
   return !!lsGet("pm_is_subscriber_v1", false);
 }
 function currentHitReward() { return isSubscriber() ? 2 : 1; }
+const starsLabel = (n) => "★".repeat(n) + "☆".repeat(Math.max(0, 5 - n));
+const CRASH_STUN_MS = 600;
+const RIDE_REASONS = {
+  busy: "ride already active",
+  cooldown: "no taxi jobs yet",
+  no_route: "no ride route in this city",
+};
+const SIM_STEP_MS = 1000 / 60; // fixed step for recorded + replayed APB runs
+const REPLAY_REASONS = {
+  busy: "APB in progress",
+  none: "no APB recorded yet",
+  layout: "city changed since that run",
+  ride: "runs with a taxi ride can't replay",
+  no_runs: "no recorded runs in this city",
+};
+const WEATHER_ICONS = { clear: "☀", rain: "🌧", fog: "🌫", snow: "❄" };
 // =================================
 
 // feel tuning
@@ -197,14 +228,6 @@ function normBase(cell) {
     default:                      return raw;
   }
 }
-function toCodeFromId(id) {
-  switch (id) {
-    case "road": return "r"; case "avenue": return "av"; case "roundabout": return "rb";
-    case "home": return "home"; case "house": return "house"; case "shop": return "s";
-    case "park": return "p"; case "hq": return "hq"; case "start": return "st";
-    default: return id || "";
-  }
-}
 
 // ——— production state ———
 function computeProdStateNow() {
@@ -230,17 +253,6 @@ function loadFromSlots() {
   } catch {}
   return null;
 }
-function loadFromBuilderLS() {
-  const snap = lsGet(BUILDER_LS_KEY, null);
-  if (!snap || !Number.isFinite(snap.cols) || !Number.isFinite(snap.rows)) return null;
-  const w = snap.cols, h = snap.rows;
-  const grid = Array.from({ length: h }, () => Array.from({ length: w }, () => "" ));
-  for (const t of snap.tiles || []) {
-    const x = t?.x|0, y = t?.y|0;
-    if (x>=0 && y>=0 && x<w && y<h) grid[y][x] = toCodeFromId(t.id);
-  }
-  return { slotId: null, w, h, grid };
-}
 function loadDefault() {
   const w = 12, h = 10;
   const grid = Array.from({ length: h }, () => Array.from({ length: w }, () => ""  ));
@@ -250,7 +262,7 @@ function loadDefault() {
   grid[5][6] = "r"; grid[4][5] = "r"; grid[6][5] = "r";
   return { slotId: null, w, h, grid };
 }
-function loadActiveLayout(){ return loadFromSlots() || loadFromBuilderLS() || loadDefault(); }
+function loadActiveLayout(){ return loadFromSlots() || loadDefault(); }
 const safeHash = (sim) => JSON.stringify([sim?.slotId||"", sim?.w||0, sim?.h||0, sim?.grid?.[0]?.[0]||""]);
 
 // lane helpers - return grid-relative coordinates (for use with worldLayer)
@@ -259,8 +271,8 @@ const safeHash = (sim) => JSON.stringify([sim?.slotId||"", sim?.w||0, sim?.h||0,
 // Lane helper functions are now imported from NavigationSystem
 
 // ——— persona utils ———
-function pickPersonaKey(){
-  const r = Math.random();
+function pickPersonaKey(rng){
+  const r = rng();
   let acc = 0;
   for (const [key, w] of PERSONA_WEIGHTS) {
     acc += w;
@@ -279,8 +291,14 @@ export default class CityScene extends Phaser.Scene {
     this.renderSystem = null;
     this.trafficSystem = null;
     this.copSystem = null;
+    this.rideSystem = null;
+    this.signalSystem = null;
+    this.ghostSystem = null;
   }
 
+  /** Sim clock in ms (SystemManager); gameplay timestamps use this, not time.now. */
+  get simNow(){ return this.systemManager?.simTime ?? 0; }
+
   init(){
     const sim = loadActiveLayout();
     this.activeSlotId = sim.slotId;
@@ -288,6 +306,15 @@ export default class CityScene extends Phaser.Scene {
     this._lastSimHash = safeHash(sim);
     this._reloadLock = false;
 
+    // Shared A* router (cops, rides): static tile costs + live congestion
+    this.pathService = createPathService({
+      getGrid: () => this.grid,
+      isDriveable: (x, y) => !!this.drive[y]?.[x],
+      cellCost: (x, y) => ROUTE_COSTS[normBase(this.grid[y]?.[x])] ?? 1,
+      dynamicCost: (x, y) => CONGESTION_COST * (this.trafficSystem?.occupancyAt(x, y) || 0),
+    });
+    this.pathService.rebuild();
+
     this.prodState = computeProdStateNow();
     this.carSpeed = CAR_SPEED_IDLE;
     this.copSpeed = COP_SPEED_IDLE;
@@ -305,14 +332,26 @@ export default class CityScene extends Phaser.Scene {
 
     // ===== SystemManager Setup =====
     this.systemManager = new SystemManager(this);
+    this.rng = this.systemManager.rng.fork('scene');
+    this.fxRng = this.systemManager.rng.fork('fx'); // crash bursts, rain/snow: never shifts the sim's rolls
+
+    // Per-step input (live keys or a replay frame); see _nextInput
+    this.simInput = { dx: 0, dy: 0, viewW: 0, viewH: 0, prod: this.prodState };
+    this.recorder = null; // live APB run being recorded
+    this.replay = null;   // { player, heat, rec, resumeAt } while replaying
 
     this.systemManager.register([
       { name: 'grid', class: GridSystem },
       { name: 'navigation', class: NavigationSystem },
       { name: 'reveal', class: RevealSystem, deps: ['grid'] },
       { name: 'render', class: RenderSystem, deps: ['grid', 'reveal'] },
+      { name: 'env', class: EnvironmentSystem, deps: ['grid'] }, // before movers: they read its modifiers
+      { name: 'signals', class: SignalSystem, deps: ['grid'] },
+      { name: 'peds', class: PedestrianSystem, deps: ['grid'] }, // before traffic: cars yield to this step's crossings
       { name: 'traffic', class: TrafficSystem, deps: ['grid', 'navigation'] },
-      { name: 'cop', class: CopSystem, deps: ['grid', 'navigation'] }
+      { name: 'cop', class: CopSystem, deps: ['grid', 'navigation'] },
+      { name: 'rides', class: RideSystem, deps: ['grid', 'traffic'] },
+      { name: 'ghost', class: GhostSystem, deps: ['grid'] } // last: samples after everything moved
     ]);
 
     // Initialize all systems (handles dependencies automatically)
@@ -321,8 +360,13 @@ export default class CityScene extends Phaser.Scene {
       this.navigationSystem = this.systemManager.getSystem('navigation');
       this.revealSystem = this.systemManager.getSystem('reveal');
       this.renderSystem = this.systemManager.getSystem('render');
+      this.signalSystem = this.systemManager.getSystem('signals');
       this.trafficSystem = this.systemManager.getSystem('traffic');
       this.copSystem = this.systemManager.getSystem('cop');
+      this.rideSystem = this.systemManager.getSystem('rides');
+      this.ghostSystem = this.systemManager.getSystem('ghost');
+      this.envSystem = this.systemManager.getSystem('env');
+      this.pedestrianSystem = this.systemManager.getSystem('peds');
       
       console.log('[SystemManager] All systems ready!');
     });
@@ -341,6 +385,11 @@ export default class CityScene extends Phaser.Scene {
     this._apbCaught = false;
     this._apbSpawnCarry = 0;
 
+    // wanted level (refreshed from heat.js)
+    this.wanted = getWanted();
+    this._nextHeatAt = 0;
+    this._carStunUntil = 0;
+
     // feel helpers
     this.lastCarDir = new Phaser.Math.Vector2(1,0);
 
@@ -362,7 +411,7 @@ export default class CityScene extends Phaser.Scene {
     this.drive = Array.from({ length: this.h }, (_, y) =>
       Array.from({ length: this.w }, (_, x) => {
         const b = normBase(this.grid[y]?.[x]);
-        return b === "road" || b === "avenue" || b === "start" || b === "roundabout";
+        return b === "road" || b === "avenue" || b === "start" || b === "roundabout" || b === "signal";
       })
     );
     
@@ -379,6 +428,18 @@ export default class CityScene extends Phaser.Scene {
     // ===== GENERATE TEMPORARY SPRITES FOR GAMEPLAY =====
     const g = this.make.graphics({ x: 0, y: 0, add: false });
 
+    // ride markers: passenger (waiting) + destination ring
+    g.fillStyle(0x7dd3fc, 1).fillCircle(5, 5, 5);
+    g.fillStyle(0x0b1220, 1).fillCircle(5, 4, 2);
+    g.generateTexture("pm_passenger", 10, 10); g.clear();
+    g.lineStyle(2, 0x7dd3fc, 1).strokeCircle(7, 7, 6);
+    g.fillStyle(0x7dd3fc, 0.35).fillCircle(7, 7, 5);
+    g.generateTexture("pm_dest", 14, 14); g.clear();
+
+    // pedestrian (tinted per walker)
+    g.fillStyle(0xffffff, 1).fillCircle(2.5, 2.5, 2.5);
+    g.generateTexture("pm_ped", 5, 5); g.clear();
+
     // player
     g.fillStyle(0xffc04a, 1).fillCircle(6, 6, 6);
     g.fillStyle(0x222222, 1).fillTriangle(6, 1, 10, 8, 2, 8);
@@ -388,6 +449,11 @@ export default class CityScene extends Phaser.Scene {
     g.fillStyle(0x4aa3ff, 1).fillTriangle(6, 1, 1, 11, 11, 11);
     g.generateTexture("pm_cop", 12, 12); g.clear();
 
+    // roadblock (striped barrier)
+    g.fillStyle(0xffffff, 1).fillRect(0, 0, 18, 5);
+    g.fillStyle(0xff3355, 1).fillRect(0, 0, 4, 5).fillRect(7, 0, 4, 5).fillRect(14, 0, 4, 5);
+    g.generateTexture("pm_roadblock", 18, 5); g.clear();
+
     // traffic sprites (3 variants)
     // dot
     g.fillStyle(0xf2d27a, 1).fillCircle(3, 3, 3);
@@ -441,7 +507,7 @@ export default class CityScene extends Phaser.Scene {
     this.worldLayer.add([this.worldGfx, this.roadDetailGfx, this.fogGfx]);
 
     // Wait for SystemManager to finish initializing
-    if (!this.gridSystem || !this.renderSystem || !this.trafficSystem || !this.copSystem) {
+    if (!this.gridSystem || !this.renderSystem || !this.trafficSystem || !this.copSystem || !this.rideSystem || !this.signalSystem || !this.ghostSystem || !this.envSystem || !this.pedestrianSystem) {
       this.time.delayedCall(100, () => this.create());
       return;
     }
@@ -485,7 +551,7 @@ export default class CityScene extends Phaser.Scene {
     this.helpTxt = this.add.text(
       PADDING,
       PADDING - 16,
-      "City: SPACE to run APB. Arrows/WASD drive. Q/E zoom. M minimap.",
+      "City: SPACE to run APB. P replay last APB. G/B watch last/best run. R taxi job, H hire driver. Arrows/WASD drive. Q/E zoom. M minimap.",
       { fontFamily: "monospace", fontSize: 12, color: "#aab2bc" }
     ).setScrollFactor(0);
 
@@ -542,7 +608,8 @@ export default class CityScene extends Phaser.Scene {
       Phaser.Input.Keyboard.KeyCodes.UP, Phaser.Input.Keyboard.KeyCodes.DOWN,
       Phaser.Input.Keyboard.KeyCodes.LEFT, Phaser.Input.Keyboard.KeyCodes.RIGHT,
       Phaser.Input.Keyboard.KeyCodes.Q, Phaser.Input.Keyboard.KeyCodes.E,
-      Phaser.Input.Keyboard.KeyCodes.M,
+      Phaser.Input.Keyboard.KeyCodes.M, Phaser.Input.Keyboard.KeyCodes.P,
+      Phaser.Input.Keyboard.KeyCodes.G, Phaser.Input.Keyboard.KeyCodes.B,
     ]);
 
     // APB helpers
@@ -551,27 +618,14 @@ export default class CityScene extends Phaser.Scene {
     };
     this.hideCop = () => { this.copSystem.hide(); };
 
-    this.startApb = ({ doMark = true } = {}) => {
-      if (this.apb) return false;
-      const s = getApbStatus();
-      if (!s.canRun) return false;
-      if (doMark) markApbRunStarted();
-      this.apb = true;
-      this.apbRemaining = Math.max(0, Number(s.durationSec) || 0);
-      this.apbBaseEarned = 0;
-      this.apbHits = 0;
-      this.apbHitReward = currentHitReward(); // freeze reward per run (1 or 2)
-      this._apbStartedAt = this.time.now;
-      this._apbCaught = false;
-      this._apbSpawnCarry = 0;
-      this.spawnCop();
-      for (const t of this.trafficSystem.traffic) t.spr.setTint(0xffea76);
-      
-      // Listen for cop catch event
-      this._copCaughtHandler = () => {
+    this._applyWanted();
+    this.unsubHeat = onHeatChange(() => this._applyWanted());
+
+    this._systemSubs = [
+      this.copSystem.on('cop:caught', () => {
         if (!this.apb) return;
         this.makePopup(this.car.x, this.car.y - 12, `caught`, 0xff3355);
-        const durationSec = Math.max(0, Math.round((this.time.now - this._apbStartedAt)/1000));
+        const durationSec = Math.max(0, Math.round((this.simNow - this._apbStartedAt)/1000));
         const stash = this.apbBaseEarned|0;
         const stats = {
           result: "caught",
@@ -581,19 +635,130 @@ export default class CityScene extends Phaser.Scene {
           bonus: 0,
           evasion: 0,
           total: stash,
+          stars: this.wanted.stars,
+          payoutMult: this.wanted.payoutMult,
         };
         this.apb=false; this.apbRemaining=0; this.hideCop();
         for (const t of this.trafficSystem.traffic) t.spr.setTint(0xbfd1ff);
+        this._closeRun(stats);
         this.updateCityHud();
         this.showApbSummary(stats);
+      }),
+      this.copSystem.on('cop:contact', ({ position }) => {
+        this._addHeat("copContact");
+        this.rideSystem.addDamage("copContact");
+        this.makePopup(position.x, position.y - 10, `!`, 0xff3355);
+      }),
+      this.copSystem.on('cop:roadblockHit', ({ position }) => {
+        this._addHeat("crash");
+        this.rideSystem.addDamage("crash");
+        this.spawnCrash(position.x, position.y);
+        this._carStunUntil = this.simNow + CRASH_STUN_MS;
+      }),
+      this.signalSystem.on('signal:changed', () => this.renderSystem.drawSignals()),
+      this.pedestrianSystem.on('ped:hit', ({ position }) => {
+        this._addHeat("pedestrian");
+        this.makePopup(position.x, position.y - 10, `!`, 0xff9f7a);
+        this.shake(120, 0.003);
+      }),
+      this.envSystem.on('env:weatherChanged', () => {
+        this.revealSystem.drawFog(); // fog of war thickens/thins with the weather
+        this.updateCityHud();
+      }),
+      this.ghostSystem.on('ghost:watchStarted', ({ target }) => {
+        this.cameras.main.startFollow(target, true, 0.15, 0.15);
+        this.updateCityHud();
+      }),
+      this.ghostSystem.on('ghost:watchEnded', () => {
+        this.cameras.main.startFollow(this.car, true, 0.15, 0.15);
+        this.updateCityHud();
+      }),
+      this.rideSystem.on('ride:started', ({ ride }) => {
+        const msg = ride.kind === "npc" ? `driver hired (-${ride.fareCoins})` : `pickup waiting`;
+        this.makePopup(this.car.x, this.car.y - 12, msg, 0x7dd3fc);
+        this.updateCityHud();
+      }),
+      this.rideSystem.on('ride:pickedUp', () => {
+        this.makePopup(this.car.x, this.car.y - 12, `passenger aboard`, 0x7dd3fc);
+      }),
+      this.rideSystem.on('ride:completed', ({ ride, payout }) => {
+        addCoins(payout);
+        this.makePopup(this.car.x, this.car.y - 12, `+${payout} fare`, 0xbfe08a);
+        if (ride.kind === "self") this.shake(120, 0.002);
+        this.updateCityHud();
+      }),
+      this.rideSystem.on('ride:failed', ({ ride, reason }) => {
+        // A hired ride's fare was paid up front; it comes back if the ride never arrives
+        const fare = ride?.kind === "npc" ? ride.fareCoins || 0 : 0;
+        if (fare > 0) refundMate(fare, { k: "ride_fare_refund" });
+        const note = fare > 0 ? ` · fare ${fare} refunded` : "";
+        this.makePopup(this.car.x, this.car.y - 12, `ride ${String(reason).replace(/_/g, " ")}${note}`, 0xff9f7a);
+        this.updateCityHud();
+      }),
+    ];
+
+    // Rides
+    this.rideSystem.restoreSaved();
+    this.input.keyboard.on("keydown-R", () => {
+      if (this.replay) return;
+      const r = this.rideSystem.startSelfRide();
+      if (!r.ok) this.makePopup(this.car.x, this.car.y - 12, RIDE_REASONS[r.reason] || r.reason, 0x9fb4c8);
+      else this.recorder?.taint("ride");
+    });
+    this.input.keyboard.on("keydown-H", () => {
+      if (this.replay) return;
+      if (this.rideSystem.getActive()) return this.makePopup(this.car.x, this.car.y - 12, RIDE_REASONS.busy, 0x9fb4c8);
+      const q = this.rideSystem.quoteNpcRide();
+      if (!q) return this.makePopup(this.car.x, this.car.y - 12, RIDE_REASONS.no_route, 0x9fb4c8);
+      if (!spendMate(q.fareCoins, { k: "ride_fare" }).ok) {
+        return this.makePopup(this.car.x, this.car.y - 12, `fare ${q.fareCoins} — not enough coins`, 0xff9f7a);
+      }
+      const r = this.rideSystem.hireNpcRide(q.job);
+      if (!r.ok) {
+        refundMate(q.fareCoins, { k: "ride_fare_refund" });
+        this.makePopup(this.car.x, this.car.y - 12, RIDE_REASONS[r.reason] || r.reason, 0x9fb4c8);
+      } else {
+        this.recorder?.taint("ride");
+      }
+    });
+
+    this.startApb = ({ doMark = true } = {}) => {
+      if (this.apb || this.replay) return false;
+      const s = getApbStatus();
+      if (!s.canRun) return false;
+      if (doMark) markApbRunStarted();
+      tickHeat(); // settle offline decay before the run picks its wanted level
+      this._applyWanted();
+
+      // everything the run depends on besides per-step input
+      const run = {
+        seed: randomSeed(),
+        layout: this._layoutHash(),
+        simStart: this.simNow,
+        stepMs: SIM_STEP_MS,
+        car: { x: this.car.x, y: this.car.y, dirX: this.lastCarDir.x, dirY: this.lastCarDir.y },
+        heat: this.wanted.level,
+        hitReward: currentHitReward(), // freeze reward per run (1 or 2)
+        durationSec: Math.max(0, Number(s.durationSec) || 0),
+        env: this.envSystem.getState(), // weather at the start; the clock follows simStart
       };
-      this.copSystem.on('cop:caught', this._copCaughtHandler);
-      
-      this.updateCityHud();
+      this.recorder = createInputRecorder(run);
+      if (this.rideSystem.getActive()) this.recorder.taint("ride");
+      this._beginApb(run);
       return true;
     };
 
     this.input.keyboard.on("keydown-SPACE", () => { this.startApb({ doMark: true }); });
+    this.input.keyboard.on("keydown-P", () => {
+      const r = this.replayLastApb();
+      if (!r.ok) this.makePopup(this.car.x, this.car.y - 12, REPLAY_REASONS[r.reason] || r.reason, 0x9fb4c8);
+    });
+    const watch = (which) => {
+      const r = this.watchApbRun(which);
+      if (!r.ok) this.makePopup(this.car.x, this.car.y - 12, REPLAY_REASONS[r.reason] || r.reason, 0x9fb4c8);
+    };
+    this.input.keyboard.on("keydown-G", () => watch("last"));
+    this.input.keyboard.on("keydown-B", () => watch("best"));
 
     // expose minimal API
     this.registry.set("cityApi", {
@@ -603,14 +768,17 @@ export default class CityScene extends Phaser.Scene {
       setZoom: (z) => this.setZoom(z),
       refresh: () => this.reloadFromActiveLayout(true),
       startApb: (opts) => this.startApb(opts),
+      replayApb: () => this.replayLastApb(),
+      watchRun: (which) => this.watchApbRun(which), // "last" | "best"
+      getApbRuns: () => loadRuns(this.activeSlotId),
       onApbCooldownCleared: () => this.updateCityHud(), // UI can call after ad-skip
     });
 
     // draw + loops
     this.renderSystem.drawWorld(); this.revealSystem.drawFog(); this.revealSystem.revealAtCurrentCell(true); this._mmDirty = true; this.renderSystem.drawMinimap(true);
     this.unsubBoost = onBoostChange(({ mult, remainingSec }) => this.applyBoost(mult, remainingSec * 1000));
-    this._storageHandler = () => { this._needReload = true; };
-    window.addEventListener("storage", this._storageHandler);
+    // citySlots emits for this tab and bridges other tabs' storage writes
+    this.unsubLayouts = citySlots?.onLayoutsChange?.(() => { this._needReload = true; });
     this.time.addEvent({ delay: 250, loop: true, callback: () => this.reloadFromActiveLayout() });
 
     this.scale.on("resize", (s) => {
@@ -636,19 +804,185 @@ export default class CityScene extends Phaser.Scene {
   _refreshEntityDepths() {
     if (!this.worldLayer) return;
 
-    // traffic over tiles
+    // pedestrians, then traffic over tiles
+    for (const spr of this.pedestrianSystem?.getSprites?.() || []) this.worldLayer.bringToTop(spr);
     if (this.trafficSystem.traffic) {
       for (const t of this.trafficSystem.traffic) {
         if (t?.spr) this.worldLayer.bringToTop(t.spr);
       }
     }
 
-    // cop ring, cop, then player on top
-    if (this.copRing) this.worldLayer.bringToTop(this.copRing);
-    if (this.cop) this.worldLayer.bringToTop(this.cop);
+    // ghosts, roadblocks, cop rings + cops, then player on top
+    for (const spr of this.ghostSystem?.getSprites?.() || []) this.worldLayer.bringToTop(spr);
+    for (const spr of this.copSystem?.getSprites?.() || []) this.worldLayer.bringToTop(spr);
     if (this.car) this.worldLayer.bringToTop(this.car);
   }
 
+  // Re-reads heat → stars and pushes the WANTED_LEVELS row into CopSystem
+  _applyWanted(){
+    const prev = this.wanted?.stars;
+    this.wanted = this.replay ? wantedForLevel(this.replay.heat) : getWanted();
+    this.copSystem?.setWanted(this.wanted);
+    if (this.apb && prev !== undefined && this.wanted.stars > prev && this.car) {
+      this.makePopup(this.car.x, this.car.y - 24, starsLabel(this.wanted.stars), 0xffd27a);
+    }
+    this.updateCityHud();
+  }
+
+  // Heat from a sim event. A replay keeps its own copy of the level so
+  // watching a run never touches the saved heat.
+  _addHeat(source){
+    if (!this.replay) { addHeatFor(source); return; }
+    this.replay.heat = Math.max(0, Math.min(100, this.replay.heat + (HEAT_GAIN[source] || 0)));
+    this._applyWanted();
+  }
+
+  // APB coins; replays show the numbers but pay nothing
+  _pay(coins){
+    if (!this.replay) addCoins(coins);
+  }
+
+  _layoutHash(){ return hashSeed(this.w, this.h, JSON.stringify(this.grid)); }
+
+  // ——— APB runs: record + replay ———
+
+  // Shared start of a live or replayed run: `run` is the recording's meta.
+  // Traffic, stop-sign queues and every random stream restart here, so a run
+  // depends only on its seed, this state and the per-step inputs.
+  _beginApb(run){
+    const sm = this.systemManager;
+    sm.setFixedStep(run.stepMs);
+    sm.simTime = run.simStart;
+    sm.reseed(run.seed);
+    if (run.env) this.envSystem.setState(run.env);
+    this.trafficSystem.clear({ keepHired: true });
+    this.pedestrianSystem.clear();
+    this.signalSystem.rebuild();
+
+    this.car.setPosition(run.car.x, run.car.y);
+    this.lastCarDir.set(run.car.dirX, run.car.dirY);
+    this._carStunUntil = 0;
+    this._carGraceUntil = 0;
+
+    this.apb = true;
+    this.apbRemaining = run.durationSec;
+    this.apbBaseEarned = 0;
+    this.apbHits = 0;
+    this.apbHitReward = run.hitReward;
+    this._apbStartedAt = this.simNow;
+    this._apbCaught = false;
+    this._apbSpawnCarry = 0;
+    this.spawnCop();
+    for (const t of this.trafficSystem.traffic) t.spr.setTint(0xffea76);
+
+    // live runs leave a trace and race the slot's best one
+    this.ghostSystem.stop();
+    if (!this.replay) {
+      this.ghostSystem.startRecording();
+      const { best } = loadRuns(this.activeSlotId);
+      if (best) this.ghostSystem.race(best);
+    }
+
+    this.updateCityHud();
+  }
+
+  /**
+   * Plays back a recorded run of this city ("last" | "best"); calling it
+   * again while watching stops. Returns { ok, reason }.
+   */
+  watchApbRun(which = "last"){
+    if (this.apb) return { ok: false, reason: "busy" };
+    if (this.ghostSystem.isWatching()) {
+      this.ghostSystem.stop();
+      return { ok: true };
+    }
+    const { runs, best } = loadRuns(this.activeSlotId);
+    const run = which === "best" ? best : runs[0];
+    if (!run) return { ok: false, reason: "no_runs" };
+    this.ghostSystem.watch(run);
+    return { ok: true };
+  }
+
+  /**
+   * Re-runs the last recorded APB from its seed and inputs. Pays nothing and
+   * leaves heat + personal best alone. Returns { ok, reason }.
+   */
+  replayLastApb(){
+    if (this.apb || this.replay) return { ok: false, reason: "busy" };
+    const rec = loadReplay();
+    if (!rec) return { ok: false, reason: "none" };
+    if (rec.tainted.length) return { ok: false, reason: rec.tainted[0] };
+    if (rec.layout !== this._layoutHash()) return { ok: false, reason: "layout" };
+    if (this.rideSystem.getActive()) return { ok: false, reason: "ride" };
+
+    this.replay = { player: createInputPlayer(rec), heat: rec.heat, rec, resumeAt: this.simNow, env: this.envSystem.getState() };
+    this._applyWanted();
+    this._beginApb(rec);
+    return { ok: true };
+  }
+
+  // End of a run: back to variable steps, then either save the recording or
+  // check the replay against it
+  _closeRun(stats){
+    this.systemManager.setFixedStep(0);
+    this.ghostSystem.stop();
+    const outcome = {
+      result: stats.result,
+      hits: stats.hits,
+      stash: stats.hitCoins,
+      end: { x: this.car.x, y: this.car.y },
+    };
+
+    if (this.replay) {
+      const want = this.replay.rec.outcome;
+      stats.replay = true;
+      stats.matched = !!want && JSON.stringify(want) === JSON.stringify(outcome);
+      this.systemManager.simTime = Math.max(this.simNow, this.replay.resumeAt);
+      this.envSystem.setState(this.replay.env);
+      this.replay = null;
+      this.prodState = computeProdStateNow();
+      this._recalcSpeeds();
+      this._applyWanted();
+      return;
+    }
+
+    if (this.recorder) {
+      saveReplay(this.recorder.finish(outcome));
+      this.recorder = null;
+    }
+    stats.bestRun = !!this.ghostSystem.finishRecording(this.activeSlotId, stats)?.isBest;
+  }
+
+  // Input for this sim step: live keys (recorded during a run) or the
+  // replay's next frame
+  _nextInput(){
+    if (this.replay) {
+      const input = this.replay.player.next();
+      if (input) {
+        if (input.prod !== this.prodState) { this.prodState = input.prod; this._recalcSpeeds(); }
+        this.simInput = input;
+        return input;
+      }
+      // out of frames before the run ended: the replay diverged, hand back control
+      this.apbRemaining = 0;
+    }
+
+    const cam = this.cameras.main;
+    const hold = this.ghostSystem.isWatching(); // the player waits while a run plays back
+    const input = {
+      dx: hold ? 0 : (this.cursors.right.isDown || this.keys.D.isDown ? 1 : 0) -
+                     (this.cursors.left.isDown  || this.keys.A.isDown ? 1 : 0),
+      dy: hold ? 0 : (this.cursors.down.isDown  || this.keys.S.isDown ? 1 : 0) -
+                     (this.cursors.up.isDown    || this.keys.W.isDown ? 1 : 0),
+      viewW: Math.round(cam.width / cam.zoom),
+      viewH: Math.round(cam.height / cam.zoom),
+      prod: this.prodState,
+    };
+    this.simInput = input;
+    this.recorder?.push(input);
+    return input;
+  }
+
   _recalcSpeeds(){
     switch (this.prodState) {
       case "stacked": this.carSpeed = CAR_SPEED_STACK; this.copSpeed = COP_SPEED_STACK; break;
@@ -714,10 +1048,29 @@ export default class CityScene extends Phaser.Scene {
     let txt = `Passive ${per.toFixed(1)}🪙/min  ·  crawl ${crawl}/min  boost ${full}/min  ·  r${c.road}/av${c.avenue}/rb${c.roundabout}/h${c.home+c.house}/s${c.shop}/p${c.park}/hq${c.hq}`;
     if (mult>1 && left>0){ const m=(left/60)|0, s2=left%60; txt += `  ·  x${mult} (${m}:${String(s2).padStart(2,"0")})`; }
     if (this.apb) {
-      txt += `  ·  APB ${this.apbRemaining|0}s  stash ${this.apbBaseEarned|0}`;
+      txt += `  ·  ${this.replay ? "▶ replay " : ""}APB ${this.apbRemaining|0}s  stash ${this.apbBaseEarned|0}`;
+      const ghostHits = this.ghostSystem?.getRaceHits();
+      if (ghostHits !== null && ghostHits !== undefined) txt += `  ghost ${ghostHits} hits`;
+    } else if (this.ghostSystem?.isWatching()) {
+      txt += `  ·  ▶ watching run (G/B to stop)`;
     } else if (!apb.canRun) {
       txt += `  ·  cooldown ${Math.max(0, apb.cooldownSec|0)}s`;
     }
+    const ride = this.rideSystem?.getActive();
+    if (ride) {
+      const leg = ride.status === "pickup" ? "pickup" : "drop-off";
+      txt += ride.kind === "npc"
+        ? `  ·  🚕 driver → ${leg}`
+        : `  ·  🚕 ${leg} ${ride.cells}c ETA ${Math.round(ride.etaMs / 1000)}s${ride.damage ? ` dmg ${ride.damage}%` : ""}`;
+    }
+    const env = this.envSystem;
+    if (env) {
+      txt += `  ·  ${env.getPhase() === "night" ? "🌙" : ""}${env.getClockLabel()} ${WEATHER_ICONS[env.getWeather()] || ""}`;
+      if (s.shopTimeMult > 1) txt += ` shops x${s.shopTimeMult}`;
+    }
+    const w = this.wanted || getWanted();
+    txt += `  ·  ${starsLabel(w.stars)} heat ${Math.round(w.level)}`;
+    if (w.payoutMult > 1) txt += ` (x${w.payoutMult})`;
 
     try { this.hud.setText(txt); } catch {}
   }
@@ -751,7 +1104,7 @@ export default class CityScene extends Phaser.Scene {
       }
     }
     if(!roads.length) return null;
-    return roads[Math.floor(Math.random() * roads.length)];
+    return this.rng.pick(roads);
   }
 
   // base turns
@@ -773,9 +1126,9 @@ export default class CityScene extends Phaser.Scene {
     const group = this.add.container(0, 0).setDepth(6);
 
     for (let i = 0; i < 8; i++){
-      const a = Math.random() * Math.PI * 2;
-      const sp = 30 + Math.random() * 80;
-      const s  = this.add.image(x, y, "pm_fire").setScale(0.8 + Math.random()*0.6).setAlpha(1);
+      const a = this.fxRng.next() * Math.PI * 2;
+      const sp = 30 + this.fxRng.next() * 80;
+      const s  = this.add.image(x, y, "pm_fire").setScale(0.8 + this.fxRng.next()*0.6).setAlpha(1);
       group.add(s);
       this.tweens.add({
         targets: s,
@@ -783,16 +1136,16 @@ export default class CityScene extends Phaser.Scene {
         y: y + Math.sin(a)*sp,
         alpha: 0,
         scale: 0.2,
-        duration: 240 + Math.random()*160,
+        duration: 240 + this.fxRng.next()*160,
         ease: "Cubic.easeOut",
         onComplete: () => s.destroy()
       });
     }
 
     for (let i = 0; i < 6; i++){
-      const a = Math.random() * Math.PI * 2;
-      const sp = 10 + Math.random() * 30;
-      const puff = this.add.image(x, y, "pm_smoke").setScale(0.7 + Math.random()*0.5).setAlpha(0.9);
+      const a = this.fxRng.next() * Math.PI * 2;
+      const sp = 10 + this.fxRng.next() * 30;
+      const puff = this.add.image(x, y, "pm_smoke").setScale(0.7 + this.fxRng.next()*0.5).setAlpha(0.9);
       group.add(puff);
       this.tweens.add({
         targets: puff,
@@ -800,7 +1153,7 @@ export default class CityScene extends Phaser.Scene {
         y: y + Math.sin(a)*sp - 8,
         alpha: 0,
         scale: 0.1,
-        duration: 620 + Math.random()*180,
+        duration: 620 + this.fxRng.next()*180,
         ease: "Sine.easeOut",
         onComplete: () => puff.destroy()
       });
@@ -820,12 +1173,12 @@ export default class CityScene extends Phaser.Scene {
 
   shutdown(){
     this.unsubBoost?.();
-    window.removeEventListener("storage", this._storageHandler);
+    this.unsubLayouts?.();
+    this.unsubHeat?.();
     if (this._onApbStatus) window.removeEventListener("apb:status", this._onApbStatus);
     
-    if (this._copCaughtHandler && this.copSystem) {
-      this.copSystem.off('cop:caught', this._copCaughtHandler);
-    }
+    for (const sub of this._systemSubs || []) sub?.unsubscribe();
+    this._systemSubs = [];
     
     // Destroy all systems via SystemManager
     if (this.systemManager) {
@@ -835,18 +1188,34 @@ export default class CityScene extends Phaser.Scene {
   destroy(){ this.shutdown(); super.destroy(); }
 
   update(_,delta){
-    let dt = delta/1000;
+    // one variable step per frame, or fixed steps during an APB run
+    this.systemManager.advance(delta, (now, stepMs) => this._simStep(now, stepMs));
+
+    // heat decays outside a chase; changes come back through onHeatChange
+    if (!this.replay && this.time.now >= this._nextHeatAt) { tickHeat({ hold: this.apb }); this._nextHeatAt = this.time.now + 1000; }
+
+    if (this.time.now >= this._nextHudAt) { this.updateCityHud(); this._nextHudAt = this.time.now + 300; }
+    this.renderSystem.drawEnvironment(delta);
+    if (this.minimapOn) this.renderSystem.drawMinimap(false);
+
+    if (this._needReload && !this._reloadLock){
+      this._reloadLock=true; this._needReload=false;
+      this.time.delayedCall(80, ()=>{ this._reloadLock=false; this.reloadFromActiveLayout(true); });
+    }
+  }
+
+  // One sim step; everything a replay must reproduce happens in here
+  _simStep(now, stepMs){
+    let dt = stepMs/1000;
     if (dt > this._maxDt) dt = this._maxDt;
 
-    // player movement
-    const dx = (this.cursors.right.isDown || this.keys.D.isDown ? 1 : 0) -
-               (this.cursors.left.isDown  || this.keys.A.isDown ? 1 : 0);
-    const dy = (this.cursors.down.isDown  || this.keys.S.isDown ? 1 : 0) -
-               (this.cursors.up.isDown    || this.keys.W.isDown ? 1 : 0);
+    // player movement (wet/snowy roads: less grip, slower lane snap)
+    const { dx, dy } = this._nextInput();
+    const env = this.envSystem?.getModifiers() || NEUTRAL_ENV;
 
     const v = new Phaser.Math.Vector2(dx,dy);
-    if (v.lengthSq()>0){
-      v.normalize().scale(this.carSpeed*dt);
+    if (v.lengthSq()>0 && now >= this._carStunUntil){
+      v.normalize().scale(this.carSpeed*env.grip*dt);
       let nx=this.car.x+v.x, ny=this.car.y+v.y;
 
       if (this.gridSystem.isRoadPixel(nx,ny)){ this.car.x=nx; this.car.y=ny; }
@@ -858,10 +1227,10 @@ export default class CityScene extends Phaser.Scene {
 
       const { gx, gy } = this.gridSystem.pixToCell(this.car.x, this.car.y);
       if (this.gridSystem.isRoadCell(gx, gy)) {
-        const snap = laneSnapPoint(gx, gy, this.lastCarDir, this.car.x, this.car.y);
+        const snap = laneSnapPoint(gx, gy, this.lastCarDir, this.car.x, this.car.y, this.gridSystem.laneCount(gx, gy)); // nearest lane on avenues
         const offX = snap.x - this.car.x;
         const offY = snap.y - this.car.y;
-        const snapAlpha = Math.min(1, AUTO_SNAP_STRENGTH * dt);
+        const snapAlpha = Math.min(1, AUTO_SNAP_STRENGTH * env.turn * dt);
         this.car.x = Phaser.Math.Linear(this.car.x, snap.x, snapAlpha);
         this.car.y = Phaser.Math.Linear(this.car.y, snap.y, snapAlpha);
         if (Math.abs(offX) > EDGE_PUSH_PIX || Math.abs(offY) > EDGE_PUSH_PIX) {
@@ -881,19 +1250,16 @@ export default class CityScene extends Phaser.Scene {
     if (this.apb){
       this.apbRemaining = Math.max(0, this.apbRemaining - dt);
 
-      // Update cop ring position
-      this.copRing.setPosition(this.cop.x, this.cop.y);
-
       // Check if time ran out (evaded)
       if (this.apbRemaining<=0){
-        const durationSec = Math.max(0, Math.round((this.time.now - this._apbStartedAt)/1000));
+        const durationSec = Math.max(0, Math.round((now - this._apbStartedAt)/1000));
         const stash = this.apbBaseEarned|0;
         const hits  = this.apbHits|0;
         const bonus = hits > 0 ? Math.ceil(hits / 10) * BONUS_PER_10_HITS : 0;
-        const evasion = EVASION_EVADED;
+        const evasion = Math.round(EVASION_EVADED * (this.wanted.payoutMult || 1));
 
-        if (bonus > 0) { addCoins(bonus); this.makePopup(this.car.x, this.car.y - 12, `+${bonus} bonus`, 0xffea76); this.shake(200, 0.004); }
-        if (evasion > 0) { addCoins(evasion); this.makePopup(this.car.x, this.car.y - 24, `+${evasion}`, 0xbfe08a); }
+        if (bonus > 0) { this._pay(bonus); this.makePopup(this.car.x, this.car.y - 12, `+${bonus} bonus`, 0xffea76); this.shake(200, 0.004); }
+        if (evasion > 0) { this._pay(evasion); this.makePopup(this.car.x, this.car.y - 24, `+${evasion}`, 0xbfe08a); }
 
         const stats = {
           result: "evaded",
@@ -903,16 +1269,19 @@ export default class CityScene extends Phaser.Scene {
           bonus,
           evasion,
           total: (stash + bonus + evasion)|0,
+          stars: this.wanted.stars,
+          payoutMult: this.wanted.payoutMult,
         };
         this.apb=false; this.hideCop();
         for (const t of this.trafficSystem.traffic) t.spr.setTint(0xbfd1ff);
+        this._closeRun(stats);
         this.updateCityHud();
         this.showApbSummary(stats);
       }
     }
 
     // passive income — whole coins only
-    if (this.currPerMin > 0){
+    if (this.currPerMin > 0 && !this.replay){
       this._incomeCarry += (this.currPerMin / 60) * dt;
       const whole = Math.floor(this._incomeCarry);
       if (whole >= 1) {
@@ -933,21 +1302,26 @@ export default class CityScene extends Phaser.Scene {
     }
 
     // pickups
-    if (!this._carGraceUntil || this.time.now >= this._carGraceUntil) {
+    if (!this._carGraceUntil || now >= this._carGraceUntil) {
       const carX = this.car.x, carY = this.car.y;
       let pickedIdx = -1;
       for (let i = 0; i < this.trafficSystem.traffic.length; i++) {
         const t = this.trafficSystem.traffic[i];
+        if (t.hired) continue; // the hired ride car isn't a pickup
         const d2 = Phaser.Math.Distance.Squared(carX, carY, t.spr.x, t.spr.y);
         if (d2 < 12*12) { pickedIdx = i; break; }
       }
       if (pickedIdx >= 0) {
         const t = this.trafficSystem.traffic[pickedIdx];
+        this._addHeat("pickup");
+        this.rideSystem.addDamage("pickup");
         if (this.apb) {
-          const reward = this.apbHitReward|0; // 1 or 2, frozen at start
-          addCoins(reward);
+          // base 1 or 2 (frozen at start), scaled by the current wanted level
+          const reward = Math.max(1, Math.round((this.apbHitReward|0) * (this.wanted.payoutMult || 1)));
+          this._pay(reward);
           this.apbBaseEarned += reward;
           this.apbHits += 1;
+          this.ghostSystem.notePickup(t.spr.x, t.spr.y, reward);
           this.makePopup(t.spr.x, t.spr.y - 10, `+${reward}`, 0xffea76);
           this.shake(90, 0.0025);
         } else {
@@ -955,22 +1329,12 @@ export default class CityScene extends Phaser.Scene {
         }
         t.spr.destroy();
         this.trafficSystem.traffic.splice(pickedIdx, 1);
-        this._carGraceUntil = this.time.now + 220;
+        this._carGraceUntil = now + 220;
       }
     }
 
     // Update all systems via SystemManager
-    if (this.systemManager) {
-      this.systemManager.update(this.time.now, delta);
-    }
-
-    if (this.time.now >= this._nextHudAt) { this.updateCityHud(); this._nextHudAt = this.time.now + 300; }
-    if (this.minimapOn) this.renderSystem.drawMinimap(false);
-
-    if (this._needReload && !this._reloadLock){
-      this._reloadLock=true; this._needReload=false;
-      this.time.delayedCall(80, ()=>{ this._reloadLock=false; this.reloadFromActiveLayout(true); });
-    }
+    this.systemManager.update(now, stepMs);
   }
 
 
@@ -979,9 +1343,17 @@ export default class CityScene extends Phaser.Scene {
     if (!force && hash===this._lastSimHash) return;
     this._lastSimHash=hash;
 
+    // a run no longer matches its recording once the city changes under it
+    this.recorder?.taint("layout");
+    if (this.replay) this.apbRemaining = 0;
+    if (!this.apb) this.ghostSystem?.stop(); // saved runs may belong to another city now
+
     this.activeSlotId=sim.slotId;
     this.applySim(sim.grid, sim.w, sim.h);
-    this._buildRoadGraph();
+    this.pathService.sync(); // relinks only the tiles the builder changed
+    this.signalSystem?.rebuild();
+    this.pedestrianSystem?.clear(); // routes may cross tiles that are gone
+    this.rideSystem?.handleLayoutChange();
 
     // Reload reveal system with new slot ID
     this.revealSystem.reload();
@@ -1031,14 +1403,17 @@ export default class CityScene extends Phaser.Scene {
         }
       } catch {}
 
-      const newPB = {
+      // replays paid nothing, so they can't set a PB
+      const newPB = stats.replay ? pb : {
         stash: Math.max(pb.stash | 0, stats.hitCoins | 0),
         total: Math.max(pb.total | 0, stats.total | 0),
       };
 
-      try {
-        localStorage.setItem(APB_PB_KEY, JSON.stringify(newPB));
-      } catch {}
+      if (!stats.replay) {
+        try {
+          localStorage.setItem(APB_PB_KEY, JSON.stringify(newPB));
+        } catch {}
+      }
 
       const cx = this.scale.width / 2;
       const cy = this.scale.height / 2;
@@ -1073,7 +1448,8 @@ export default class CityScene extends Phaser.Scene {
       const baseW = 360;
 
       const titleText =
-        stats.result === "evaded" ? "APB Evaded" : "APB Caught";
+        (stats.result === "evaded" ? "APB Evaded" : "APB Caught") +
+        (stats.replay ? (stats.matched ? " (replay ✓)" : " (replay diverged)") : "");
 
       const title = this.add
         .text(0, 0, titleText, {
@@ -1089,8 +1465,10 @@ export default class CityScene extends Phaser.Scene {
         `Hits: ${stats.hits}  (+${stats.hitCoins})`,
         `Bonus: +${stats.bonus}`,
         `Evasion: +${stats.evasion}`,
+        `Wanted: ${starsLabel(stats.stars | 0)}  (x${stats.payoutMult || 1} payout)`,
         `Total payout: ${stats.total}`,
         `PB (stash/total): ${newPB.stash}/${newPB.total}`,
+        ...(stats.bestRun ? ["New best run: ghost saved"] : []),
       ];
 
       const body = this.add
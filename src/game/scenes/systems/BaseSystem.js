@@ -46,6 +46,9 @@ export class BaseSystem {
     this.scene = scene;
     this.deps = dependencies;
     this.eventBus = eventBus;
+
+    // Seeded random stream; SystemManager injects this system's fork
+    this.rng = null;
     
     // Merge config with defaults
     this.config = this._mergeConfig(config);
@@ -245,19 +245,175 @@ export const validate = {
     v.number('COP_SPEED_IDLE', config.COP_SPEED_IDLE, { min: 1, max: 200 });
     v.number('COP_SPEED_BOOST', config.COP_SPEED_BOOST, { min: 1, max: 300 });
     v.number('COP_SPEED_STACK', config.COP_SPEED_STACK, { min: 1, max: 400 });
-    v.number('REPLAN_INTERVAL', config.REPLAN_INTERVAL, { min: 0.1, max: 10 });
+    v.number('REPLAN_EVERY_SEC', config.REPLAN_EVERY_SEC, { min: 0.1, max: 10 });
     v.number('STALL_SECONDS', config.STALL_SECONDS, { min: 0.5, max: 10 });
     v.number('CATCH_DISTANCE', config.CATCH_DISTANCE, { min: 5, max: 50 });
+    v.number('CONTACT_DISTANCE', config.CONTACT_DISTANCE, { min: 5, max: 200 });
+
+    // Squad
+    v.array('SQUAD_ROLES', config.SQUAD_ROLES, { minLength: 1, maxLength: 8, itemType: 'string' });
+    (config.SQUAD_ROLES || []).forEach((role, i) => {
+      v.string(`SQUAD_ROLES[${i}]`, role, { enum: ['chaser', 'flanker', 'blocker'] });
+    });
+    v.number('FLANK_PREDICT_CELLS', config.FLANK_PREDICT_CELLS, { min: 2, max: 40, integer: true });
+    v.number('FLANK_ABANDON_PX', config.FLANK_ABANDON_PX, { min: 0, max: 1000 });
+    v.number('PATH_CLAIM_CELLS', config.PATH_CLAIM_CELLS, { min: 0, max: 40, integer: true });
+    v.number('BLOCKER_LEAD_CELLS', config.BLOCKER_LEAD_CELLS, { min: 1, max: 20, integer: true });
+    v.number('BLOCKER_DEPLOY_PX', config.BLOCKER_DEPLOY_PX, { min: 1, max: 100 });
+
+    // Roadblocks
+    v.number('ROADBLOCK_AHEAD_CELLS', config.ROADBLOCK_AHEAD_CELLS, { min: 2, max: 20, integer: true });
+    v.number('ROADBLOCK_TTL_SEC', config.ROADBLOCK_TTL_SEC, { min: 1, max: 120 });
+    v.number('ROADBLOCK_MAX', config.ROADBLOCK_MAX, { min: 0, max: 20, integer: true });
+    v.number('ROADBLOCK_HIT_PX', config.ROADBLOCK_HIT_PX, { min: 1, max: 50 });
+
+    if (config.BLOCKER_LEAD_CELLS > config.ROADBLOCK_AHEAD_CELLS) {
+      v.error('BLOCKER_LEAD_CELLS must be <= ROADBLOCK_AHEAD_CELLS');
+    }
 
     // Performance warnings
-    if (config.REPLAN_INTERVAL < 0.5) {
-      v.warn('REPLAN_INTERVAL < 0.5 may cause performance issues');
+    if (config.REPLAN_EVERY_SEC < 0.5) {
+      v.warn('REPLAN_EVERY_SEC < 0.5 may cause performance issues');
     }
 
     if (config.COP_SPEED_STACK > 200) {
       v.warn('COP_SPEED_STACK > 200 may make game too difficult');
     }
 
+    return v.getErrors();
+  },
+
+  /**
+   * Validate signal config
+   * @param {object} config - Signal configuration
+   * @returns {string[]} Errors
+   */
+  signalConfig(config) {
+    const v = new ConfigValidator();
+
+    // Timed phases
+    v.number('GREEN_SEC', config.GREEN_SEC, { min: 1, max: 60 });
+    v.number('AMBER_SEC', config.AMBER_SEC, { min: 0.5, max: 10 });
+    v.number('ALL_RED_SEC', config.ALL_RED_SEC, { min: 0, max: 10 });
+
+    // Approach
+    v.number('STOP_LINE_PROG', config.STOP_LINE_PROG, { min: 0.5, max: 0.95 });
+    v.number('SLOW_FROM_PROG', config.SLOW_FROM_PROG, { min: 0, max: 0.95 });
+    v.number('APPROACH_SLOW_MULT', config.APPROACH_SLOW_MULT, { min: 0.1, max: 1 });
+    v.number('STOP_PAUSE_SEC', config.STOP_PAUSE_SEC, { min: 0, max: 5 });
+    v.number('CLAIM_SEC', config.CLAIM_SEC, { min: 0.1, max: 5 });
+    v.number('MAJOR_LOOK_PX', config.MAJOR_LOOK_PX, { min: 0, max: 500 });
+    v.number('QUEUE_DROP_PX', config.QUEUE_DROP_PX, { min: 10, max: 500 });
+
+    if (config.SLOW_FROM_PROG >= config.STOP_LINE_PROG) {
+      v.error('SLOW_FROM_PROG must be < STOP_LINE_PROG');
+    }
+
+    return v.getErrors();
+  },
+
+  /**
+   * Validate ghost config
+   * @param {object} config - Ghost (run trace) configuration
+   * @returns {string[]} Errors
+   */
+  ghostConfig(config) {
+    const v = new ConfigValidator();
+
+    v.number('SAMPLE_MS', config.SAMPLE_MS, { min: 16, max: 1000 });
+    v.number('MAX_SAMPLES', config.MAX_SAMPLES, { min: 10, max: 20000, integer: true });
+    v.number('KEEP_RUNS', config.KEEP_RUNS, { min: 1, max: 20, integer: true });
+    v.number('RACE_ALPHA', config.RACE_ALPHA, { min: 0.05, max: 1 });
+    v.number('WATCH_ALPHA', config.WATCH_ALPHA, { min: 0.05, max: 1 });
+    v.number('CAR_TINT', config.CAR_TINT, { min: 0, max: 0xFFFFFF, integer: true });
+    v.number('COP_TINT', config.COP_TINT, { min: 0, max: 0xFFFFFF, integer: true });
+
+    // Storage warnings: every sample is kept per saved run
+    if (config.SAMPLE_MS * config.MAX_SAMPLES < 120000) {
+      v.warn('SAMPLE_MS × MAX_SAMPLES < 2 min truncates long APB runs');
+    }
+
+    return v.getErrors();
+  },
+
+  /**
+   * Validate environment config
+   * @param {object} config - Day/night + weather configuration
+   * @returns {string[]} Errors
+   */
+  envConfig(config) {
+    const v = new ConfigValidator();
+
+    // Clock
+    v.number('DAY_LENGTH_SEC', config.DAY_LENGTH_SEC, { min: 10, max: 86400 });
+    v.number('START_HOUR', config.START_HOUR, { min: 0, max: 24 });
+    for (const key of ['DAWN_HOUR', 'DAY_HOUR', 'DUSK_HOUR', 'NIGHT_HOUR']) {
+      v.number(key, config[key], { min: 0, max: 24 });
+    }
+    v.number('MAX_DARKNESS', config.MAX_DARKNESS, { min: 0, max: 1 });
+
+    if (!(config.DAWN_HOUR < config.DAY_HOUR && config.DAY_HOUR <= config.DUSK_HOUR && config.DUSK_HOUR < config.NIGHT_HOUR)) {
+      v.error('Hours must satisfy DAWN_HOUR < DAY_HOUR <= DUSK_HOUR < NIGHT_HOUR');
+    }
+
+    // Weather
+    v.string('START_WEATHER', config.START_WEATHER, { enum: ['clear', 'rain', 'fog', 'snow'] });
+    v.number('WEATHER_MIN_SEC', config.WEATHER_MIN_SEC, { min: 5, max: 3600 });
+    v.number('WEATHER_MAX_SEC', config.WEATHER_MAX_SEC, { min: 5, max: 3600 });
+    if (config.WEATHER_MIN_SEC > config.WEATHER_MAX_SEC) {
+      v.error('WEATHER_MIN_SEC must be <= WEATHER_MAX_SEC');
+    }
+
+    v.object('WEATHER_ODDS', config.WEATHER_ODDS);
+    v.object('WEATHER', config.WEATHER, { required: ['clear', 'rain', 'fog', 'snow'] });
+    for (const [name, w] of Object.entries(config.WEATHER || {})) {
+      v.number(`WEATHER.${name}.grip`, w?.grip, { min: 0.1, max: 2 });
+      v.number(`WEATHER.${name}.turn`, w?.turn, { min: 0.1, max: 2 });
+      v.number(`WEATHER.${name}.spawn`, w?.spawn, { min: 0, max: 2 });
+      v.number(`WEATHER.${name}.reveal`, w?.reveal, { min: 0, max: 3 });
+      v.number(`WEATHER.${name}.fogAlpha`, w?.fogAlpha, { min: 0, max: 1 });
+    }
+
+    // Night multipliers
+    v.number('NIGHT_SPAWN_MULT', config.NIGHT_SPAWN_MULT, { min: 0, max: 2 });
+    v.number('NIGHT_REVEAL_MULT', config.NIGHT_REVEAL_MULT, { min: 0, max: 2 });
+
+    if (config.DAY_LENGTH_SEC < 120) {
+      v.warn('DAY_LENGTH_SEC < 120 flickers between day and night within one APB');
+    }
+
+    return v.getErrors();
+  },
+
+  /**
+   * Validate pedestrian config
+   * @param {object} config - Pedestrian configuration
+   * @returns {string[]} Errors
+   */
+  pedestrianConfig(config) {
+    const v = new ConfigValidator();
+
+    // Spawning
+    v.number('MAX_PEDS', config.MAX_PEDS, { min: 0, max: 200, integer: true });
+    v.number('SPAWN_MS', config.SPAWN_MS, { min: 50, max: 60000 });
+    v.number('PICK_TRIES', config.PICK_TRIES, { min: 1, max: 50, integer: true });
+    v.number('SHOP_DEST_CHANCE', config.SHOP_DEST_CHANCE, { min: 0, max: 1 });
+
+    // Walking
+    v.number('WALK_SPEED', config.WALK_SPEED, { min: 1, max: 100 });
+    v.number('SPEED_JITTER', config.SPEED_JITTER, { min: 0, max: 0.9 });
+    v.number('SIDEWALK_OFFSET', config.SIDEWALK_OFFSET, { min: 0.2, max: 0.5 });
+    v.number('MIN_ROUTE_CELLS', config.MIN_ROUTE_CELLS, { min: 2, max: 100, integer: true });
+    v.number('MAX_ROUTE_CELLS', config.MAX_ROUTE_CELLS, { min: 2, max: 500, integer: true });
+
+    if (config.MIN_ROUTE_CELLS > config.MAX_ROUTE_CELLS) {
+      v.error('MIN_ROUTE_CELLS must be <= MAX_ROUTE_CELLS');
+    }
+
+    // Hits + foot traffic
+    v.number('HIT_RADIUS_PX', config.HIT_RADIUS_PX, { min: 1, max: 30 });
+    v.number('VISIT_WINDOW_SEC', config.VISIT_WINDOW_SEC, { min: 5, max: 3600 });
+
     return v.getErrors();
   }
-};
\ No newline at end of file
+};
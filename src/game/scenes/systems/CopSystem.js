@@ -1,8 +1,21 @@
 // FILE: src/game/scenes/systems/CopSystem.js
-// APB cop chase system with BFS pathfinding, routing, and catch detection
+// APB cop chase system with A* routing (scene.pathService, see ai/path.js)
+// and catch detection.
+// Wanted level (heat.js stars) sets how many units chase, their speed and
+// whether roadblocks drop ahead of the player.
+//
+// Squad roles (SQUAD_ROLES, assigned by unit index):
+//   chaser  – routes straight to the player
+//   flanker – routes to the next intersection along the player's heading
+//   blocker – drives ahead of the player and drops a roadblock there
+// Units share the scene's road graph and avoid cells already claimed by another
+// unit's route, so they spread out instead of queueing on the same path.
+// Roadblocked cells are closed to NPC traffic (see isRoadblocked).
 
 import { BaseSystem } from './BaseSystem.js';
 import { lanePositionFor } from './GridSystem.js';
+import { validate } from './ConfigValidator.js';
+import { NEUTRAL_ENV } from './EnvironmentSystem.js';
 
 const TILE = 28;
 
@@ -20,93 +33,146 @@ export class CopSystem extends BaseSystem {
     COP_SPEED_BOOST: 80,
     COP_SPEED_STACK: 95,
     CAR_ROT_OFFSET: Math.PI / 2,
+    CONTACT_DISTANCE: 28,
+    CONTACT_COOLDOWN_SEC: 3.0,
+    SPAWN_MIN_DIST_PX: 6 * TILE,
+    ROADBLOCK_AHEAD_CELLS: 5,
+    ROADBLOCK_TTL_SEC: 12,
+    ROADBLOCK_MAX: 3,
+    ROADBLOCK_HIT_PX: 12,
+    SQUAD_ROLES: ['chaser', 'flanker', 'blocker', 'flanker'],
+    FLANK_PREDICT_CELLS: 8,
+    FLANK_ABANDON_PX: 3 * TILE,
+    PATH_CLAIM_CELLS: 4,
+    BLOCKER_LEAD_CELLS: 3,
+    BLOCKER_DEPLOY_PX: 10,
   };
 
+  validateConfig(config) {
+    return validate.copConfig(config);
+  }
+
   onInitialize() {
     // Core state
     this.active = false;
-    this.copSpeed = this.config.COP_SPEED_IDLE;
-    
-    // Routing state
-    this.route = null;
-    this.routeIdx = 0;
-    this.nextReplanAt = 0;
-    this.lastDist = Infinity;
-    this.stallSec = 0;
-    this.lastSeenCar = { x: 0, y: 0 };
-    
-    // Road graph for BFS
-    this.roadAdj = new Map();
-    this._buildRoadGraph();
+    this.baseSpeed = this.config.COP_SPEED_IDLE;
+    this.copSpeed = this.baseSpeed;
+    this.wanted = { stars: 0, cops: 1, speedMult: 1, roadblockEverySec: 0 };
     
-    // Sprite references (will be set when sprites are created)
+    // Sprite references (will be set when sprites are created).
+    // Unit 0 uses the scene's cop/copRing; extra units get their own sprites.
     this.cop = null;
     this.copRing = null;
-    this.copRingTween = null;
+    this.units = [];
+
+    // Roadblocks: [{ spr, gx, gy, expiresAt }]
+    this.roadblocks = [];
+    this.nextRoadblockAt = 0;
     
     this.emit('cop:initialized');
   }
 
   onUpdate(time, delta) {
-    if (!this.active || !this.cop || !this.copRing) return;
+    if (!this.active || !this.units.length) return;
     
     const dt = delta / 1000;
+    const nowSec = time / 1000;
     const car = this.scene.car;
     
-    // Check for catch
-    const distNow = Phaser.Math.Distance.Between(car.x, car.y, this.cop.x, this.cop.y);
-    
-    if (distNow < this.config.CATCH_DISTANCE) {
-      this.emit('cop:caught', { 
-        position: { x: car.x, y: car.y },
-        distance: distNow 
-      });
-      return;
+    for (const unit of this.units) {
+      if (!unit.active) continue;
+      const distNow = Phaser.Math.Distance.Between(car.x, car.y, unit.spr.x, unit.spr.y);
+      
+      // Check for catch
+      if (distNow < this.config.CATCH_DISTANCE) {
+        this.emit('cop:caught', { 
+          position: { x: car.x, y: car.y },
+          distance: distNow,
+          unit: unit.id,
+        });
+        return;
+      }
+
+      // Close pass: raises heat, at most once per cooldown per unit
+      if (distNow < this.config.CONTACT_DISTANCE && nowSec >= unit.contactUntil) {
+        unit.contactUntil = nowSec + this.config.CONTACT_COOLDOWN_SEC;
+        this.emit('cop:contact', { position: { x: unit.spr.x, y: unit.spr.y }, unit: unit.id });
+      }
+      
+      this._updateUnit(unit, distNow, nowSec, dt);
     }
-    
+
+    this._updateRoadblocks(nowSec);
+  }
+
+  _updateUnit(unit, distNow, nowSec, dt) {
+    const car = this.scene.car;
+    const goal = this._goalFor(unit, distNow, nowSec);
+    const goalKey = `${goal.gx},${goal.gy}`;
+    const goalChanged = goalKey !== unit.goalKey;
+    unit.goalKey = goalKey;
+    unit.goal = goal;
+
+    // Blocker on station: drop the roadblock, then go back to flanking
+    if (unit.role === 'blocker' && goal.deploy) {
+      const p = this._cellCenter(goal);
+      if (Phaser.Math.Distance.Between(unit.spr.x, unit.spr.y, p.x, p.y) <= this.config.BLOCKER_DEPLOY_PX) {
+        if (this._placeRoadblockAt(goal, nowSec)) {
+          unit.nextDeployAt = nowSec + (this.wanted.roadblockEverySec || 0);
+        } else {
+          unit.nextDeployAt = nowSec + 1.5;
+        }
+        unit.goalKey = null;
+      }
+    }
+
     // Update stall detection
-    if (distNow + 0.5 < this.lastDist) {
-      this.stallSec = 0;
-      this.lastDist = distNow;
+    if (distNow + 0.5 < unit.lastDist) {
+      unit.stallSec = 0;
+      unit.lastDist = distNow;
     } else {
-      this.stallSec += dt;
+      unit.stallSec += dt;
     }
     
     // Check if replanning needed
     const carDelta = Phaser.Math.Distance.Between(
-      this.lastSeenCar.x, 
-      this.lastSeenCar.y, 
+      unit.lastSeenCar.x, 
+      unit.lastSeenCar.y, 
       car.x, 
       car.y
     );
     
-    const nowSec = time / 1000;
     const needReplan =
-      (this.stallSec >= this.config.STALL_SECONDS) ||
-      (this.route && (nowSec >= this.nextReplanAt)) ||
-      (this.route && carDelta >= this.config.CAR_ROUTE_RETARGET);
+      (unit.stallSec >= this.config.STALL_SECONDS) ||
+      (goalChanged && unit.role !== 'chaser') ||
+      (unit.route && (nowSec >= unit.nextReplanAt)) ||
+      (unit.route && carDelta >= this.config.CAR_ROUTE_RETARGET);
     
     if (needReplan) {
-      if (!this._planRouteToCar()) {
-        this.nextReplanAt = nowSec + 0.6;
+      if (!this._planRoute(unit, goal)) {
+        unit.nextReplanAt = nowSec + 0.6;
       } else {
-        this.stallSec = 0;
-        this.lastDist = distNow;
+        unit.stallSec = 0;
+        unit.lastDist = distNow;
       }
     }
     
-    // Follow route or chase directly
-    if (!(this.route && this._followRoute(dt))) {
-      this._directChase(dt);
+    // Follow route or head straight for the goal
+    if (!(unit.route && this._followRoute(unit, dt))) {
+      this._directChase(unit, dt, unit.role === 'chaser' ? car : this._cellCenter(goal));
     }
     
     // Update ring position
-    this.copRing.setPosition(this.cop.x, this.cop.y);
+    unit.ring.setPosition(unit.spr.x, unit.spr.y);
   }
 
   onDestroy() {
     this.hide();
-    this.roadAdj.clear();
+    for (const unit of this.units.slice(1)) {
+      unit.spr.destroy();
+      unit.ring.destroy();
+    }
+    this.units = [];
   }
 
   // Public API
@@ -125,37 +191,13 @@ export class CopSystem extends BaseSystem {
       return false;
     }
     
-    let pos;
-    if (position) {
-      pos = position;
-    } else {
-      pos = this._randomRoadPixel();
-      if (!pos) {
-        const car = this.scene.car;
-        const { gx, gy } = this.scene.gridSystem.pixToCell(car.x, car.y);
-        pos = { x: gx * TILE + TILE / 2, y: gy * TILE + TILE / 2 };
-      }
-    }
-    
-    this.cop.setPosition(pos.x, pos.y).setVisible(true);
-    this.copRing.setPosition(pos.x, pos.y).setVisible(true);
-    
-    this.copRingTween?.stop();
-    this.copRingTween = this.scene.tweens.add({
-      targets: this.copRing,
-      scale: { from: 1, to: 1.25 },
-      alpha: { from: 0.28, to: 0.10 },
-      duration: 700,
-      yoyo: true,
-      repeat: -1,
-      ease: 'Sine.easeInOut',
-    });
-    
     this.active = true;
-    this._resetRoute();
-    this.lastSeenCar = { x: this.scene.car.x, y: this.scene.car.y };
+    this.nextRoadblockAt = this.scene.simNow / 1000 + (this.wanted.roadblockEverySec || 0);
     
-    this.emit('cop:spawned', { position: pos });
+    const count = Math.max(1, this.wanted.cops | 0);
+    for (let i = 0; i < count; i++) {
+      this._spawnUnit(i, i === 0 ? position : null);
+    }
     
     // Refresh entity depths
     this.scene._refreshEntityDepths?.();
@@ -166,18 +208,15 @@ export class CopSystem extends BaseSystem {
   hide() {
     this.active = false;
     
-    if (this.cop) {
-      this.cop.setVisible(false);
-    }
-    if (this.copRing) {
-      this.copRing.setVisible(false);
-    }
-    if (this.copRingTween) {
-      this.copRingTween.stop();
-      this.copRingTween = null;
+    for (const unit of this.units) {
+      unit.active = false;
+      unit.spr.setVisible(false);
+      unit.ring.setVisible(false);
+      unit.ringTween?.stop();
+      unit.ringTween = null;
+      this._resetRoute(unit);
     }
-    
-    this._resetRoute();
+    this._clearRoadblocks();
     
     this.emit('cop:hidden');
   }
@@ -185,118 +224,179 @@ export class CopSystem extends BaseSystem {
   setSpeed(prodState) {
     switch (prodState) {
       case 'stacked':
-        this.copSpeed = this.config.COP_SPEED_STACK;
+        this.baseSpeed = this.config.COP_SPEED_STACK;
         break;
       case 'boosted':
-        this.copSpeed = this.config.COP_SPEED_BOOST;
+        this.baseSpeed = this.config.COP_SPEED_BOOST;
         break;
       default:
-        this.copSpeed = this.config.COP_SPEED_IDLE;
+        this.baseSpeed = this.config.COP_SPEED_IDLE;
         break;
     }
+    this.copSpeed = this.baseSpeed * (this.wanted.speedMult || 1);
+  }
+
+  /**
+   * Applies a WANTED_LEVELS row from heat.js. During a chase, extra units
+   * join when the star count rises; units are never pulled mid-chase.
+   */
+  setWanted(wanted) {
+    const prevStars = this.wanted.stars;
+    this.wanted = { ...this.wanted, ...wanted };
+    this.copSpeed = this.baseSpeed * (this.wanted.speedMult || 1);
+    
+    if (!this.active) return;
+    for (let i = 0; i < (this.wanted.cops | 0); i++) {
+      if (!this.units[i]?.active) this._spawnUnit(i);
+    }
+    if (this.wanted.roadblockEverySec > 0 && this.wanted.stars > prevStars) {
+      this.nextRoadblockAt = Math.min(
+        this.nextRoadblockAt || Infinity,
+        this.scene.simNow / 1000 + this.wanted.roadblockEverySec
+      );
+    }
+    this.scene._refreshEntityDepths?.();
+  }
+
+  /** True while a roadblock sits on the cell (NPC traffic treats it as closed). */
+  isRoadblocked(gx, gy) {
+    return this.roadblocks.some((rb) => rb.gx === gx && rb.gy === gy);
+  }
+
+  /** Sprites in draw order (rings under cops), for depth sorting. */
+  getSprites() {
+    const out = [];
+    for (const rb of this.roadblocks) out.push(rb.spr);
+    for (const unit of this.units) out.push(unit.ring, unit.spr);
+    return out;
   }
 
   isActive() {
     return this.active;
   }
 
+  /** Positions of the units on the street (APB run traces). */
+  getUnitPositions() {
+    return this.units.filter((u) => u.active).map((u) => ({ x: u.spr.x, y: u.spr.y, rotation: u.spr.rotation }));
+  }
+
   // Private methods
-  _buildRoadGraph() {
+  // Cells the other units are about to drive through
+  _claimedCells(except) {
+    const claimed = new Set();
+    for (const u of this.units) {
+      if (u === except || !u.active || !u.route) continue;
+      const end = Math.min(u.route.length, u.routeIdx + this.config.PATH_CLAIM_CELLS);
+      for (let i = u.routeIdx; i < end; i++) claimed.add(`${u.route[i].gx},${u.route[i].gy}`);
+    }
+    return claimed;
+  }
+
+  _planRoute(unit, goal) {
     const grid = this.scene.gridSystem;
-    const adj = new Map();
-    const cellKey = (gx, gy) => `${gx},${gy}`;
+    const car = this.scene.car;
     
-    const add = (a, b) => {
-      const k = cellKey(a.gx, a.gy);
-      if (!adj.has(k)) adj.set(k, []);
-      adj.get(k).push(b);
-    };
+    const start = grid.pixToCell(unit.spr.x, unit.spr.y);
     
-    for (let gy = 0; gy < this.scene.h; gy++) {
-      for (let gx = 0; gx < this.scene.w; gx++) {
-        if (!grid.isRoadCell(gx, gy)) continue;
-        
-        const here = { gx, gy };
-        for (const [dx, dy] of [[1,0], [-1,0], [0,1], [0,-1]]) {
-          const nx = gx + dx, ny = gy + dy;
-          if (grid.isRoadCell(nx, ny)) {
-            add(here, { gx: nx, gy: ny });
-          }
-        }
-      }
+    if (!grid.isRoadCell(start.gx, start.gy) || !grid.isRoadCell(goal.gx, goal.gy)) {
+      return false;
     }
     
-    this.roadAdj = adj;
+    // Prefer a path that stays off the squad's claimed cells; share if there's no other way
+    const avoid = this._claimedCells(unit);
+    avoid.delete(`${start.gx},${start.gy}`);
+    avoid.delete(`${goal.gx},${goal.gy}`);
+    const paths = this.scene.pathService;
+    const opts = { maxExpanded: this.config.ROUTE_MAX_STEPS };
+    const path = (avoid.size && paths.findPath(start, goal, { ...opts, avoid })) || paths.findPath(start, goal, opts);
+    if (!path || path.length < 2) return false;
+    
+    unit.route = path;
+    unit.routeIdx = 1;
+    unit.nextReplanAt = this.scene.simNow / 1000 + this.config.REPLAN_EVERY_SEC;
+    unit.lastSeenCar = { x: car.x, y: car.y };
+    
+    return true;
   }
 
-  _bfsPath(start, goal) {
-    if (!start || !goal) return null;
-    
-    const cellKey = (gx, gy) => `${gx},${gy}`;
-    const sk = cellKey(start.gx, start.gy);
-    const gk = cellKey(goal.gx, goal.gy);
+  // ----- squad goals -----
+  _goalFor(unit, distNow, nowSec) {
+    const grid = this.scene.gridSystem;
+    const car = this.scene.car;
+    const playerCell = grid.pixToCell(car.x, car.y);
     
-    if (sk === gk) return [start];
+    if (unit.role === 'chaser' || distNow < this.config.FLANK_ABANDON_PX) return playerCell;
     
-    const q = [sk];
-    const prev = new Map();
-    prev.set(sk, null);
+    const taken = new Set(
+      this.units.filter((u) => u !== unit && u.active && u.role !== 'chaser' && u.goalKey).map((u) => u.goalKey)
+    );
     
-    let steps = 0;
-    while (q.length && steps < this.config.ROUTE_MAX_STEPS) {
-      const k = q.shift();
-      if (k === gk) break;
-      
-      const neigh = this.roadAdj.get(k) || [];
-      for (const n of neigh) {
-        const nk = cellKey(n.gx, n.gy);
-        if (prev.has(nk)) continue;
-        prev.set(nk, k);
-        q.push(nk);
+    if (unit.role === 'blocker' && (this.wanted.roadblockEverySec || 0) > 0 && nowSec >= unit.nextDeployAt) {
+      const cell = this._cellAhead(this.config.BLOCKER_LEAD_CELLS, this.config.ROADBLOCK_AHEAD_CELLS);
+      if (cell && !taken.has(`${cell.gx},${cell.gy}`) && !this.isRoadblocked(cell.gx, cell.gy)) {
+        return { ...cell, deploy: true };
       }
-      steps++;
     }
     
-    if (!prev.has(gk)) return null;
-    
-    const path = [];
-    for (let cur = gk; cur; cur = prev.get(cur)) {
-      const [gx, gy] = cur.split(',').map(Number);
-      path.push({ gx, gy });
+    // flank: first predicted intersection nobody else is covering
+    for (const cell of this._predictIntersections()) {
+      if (!taken.has(`${cell.gx},${cell.gy}`)) return cell;
     }
-    path.reverse();
-    return path;
+    return playerCell;
   }
 
-  _planRouteToCar() {
+  _heading() {
+    const dir = this.scene.lastCarDir || { x: 1, y: 0 };
+    const dx = Math.sign(dir.x), dy = dx ? 0 : Math.sign(dir.y);
+    return { dx, dy };
+  }
+
+  // Intersections (3+ road neighbours) along the player's heading, nearest first
+  _predictIntersections() {
     const grid = this.scene.gridSystem;
     const car = this.scene.car;
-    
-    const start = grid.pixToCell(this.cop.x, this.cop.y);
-    const goal = grid.pixToCell(car.x, car.y);
-    
-    if (!grid.isRoadCell(start.gx, start.gy) || !grid.isRoadCell(goal.gx, goal.gy)) {
-      return false;
+    const { dx, dy } = this._heading();
+    if (!dx && !dy) return [];
+    
+    let { gx, gy } = grid.pixToCell(car.x, car.y);
+    const out = [];
+    for (let step = 1; step <= this.config.FLANK_PREDICT_CELLS; step++) {
+      gx += dx; gy += dy;
+      if (!grid.isRoadCell(gx, gy)) break;
+      if (step >= 2 && this.scene.pathService.degree(gx, gy) >= 3) out.push({ gx, gy });
     }
-    
-    const path = this._bfsPath(start, goal);
-    if (!path || path.length < 2) return false;
-    
-    this.route = path;
-    this.routeIdx = 1;
-    this.nextReplanAt = this.scene.time.now / 1000 + this.config.REPLAN_EVERY_SEC;
-    this.lastSeenCar = { x: car.x, y: car.y };
-    
-    return true;
+    return out;
+  }
+
+  // Farthest straight road cell between minSteps and maxSteps ahead of the player
+  _cellAhead(minSteps, maxSteps) {
+    const grid = this.scene.gridSystem;
+    const car = this.scene.car;
+    const { dx, dy } = this._heading();
+    if (!dx && !dy) return null;
+    
+    let { gx, gy } = grid.pixToCell(car.x, car.y);
+    let cell = null;
+    for (let step = 1; step <= maxSteps; step++) {
+      gx += dx; gy += dy;
+      if (!grid.isRoadCell(gx, gy)) break;
+      if (step >= minSteps) cell = { gx, gy };
+    }
+    return cell;
   }
 
-  _followRoute(dt) {
-    if (!this.route) return false;
-    if (this.routeIdx >= this.route.length) return false;
+  _cellCenter(cell) {
+    return { x: cell.gx * TILE + TILE / 2, y: cell.gy * TILE + TILE / 2 };
+  }
+
+  _followRoute(unit, dt) {
+    if (!unit.route) return false;
+    if (unit.routeIdx >= unit.route.length) return false;
     
+    const cop = unit.spr;
     const grid = this.scene.gridSystem;
-    const cur = grid.pixToCell(this.cop.x, this.cop.y);
-    const tgt = this.route[this.routeIdx];
+    const cur = grid.pixToCell(cop.x, cop.y);
+    const tgt = unit.route[unit.routeIdx];
     
     const dx = Math.sign(tgt.gx - cur.gx);
     const dy = Math.sign(tgt.gy - cur.gy);
@@ -309,74 +409,179 @@ export class CopSystem extends BaseSystem {
       grid.isRoundaboutCell(tgt.gx, tgt.gy)
     );
     
-    const v = new Phaser.Math.Vector2(pos.x - this.cop.x, pos.y - this.cop.y);
+    const v = new Phaser.Math.Vector2(pos.x - cop.x, pos.y - cop.y);
     const dist = v.length();
     
     if (dist < this.config.WAYPOINT_RADIUS_PX) {
-      this.routeIdx++;
+      unit.routeIdx++;
       return true;
     }
     
     if (dist > 1) {
-      v.normalize().scale(this.copSpeed * dt);
-      const nx = this.cop.x + v.x;
-      const ny = this.cop.y + v.y;
+      v.normalize().scale(this._driveSpeed() * dt);
+      const nx = cop.x + v.x;
+      const ny = cop.y + v.y;
       
-      if (grid.isRoadPixel(nx, this.cop.y)) this.cop.x = nx;
-      if (grid.isRoadPixel(this.cop.x, ny)) this.cop.y = ny;
+      if (grid.isRoadPixel(nx, cop.y)) cop.x = nx;
+      if (grid.isRoadPixel(cop.x, ny)) cop.y = ny;
       
       const angle = Phaser.Math.Angle.Between(0, 0, v.x, v.y);
-      this.cop.setRotation(angle + this.config.CAR_ROT_OFFSET);
+      cop.setRotation(angle + this.config.CAR_ROT_OFFSET);
     }
     
     return true;
   }
 
-  _directChase(dt) {
+  /** copSpeed on the current road surface (wet/snowy streets slow cops too). */
+  _driveSpeed() {
+    return this.copSpeed * (this.scene.envSystem?.getModifiers() || NEUTRAL_ENV).grip;
+  }
+
+  _directChase(unit, dt, target) {
+    const cop = unit.spr;
     const grid = this.scene.gridSystem;
-    const car = this.scene.car;
     
-    const chase = new Phaser.Math.Vector2(car.x - this.cop.x, car.y - this.cop.y);
+    const chase = new Phaser.Math.Vector2(target.x - cop.x, target.y - cop.y);
     
     if (chase.lengthSq() > 1) {
-      chase.normalize().scale(this.copSpeed * dt);
-      const nx = this.cop.x + chase.x;
-      const ny = this.cop.y + chase.y;
+      chase.normalize().scale(this._driveSpeed() * dt);
+      const nx = cop.x + chase.x;
+      const ny = cop.y + chase.y;
       
-      if (grid.isRoadPixel(nx, this.cop.y)) this.cop.x = nx;
-      if (grid.isRoadPixel(this.cop.x, ny)) this.cop.y = ny;
+      if (grid.isRoadPixel(nx, cop.y)) cop.x = nx;
+      if (grid.isRoadPixel(cop.x, ny)) cop.y = ny;
       
       const angle = Phaser.Math.Angle.Between(0, 0, chase.x, chase.y);
-      this.cop.setRotation(angle + this.config.CAR_ROT_OFFSET);
+      cop.setRotation(angle + this.config.CAR_ROT_OFFSET);
     }
   }
 
-  _resetRoute() {
-    this.route = null;
-    this.routeIdx = 0;
-    this.nextReplanAt = 0;
-    this.lastDist = Infinity;
-    this.stallSec = 0;
+  _resetRoute(unit) {
+    unit.route = null;
+    unit.routeIdx = 0;
+    unit.nextReplanAt = 0;
+    unit.lastDist = Infinity;
+    unit.stallSec = 0;
     const car = this.scene.car;
     if (car) {
-      this.lastSeenCar = { x: car.x, y: car.y };
+      unit.lastSeenCar = { x: car.x, y: car.y };
     }
   }
 
-  _randomRoadPixel() {
-    const grid = this.scene.gridSystem;
-    const roads = [];
+  // Unit 0 reuses the scene sprites; others clone their texture/style.
+  _ensureUnit(i) {
+    if (this.units[i]) return this.units[i];
+    let spr = this.cop, ring = this.copRing;
+    if (i > 0) {
+      spr = this.scene.add.image(this.cop.x, this.cop.y, this.cop.texture.key)
+        .setOrigin(0.5).setVisible(false).setDepth(this.cop.depth).setScale(this.cop.scaleX);
+      ring = this.scene.add.circle(spr.x, spr.y, 8, 0xff3355, 0.22)
+        .setStrokeStyle(2, 0xffc0c8, 0.9).setVisible(false).setDepth(this.copRing.depth);
+      this.scene.worldLayer?.add([spr, ring]);
+    }
+    const roles = this.config.SQUAD_ROLES;
+    const unit = {
+      id: i, spr, ring, ringTween: null, active: false, contactUntil: 0,
+      role: roles.length ? roles[i % roles.length] : 'chaser', goal: null, goalKey: null, nextDeployAt: 0,
+      route: null, routeIdx: 0, nextReplanAt: 0, lastDist: Infinity, stallSec: 0, lastSeenCar: { x: 0, y: 0 },
+    };
+    this.units[i] = unit;
+    return unit;
+  }
+
+  _spawnUnit(i, position = null) {
+    const unit = this._ensureUnit(i);
+    const car = this.scene.car;
     
-    for (let y = 0; y < this.scene.h; y++) {
-      for (let x = 0; x < this.scene.w; x++) {
-        if (grid.isRoadCell(x, y)) {
-          roads.push({ x: x * TILE + TILE / 2, y: y * TILE + TILE / 2 });
-        }
+    let pos = position;
+    for (let tries = 0; !pos && tries < 8; tries++) {
+      const p = this._randomRoadPixel();
+      if (!p) break;
+      // later units keep some distance so they don't spawn on the player
+      if (i === 0 || tries === 7 || Phaser.Math.Distance.Between(p.x, p.y, car.x, car.y) >= this.config.SPAWN_MIN_DIST_PX) pos = p;
+    }
+    if (!pos) {
+      const { gx, gy } = this.scene.gridSystem.pixToCell(car.x, car.y);
+      pos = { x: gx * TILE + TILE / 2, y: gy * TILE + TILE / 2 };
+    }
+    
+    unit.spr.setPosition(pos.x, pos.y).setVisible(true);
+    unit.ring.setPosition(pos.x, pos.y).setVisible(true);
+    unit.active = true;
+    unit.contactUntil = 0;
+    unit.goalKey = null;
+    unit.nextDeployAt = this.scene.simNow / 1000 + (this.wanted.roadblockEverySec || 0) / 2;
+    
+    unit.ringTween?.stop();
+    unit.ringTween = this.scene.tweens.add({
+      targets: unit.ring,
+      scale: { from: 1, to: 1.25 },
+      alpha: { from: 0.28, to: 0.10 },
+      duration: 700,
+      yoyo: true,
+      repeat: -1,
+      ease: 'Sine.easeInOut',
+    });
+    
+    this._resetRoute(unit);
+    this.emit('cop:spawned', { position: pos, unit: i });
+  }
+
+  // Roadblocks drop a few cells ahead of the player along their heading
+  _updateRoadblocks(nowSec) {
+    const car = this.scene.car;
+    
+    for (let i = this.roadblocks.length - 1; i >= 0; i--) {
+      const rb = this.roadblocks[i];
+      if (nowSec >= rb.expiresAt) {
+        rb.spr.destroy();
+        this.roadblocks.splice(i, 1);
+        continue;
+      }
+      if (Phaser.Math.Distance.Between(car.x, car.y, rb.spr.x, rb.spr.y) < this.config.ROADBLOCK_HIT_PX) {
+        const position = { x: rb.spr.x, y: rb.spr.y };
+        rb.spr.destroy();
+        this.roadblocks.splice(i, 1);
+        this.emit('cop:roadblockHit', { position });
       }
     }
     
+    // With a blocker in the squad it places them; otherwise dispatch drops them ahead
+    const every = this.wanted.roadblockEverySec || 0;
+    if (every <= 0 || nowSec < this.nextRoadblockAt) return;
+    if (this.units.some((u) => u.active && u.role === 'blocker')) return;
+    const cell = this._cellAhead(2, this.config.ROADBLOCK_AHEAD_CELLS);
+    // retry soon if there was no straight road ahead
+    this.nextRoadblockAt = nowSec + (cell && this._placeRoadblockAt(cell, nowSec) ? every : 1.5);
+  }
+
+  _placeRoadblockAt(cell, nowSec) {
+    if (this.roadblocks.length >= this.config.ROADBLOCK_MAX) return false;
+    if (this.isRoadblocked(cell.gx, cell.gy)) return false;
+    
+    const { dx } = this._heading();
+    const key = this.scene.textures?.exists?.('pm_roadblock') ? 'pm_roadblock' : this.cop.texture.key;
+    const spr = this.scene.add.image(cell.gx * TILE + TILE / 2, cell.gy * TILE + TILE / 2, key)
+      .setOrigin(0.5).setDepth(97).setRotation(dx ? Math.PI / 2 : 0);
+    this.scene.worldLayer?.add(spr);
+    
+    this.roadblocks.push({ spr, gx: cell.gx, gy: cell.gy, expiresAt: nowSec + this.config.ROADBLOCK_TTL_SEC });
+    this.emit('cop:roadblock', { gx: cell.gx, gy: cell.gy });
+    this.scene._refreshEntityDepths?.();
+    return true;
+  }
+
+  _clearRoadblocks() {
+    for (const rb of this.roadblocks) rb.spr.destroy();
+    this.roadblocks = [];
+  }
+
+  _randomRoadPixel() {
+    // graph nodes are the driveable cells; no grid rescan per spawn
+    const roads = [...this.scene.pathService.graph.nodes.values()];
     if (!roads.length) return null;
-    return roads[Math.floor(Math.random() * roads.length)];
+    const { x, y } = this.rng.pick(roads);
+    return { x: x * TILE + TILE / 2, y: y * TILE + TILE / 2 };
   }
 
   // Debug
@@ -385,11 +590,18 @@ export class CopSystem extends BaseSystem {
       ...super.getDebugInfo(),
       active: this.active,
       copSpeed: this.copSpeed,
-      hasRoute: !!this.route,
-      routeLength: this.route?.length || 0,
-      routeProgress: this.routeIdx,
-      stallSec: this.stallSec.toFixed(2),
-      lastDist: this.lastDist.toFixed(1),
+      stars: this.wanted.stars,
+      units: this.units.filter((u) => u.active).map((u) => ({
+        id: u.id,
+        role: u.role,
+        goal: u.goalKey,
+        hasRoute: !!u.route,
+        routeLength: u.route?.length || 0,
+        routeProgress: u.routeIdx,
+        stallSec: u.stallSec.toFixed(2),
+        lastDist: u.lastDist.toFixed(1),
+      })),
+      roadblocks: this.roadblocks.length,
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,205 @@
+// FILE: src/game/scenes/systems/EnvironmentSystem.js
+// Time of day + weather for the city, both on the sim clock
+// - Clock: START_HOUR at sim time 0, one day every DAY_LENGTH_SEC; darkness
+//   ramps in over dusk and out over dawn
+// - Weather: clear | rain | fog | snow, each lasting WEATHER_MIN–MAX_SEC; the
+//   next state is rolled from this system's seeded stream, so a run's weather
+//   replays from its seed (getState/setState carry it across recordings)
+// - getModifiers(): what the rest of the sim reads
+//     grip    player/NPC/cop speed multiplier
+//     turn    NPC turn + player lane-snap multiplier
+//     spawn   NPC spawn-rate multiplier (fewer cars at night)
+//     reveal  RevealSystem reach multiplier
+//     fogAlpha fog-of-war density
+// - Emits 'env:weatherChanged' and 'env:phaseChanged' (dawn/day/dusk/night).
+// RenderSystem.drawEnvironment() draws the lighting, headlights and weather;
+// cityEconomy reads getHour() through window.__pmCityClock.
+
+import { BaseSystem } from './BaseSystem.js';
+import { validate } from './ConfigValidator.js';
+
+export const WEATHERS = ['clear', 'rain', 'fog', 'snow'];
+
+/** Modifiers for a scene without an environment (or before it is ready). */
+export const NEUTRAL_ENV = Object.freeze({
+  grip: 1, turn: 1, spawn: 1, reveal: 1, fogAlpha: 0.55, darkness: 0,
+});
+
+export class EnvironmentSystem extends BaseSystem {
+  static dependencies = ['grid'];
+
+  static defaultConfig = {
+    DAY_LENGTH_SEC: 600,   // one in-game day per 10 minutes of sim time
+    START_HOUR: 9,
+    DAWN_HOUR: 5,          // darkness fades out from here…
+    DAY_HOUR: 7,           // …to full daylight
+    DUSK_HOUR: 18,         // darkness fades in from here…
+    NIGHT_HOUR: 20,        // …to full night
+    MAX_DARKNESS: 0.6,     // overlay alpha at full night
+
+    START_WEATHER: 'clear',
+    WEATHER_MIN_SEC: 60,
+    WEATHER_MAX_SEC: 180,
+    WEATHER_ODDS: { clear: 0.55, rain: 0.2, fog: 0.15, snow: 0.1 },
+    WEATHER: {
+      clear: { grip: 1.0,  turn: 1.0,  spawn: 1.0, reveal: 1.0,  fogAlpha: 0.55 },
+      rain:  { grip: 0.85, turn: 0.75, spawn: 0.9, reveal: 0.9,  fogAlpha: 0.6 },
+      fog:   { grip: 0.95, turn: 0.9,  spawn: 0.9, reveal: 0.45, fogAlpha: 0.72 },
+      snow:  { grip: 0.7,  turn: 0.6,  spawn: 0.7, reveal: 0.75, fogAlpha: 0.62 },
+    },
+
+    NIGHT_SPAWN_MULT: 0.5,   // spawn rate at full night
+    NIGHT_REVEAL_MULT: 0.75, // reveal reach at full night
+  };
+
+  validateConfig(config) {
+    return validate.envConfig(config);
+  }
+
+  onInitialize() {
+    this.nowSec = 0;
+    this.weather = WEATHERS.includes(this.config.START_WEATHER) ? this.config.START_WEATHER : 'clear';
+    this.weatherUntil = this._rollDuration();
+    this.phase = this._phaseAt(this.getHour());
+    this.mods = this._computeModifiers();
+
+    if (typeof window !== 'undefined') {
+      window.__pmCityClock = { getHour: () => this.getHour() };
+    }
+
+    this.emit('env:initialized', { hour: this.getHour(), weather: this.weather });
+  }
+
+  onUpdate(time) {
+    this.nowSec = time / 1000;
+
+    while (this.nowSec >= this.weatherUntil) {
+      const prev = this.weather;
+      this.weather = this._rollWeather();
+      this.weatherUntil += this._rollDuration();
+      if (this.weather !== prev) this.emit('env:weatherChanged', { weather: this.weather, prev });
+    }
+
+    const phase = this._phaseAt(this.getHour());
+    if (phase !== this.phase) {
+      this.phase = phase;
+      this.emit('env:phaseChanged', { phase });
+    }
+
+    this.mods = this._computeModifiers();
+  }
+
+  onDestroy() {
+    if (typeof window !== 'undefined' && window.__pmCityClock?.getHour) {
+      delete window.__pmCityClock;
+    }
+  }
+
+  // ----- clock -----
+
+  /** Hour of day, 0–24 (fractional). */
+  getHour() {
+    const c = this.config;
+    return (c.START_HOUR + (this.nowSec / c.DAY_LENGTH_SEC) * 24) % 24;
+  }
+
+  /** "HH:MM" for the HUD. */
+  getClockLabel() {
+    const h = this.getHour();
+    const mins = Math.floor((h % 1) * 60);
+    return `${String(Math.floor(h)).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+  }
+
+  getPhase() {
+    return this.phase;
+  }
+
+  /** Overlay alpha 0..MAX_DARKNESS for the current hour. */
+  getDarkness() {
+    return this.config.MAX_DARKNESS * this._nightness(this.getHour());
+  }
+
+  // 0 = full day, 1 = full night
+  _nightness(h) {
+    const c = this.config;
+    if (h >= c.NIGHT_HOUR || h < c.DAWN_HOUR) return 1;
+    if (h >= c.DUSK_HOUR) return (h - c.DUSK_HOUR) / (c.NIGHT_HOUR - c.DUSK_HOUR);
+    if (h < c.DAY_HOUR) return 1 - (h - c.DAWN_HOUR) / (c.DAY_HOUR - c.DAWN_HOUR);
+    return 0;
+  }
+
+  _phaseAt(h) {
+    const c = this.config;
+    if (h >= c.NIGHT_HOUR || h < c.DAWN_HOUR) return 'night';
+    if (h < c.DAY_HOUR) return 'dawn';
+    if (h < c.DUSK_HOUR) return 'day';
+    return 'dusk';
+  }
+
+  // ----- weather -----
+
+  getWeather() {
+    return this.weather;
+  }
+
+  _rollDuration() {
+    return this.rng.range(this.config.WEATHER_MIN_SEC, this.config.WEATHER_MAX_SEC);
+  }
+
+  _rollWeather() {
+    const odds = this.config.WEATHER_ODDS;
+    const total = WEATHERS.reduce((s, w) => s + (odds[w] || 0), 0);
+    let r = this.rng.next() * total;
+    for (const w of WEATHERS) {
+      r -= odds[w] || 0;
+      if (r < 0) return w;
+    }
+    return 'clear';
+  }
+
+  /** Weather state a recorded run starts from. */
+  getState() {
+    return { weather: this.weather, until: this.weatherUntil };
+  }
+
+  setState(state) {
+    if (!state || !WEATHERS.includes(state.weather)) return;
+    const prev = this.weather;
+    this.weather = state.weather;
+    this.weatherUntil = Number(state.until) || 0;
+    this.mods = this._computeModifiers();
+    if (this.weather !== prev) this.emit('env:weatherChanged', { weather: this.weather, prev });
+  }
+
+  // ----- modifiers -----
+
+  /** Current gameplay modifiers (refreshed once per step). */
+  getModifiers() {
+    return this.mods;
+  }
+
+  _computeModifiers() {
+    const c = this.config;
+    const w = c.WEATHER[this.weather] || c.WEATHER.clear;
+    const night = this._nightness(this.getHour());
+    return {
+      grip: w.grip,
+      turn: w.turn,
+      spawn: w.spawn * (1 - (1 - c.NIGHT_SPAWN_MULT) * night),
+      reveal: w.reveal * (1 - (1 - c.NIGHT_REVEAL_MULT) * night),
+      fogAlpha: w.fogAlpha,
+      darkness: c.MAX_DARKNESS * night,
+    };
+  }
+
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      clock: this.getClockLabel(),
+      phase: this.phase,
+      weather: this.weather,
+      weatherUntil: this.weatherUntil,
+      mods: this.mods,
+    };
+  }
+}
@@ -0,0 +1,234 @@
+// FILE: src/game/scenes/systems/GhostSystem.js
+// APB run traces and their playback (storage: modules/apbRuns.js)
+// - Recording: during an APB, samples the player car and every cop unit on
+//   the street each SAMPLE_MS of sim time, plus every pickup
+// - Watch: plays a saved run back (ghost car, cops, pickup pops); the scene
+//   follows the ghost and holds the player still
+// - Race: a translucent ghost of the slot's best run drives alongside the
+//   next APB, on the same run clock
+// Emits 'ghost:saved', 'ghost:watchStarted' and 'ghost:watchEnded'.
+
+import { BaseSystem } from './BaseSystem.js';
+import { validate } from './ConfigValidator.js';
+import { saveRun, MAX_RUNS } from '../../../modules/apbRuns';
+
+const ROT_OFFSET = Math.PI / 2; // sprites face up
+
+export class GhostSystem extends BaseSystem {
+  static dependencies = ['grid'];
+
+  static defaultConfig = {
+    SAMPLE_MS: 100,        // playback interpolates between samples
+    MAX_SAMPLES: 3000,     // 5 minutes at 100ms
+    KEEP_RUNS: MAX_RUNS,
+    RACE_ALPHA: 0.4,
+    WATCH_ALPHA: 0.85,
+    CAR_TINT: 0xb8f3ff,
+    COP_TINT: 0x9fb4ff,
+  };
+
+  validateConfig(config) {
+    return validate.ghostConfig(config);
+  }
+
+  onInitialize() {
+    this.trace = null;    // { startedAt, nextAt, frames, pickups } while recording
+    this.playback = null; // { run, mode, startedAt, idx, pickIdx, hits, car, cops, done }
+
+    this.emit('ghost:initialized');
+  }
+
+  onUpdate(time) {
+    if (this.trace) this._sample(time);
+    if (this.playback) this._play(time);
+  }
+
+  onDestroy() {
+    this.trace = null;
+    this.stop();
+  }
+
+  // ----- recording -----
+
+  startRecording() {
+    const now = this.scene.simNow;
+    this.trace = { startedAt: now, nextAt: now, frames: [], pickups: [] };
+  }
+
+  isRecording() {
+    return !!this.trace;
+  }
+
+  notePickup(x, y, coins) {
+    const tr = this.trace;
+    if (!tr) return;
+    tr.pickups.push([Math.round(this.scene.simNow - tr.startedAt), Math.round(x), Math.round(y), coins | 0]);
+  }
+
+  _sample(now, force = false) {
+    const tr = this.trace;
+    if (tr.frames.length >= this.config.MAX_SAMPLES) return;
+    if (!force && now < tr.nextAt) return;
+    while (tr.nextAt <= now) tr.nextAt += this.config.SAMPLE_MS;
+
+    const car = this.scene.car;
+    const frame = [Math.round(now - tr.startedAt), Math.round(car.x), Math.round(car.y)];
+    for (const p of this.scene.copSystem?.getUnitPositions() || []) {
+      frame.push(Math.round(p.x), Math.round(p.y));
+    }
+    tr.frames.push(frame);
+  }
+
+  /**
+   * Ends the recording and stores the run for `slotId`.
+   * @returns {{ run: object, isBest: boolean } | null}
+   */
+  finishRecording(slotId, stats) {
+    if (!this.trace) return null;
+    this._sample(this.scene.simNow, true); // last frame = where the run ended
+    const { frames, pickups } = this.trace;
+    this.trace = null;
+
+    const run = {
+      id: `apb_${Date.now().toString(36)}`,
+      at: Date.now(),
+      stats: {
+        result: stats.result,
+        durationSec: stats.durationSec | 0,
+        hits: stats.hits | 0,
+        total: stats.total | 0,
+        stars: stats.stars | 0,
+      },
+      sampleMs: this.config.SAMPLE_MS,
+      frames,
+      pickups,
+    };
+    const { isBest } = saveRun(slotId, run, { keep: this.config.KEEP_RUNS });
+    this.emit('ghost:saved', { run, isBest });
+    return { run, isBest };
+  }
+
+  cancelRecording() {
+    this.trace = null;
+  }
+
+  // ----- playback -----
+
+  /** Plays `run` back on its own; the scene follows the ghost car. */
+  watch(run) {
+    return this._start(run, 'watch');
+  }
+
+  /** Ghost of `run` alongside the current APB. */
+  race(run) {
+    return this._start(run, 'race');
+  }
+
+  isWatching() {
+    return this.playback?.mode === 'watch';
+  }
+
+  /** Pickups the race ghost had made by now, or null when not racing. */
+  getRaceHits() {
+    return this.playback?.mode === 'race' ? this.playback.hits : null;
+  }
+
+  stop() {
+    const pb = this.playback;
+    if (!pb) return;
+    this.playback = null;
+    pb.car.destroy();
+    for (const spr of pb.cops) spr.destroy();
+    if (pb.mode === 'watch') this.emit('ghost:watchEnded', { run: pb.run });
+  }
+
+  getSprites() {
+    const pb = this.playback;
+    return pb ? [...pb.cops, pb.car] : [];
+  }
+
+  _start(run, mode) {
+    this.stop();
+    if (!run?.frames?.length || !this.scene.car) return false;
+
+    const alpha = mode === 'watch' ? this.config.WATCH_ALPHA : this.config.RACE_ALPHA;
+    this.playback = {
+      run,
+      mode,
+      startedAt: this.scene.simNow,
+      idx: 0,
+      pickIdx: 0,
+      hits: 0,
+      car: this._ghostOf(this.scene.car, alpha, this.config.CAR_TINT),
+      cops: [],
+      done: false,
+    };
+    this._play(this.scene.simNow);
+    this.scene._refreshEntityDepths?.();
+
+    if (mode === 'watch') this.emit('ghost:watchStarted', { run, target: this.playback.car });
+    return true;
+  }
+
+  _ghostOf(src, alpha, tint) {
+    const spr = this.scene.add.image(src.x, src.y, src.texture.key)
+      .setOrigin(0.5).setScale(src.scaleX).setAlpha(alpha).setTint(tint).setDepth(src.depth - 1);
+    this.scene.worldLayer?.add(spr);
+    return spr;
+  }
+
+  _play(now) {
+    const pb = this.playback;
+    if (pb.done) return;
+    const { frames, pickups = [] } = pb.run;
+    const t = now - pb.startedAt;
+
+    while (pb.idx < frames.length - 1 && frames[pb.idx + 1][0] <= t) pb.idx++;
+    const a = frames[pb.idx];
+    const b = frames[Math.min(pb.idx + 1, frames.length - 1)];
+    const k = b[0] > a[0] ? Math.min(1, Math.max(0, (t - a[0]) / (b[0] - a[0]))) : 1;
+
+    this._place(pb.car, a[1], a[2], b[1], b[2], k);
+
+    // cops: units present in both samples glide, a unit that just joined snaps
+    const n = (a.length - 3) / 2;
+    for (let i = 0; i < n; i++) {
+      if (!pb.cops[i]) {
+        const alpha = pb.mode === 'watch' ? this.config.WATCH_ALPHA : this.config.RACE_ALPHA;
+        pb.cops[i] = this._ghostOf(this.scene.cop || this.scene.car, alpha, this.config.COP_TINT);
+        this.scene._refreshEntityDepths?.();
+      }
+      const j = 3 + i * 2;
+      const hasB = b.length > j + 1;
+      this._place(pb.cops[i], a[j], a[j + 1], hasB ? b[j] : a[j], hasB ? b[j + 1] : a[j + 1], k);
+      pb.cops[i].setVisible(true);
+    }
+    for (let i = n; i < pb.cops.length; i++) pb.cops[i].setVisible(false);
+
+    while (pb.pickIdx < pickups.length && pickups[pb.pickIdx][0] <= t) {
+      const [, x, y, coins] = pickups[pb.pickIdx++];
+      pb.hits += 1;
+      if (pb.mode === 'watch') this.scene.makePopup?.(x, y - 10, `+${coins}`, 0xffea76);
+    }
+
+    if (t >= frames[frames.length - 1][0]) {
+      // a watched run ends; the race ghost parks where its run ended
+      if (pb.mode === 'watch') this.stop();
+      else pb.done = true;
+    }
+  }
+
+  _place(spr, ax, ay, bx, by, k) {
+    spr.setPosition(ax + (bx - ax) * k, ay + (by - ay) * k);
+    if (bx !== ax || by !== ay) spr.setRotation(Math.atan2(by - ay, bx - ax) + ROT_OFFSET);
+  }
+
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      recording: !!this.trace,
+      samples: this.trace?.frames.length || 0,
+      playback: this.playback?.mode || null,
+    };
+  }
+}
@@ -6,6 +6,11 @@ import { BaseSystem } from './BaseSystem.js';
 
 const TILE = 28;
 const LANE_OFFSET = Math.round(TILE * 0.18);
+// Avenues: lane 0 = curb lane, lane 1 = passing lane next to the centre line
+const AVENUE_LANE_OFFSETS = [Math.round(TILE * 0.36), Math.round(TILE * 0.12)];
+
+/** Lanes per direction by tile kind (anything not listed has one). */
+export const TILE_LANES = { avenue: 2 };
 const NO_UTURN_NEAR_RB_CELLS = 1;
 
 /**
@@ -48,22 +53,24 @@ function normBase(cell) {
 }
 
 /**
- * Get lane position for a given cell and direction
+ * Get lane position for a given cell and direction.
+ * `lane` picks an avenue lane (0 curb, 1 passing); null = the single lane.
  */
-export function lanePositionFor(gx, gy, dir, isRoundabout) {
+export function lanePositionFor(gx, gy, dir, isRoundabout, lane = null) {
   const cx = gx * TILE + TILE / 2; // Grid-relative (no PADDING)
   const cy = gy * TILE + TILE / 2;
 
   // Regular roads: offset to create two lanes (US right-hand traffic)
   if (!isRoundabout) {
+    const off = lane == null ? LANE_OFFSET : AVENUE_LANE_OFFSETS[lane] ?? LANE_OFFSET;
     // For horizontal roads (moving east/west)
     if (Math.abs(dir.x) > 0) {
-      const yOffset = dir.x > 0 ? LANE_OFFSET : -LANE_OFFSET;
+      const yOffset = dir.x > 0 ? off : -off;
       return { x: cx, y: cy + yOffset };
     }
     // For vertical roads (moving north/south)
     else {
-      const xOffset = dir.y > 0 ? -LANE_OFFSET : LANE_OFFSET;
+      const xOffset = dir.y > 0 ? -off : off;
       return { x: cx + xOffset, y: cy };
     }
   }
@@ -125,13 +132,35 @@ export class GridSystem extends BaseSystem {
   isRoadTile(gx, gy) {
     if (gy < 0 || gy >= this.scene.h || gx < 0 || gx >= this.scene.w) return false;
     const b = normBase(this.scene.grid[gy]?.[gx]);
-    return b === "road" || b === "avenue" || b === "roundabout";
+    return b === "road" || b === "avenue" || b === "roundabout" || b === "signal";
   }
 
   isRoundaboutCell(gx, gy) {
     return normBase(this.scene.grid[gy]?.[gx]) === "roundabout";
   }
 
+  isSignalCell(gx, gy) {
+    return normBase(this.scene.grid[gy]?.[gx]) === "signal";
+  }
+
+  // Normalized tile kind ("road", "house", "shop", … or "empty")
+  tileKind(gx, gy) {
+    if (!this.isInsideGrid(gx, gy)) return "empty";
+    return normBase(this.scene.grid[gy]?.[gx]);
+  }
+
+  // ========== LANES ==========
+
+  laneCount(gx, gy) {
+    return TILE_LANES[this.tileKind(gx, gy)] || 1;
+  }
+
+  /** Lane position in a cell; `lane` only matters where there are several. */
+  lanePoint(gx, gy, dir, lane = 0) {
+    const multi = this.laneCount(gx, gy) > 1;
+    return lanePositionFor(gx, gy, dir, this.isRoundaboutCell(gx, gy), multi ? Math.min(lane, this.laneCount(gx, gy) - 1) : null);
+  }
+
   roadNeighbors(gx, gy) {
     return {
       n: this.isRoadTile(gx, gy - 1),
@@ -147,7 +176,48 @@ export class GridSystem extends BaseSystem {
     const vert = nb.n || nb.s;
     if (horiz && !vert) return "h";
     if (vert && !horiz) return "v";
-    return Math.random() < 0.5 ? "h" : "v";
+    // ambiguous cells: fixed checkerboard so queries stay pure (replays)
+    return (gx + gy) % 2 === 0 ? "h" : "v";
+  }
+
+  // ========== JUNCTIONS ==========
+
+  /**
+   * Junction info for a plain intersection cell, or null.
+   * A junction is a non-roundabout road cell with 3+ road neighbours, or any
+   * "signal" tile (a placed signal overrides the automatic rules).
+   * axes.h / axes.v: "avenue" | "road" | null (no approach on that axis)
+   */
+  junctionAt(gx, gy) {
+    if (!this.isRoadTile(gx, gy) || this.isRoundaboutCell(gx, gy)) return null;
+    const nb = this.roadNeighbors(gx, gy);
+    const ways = [nb.n, nb.s, nb.w, nb.e].filter(Boolean).length;
+    const signal = this.isSignalCell(gx, gy);
+    if (ways < 3 && !signal) return null;
+
+    const axisKind = (a, b, ca, cb) => {
+      if (!a && !b) return null;
+      const av = (a && this.tileKind(ca.x, ca.y) === "avenue") || (b && this.tileKind(cb.x, cb.y) === "avenue");
+      return av ? "avenue" : "road";
+    };
+    return {
+      gx, gy, ways, signal, nb,
+      axes: {
+        h: axisKind(nb.w, nb.e, { x: gx - 1, y: gy }, { x: gx + 1, y: gy }),
+        v: axisKind(nb.n, nb.s, { x: gx, y: gy - 1 }, { x: gx, y: gy + 1 }),
+      },
+    };
+  }
+
+  junctionCells() {
+    const out = [];
+    for (let gy = 0; gy < this.scene.h; gy++) {
+      for (let gx = 0; gx < this.scene.w; gx++) {
+        const j = this.junctionAt(gx, gy);
+        if (j) out.push(j);
+      }
+    }
+    return out;
   }
 
   isRoundaboutNeighbor(gx, gy) {
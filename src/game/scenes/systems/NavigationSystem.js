@@ -8,6 +8,18 @@ const TILE = 28;
 const TRAFFIC_SIDE = "right";
 const CAR_ROT_OFFSET = Math.PI / 2;
 
+// Lane position (for `dir`) closest to (x, y) when a cell has several lanes
+function nearestLanePos(gx, gy, dir, x, y, lanes) {
+  if (!(lanes > 1)) return lanePositionFor(gx, gy, dir, false);
+  let best = null, bestD = Infinity;
+  for (let lane = 0; lane < lanes; lane++) {
+    const p = lanePositionFor(gx, gy, dir, false, lane);
+    const d = Math.abs(dir.x) > 0 ? Math.abs(p.y - y) : Math.abs(p.x - x);
+    if (d < bestD) { bestD = d; best = p; }
+  }
+  return best;
+}
+
 /**
  * NavigationSystem handles direction calculations, turns, and lane positioning
  */
@@ -111,21 +123,23 @@ export class NavigationSystem {
    * @param {number} gy - Grid Y
    * @param {object} dir - Direction {x, y}
    * @param {number} t - Progress (0-1) through the cell
+   * @param {number} lane - Lane index on multi-lane cells (0 = curb)
    * @returns {object} {x, y} position along lane
    */
-  lanePointInCell(gx, gy, dir, t) {
+  lanePointInCell(gx, gy, dir, t, lane = 0) {
     const baseX = gx * TILE;  // Grid-relative
     const baseY = gy * TILE;
+    const p = this.scene.gridSystem.lanePoint(gx, gy, dir, lane);
     
     if (Math.abs(dir.x) > 0) {
       // Horizontal movement
-      const laneY = lanePositionFor(gx, gy, dir, false).y;
+      const laneY = p.y;
       const x0 = dir.x > 0 ? baseX : baseX + TILE;
       const x1 = dir.x > 0 ? baseX + TILE : baseX;
       return { x: x0 + (x1 - x0) * t, y: laneY };
     } else {
       // Vertical movement
-      const laneX = lanePositionFor(gx, gy, dir, false).x;
+      const laneX = p.x;
       const y0 = dir.y > 0 ? baseY : baseY + TILE;
       const y1 = dir.y > 0 ? baseY + TILE : baseY;
       return { x: laneX, y: y0 + (y1 - y0) * t };
@@ -133,16 +147,10 @@ export class NavigationSystem {
   }
 
   /**
-   * Snap a position to the correct lane
+   * Snap a position to the nearest lane for the direction
    */
   laneSnapPoint(gx, gy, dir, x, y) {
-    if (Math.abs(dir.x) > 0) {
-      const ly = lanePositionFor(gx, gy, dir, false).y;
-      return { x, y: ly };
-    } else {
-      const lx = lanePositionFor(gx, gy, dir, false).x;
-      return { x: lx, y };
-    }
+    return laneSnapPoint(gx, gy, dir, x, y, this.scene.gridSystem.laneCount(gx, gy));
   }
 
   /**
@@ -198,30 +206,27 @@ export class NavigationSystem {
 }
 
 // Export standalone helper functions for use throughout the codebase
-export function lanePointInCell(gx, gy, dir, t) {
+export function lanePointInCell(gx, gy, dir, t, lane = null) {
   const baseX = gx * TILE;
   const baseY = gy * TILE;
   if (Math.abs(dir.x) > 0) {
-    const laneY = lanePositionFor(gx, gy, dir, false).y;
+    const laneY = lanePositionFor(gx, gy, dir, false, lane).y;
     const x0 = dir.x > 0 ? baseX : baseX + TILE;
     const x1 = dir.x > 0 ? baseX + TILE : baseX;
     return { x: x0 + (x1 - x0) * t, y: laneY };
   } else {
-    const laneX = lanePositionFor(gx, gy, dir, false).x;
+    const laneX = lanePositionFor(gx, gy, dir, false, lane).x;
     const y0 = dir.y > 0 ? baseY : baseY + TILE;
     const y1 = dir.y > 0 ? baseY + TILE : baseY;
     return { x: laneX, y: y0 + (y1 - y0) * t };
   }
 }
 
-export function laneSnapPoint(gx, gy, dir, x, y) {
-  if (Math.abs(dir.x) > 0) {
-    const ly = lanePositionFor(gx, gy, dir, false).y;
-    return { x, y: ly };
-  } else {
-    const lx = lanePositionFor(gx, gy, dir, false).x;
-    return { x: lx, y };
-  }
+/** Snap to the nearest of `lanes` lanes (pass GridSystem.laneCount). */
+export function laneSnapPoint(gx, gy, dir, x, y, lanes = 1) {
+  const p = nearestLanePos(gx, gy, dir, x, y, lanes);
+  if (Math.abs(dir.x) > 0) return { x, y: p.y };
+  return { x: p.x, y };
 }
 
 export function entryPosition(gx, gy, newDir) {
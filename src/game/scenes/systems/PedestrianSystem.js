@@ -0,0 +1,317 @@
+// FILE: src/game/scenes/systems/PedestrianSystem.js
+// Pedestrians walking between buildings on the sidewalks
+// - A walker leaves a building (house, shop, park, HQ, office) by its road-side
+//   door, follows the shared router's cell route (scene.pathService) along the
+//   curb, SIDEWALK_OFFSET from the cell centre, and goes in at the destination
+// - Junction corners, outside turns and a door across the street are
+//   crossings: while a walker is on one, isCrossingAt(gx, gy) is true and
+//   TrafficSystem holds cars at the line
+// - The player's car knocks down any walker it touches ('ped:hit'; the scene
+//   adds heat)
+// - Walkers reaching a shop count as visits; getShopVisitsPerMin() feeds
+//   cityEconomy's utilization through window.__pmFootTraffic
+// Spawns and routes roll from this system's seeded stream on the sim clock,
+// so APB replays see the same walkers.
+
+import { BaseSystem } from './BaseSystem.js';
+import { validate } from './ConfigValidator.js';
+import { NEUTRAL_ENV } from './EnvironmentSystem.js';
+
+const TILE = 28;
+const ORIGIN_KINDS = ['home', 'house', 'shop', 'park', 'hq', 'office'];
+const DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const PALETTE = [0xf8fafc, 0xfca5a5, 0x93c5fd, 0xfde68a, 0xa7f3d0, 0xd8b4fe];
+
+const keyOf = (gx, gy) => `${gx},${gy}`;
+
+export class PedestrianSystem extends BaseSystem {
+  static dependencies = ['grid'];
+
+  static defaultConfig = {
+    MAX_PEDS: 24,
+    SPAWN_MS: 900,            // one walker per interval while under MAX_PEDS
+    WALK_SPEED: 16,           // px/s
+    SPEED_JITTER: 0.25,       // ± fraction per walker
+    SIDEWALK_OFFSET: 0.42,    // curb distance from the cell centre (× TILE)
+    MIN_ROUTE_CELLS: 2,
+    MAX_ROUTE_CELLS: 30,
+    PICK_TRIES: 6,
+    SHOP_DEST_CHANCE: 0.5,    // share of trips that head for a shop
+    HIT_RADIUS_PX: 6,
+    VISIT_WINDOW_SEC: 60,     // shop visits are counted over this window
+  };
+
+  validateConfig(config) {
+    return validate.pedestrianConfig(config);
+  }
+
+  onInitialize() {
+    this.peds = [];
+    this.spawnCarryMs = 0;
+    this.crossing = new Set(); // "gx,gy" with a walker on a crossing, refreshed each step
+    this.visits = [];          // sim ms of recent shop visits
+    this.pois = null;          // cached building doors; see _poiList
+    this.poisVersion = -1;
+    this.lastCar = null;
+
+    if (typeof window !== 'undefined') {
+      window.__pmFootTraffic = { getShopVisitsPerMin: () => this.getShopVisitsPerMin() };
+    }
+
+    this.emit('ped:initialized');
+  }
+
+  onUpdate(time, delta) {
+    if (!this.scene.pathService || !this.scene.car) return;
+
+    const env = this.scene.envSystem?.getModifiers() || NEUTRAL_ENV;
+    this.spawnCarryMs += delta * env.spawn; // fewer walkers at night / in bad weather
+    while (this.spawnCarryMs >= this.config.SPAWN_MS) {
+      this.spawnCarryMs -= this.config.SPAWN_MS;
+      if (this.peds.length < this.config.MAX_PEDS) this._spawn();
+    }
+
+    const dt = delta / 1000;
+    this.crossing.clear();
+    for (let i = this.peds.length - 1; i >= 0; i--) {
+      const p = this.peds[i];
+      if (this._walk(p, dt, time)) {
+        p.spr.destroy();
+        this.peds.splice(i, 1);
+        continue;
+      }
+      const wp = p.path[p.idx];
+      if (wp?.crossing) this.crossing.add(keyOf(wp.gx, wp.gy));
+    }
+
+    this._checkHits();
+
+    const cutoff = time - this.config.VISIT_WINDOW_SEC * 1000;
+    while (this.visits.length && this.visits[0] < cutoff) this.visits.shift();
+  }
+
+  onDestroy() {
+    this.clear();
+    if (typeof window !== 'undefined' && window.__pmFootTraffic?.getShopVisitsPerMin) {
+      delete window.__pmFootTraffic;
+    }
+  }
+
+  // ----- public API -----
+
+  /** True while a walker is crossing in (or into) this cell. */
+  isCrossingAt(gx, gy) {
+    return this.crossing.has(keyOf(gx, gy));
+  }
+
+  /** Shop visits over the last VISIT_WINDOW_SEC, per minute. */
+  getShopVisitsPerMin() {
+    return (this.visits.length * 60) / this.config.VISIT_WINDOW_SEC;
+  }
+
+  getSprites() {
+    return this.peds.map((p) => p.spr);
+  }
+
+  /** Removes every walker (APB start, layout change). Visit counts stay. */
+  clear() {
+    for (const p of this.peds || []) p.spr.destroy();
+    this.peds = [];
+    this.crossing?.clear();
+    this.spawnCarryMs = 0;
+    this.pois = null;
+    this.lastCar = null;
+  }
+
+  // ----- spawning -----
+
+  // Building tiles next to a road, with the road cell their door opens onto.
+  // Rebuilt whenever the router relinks (builder edits).
+  _poiList() {
+    const paths = this.scene.pathService;
+    if (this.pois && this.poisVersion === paths.version) return this.pois;
+
+    const grid = this.scene.gridSystem;
+    const all = [];
+    const avoid = new Set(); // walkers stay off roundabouts
+    for (let gy = 0; gy < this.scene.h; gy++) {
+      for (let gx = 0; gx < this.scene.w; gx++) {
+        if (grid.isRoundaboutCell(gx, gy)) avoid.add(keyOf(gx, gy));
+        const kind = grid.tileKind(gx, gy);
+        if (!ORIGIN_KINDS.includes(kind)) continue;
+        for (const [dx, dy] of DIRS) {
+          if (grid.isRoadCell(gx + dx, gy + dy) && !grid.isRoundaboutCell(gx + dx, gy + dy)) {
+            all.push({ gx, gy, kind, stop: { gx: gx + dx, gy: gy + dy } });
+            break;
+          }
+        }
+      }
+    }
+    this.pois = { all, shops: all.filter((p) => p.kind === 'shop'), avoid };
+    this.poisVersion = paths.version;
+    return this.pois;
+  }
+
+  _spawn() {
+    const pois = this._poiList();
+    if (pois.all.length < 2) return;
+
+    for (let i = 0; i < this.config.PICK_TRIES; i++) {
+      const from = this.rng.pick(pois.all);
+      const to = pois.shops.length && this.rng.chance(this.config.SHOP_DEST_CHANCE)
+        ? this.rng.pick(pois.shops)
+        : this.rng.pick(pois.all);
+      if (from === to) continue;
+
+      const route = this.scene.pathService.findPath(from.stop, to.stop, { avoid: pois.avoid, congestion: false });
+      const cells = route ? route.length - 1 : -1;
+      if (cells < this.config.MIN_ROUTE_CELLS || cells > this.config.MAX_ROUTE_CELLS) continue;
+
+      const path = this._sidewalkPath(from, to, route);
+      const spr = this.scene.add.image(path[0].x, path[0].y, 'pm_ped')
+        .setOrigin(0.5).setTint(this.rng.pick(PALETTE)).setDepth(90);
+      this.scene.worldLayer?.add(spr);
+
+      const jitter = this.config.SPEED_JITTER;
+      this.peds.push({
+        spr,
+        path,
+        idx: 1,
+        to,
+        speed: this.config.WALK_SPEED * this.rng.range(1 - jitter, 1 + jitter),
+      });
+      this.scene._refreshEntityDepths?.();
+      return;
+    }
+  }
+
+  /**
+   * Waypoints { x, y, gx, gy, crossing } from the start door, along the curb
+   * of every route cell, to the destination door. `crossing` marks the
+   * segment that ends at that point as a walk across the road.
+   */
+  _sidewalkPath(from, to, route) {
+    const grid = this.scene.gridSystem;
+    const off = this.config.SIDEWALK_OFFSET * TILE;
+    const pts = [];
+    const at = (cell, ux, uy, crossing = false) => pts.push({
+      x: cell.gx * TILE + TILE / 2 + ux * off,
+      y: cell.gy * TILE + TILE / 2 + uy * off,
+      gx: cell.gx,
+      gy: cell.gy,
+      crossing,
+    });
+    const door = (b, crossing) => at(b.stop, ((b.gx - b.stop.gx) * TILE) / 2 / off, ((b.gy - b.stop.gy) * TILE) / 2 / off, crossing);
+    const headingAt = (i) => ({ x: route[i + 1].gx - route[i].gx, y: route[i + 1].gy - route[i].gy });
+    const dot = (a, b) => a.x * b.x + a.y * b.y;
+
+    // start on the curb of the building's side (or either side if it faces along the street)
+    door(from, false);
+    const h0 = headingAt(0);
+    const d0 = { x: from.gx - from.stop.gx, y: from.gy - from.stop.gy };
+    let side = dot(d0, h0) === 0 ? d0 : { x: -h0.y, y: h0.x };
+    at(route[0], side.x, side.y);
+
+    for (let i = 1; i < route.length - 1; i++) {
+      const cell = route[i];
+      const hIn = headingAt(i - 1);
+      const hOut = headingAt(i);
+      const junction = !!grid.junctionAt(cell.gx, cell.gy);
+
+      if (hIn.x === hOut.x && hIn.y === hOut.y) {
+        if (junction) {
+          // corner → corner; a crossing if a side street opens on our side
+          at(cell, side.x - hIn.x, side.y - hIn.y);
+          at(cell, side.x + hIn.x, side.y + hIn.y, grid.isRoadTile(cell.gx + side.x, cell.gy + side.y));
+        } else {
+          at(cell, side.x, side.y);
+        }
+        continue;
+      }
+
+      const inside = dot(side, hOut) > 0;
+      if (inside) {
+        // inside of the turn: round the corner on the same block
+        side = { x: -hIn.x, y: -hIn.y };
+        at(cell, hOut.x + side.x, hOut.y + side.y);
+      } else if (junction) {
+        // outside of the turn at a junction: one crossing to the inside curb
+        at(cell, side.x - hIn.x, side.y - hIn.y);
+        side = { x: -hIn.x, y: -hIn.y };
+        at(cell, hOut.x + side.x, hOut.y + side.y, true);
+      } else {
+        // outside of a plain bend: follow the outer curb
+        side = { x: hIn.x, y: hIn.y };
+        at(cell, side.x - hOut.x, side.y - hOut.y);
+      }
+    }
+
+    // last cell: cross over if the destination door is on the other side
+    const last = route[route.length - 1];
+    const d1 = { x: to.gx - last.gx, y: to.gy - last.gy };
+    at(last, side.x, side.y);
+    door(to, dot(d1, side) < 0);
+    return pts;
+  }
+
+  // ----- walking -----
+
+  /** Moves a walker along its path; true once it has gone in at the destination. */
+  _walk(p, dt, now) {
+    let step = p.speed * dt;
+    while (step > 0 && p.idx < p.path.length) {
+      const wp = p.path[p.idx];
+      const dx = wp.x - p.spr.x;
+      const dy = wp.y - p.spr.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist <= step) {
+        p.spr.setPosition(wp.x, wp.y);
+        step -= dist;
+        p.idx++;
+      } else {
+        p.spr.setPosition(p.spr.x + (dx / dist) * step, p.spr.y + (dy / dist) * step);
+        step = 0;
+      }
+    }
+    if (p.idx < p.path.length) return false;
+
+    if (p.to.kind === 'shop') {
+      this.visits.push(now);
+      this.emit('ped:shopVisit', { gx: p.to.gx, gy: p.to.gy });
+    }
+    return true;
+  }
+
+  // The player's car knocks down walkers it drives into (standing still is safe)
+  _checkHits() {
+    const car = this.scene.car;
+    const moved = this.lastCar && (this.lastCar.x !== car.x || this.lastCar.y !== car.y);
+    this.lastCar = { x: car.x, y: car.y };
+    if (!moved) return;
+
+    const r2 = this.config.HIT_RADIUS_PX * this.config.HIT_RADIUS_PX;
+    for (let i = this.peds.length - 1; i >= 0; i--) {
+      const p = this.peds[i];
+      const dx = p.spr.x - car.x;
+      const dy = p.spr.y - car.y;
+      if (dx * dx + dy * dy > r2) continue;
+
+      this.peds.splice(i, 1);
+      const position = { x: p.spr.x, y: p.spr.y };
+      this.scene.tweens.add({
+        targets: p.spr, alpha: 0, angle: 90, duration: 400,
+        onComplete: () => p.spr.destroy(),
+      });
+      this.emit('ped:hit', { position });
+    }
+  }
+
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      peds: this.peds?.length || 0,
+      crossing: this.crossing?.size || 0,
+      shopVisitsPerMin: this.getShopVisitsPerMin(),
+    };
+  }
+}
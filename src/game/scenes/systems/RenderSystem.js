@@ -1,10 +1,12 @@
 // FILE: src/game/scenes/systems/RenderSystem.js
-// World rendering, road drawing, building rendering, and minimap
+// World rendering, road drawing, building rendering, sidewalks + crosswalks,
+// minimap, and the day/night + weather overlay (lighting, headlights, rain/snow)
 
 import {
   getRoadTextureKey,
   getBuildingTextureKey,
 } from "../../../assets/cityAssets.js";
+import { lanePositionFor } from "./GridSystem.js";
 
 const TILE = 28;
 const GRASS_TINT = 0x4a5a3a;
@@ -14,6 +16,29 @@ const MM_PAD = 12;
 const MM_TILE_BASE = 5;
 const MM_SCALES = [2.2, 2.8, 3.6];
 const TOP_UI_OFFSET = 24;
+const LIGHT_COLORS = { green: 0x4ade80, amber: 0xfbbf24, red: 0xf87171 };
+const SIDEWALK_COLOR = 0xcbd5e1;
+const SIDEWALK_PX = 3;
+const NIGHT_COLOR = 0x0a1030;
+const WEATHER_TINTS = {
+  rain: { color: 0x1e293b, alpha: 0.12 },
+  fog:  { color: 0xcbd5e1, alpha: 0.2 },
+  snow: { color: 0xe2e8f0, alpha: 0.1 },
+};
+// Particles per 10k px² of view; vx/vy in px/s
+const WEATHER_FX = {
+  rain: { density: 6, vx: -40, vy: 420, color: 0xa5c8ff, alpha: 0.45, streak: 0.03 },
+  snow: { density: 4, vx: 15, vy: 45, color: 0xffffff, alpha: 0.8, size: 1.2 },
+};
+const MAX_WEATHER_DROPS = 600;
+const HEADLIGHT = { color: 0xfff2b0, alpha: 0.28, length: 34, spread: 0.45 };
+const ROT_OFFSET = Math.PI / 2; // sprites face up
+const APPROACH_DIRS = [
+  { x: 1, y: 0 },
+  { x: -1, y: 0 },
+  { x: 0, y: 1 },
+  { x: 0, y: -1 },
+];
 
 /**
  * Helper: Normalize cell string to base type
@@ -85,6 +110,12 @@ export class RenderSystem {
   constructor(scene) {
     this.scene = scene;
     this.tileSprites = [];
+    this.signalGfx = null;
+    this.sidewalkGfx = null;
+    this.envGfx = null;     // darkness + weather tint
+    this.lightGfx = null;   // headlights (additive)
+    this.weatherGfx = null; // rain/snow
+    this.weatherDrops = [];
   }
 
   // ========== MAIN WORLD RENDERING ==========
@@ -115,6 +146,7 @@ export class RenderSystem {
 
         switch (b) {
           case "road":
+          case "signal":
             this.drawRoadSmart(g, dg, x, y, false);
             break;
           case "avenue":
@@ -161,6 +193,10 @@ export class RenderSystem {
 
     this.scene._mmDirty = true;
 
+    // Sidewalks, then stop lines, signs and lights, over the fresh tile sprites
+    this.drawSidewalks();
+    this.drawSignals();
+
     // After adding tiles, pull entities back to the top of the container
     this.scene._refreshEntityDepths();
   }
@@ -267,6 +303,205 @@ export class RenderSystem {
     }
   }
 
+  // ========== JUNCTION CONTROL ==========
+
+  /**
+   * Curb strips where a road meets a non-road tile (what pedestrians walk on)
+   * and zebra crossings on every arm of a junction.
+   */
+  drawSidewalks() {
+    if (!this.scene.worldLayer) return;
+    if (!this.sidewalkGfx) {
+      this.sidewalkGfx = this.scene.add.graphics().setDepth(3);
+      this.scene.worldLayer.add(this.sidewalkGfx);
+    }
+    const sw = this.sidewalkGfx;
+    sw.clear();
+    this.scene.worldLayer.bringToTop(sw);
+
+    const grid = this.scene.gridSystem;
+    for (let gy = 0; gy < this.scene.h; gy++) {
+      for (let gx = 0; gx < this.scene.w; gx++) {
+        if (!grid.isRoadTile(gx, gy) || grid.isRoundaboutCell(gx, gy)) continue;
+        const x = gx * TILE;
+        const y = gy * TILE;
+        const nb = grid.roadNeighbors(gx, gy);
+
+        sw.fillStyle(SIDEWALK_COLOR, 0.5);
+        if (!nb.n) sw.fillRect(x, y, TILE, SIDEWALK_PX);
+        if (!nb.s) sw.fillRect(x, y + TILE - SIDEWALK_PX, TILE, SIDEWALK_PX);
+        if (!nb.w) sw.fillRect(x, y, SIDEWALK_PX, TILE);
+        if (!nb.e) sw.fillRect(x + TILE - SIDEWALK_PX, y, SIDEWALK_PX, TILE);
+
+        if (!grid.junctionAt(gx, gy)) continue;
+        // zebra across each arm, just inside the junction edge
+        sw.fillStyle(0xffffff, 0.45);
+        for (let i = 0; i < 4; i++) {
+          const t = SIDEWALK_PX + 2 + i * 6;
+          if (nb.n) sw.fillRect(x + t, y + 1, 3, 4);
+          if (nb.s) sw.fillRect(x + t, y + TILE - 5, 3, 4);
+          if (nb.w) sw.fillRect(x + 1, y + t, 4, 3);
+          if (nb.e) sw.fillRect(x + TILE - 5, y + t, 4, 3);
+        }
+      }
+    }
+  }
+
+  /**
+   * Draw stop lines plus a stop sign, yield triangle or signal head for every
+   * controlled approach. Redrawn on 'signal:changed' (light phases).
+   */
+  drawSignals() {
+    const signals = this.scene.signalSystem;
+    if (!this.scene.worldLayer) return;
+    if (!this.signalGfx) {
+      this.signalGfx = this.scene.add.graphics().setDepth(3);
+      this.scene.worldLayer.add(this.signalGfx);
+    }
+    const sg = this.signalGfx;
+    sg.clear();
+    this.scene.worldLayer.bringToTop(sg);
+    if (!signals) return;
+
+    for (const j of signals.getJunctions()) {
+      const cx = j.gx * TILE + TILE / 2;
+      const cy = j.gy * TILE + TILE / 2;
+
+      for (const dir of APPROACH_DIRS) {
+        const rule = signals.approachControl(j.gx, j.gy, dir);
+        // the approach exists only if the cell behind it is road
+        if (!rule || !this.scene.gridSystem.isRoadTile(j.gx - dir.x, j.gy - dir.y)) continue;
+
+        // entry edge midpoint → incoming lane at that edge → curb
+        const ex = cx - (dir.x * TILE) / 2;
+        const ey = cy - (dir.y * TILE) / 2;
+        // avenue approaches: line spans both lanes (curb lane sits at ~0.36 TILE)
+        const multi = this.scene.gridSystem.laneCount(j.gx - dir.x, j.gy - dir.y) > 1;
+        const lane = lanePositionFor(j.gx, j.gy, dir, false, multi ? 0 : null);
+        const reach = multi ? 1.35 : 2;
+        const lx = lane.x - (dir.x * TILE) / 2;
+        const ly = lane.y - (dir.y * TILE) / 2;
+        const kx = ex + (lx - ex) * reach;
+        const ky = ey + (ly - ey) * reach;
+
+        const lineCol = rule === "yield" ? 0xffffff : 0xf5f5f5;
+        sg.lineStyle(2, lineCol, rule === "yield" ? 0.45 : 0.8).lineBetween(ex, ey, kx, ky);
+
+        const mx = kx - dir.x * 3;
+        const my = ky - dir.y * 3;
+        if (rule === "signal") {
+          const light = signals.lightFor(j, dir.x ? "h" : "v");
+          sg.fillStyle(0x111111, 0.9).fillCircle(mx, my, 3);
+          sg.fillStyle(LIGHT_COLORS[light], 1).fillCircle(mx, my, 2);
+        } else if (rule === "stop") {
+          sg.fillStyle(0xdc2626, 1).fillCircle(mx, my, 2.5);
+        } else {
+          sg.fillStyle(0xffffff, 0.9).fillTriangle(mx - 2.5, my - 2, mx + 2.5, my - 2, mx, my + 2.5);
+        }
+      }
+    }
+  }
+
+  // ========== DAY/NIGHT + WEATHER ==========
+
+  /**
+   * Darkness and weather tint over the world, headlights once it gets dark
+   * (or foggy) and rain/snow in view. Called every frame; reads
+   * scene.envSystem. Particles roll from scene.fxRng, never the sim's streams.
+   */
+  drawEnvironment(delta) {
+    const env = this.scene.envSystem;
+    const layer = this.scene.worldLayer;
+    if (!env || !layer) return;
+    if (!this.envGfx) {
+      this.envGfx = this.scene.add.graphics().setDepth(4);
+      this.lightGfx = this.scene.add.graphics().setDepth(4).setBlendMode("ADD");
+      this.weatherGfx = this.scene.add.graphics().setDepth(4);
+      layer.add([this.envGfx, this.lightGfx, this.weatherGfx]);
+    }
+    // above tiles and cars (tiles are re-added on every drawWorld)
+    layer.bringToTop(this.envGfx);
+    layer.bringToTop(this.lightGfx);
+    layer.bringToTop(this.weatherGfx);
+
+    const { darkness } = env.getModifiers();
+    const weather = env.getWeather();
+    const W = this.scene.w * TILE;
+    const H = this.scene.h * TILE;
+
+    const eg = this.envGfx;
+    eg.clear();
+    const tint = WEATHER_TINTS[weather];
+    if (tint) eg.fillStyle(tint.color, tint.alpha).fillRect(0, 0, W, H);
+    if (darkness > 0) eg.fillStyle(NIGHT_COLOR, darkness).fillRect(0, 0, W, H);
+
+    // headlights fade in with the dark; fog turns them on at half strength
+    const lights = Math.max(darkness / (env.config.MAX_DARKNESS || 1), weather === "fog" ? 0.5 : 0);
+    this._drawHeadlights(lights);
+    this._drawWeather(weather, delta);
+  }
+
+  _drawHeadlights(strength) {
+    const lg = this.lightGfx;
+    lg.clear();
+    if (strength < 0.05) return;
+
+    lg.fillStyle(HEADLIGHT.color, HEADLIGHT.alpha * Math.min(1, strength));
+    const cone = (x, y, rotation) => {
+      const a = rotation - ROT_OFFSET;
+      const ax = x + Math.cos(a) * 4;
+      const ay = y + Math.sin(a) * 4;
+      const l = HEADLIGHT.length;
+      lg.fillTriangle(
+        ax, ay,
+        ax + Math.cos(a - HEADLIGHT.spread) * l, ay + Math.sin(a - HEADLIGHT.spread) * l,
+        ax + Math.cos(a + HEADLIGHT.spread) * l, ay + Math.sin(a + HEADLIGHT.spread) * l
+      );
+    };
+
+    const car = this.scene.car;
+    if (car?.visible) cone(car.x, car.y, car.rotation);
+    for (const t of this.scene.trafficSystem?.traffic || []) {
+      if (t?.spr?.visible) cone(t.spr.x, t.spr.y, t.spr.rotation);
+    }
+    for (const p of this.scene.copSystem?.getUnitPositions() || []) cone(p.x, p.y, p.rotation);
+  }
+
+  _drawWeather(weather, delta) {
+    const g = this.weatherGfx;
+    g.clear();
+    const fx = WEATHER_FX[weather];
+    const drops = this.weatherDrops;
+    if (!fx) {
+      drops.length = 0;
+      return;
+    }
+
+    // camera view in worldLayer coordinates; drops wrap around it
+    const view = this.scene.cameras.main.worldView;
+    const ox = view.x - this.scene.worldLayer.x;
+    const oy = view.y - this.scene.worldLayer.y;
+    const vw = Math.max(1, view.width);
+    const vh = Math.max(1, view.height);
+    const want = Math.min(MAX_WEATHER_DROPS, Math.round((fx.density * vw * vh) / 10000));
+
+    const rng = this.scene.fxRng;
+    while (drops.length < want) {
+      drops.push({ x: ox + rng.next() * vw, y: oy + rng.next() * vh, v: rng.range(0.8, 1.2) });
+    }
+    drops.length = want;
+
+    const dt = delta / 1000;
+    if (fx.streak) g.lineStyle(1, fx.color, fx.alpha);
+    else g.fillStyle(fx.color, fx.alpha);
+    for (const d of drops) {
+      d.x = ox + ((((d.x + fx.vx * d.v * dt) - ox) % vw) + vw) % vw;
+      d.y = oy + ((((d.y + fx.vy * d.v * dt) - oy) % vh) + vh) % vh;
+      if (fx.streak) g.lineBetween(d.x, d.y, d.x + fx.vx * fx.streak, d.y + fx.vy * fx.streak);
+      else g.fillCircle(d.x, d.y, fx.size);
+    }
+  }
+
   // ========== TERRAIN & BUILDING RENDERING ==========
 
   /**
@@ -410,6 +645,7 @@ export class RenderSystem {
           let col = 0x1f232a;
 
           if (b === "road") col = 0x3a3a3a;
+          else if (b === "signal") col = 0x4a4636;
           else if (b === "avenue") col = 0x747474;
           else if (b === "roundabout") col = 0x8a6d2b;
           else if (b === "home" || b === "house") col = 0x6b5e4a;
@@ -478,5 +714,14 @@ export class RenderSystem {
       this.tileSprites.forEach((sprite) => sprite.destroy());
     }
     this.tileSprites = [];
+    this.signalGfx?.destroy();
+    this.signalGfx = null;
+    this.sidewalkGfx?.destroy();
+    this.sidewalkGfx = null;
+    this.envGfx?.destroy();
+    this.lightGfx?.destroy();
+    this.weatherGfx?.destroy();
+    this.envGfx = this.lightGfx = this.weatherGfx = null;
+    this.weatherDrops = [];
   }
 }
\ No newline at end of file
@@ -1,8 +1,13 @@
 // FILE: src/game/scenes/systems/RevealSystem.js
 // Fog of war system - tracks exploration and manages visibility
+// Weather and night shrink how far the player reveals and thicken the fog
+// (scene.envSystem, see EnvironmentSystem.js)
+
+import { NEUTRAL_ENV } from "./EnvironmentSystem.js";
 
 const TILE = 28;
 const PADDING = 40;
+const REVEAL_REACH = 1; // cells revealed around the player in clear daylight
 const REVEAL_KEY_BASE = "pm_city_reveal_v2";
 
 /**
@@ -93,7 +98,21 @@ export class RevealSystem {
   }
 
   /**
-   * Reveal the current cell and adjacent cells around the player
+   * Current environment modifiers (neutral before the environment is ready)
+   */
+  envModifiers() {
+    return this.scene.envSystem?.getModifiers() || NEUTRAL_ENV;
+  }
+
+  /**
+   * Reveal reach in cells (Manhattan); 0 = only the cell the player is in
+   */
+  revealReach() {
+    return Math.max(0, Math.round(REVEAL_REACH * this.envModifiers().reveal));
+  }
+
+  /**
+   * Reveal the current cell and the cells within reach around the player
    */
   revealAtCurrentCell(force = false) {
     const { gx, gy } = this.scene.gridSystem.pixToCell(this.scene.car.x, this.scene.car.y);
@@ -106,10 +125,14 @@ export class RevealSystem {
 
     this.lastCellKey = key;
 
-    // Reveal current cell and neighbors
-    let changed = this.markRevealed(gx, gy);
-    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
-      changed = this.markRevealed(gx + dx, gy + dy) || changed;
+    // Reveal current cell and neighbors within reach
+    const reach = this.revealReach();
+    let changed = false;
+    for (let dy = -reach; dy <= reach; dy++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        if (Math.abs(dx) + Math.abs(dy) > reach) continue;
+        changed = this.markRevealed(gx + dx, gy + dy) || changed;
+      }
     }
 
     // Update fog and minimap if anything changed
@@ -129,7 +152,7 @@ export class RevealSystem {
 
     const g = this.fogGfx;
     g.clear();
-    g.fillStyle(0x000000, 0.55);
+    g.fillStyle(0x000000, this.envModifiers().fogAlpha);
 
     for (let y = 0; y < this.scene.h; y++) {
       for (let x = 0; x < this.scene.w; x++) {
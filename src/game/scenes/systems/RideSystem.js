@@ -0,0 +1,342 @@
+// FILE: src/game/scenes/systems/RideSystem.js
+// Taxi / ride jobs on top of modules/rides.js
+// - Self-Drive: a passenger waits at a house or shop; drive there, then follow
+//   the route hint to the destination building
+// - NPC: a hired car (TrafficSystem.spawnRouteCar) drives both legs itself
+// - Routes come from the shared A* service (scene.pathService)
+// - Payout is settled by rides.js (distance × time × damage); the scene pays
+
+import { BaseSystem } from './BaseSystem.js';
+import {
+  getActiveRide,
+  canOfferSelfRide,
+  markOffered,
+  offerSelfRide,
+  requestNpcRide,
+  markPickedUp,
+  addRideDamage,
+  completeRide,
+  failRide,
+  quoteRide,
+} from '../../../modules/rides';
+
+const TILE = 28;
+const PICKUP_KINDS = ['house', 'shop'];
+const DEST_KINDS = ['home', 'house', 'shop', 'hq'];
+const DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+export class RideSystem extends BaseSystem {
+  static dependencies = ['grid', 'traffic'];
+
+  static defaultConfig = {
+    STOP_RADIUS_PX: 14,
+    MIN_ROUTE_CELLS: 6,
+    JOB_PICK_TRIES: 16,
+    HINT_REFRESH_SEC: 0.5,
+    HINT_COLOR: 0x7dd3fc,
+    NPC_TINT: 0xffd24a,
+    // damage (0–100) added per incident while a passenger is aboard
+    DAMAGE: { pickup: 8, crash: 25, copContact: 5 },
+  };
+
+  onInitialize() {
+    this.ride = null;
+    this.npcCar = null;
+    this.markers = { from: null, to: null };
+    this.hintGfx = null;
+    this.nextHintAt = 0;
+    this.hintCellKey = '';
+
+    this.emit('ride:initialized');
+  }
+
+  onUpdate(time) {
+    const r = this.ride;
+    if (!r || !this.scene.car) return;
+    const nowSec = time / 1000;
+
+    if (r.kind === 'self') {
+      const car = this.scene.car;
+      const stop = r.status === 'pickup' ? r.from.stop : r.to.stop;
+      const c = this._center(stop);
+      if (Phaser.Math.Distance.Between(car.x, car.y, c.x, c.y) <= this.config.STOP_RADIUS_PX) {
+        if (r.status === 'pickup') this._pickUp();
+        else this._finish();
+        return;
+      }
+    }
+
+    if (nowSec >= this.nextHintAt) {
+      this.nextHintAt = nowSec + this.config.HINT_REFRESH_SEC;
+      this._drawHint();
+    }
+  }
+
+  onDestroy() {
+    this._clearVisuals();
+  }
+
+  // ----- public API -----
+
+  /** Self-Drive job (offered every 8 minutes). Returns { ok, reason?, ride? }. */
+  startSelfRide() {
+    if (this.ride) return { ok: false, reason: 'busy' };
+    if (!canOfferSelfRide()) return { ok: false, reason: 'cooldown' };
+    const job = this._pickJob();
+    if (!job) return { ok: false, reason: 'no_route' };
+    markOffered();
+    this.ride = offerSelfRide({ ...job, slotId: this.scene.activeSlotId || null });
+    this._showMarkers();
+    this.emit('ride:started', { ride: this.ride });
+    return { ok: true, ride: this.ride };
+  }
+
+  /** Quote for an NPC job before hiring (so the caller can charge the fare). */
+  quoteNpcRide() {
+    const job = this._pickJob();
+    return job ? { job, ...quoteRide('npc', job.cells) } : null;
+  }
+
+  /** Hires a car for a quoted job. The fare must already be paid. */
+  hireNpcRide(job) {
+    if (this.ride) return { ok: false, reason: 'busy' };
+    if (!job) return { ok: false, reason: 'no_route' };
+    this.ride = requestNpcRide({ ...job, slotId: this.scene.activeSlotId || null });
+    if (!this._dispatchNpc()) {
+      failRide(this.ride.id, 'no_route');
+      this.ride = null;
+      return { ok: false, reason: 'no_route' };
+    }
+    this._showMarkers();
+    this.emit('ride:started', { ride: this.ride });
+    return { ok: true, ride: this.ride };
+  }
+
+  /** Damage from an incident ("pickup" | "crash" | "copContact"); counts only with a passenger aboard. */
+  addDamage(source) {
+    const r = this.ride;
+    if (!r || r.kind !== 'self' || r.status !== 'enroute') return;
+    const amount = this.config.DAMAGE[source] || 0;
+    if (amount <= 0) return;
+    this.ride = addRideDamage(r.id, amount) || r;
+    this.emit('ride:damaged', { ride: this.ride, amount });
+  }
+
+  cancel(reason = 'cancelled') {
+    if (!this.ride) return;
+    const r = failRide(this.ride.id, reason) || this.ride;
+    this.ride = null;
+    this._clearVisuals();
+    this.emit('ride:failed', { ride: r, reason });
+  }
+
+  /** Called after the layout reloads: drop the job if its stops are gone. */
+  handleLayoutChange() {
+    const r = this.ride;
+    if (!r) return;
+    const slotChanged = (r.slotId || null) !== (this.scene.activeSlotId || null);
+    if (slotChanged || !this._stopsValid(r)) this.cancel('layout_changed');
+  }
+
+  getActive() {
+    return this.ride;
+  }
+
+  // ----- jobs -----
+
+  // Building tiles next to a road, with the road cell a car stops at
+  _stops(kinds) {
+    const grid = this.scene.gridSystem;
+    const out = [];
+    for (let gy = 0; gy < this.scene.h; gy++) {
+      for (let gx = 0; gx < this.scene.w; gx++) {
+        const kind = grid.tileKind(gx, gy);
+        if (!kinds.includes(kind)) continue;
+        for (const [dx, dy] of DIRS) {
+          if (grid.isRoadCell(gx + dx, gy + dy)) {
+            out.push({ gx, gy, kind, stop: { gx: gx + dx, gy: gy + dy } });
+            break;
+          }
+        }
+      }
+    }
+    return out;
+  }
+
+  _pickJob() {
+    const froms = this._stops(PICKUP_KINDS);
+    const tos = this._stops(DEST_KINDS);
+    if (!froms.length || !tos.length) return null;
+
+    const paths = this.scene.pathService;
+    for (let i = 0; i < this.config.JOB_PICK_TRIES; i++) {
+      const from = this.rng.pick(froms);
+      const to = this.rng.pick(tos);
+      if (from.gx === to.gx && from.gy === to.gy) continue;
+      const route = paths.findPath(from.stop, to.stop, { congestion: false });
+      if (!route || route.length - 1 < this.config.MIN_ROUTE_CELLS) continue;
+      return { from, to, cells: route.length - 1 };
+    }
+    return null;
+  }
+
+  _stopsValid(r) {
+    const grid = this.scene.gridSystem;
+    const ok = (p) => p && p.stop && grid.tileKind(p.gx, p.gy) === p.kind && grid.isRoadCell(p.stop.gx, p.stop.gy);
+    return ok(r.from) && ok(r.to);
+  }
+
+  /**
+   * Picks up a ride saved by an earlier session (call once the world exists).
+   * Rides from before jobs had real stops (or from another slot) are dropped.
+   */
+  restoreSaved() {
+    const r = getActiveRide();
+    if (!r) return;
+    if (typeof r.from !== 'object' || (r.slotId || null) !== (this.scene.activeSlotId || null) || !this._stopsValid(r)) {
+      // Emitted so the scene settles it like any other failed ride (NPC fare refund)
+      this.emit('ride:failed', { ride: failRide(r.id, 'stale') || r, reason: 'stale' });
+      return;
+    }
+    this.ride = r;
+    if (r.kind === 'npc' && !this._dispatchNpc()) {
+      this.cancel('no_route');
+      return;
+    }
+    this._showMarkers();
+  }
+
+  // ----- progress -----
+
+  _pickUp() {
+    this.ride = markPickedUp(this.ride.id) || this.ride;
+    this.markers.from?.setVisible(false);
+    this.markers.to?.setVisible(true);
+    this.hintCellKey = '';
+    this.emit('ride:pickedUp', { ride: this.ride });
+  }
+
+  _finish() {
+    const done = completeRide(this.ride.id);
+    this.ride = null;
+    if (this.npcCar) {
+      this.scene.trafficSystem?.removeCar(this.npcCar);
+      this.npcCar = null;
+    }
+    this._clearVisuals();
+    if (done) this.emit('ride:completed', { ride: done, payout: done.paidCoins || 0 });
+  }
+
+  // Hired car: spawn → pickup → destination, all via the shared router
+  _dispatchNpc() {
+    const r = this.ride;
+    const traffic = this.scene.trafficSystem;
+    const paths = this.scene.pathService;
+    if (!traffic?.spawnRouteCar) return false;
+
+    const toDest = () => {
+      const here = this.scene.gridSystem.pixToCell(this.npcCar.spr.x, this.npcCar.spr.y);
+      const route = paths.findPath(here, r.to.stop);
+      if (!route) { this.cancel('no_route'); return; }
+      traffic.routeCar(this.npcCar, route, () => this._finish());
+    };
+
+    const startCell = r.status === 'enroute' ? r.from.stop : this._farRoadCell(r.from.stop);
+    const route = paths.findPath(startCell, r.status === 'enroute' ? r.to.stop : r.from.stop);
+    if (!route) return false;
+
+    this.npcCar = traffic.spawnRouteCar(route, {
+      tint: this.config.NPC_TINT,
+      texture: 'vehicle_sedan',
+      onArrive: () => {
+        if (this.ride?.status === 'pickup') { this._pickUp(); toDest(); }
+        else this._finish();
+      },
+    });
+    return !!this.npcCar;
+  }
+
+  _farRoadCell(from) {
+    const nodes = [...this.scene.pathService.graph.nodes.values()];
+    const far = nodes.filter((n) => Math.abs(n.x - from.gx) + Math.abs(n.y - from.gy) >= this.config.MIN_ROUTE_CELLS);
+    const pool = far.length ? far : nodes;
+    const n = this.rng.pick(pool);
+    return n ? { gx: n.x, gy: n.y } : from;
+  }
+
+  // ----- visuals -----
+
+  _center(cell) {
+    return { x: cell.gx * TILE + TILE / 2, y: cell.gy * TILE + TILE / 2 };
+  }
+
+  _showMarkers() {
+    this._clearVisuals();
+    const r = this.ride;
+    const mk = (p, tex) => {
+      const c = this._center(p);
+      const spr = this.scene.add.image(c.x, c.y, tex).setOrigin(0.5).setDepth(96);
+      this.scene.worldLayer?.add(spr);
+      this.scene.tweens.add({ targets: spr, scale: { from: 1, to: 1.3 }, duration: 600, yoyo: true, repeat: -1 });
+      return spr;
+    };
+    this.markers.from = mk(r.from, 'pm_passenger').setVisible(r.status === 'pickup');
+    this.markers.to = mk(r.to, 'pm_dest').setVisible(r.status !== 'pickup');
+    this.hintGfx = this.scene.add.graphics().setDepth(3);
+    this.scene.worldLayer?.add(this.hintGfx);
+    this.hintCellKey = '';
+    this.nextHintAt = 0;
+  }
+
+  // Route hint: from the player (or hired car) to the current target
+  _drawHint() {
+    const r = this.ride;
+    if (!r || !this.hintGfx) return;
+    const grid = this.scene.gridSystem;
+    const who = r.kind === 'npc' ? this.npcCar?.spr : this.scene.car;
+    if (!who) return;
+
+    const here = grid.pixToCell(who.x, who.y);
+    const target = r.status === 'pickup' ? r.from.stop : r.to.stop;
+    const k = `${here.gx},${here.gy}>${target.gx},${target.gy}`;
+    if (k === this.hintCellKey) return;
+    this.hintCellKey = k;
+
+    const route = this.scene.pathService.findPath(here, target) || [];
+    this.hintGfx.clear();
+    if (route.length < 2) return;
+    this.hintGfx.lineStyle(3, this.config.HINT_COLOR, 0.55);
+    this.hintGfx.beginPath();
+    route.forEach((cell, i) => {
+      const c = this._center(cell);
+      if (i === 0) this.hintGfx.moveTo(c.x, c.y);
+      else this.hintGfx.lineTo(c.x, c.y);
+    });
+    this.hintGfx.strokePath();
+  }
+
+  _clearVisuals() {
+    for (const k of ['from', 'to']) {
+      if (this.markers[k]) {
+        this.scene.tweens?.killTweensOf(this.markers[k]);
+        this.markers[k].destroy();
+        this.markers[k] = null;
+      }
+    }
+    this.hintGfx?.destroy();
+    this.hintGfx = null;
+    if (!this.ride && this.npcCar) {
+      this.scene.trafficSystem?.removeCar(this.npcCar);
+      this.npcCar = null;
+    }
+  }
+
+  getDebugInfo() {
+    const r = this.ride;
+    return {
+      ...super.getDebugInfo(),
+      ride: r ? { kind: r.kind, status: r.status, cells: r.cells, damage: r.damage } : null,
+      npcCar: !!this.npcCar,
+    };
+  }
+}
@@ -0,0 +1,246 @@
+// FILE: src/game/scenes/systems/SignalSystem.js
+// Right-of-way at plain intersections (GridSystem.junctionAt)
+// - "signal" tile: timed phases, H green → amber → all-red → V green → …
+// - avenue meets road: road approaches stop, avenue approaches yield
+// - road meets road: all-way stop, first to arrive goes first
+// - avenue meets avenue: every approach yields
+// TrafficSystem asks mayEnter() at the stop line; RenderSystem.drawSignals()
+// redraws on 'signal:changed'.
+
+import { BaseSystem } from './BaseSystem.js';
+import { validate } from './ConfigValidator.js';
+
+const TILE = 28;
+const keyOf = (gx, gy) => `${gx},${gy}`;
+
+export class SignalSystem extends BaseSystem {
+  static dependencies = ['grid'];
+
+  static defaultConfig = {
+    GREEN_SEC: 6,
+    AMBER_SEC: 1.5,
+    ALL_RED_SEC: 1,
+    STOP_LINE_PROG: 0.82,      // where cars hold, as progress through the approach cell
+    SLOW_FROM_PROG: 0.45,      // stop/yield approaches slow down from here
+    APPROACH_SLOW_MULT: 0.55,
+    STOP_PAUSE_SEC: 0.6,       // full stop before a stop sign
+    CLAIM_SEC: 0.9,            // a car let in holds the box this long
+    MAJOR_LOOK_PX: TILE * 1.5, // stop-sign cars wait for avenue traffic this close
+    QUEUE_DROP_PX: TILE * 1.5, // waiting cars further than this from the box are forgotten
+  };
+
+  validateConfig(config) {
+    return validate.signalConfig(config);
+  }
+
+  onInitialize() {
+    this.junctions = new Map(); // "gx,gy" → { gx, gy, signal, axes, approaches, offset }
+    this.queues = new Map();    // "gx,gy" → Map<car, arrivedSec> (stop signs)
+    this.claims = new Map();    // "gx,gy" → { car, until }
+    this.phases = new Map();    // "gx,gy" → last phase index (change detection)
+    this.nowSec = 0;
+
+    this.rebuild();
+    this.emit('signal:initialized', { junctions: this.junctions.size });
+  }
+
+  onUpdate(time) {
+    this.nowSec = time / 1000;
+
+    let changed = false;
+    for (const j of this.junctions.values()) {
+      if (!j.signal) continue;
+      const idx = this._phase(j).idx;
+      if (this.phases.get(j.key) !== idx) {
+        this.phases.set(j.key, idx);
+        changed = true;
+      }
+    }
+    if (changed) this.emit('signal:changed');
+  }
+
+  onDestroy() {
+    this.junctions.clear();
+    this.queues.clear();
+    this.claims.clear();
+  }
+
+  // ----- layout -----
+
+  /** Re-detects junctions after the layout changed. */
+  rebuild() {
+    const grid = this.scene.gridSystem;
+    this.junctions.clear();
+    this.queues.clear();
+    this.claims.clear();
+    this.phases.clear();
+    if (!grid) return;
+
+    const cycle = this._cycleSec();
+    for (const j of grid.junctionCells()) {
+      const key = keyOf(j.gx, j.gy);
+      this.junctions.set(key, {
+        ...j,
+        key,
+        approaches: this._approachesFor(j),
+        // spread phases so neighbouring signals don't flip together
+        offset: (((j.gx * 31 + j.gy * 17) % 8) * cycle) / 8,
+      });
+    }
+    this.emit('signal:changed');
+  }
+
+  // Control per axis: "signal" | "stop" | "yield" (null = no approach)
+  _approachesFor(j) {
+    const { h, v } = j.axes;
+    if (j.signal) return { h: h && 'signal', v: v && 'signal' };
+    const hAve = h === 'avenue';
+    const vAve = v === 'avenue';
+    if (hAve === vAve) {
+      const rule = hAve ? 'yield' : 'stop';
+      return { h: h && rule, v: v && rule };
+    }
+    return { h: h && (hAve ? 'yield' : 'stop'), v: v && (vAve ? 'yield' : 'stop') };
+  }
+
+  // ----- queries -----
+
+  isJunction(gx, gy) {
+    return this.junctions.has(keyOf(gx, gy));
+  }
+
+  getJunctions() {
+    return [...this.junctions.values()];
+  }
+
+  /** Control for a car entering (gx, gy) heading `dir`, or null. */
+  approachControl(gx, gy, dir) {
+    const j = this.junctions.get(keyOf(gx, gy));
+    if (!j) return null;
+    return j.approaches[dir.x ? 'h' : 'v'] || null;
+  }
+
+  /** Light for an axis ("h" | "v") of a signal junction: "green" | "amber" | "red". */
+  lightFor(j, axis) {
+    const p = this._phase(j);
+    if (p.axis !== axis) return 'red';
+    return p.light;
+  }
+
+  _cycleSec() {
+    const c = this.config;
+    return 2 * (c.GREEN_SEC + c.AMBER_SEC + c.ALL_RED_SEC);
+  }
+
+  // Which axis is running and its light; idx 0–5 over the whole cycle
+  _phase(j) {
+    const c = this.config;
+    const half = c.GREEN_SEC + c.AMBER_SEC + c.ALL_RED_SEC;
+    const t = (this.nowSec + j.offset) % (2 * half);
+    const axis = t < half ? 'h' : 'v';
+    const tt = t % half;
+    const step = tt < c.GREEN_SEC ? 0 : tt < c.GREEN_SEC + c.AMBER_SEC ? 1 : 2;
+    const light = ['green', 'amber', 'red'][step];
+    return { axis, light, idx: (axis === 'h' ? 0 : 3) + step };
+  }
+
+  // ----- right of way -----
+
+  /**
+   * Asked by TrafficSystem when `car` reaches the stop line of (gx, gy).
+   * True = go (the car may cross without asking again); false = hold.
+   */
+  mayEnter(car, gx, gy, dir, nowSec = this.nowSec) {
+    const j = this.junctions.get(keyOf(gx, gy));
+    if (!j) return true;
+    const axis = dir.x ? 'h' : 'v';
+    const rule = j.approaches[axis];
+
+    if (rule === 'signal') {
+      // amber counts as red for anyone who hasn't reached the line yet
+      return this.lightFor(j, axis) === 'green';
+    }
+
+    if (rule === 'stop') {
+      const q = this._queue(j);
+      if (!q.has(car)) q.set(car, nowSec);
+      const arrived = q.get(car);
+      if (nowSec - arrived < this.config.STOP_PAUSE_SEC) return false;
+      if (!this._boxClear(j, car, nowSec)) return false;
+
+      if (j.approaches.h !== j.approaches.v) {
+        // minor road: avenue traffic goes first
+        if (this._majorApproaching(j, car)) return false;
+      } else {
+        // all-way stop: first to arrive goes first
+        for (const [other, at] of q) {
+          if (other !== car && at < arrived) return false;
+        }
+      }
+      this._grant(j, car, nowSec);
+      return true;
+    }
+
+    // yield: go once the box is clear
+    if (!this._boxClear(j, car, nowSec)) return false;
+    this._grant(j, car, nowSec);
+    return true;
+  }
+
+  // Waiting cars for a stop junction, minus those that left or were removed
+  _queue(j) {
+    let q = this.queues.get(j.key);
+    if (!q) {
+      q = new Map();
+      this.queues.set(j.key, q);
+    }
+    const cx = j.gx * TILE + TILE / 2;
+    const cy = j.gy * TILE + TILE / 2;
+    for (const other of q.keys()) {
+      const spr = other.spr;
+      if (!spr?.active || Math.hypot(spr.x - cx, spr.y - cy) > this.config.QUEUE_DROP_PX) q.delete(other);
+    }
+    return q;
+  }
+
+  _boxClear(j, car, nowSec) {
+    const claim = this.claims.get(j.key);
+    if (claim && claim.car !== car && claim.until > nowSec && claim.car.spr?.active) return false;
+    return !(this.scene.trafficSystem?.occupancyAt(j.gx, j.gy) > 0);
+  }
+
+  // An avenue car heading into the box from close by
+  _majorApproaching(j, car) {
+    const cx = j.gx * TILE + TILE / 2;
+    const cy = j.gy * TILE + TILE / 2;
+    for (const other of this.scene.trafficSystem?.traffic || []) {
+      if (other === car || !other.spr?.active) continue;
+      const axis = other.dir.x ? 'h' : 'v';
+      if (j.approaches[axis] !== 'yield') continue;
+      const dx = cx - other.spr.x;
+      const dy = cy - other.spr.y;
+      const along = dx * other.dir.x + dy * other.dir.y;
+      const across = Math.abs(dx * other.dir.y - dy * other.dir.x);
+      if (along > 0 && across < TILE / 2 && along < this.config.MAJOR_LOOK_PX + TILE / 2) return true;
+    }
+    return false;
+  }
+
+  _grant(j, car, nowSec) {
+    this.claims.set(j.key, { car, until: nowSec + this.config.CLAIM_SEC });
+    this.queues.get(j.key)?.delete(car);
+  }
+
+  getDebugInfo() {
+    const counts = { signal: 0, stop: 0, yield: 0 };
+    for (const j of this.junctions.values()) {
+      for (const rule of [j.approaches.h, j.approaches.v]) if (rule) counts[rule] += 1;
+    }
+    return {
+      ...super.getDebugInfo(),
+      junctions: this.junctions.size,
+      approaches: counts,
+      waiting: [...this.queues.values()].reduce((n, q) => n + q.size, 0),
+    };
+  }
+}
@@ -3,6 +3,10 @@
 // Handles initialization order, dependency injection, lifecycle, and error boundaries
 
 import { EventBus, EVENTS } from './EventBus.js';
+import { createRng } from '../../sim/random.js';
+
+// Fixed-step mode never runs more than this many steps per frame (spiral of death guard)
+const MAX_STEPS_PER_FRAME = 8;
 
 /**
  * System lifecycle states
@@ -26,9 +30,11 @@ export const SystemState = {
  * - Error boundaries (one system crash doesn't kill everything)
  * - Performance monitoring
  * - Event bus integration
+ * - Seeded random streams (one fork per system, injected as `rng`)
+ * - Sim clock with an optional fixed-timestep mode
  * 
  * Usage:
- * const manager = new SystemManager(scene);
+ * const manager = new SystemManager(scene, { seed: 1234 });
  * manager.register([
  *   { name: 'grid', class: GridSystem },
  *   { name: 'traffic', class: TrafficSystem, deps: ['grid', 'navigation'] }
@@ -36,13 +42,19 @@ export const SystemState = {
  * manager.initializeAll();
  */
 export class SystemManager {
-  constructor(scene) {
+  constructor(scene, { seed } = {}) {
     this.scene = scene;
     this.systems = new Map();
     this.systemStates = new Map();
     this.systemMetrics = new Map();
     this.eventBus = new EventBus();
     this.debugMode = false;
+
+    // Sim: every random roll and timestamp in gameplay code comes from here
+    this.rng = createRng(seed);
+    this.simTime = 0;       // ms of simulated time (not wall clock)
+    this.fixedStepMs = 0;   // 0 = one variable step per frame
+    this._stepCarry = 0;
   }
 
   // ========== REGISTRATION ==========
@@ -167,7 +179,8 @@ export class SystemManager {
       }
 
       // Create instance
-      const instance = new systemDef.SystemClass(this.scene, deps, this.eventBus);
+      const instance = new systemDef.SystemClass(this.scene, deps, this.eventBus, systemDef.config);
+      instance.rng = this.rng.fork(name);
       systemDef.instance = instance;
 
       // Initialize
@@ -328,6 +341,51 @@ export class SystemManager {
     }
   }
 
+  // ========== SIM CLOCK + RANDOM ==========
+
+  /**
+   * Restart every random stream (systems and any other forks) from `seed`
+   * @param {number} seed - uint32 seed
+   */
+  reseed(seed) {
+    this.rng.reseed(seed);
+  }
+
+  /**
+   * Switch between variable steps (0) and fixed steps of `ms`
+   * @param {number} ms - Step length in ms, or 0
+   */
+  setFixedStep(ms = 0) {
+    this.fixedStepMs = Math.max(0, Number(ms) || 0);
+    this._stepCarry = 0;
+  }
+
+  /**
+   * Advance the sim clock by a frame's delta and run step(simTime, stepMs).
+   * Variable mode runs one step of the whole delta; fixed mode runs as many
+   * fixedStepMs steps as the accumulated time allows, carrying the rest.
+   * @param {number} delta - Frame delta in ms
+   * @param {function} step - (simTime, stepMs) => void
+   * @returns {number} Steps run
+   */
+  advance(delta, step) {
+    if (!this.fixedStepMs) {
+      this.simTime += delta;
+      step(this.simTime, delta);
+      return 1;
+    }
+
+    this._stepCarry = Math.min(this._stepCarry + delta, this.fixedStepMs * MAX_STEPS_PER_FRAME);
+    let steps = 0;
+    while (this._stepCarry >= this.fixedStepMs) {
+      this._stepCarry -= this.fixedStepMs;
+      this.simTime += this.fixedStepMs;
+      step(this.simTime, this.fixedStepMs);
+      steps++;
+    }
+    return steps;
+  }
+
   // ========== ACCESS ==========
 
   /**
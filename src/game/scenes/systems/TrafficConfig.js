@@ -34,7 +34,9 @@ const PERSONA_WEIGHTS = [
   ["slow", 0.15],
 ];
 
-export function pickPersonaKey(rng = Math.random) {
+// rng: () => [0, 1), a seeded stream's next (no Math.random fallback, so
+// picks always replay from the run seed)
+export function pickPersonaKey(rng) {
   let acc = 0;
   const r = rng();
   for (const [key, w] of PERSONA_WEIGHTS) {
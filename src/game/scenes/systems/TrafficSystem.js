@@ -1,10 +1,12 @@
 // FILE: src/game/scenes/systems/TrafficSystem.js
 // Single-tile Roundabout (0.35 radius) + Bezier Intersections (unchanged)
+// Junction right-of-way (signals, stop signs, yields) comes from SignalSystem
 // Clean, deterministic traffic engine — no ghosts, no disappearing, no stuck cars.
 
 import Phaser from "phaser";
 import { lanePositionFor } from "./GridSystem.js";
 import { getRandomTrafficVehicle } from "../../../assets/cityAssets.js";
+import { NEUTRAL_ENV } from "./EnvironmentSystem.js";
 
 const TILE = 28;
 const BASE_SPEED = 45;
@@ -16,6 +18,17 @@ const VIEW_BIAS_MARGIN = TILE * 2;
 // Roundabout orbital radius (user-selected: 0.35 * TILE)
 const RB_R = TILE * 0.35;
 
+// Avenue lanes (GridSystem.TILE_LANES): overtaking + merging
+const OVERTAKE_GAP_MULT = 1.5;       // lead closer than followGapPx × this → look to pass
+const OVERTAKE_MIN_RATIO = 1.05;     // only pass cars at least 5% slower
+const LANE_CHANGE_COOLDOWN_SEC = 1.5;
+const LANE_SHIFT_PX_PER_SEC = 24;    // sideways slide speed
+const MERGE_FROM_PROG = 0.3;         // start slowing for a merge from here in the last avenue cell
+const MERGE_SLOW_MULT = 0.6;
+
+// Pedestrian crossings (PedestrianSystem.isCrossingAt): hold here in the cell before
+const PED_YIELD_PROG = 0.8;
+
 // ====== PERSONAS ======
 const PERSONAS = {
   aggressive: { tex: "pm_dot", tint: 0xff7d7d, mult: 1.25, followGapPx: 18 },
@@ -31,8 +44,8 @@ const PERSONA_WEIGHTS = [
   ["slow",       0.15]
 ];
 
-function pickPersona() {
-  const r = Math.random();
+function pickPersona(rng) {
+  const r = rng.next();
   let acc = 0;
   for (const [key, w] of PERSONA_WEIGHTS) {
     acc += w;
@@ -59,36 +72,36 @@ function quadLen(p0, p1, p2) {
   return len;
 }
 
-function lanePointInCell(gx, gy, dir, t) {
+function lanePointInCell(gx, gy, dir, t, lane = null) {
   const baseX = gx * TILE;
   const baseY = gy * TILE;
 
   if (Math.abs(dir.x) > 0) {
-    const laneY = lanePositionFor(gx, gy, dir, false).y;
+    const laneY = lanePositionFor(gx, gy, dir, false, lane).y;
     const x0 = dir.x > 0 ? baseX : baseX + TILE;
     const x1 = dir.x > 0 ? baseX + TILE : baseX;
     return { x: x0 + (x1 - x0) * t, y: laneY };
   }
 
-  const laneX = lanePositionFor(gx, gy, dir, false).x;
+  const laneX = lanePositionFor(gx, gy, dir, false, lane).x;
   const y0 = dir.y > 0 ? baseY : baseY + TILE;
   const y1 = dir.y > 0 ? baseY + TILE : baseY;
   return { x: laneX, y: y0 + (y1 - y0) * t };
 }
 
-function entryPosition(gx, gy, newDir) {
+function entryPosition(gx, gy, newDir, lane = null) {
   const inset = TILE * 0.18;
   const baseX = gx * TILE;
   const baseY = gy * TILE;
 
   if (Math.abs(newDir.x) > 0) {
     const x = newDir.x > 0 ? baseX + inset : baseX + TILE - inset;
-    const y = lanePositionFor(gx, gy, newDir, false).y;
+    const y = lanePositionFor(gx, gy, newDir, false, lane).y;
     return { x, y };
   }
 
   const y = newDir.y > 0 ? baseY + inset : baseY + TILE - inset;
-  const x = lanePositionFor(gx, gy, newDir, false).x;
+  const x = lanePositionFor(gx, gy, newDir, false, lane).x;
   return { x, y };
 }
 
@@ -145,49 +158,54 @@ export class TrafficSystem {
   constructor(scene) {
     this.scene = scene;
     this.traffic = [];
-    this.spawnTimer = null;
+    this.rng = null;          // seeded stream, injected by SystemManager
+    this.spawnCarryMs = 0;    // spawns run on the sim clock, not a Phaser timer
+    this.env = NEUTRAL_ENV;   // weather/night modifiers for the current step
+    this.occupancy = new Map(); // "gx,gy" → cars, refreshed each step
+  }
+
+  /** NPC cars currently in a cell (used as route congestion). */
+  occupancyAt(gx, gy) {
+    return this.occupancy.get(`${gx},${gy}`) || 0;
   }
 
   initialize() {
-    this.spawnTimer = this.scene.time.addEvent({
-      delay: TRAFFIC_SPAWN_MS,
-      loop: true,
-      callback: () => this.spawnTraffic()
-    });
+    this.spawnCarryMs = 0;
+  }
+
+  /** Removes NPC cars (a hired ride car stays with keepHired). */
+  clear({ keepHired = false } = {}) {
+    for (let i = this.traffic.length - 1; i >= 0; i--) {
+      const t = this.traffic[i];
+      if (keepHired && t.hired) continue;
+      t.spr?.destroy();
+      this.traffic.splice(i, 1);
+    }
+    this.occupancy.clear();
+    this.spawnCarryMs = 0;
   }
 
   // ===== FIXED SPAWNING =====
   pickSpawnPoint() {
-    const cam = this.scene.cameras.main;
-    const view = cam.worldView;
-    const marginRect = new Phaser.Geom.Rectangle(
-      view.x - VIEW_BIAS_MARGIN,
-      view.y - VIEW_BIAS_MARGIN,
-      view.width + VIEW_BIAS_MARGIN * 2,
-      view.height + VIEW_BIAS_MARGIN * 2
-    );
+    // view around the player from the step's input; the camera itself lags
+    // and clamps per render frame, which would leak frame timing into spawns
     const px = this.scene.car.x;
     const py = this.scene.car.y;
+    const { viewW, viewH } = this.scene.simInput;
+    const marginRect = new Phaser.Geom.Rectangle(
+      px - viewW / 2 - VIEW_BIAS_MARGIN,
+      py - viewH / 2 - VIEW_BIAS_MARGIN,
+      viewW + VIEW_BIAS_MARGIN * 2,
+      viewH + VIEW_BIAS_MARGIN * 2
+    );
 
     let starts = [...this.scene.gridSystem.edgeRoadCells()];
 
-    // NEW: fallback if no edgeRoadCells()
+    // fallback if no edgeRoadCells(): any connected cell from the shared road graph
     if (!starts.length) {
-      for (let gy = 0; gy < this.scene.h; gy++) {
-        for (let gx = 0; gx < this.scene.w; gx++) {
-          if (!this.scene.gridSystem.isRoadCell(gx, gy)) continue;
-
-          const neighbors = [
-            { x: gx + 1, y: gy },
-            { x: gx - 1, y: gy },
-            { x: gx, y: gy + 1 },
-            { x: gx, y: gy - 1 }
-          ];
-
-          if (neighbors.some(n => this.scene.gridSystem.isRoadCell(n.x, n.y))) {
-            starts.push({ gx, gy });
-          }
-        }
+      const paths = this.scene.pathService;
+      for (const { x, y } of paths.graph.nodes.values()) {
+        if (paths.degree(x, y) > 0) starts.push({ gx: x, gy: y });
       }
     }
 
@@ -203,7 +221,7 @@ export class TrafficSystem {
 
     scored.sort((a, b) => b.score - a.score);
     const best = scored.filter(k => k.score === scored[0].score).map(k => k.s);
-    return best[(Math.random()*best.length)|0];
+    return this.rng.pick(best);
   }
 
   spawnTraffic() {
@@ -217,16 +235,15 @@ export class TrafficSystem {
     );
     if (!validDirs.length) return;
 
-    const dir = validDirs[(Math.random()*validDirs.length)|0];
+    const dir = this.rng.pick(validDirs);
 
-    const kind = pickPersona();
+    const kind = pickPersona(this.rng);
     const P = PERSONAS[kind];
 
-    const isRB = this.scene.gridSystem.isRoundaboutCell(cell.gx, cell.gy);
-    const pos = lanePositionFor(cell.gx, cell.gy, dir, isRB);
+    const pos = this.scene.gridSystem.lanePoint(cell.gx, cell.gy, dir, 0);
 
     const spriteKey = this.scene.textures.exists("vehicle_sedan")
-      ? getRandomTrafficVehicle()
+      ? getRandomTrafficVehicle(this.rng.next)
       : P.tex;
 
     const spr = this.scene.add.image(pos.x, pos.y, spriteKey)
@@ -246,21 +263,28 @@ export class TrafficSystem {
       followGapPx: P.followGapPx,
       lastCell: null,
       turn: null,
+      lane: 0,            // avenue lane (0 curb, 1 passing)
+      laneCdUntil: 0,
 
       // Roundabout state
       inRoundabout: false,
       rbCell: null,
       rbOrbitKey: null,
-      rbLaps: 0
+      rbLaps: 0,
+
+      // junction SignalSystem last let this car into
+      sigGrant: null
     });
   }
 
   // ===== FIND CAR AHEAD =====
   _carAhead(t) {
     let best = null;
+    const lane = this._laneOf(t);
     for (const other of this.traffic) {
       if (other === t) continue;
       if (other.dir.x !== t.dir.x || other.dir.y !== t.dir.y) continue;
+      if (this._laneOf(other) !== lane) continue;
       const dx = other.spr.x - t.spr.x;
       const dy = other.spr.y - t.spr.y;
       const dot = dx * t.dir.x + dy * t.dir.y;
@@ -272,10 +296,188 @@ export class TrafficSystem {
     return best;
   }
 
+  // ===== LANES =====
+  // Lane a car is in; single-lane cells are all lane 0
+  _laneOf(t) {
+    const grid = this.scene.gridSystem;
+    const c = grid.pixToCell(t.spr.x, t.spr.y);
+    return grid.laneCount(c.gx, c.gy) > 1 ? (t.lane || 0) : 0;
+  }
+
+  // Lane index to pass to lanePositionFor for a cell (null = single lane)
+  _laneArg(gx, gy, lane) {
+    return this.scene.gridSystem.laneCount(gx, gy) > 1 ? lane : null;
+  }
+
+  // No same-direction car in `lane` within [-behindPx, aheadPx] of t
+  _laneClear(t, lane, aheadPx = t.followGapPx, behindPx = t.followGapPx) {
+    for (const other of this.traffic) {
+      if (other === t || !other.spr?.active) continue;
+      if (other.dir.x !== t.dir.x || other.dir.y !== t.dir.y) continue;
+      if (this._laneOf(other) !== lane) continue;
+      const dx = other.spr.x - t.spr.x;
+      const dy = other.spr.y - t.spr.y;
+      const along = dx * t.dir.x + dy * t.dir.y;
+      const across = Math.abs(dx * t.dir.y - dy * t.dir.x);
+      if (across < TILE / 2 && along > -behindPx && along < aheadPx) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Picks t.lane on avenues: pull out to pass a slower lead (persona speed
+   * and follow gap decide how eager), drop back once clear, and merge into
+   * the curb lane before the avenue narrows. Returns a speed factor.
+   */
+  _updateLane(t, cNow, fwd, lead, prog) {
+    const grid = this.scene.gridSystem;
+    if (grid.laneCount(cNow.gx, cNow.gy) < 2) {
+      t.lane = 0;
+      return 1;
+    }
+
+    // avenue narrows ahead: merge, slowing down until there's a gap
+    if (grid.laneCount(fwd.gx, fwd.gy) < 2) {
+      if (t.lane === 0) return 1;
+      if (this._laneClear(t, 0)) {
+        t.lane = 0;
+        return 1;
+      }
+      return prog >= MERGE_FROM_PROG ? MERGE_SLOW_MULT : 1;
+    }
+
+    const nowSec = this.scene.simNow / 1000;
+    if (nowSec < t.laneCdUntil) return 1;
+
+    if (t.lane === 0) {
+      const stuck = lead &&
+        lead.dist < t.followGapPx * OVERTAKE_GAP_MULT &&
+        t.speedMult >= lead.other.speedMult * OVERTAKE_MIN_RATIO;
+      if (stuck && this._laneClear(t, 1)) {
+        t.lane = 1;
+        t.laneCdUntil = nowSec + LANE_CHANGE_COOLDOWN_SEC;
+      }
+    } else if (this._laneClear(t, 0, t.followGapPx * OVERTAKE_GAP_MULT)) {
+      t.lane = 0;
+      t.laneCdUntil = nowSec + LANE_CHANGE_COOLDOWN_SEC;
+    }
+    return 1;
+  }
+
+  // ===== ROUTED CARS (hired rides) =====
+  /**
+   * Spawns a car that drives `route` ([{ gx, gy }], from ai/path.js) instead
+   * of wandering. onArrive(t) fires at the last cell; the car then waits for
+   * routeCar() or removeCar().
+   */
+  spawnRouteCar(route, { tint = 0xffffff, onArrive = null, texture = null } = {}) {
+    if (!route?.length) return null;
+    const start = route[0];
+    const next = route[1] || start;
+    const dir = vec(Math.sign(next.gx - start.gx), Math.sign(next.gy - start.gy));
+    if (!dir.x && !dir.y) dir.x = 1;
+
+    const pos = this.scene.gridSystem.lanePoint(start.gx, start.gy, dir, 0);
+    const spriteKey = texture && this.scene.textures.exists(texture) ? texture : "pm_square";
+    const spr = this.scene.add.image(pos.x, pos.y, spriteKey)
+      .setDepth(4)
+      .setScale(spriteKey === "pm_square" ? 1 : 0.25)
+      .setTint(tint);
+    spr.setRotation(this.scene.navigationSystem.angleForDir(dir));
+    this.scene.worldLayer.add(spr);
+
+    const t = {
+      spr,
+      dir,
+      kind: "hired",
+      hired: true,
+      speedMult: 1.1,
+      followGapPx: 20,
+      lastCell: null,
+      turn: null,
+      lane: 0,
+      inRoundabout: false,
+      route: null,
+      routeIdx: 0,
+      onArrive: null,
+    };
+    this.routeCar(t, route, onArrive);
+    this.traffic.push(t);
+    return t;
+  }
+
+  /** Gives a routed car a new route (its current cell first). */
+  routeCar(t, route, onArrive = null) {
+    t.route = route;
+    t.routeIdx = Math.min(1, route.length - 1);
+    t.routeGoal = route[route.length - 1];
+    t.onArrive = onArrive;
+    t.arrived = false;
+  }
+
+  removeCar(t) {
+    const i = this.traffic.indexOf(t);
+    if (i >= 0) this.traffic.splice(i, 1);
+    t.spr?.destroy();
+  }
+
+  _handleRouteMovement(t, spr, dt) {
+    if (t.arrived) return;
+    const grid = this.scene.gridSystem;
+    const nav = this.scene.navigationSystem;
+
+    const tgt = t.route[t.routeIdx];
+    // a roadblock dropped on the route: ask the shared router for a way around
+    if (tgt && this.scene.copSystem?.isRoadblocked?.(tgt.gx, tgt.gy)) {
+      const here = grid.pixToCell(spr.x, spr.y);
+      const avoid = new Set(this.scene.copSystem.roadblocks.map((rb) => `${rb.gx},${rb.gy}`));
+      const detour = this.scene.pathService.findPath(here, t.routeGoal, { avoid });
+      if (detour) this.routeCar(t, detour, t.onArrive);
+      else return; // wait it out
+    }
+
+    const cell = t.route[t.routeIdx];
+    const cur = grid.pixToCell(spr.x, spr.y);
+    const dx = Math.sign(cell.gx - cur.gx), dy = Math.sign(cell.gy - cur.gy);
+    if (dx || dy) t.dir = Math.abs(dx) > 0 ? vec(dx, 0) : vec(0, dy);
+
+    // hold at the stop line like any other car
+    const cellKey = `${cell.gx},${cell.gy}`;
+    if (t.sigGrant && t.sigGrant !== cellKey && t.sigGrant !== `${cur.gx},${cur.gy}`) t.sigGrant = null;
+    if ((dx || dy) && this._junctionGate(t, cur, cell)) {
+      const prog = cellProgress(t.dir, spr.x, spr.y, cur.gx * TILE, cur.gy * TILE);
+      if (prog >= this.scene.signalSystem.config.STOP_LINE_PROG && !this._mayEnter(t, cell)) return;
+    }
+
+    const pos = grid.lanePoint(cell.gx, cell.gy, t.dir, 0);
+    const ddx = pos.x - spr.x, ddy = pos.y - spr.y;
+    const dist = Math.hypot(ddx, ddy);
+
+    if (dist < 4) {
+      if (t.routeIdx >= t.route.length - 1) {
+        t.arrived = true;
+        t.onArrive?.(t);
+        return;
+      }
+      t.routeIdx += 1;
+      return;
+    }
+
+    let speed = BASE_SPEED * t.speedMult * this.env.grip;
+    const lead = this._carAhead(t);
+    if (lead && lead.dist < t.followGapPx) speed *= Math.max(0.1, lead.dist / t.followGapPx);
+
+    const step = Math.min(dist, speed * dt);
+    spr.x += (ddx / dist) * step;
+    spr.y += (ddy / dist) * step;
+    spr.setRotation(nav.angleForDir(t.dir));
+  }
+
   // ===== START A BEZIER TURN =====
   startBezierTurn(t, cNow, newDir, dstCell, prog) {
-    const from = lanePointInCell(cNow.gx, cNow.gy, t.dir, prog);
-    const to = entryPosition(dstCell.gx, dstCell.gy, newDir);
+    const from = lanePointInCell(cNow.gx, cNow.gy, t.dir, prog, this._laneArg(cNow.gx, cNow.gy, t.lane));
+    // turns always come out in the curb lane
+    const to = entryPosition(dstCell.gx, dstCell.gy, newDir, this._laneArg(dstCell.gx, dstCell.gy, 0));
     const ctrl = cornerControl(from, to, t.dir, newDir);
     const len = quadLen(from, ctrl, to) || TILE;
 
@@ -290,6 +492,12 @@ export class TrafficSystem {
 
   // ===== UPDATE =====
   update(time, delta) {
+    this.env = this.scene.envSystem?.getModifiers() || NEUTRAL_ENV;
+    this.spawnCarryMs += delta * this.env.spawn; // fewer spawns at night / in snow
+    while (this.spawnCarryMs >= TRAFFIC_SPAWN_MS) {
+      this.spawnCarryMs -= TRAFFIC_SPAWN_MS;
+      this.spawnTraffic();
+    }
     const dt = delta / 1000;
     this.stepTraffic(dt);
   }
@@ -309,10 +517,16 @@ export class TrafficSystem {
       }
 
       // APB tint update
-      if (this.scene.apb) {
+      if (this.scene.apb && !t.hired) {
         spr.setTint(0xffea76);
       }
 
+      // ===== ROUTED (hired) =====
+      if (t.route) {
+        this._handleRouteMovement(t, spr, dt);
+        continue;
+      }
+
       // ===== ROUNDABOUT MODE =====
       const cNow = grid.pixToCell(spr.x, spr.y);
       const isRB = grid.isRoundaboutCell(cNow.gx, cNow.gy);
@@ -331,6 +545,14 @@ export class TrafficSystem {
       // ===== NORMAL ROAD MOVEMENT =====
       this._handleNormalMovement(t, cNow, spr, dt);
     }
+
+    this.occupancy.clear();
+    for (const t of this.traffic) {
+      if (!t.spr?.active) continue;
+      const c = grid.pixToCell(t.spr.x, t.spr.y);
+      const k = `${c.gx},${c.gy}`;
+      this.occupancy.set(k, (this.occupancy.get(k) || 0) + 1);
+    }
   }
 
   // ========== ROUNDABOUT ENGINE ==========
@@ -354,7 +576,7 @@ export class TrafficSystem {
     const pointA = orbit[t.rbOrbitKey];
     const pointB = orbit[nextKey];
 
-    const speed = BASE_SPEED * t.speedMult;
+    const speed = BASE_SPEED * t.speedMult * this.env.turn;
     const dist = Phaser.Math.Distance.Between(spr.x, spr.y, pointB.x, pointB.y);
 
     if (dist < speed * 0.016) {
@@ -395,12 +617,36 @@ export class TrafficSystem {
     t.rbCell = null;
     t.rbOrbitKey = null;
     t.dir = exitDir;
+    t.lane = 0;
 
-    const pos = lanePositionFor(ex, ey, exitDir, false);
+    const pos = grid.lanePoint(ex, ey, exitDir, 0);
     spr.setPosition(pos.x, pos.y);
     spr.setRotation(nav.angleForDir(exitDir));
   }
 
+  // Road cell that isn't closed by a cop roadblock
+  _isOpen(gx, gy) {
+    return this.scene.gridSystem.isRoadCell(gx, gy) && !this.scene.copSystem?.isRoadblocked?.(gx, gy);
+  }
+
+  // Controlled junction ahead that this car hasn't been let into yet
+  _junctionGate(t, cNow, next) {
+    const signals = this.scene.signalSystem;
+    if (!signals) return null;
+    const rule = signals.approachControl(next.gx, next.gy, t.dir);
+    if (!rule) return null;
+    // back-to-back junction cells act as one box
+    if (signals.isJunction(cNow.gx, cNow.gy)) return null;
+    if (t.sigGrant === `${next.gx},${next.gy}`) return null;
+    return { rule };
+  }
+
+  _mayEnter(t, cell) {
+    const ok = this.scene.signalSystem.mayEnter(t, cell.gx, cell.gy, t.dir, this.scene.simNow / 1000);
+    if (ok) t.sigGrant = `${cell.gx},${cell.gy}`;
+    return ok;
+  }
+
   // ========== INTERSECTIONS & NORMAL ROADS ==========
   _handleNormalMovement(t, cNow, spr, dt) {
     const grid = this.scene.gridSystem;
@@ -412,7 +658,7 @@ export class TrafficSystem {
 
     const fwd = { gx: cNow.gx + t.dir.x, gy: cNow.gy + t.dir.y };
 
-    const speed = BASE_SPEED * t.speedMult;
+    const speed = BASE_SPEED * t.speedMult * this.env.grip;
     const lead = this._carAhead(t);
 
     let actualSpeed = speed;
@@ -424,12 +670,44 @@ export class TrafficSystem {
     const baseY = cNow.gy * TILE;
     const prog = cellProgress(t.dir, spr.x, spr.y, baseX, baseY);
 
+    if (newlyEntered && t.sigGrant !== cKey) t.sigGrant = null;
+
+    // ===== LANES (avenues) =====
+    actualSpeed *= this._updateLane(t, cNow, fwd, lead, prog);
+
+    // ===== INTERSECTION CONTROL (SignalSystem) =====
+    const gate = this._junctionGate(t, cNow, fwd);
+    if (gate) {
+      const sig = this.scene.signalSystem.config;
+      if (gate.rule !== "signal" && prog >= sig.SLOW_FROM_PROG) actualSpeed *= sig.APPROACH_SLOW_MULT;
+      const nextProg = prog + (actualSpeed * dt) / TILE;
+      if (nextProg >= sig.STOP_LINE_PROG && !this._mayEnter(t, fwd)) {
+        // creep up to the line, then hold
+        const room = Math.max(0, (sig.STOP_LINE_PROG - prog) * TILE);
+        spr.x += t.dir.x * Math.min(room, actualSpeed * dt);
+        spr.y += t.dir.y * Math.min(room, actualSpeed * dt);
+        return;
+      }
+    }
+
+    // ===== PEDESTRIANS CROSSING AHEAD =====
+    if (this.scene.pedestrianSystem?.isCrossingAt(fwd.gx, fwd.gy)) {
+      const nextProg = prog + (actualSpeed * dt) / TILE;
+      if (nextProg >= PED_YIELD_PROG) {
+        const room = Math.max(0, (PED_YIELD_PROG - prog) * TILE);
+        spr.x += t.dir.x * Math.min(room, actualSpeed * dt);
+        spr.y += t.dir.y * Math.min(room, actualSpeed * dt);
+        return;
+      }
+    }
+
     const DECIDE_START = 0.20;
     const DECIDE_END   = 0.92;
-    const forwardBlocked = !grid.isRoadCell(fwd.gx, fwd.gy);
+    const forwardBlocked = !this._isOpen(fwd.gx, fwd.gy);
 
-    if (prog >= DECIDE_START && prog <= DECIDE_END) {
-      const maybeTurn = forwardBlocked || Math.random() < 0.15;
+    // a roadblock can appear after the decision window, so a blocked car may still decide
+    if (prog >= DECIDE_START && (prog <= DECIDE_END || forwardBlocked)) {
+      const maybeTurn = forwardBlocked || this.rng.chance(0.15);
 
       if (maybeTurn) {
         const left  = nav.turnLeft(t.dir);
@@ -440,7 +718,7 @@ export class TrafficSystem {
         const addIfGood = (dir, weight) => {
           const a = { gx: cNow.gx + dir.x, gy: cNow.gy + dir.y };
           const b = { gx: a.gx + dir.x,   gy: a.gy + dir.y };
-          if (grid.isRoadCell(a.gx,a.gy) && grid.isRoadCell(b.gx,b.gy))
+          if (this._isOpen(a.gx,a.gy) && this._isOpen(b.gx,b.gy))
             opts.push({ dir, cell: a, weight });
         };
 
@@ -452,7 +730,7 @@ export class TrafficSystem {
 
         if (opts.length) {
           let total = opts.reduce((s,o)=>s+o.weight,0);
-          let r = Math.random() * total;
+          let r = this.rng.next() * total;
           for (const o of opts) {
             r -= o.weight;
             if (r <= 0) {
@@ -474,22 +752,24 @@ export class TrafficSystem {
 
     const nextCell = grid.pixToCell(nx, ny);
 
-    if (grid.isRoadCell(nextCell.gx, nextCell.gy)) {
+    const sameCell = nextCell.gx === cNow.gx && nextCell.gy === cNow.gy;
+    if (sameCell ? grid.isRoadCell(nextCell.gx, nextCell.gy) : this._isOpen(nextCell.gx, nextCell.gy)) {
       spr.x = nx;
       spr.y = ny;
     }
 
-    // snap to lane
-    const lanePos = lanePositionFor(cNow.gx, cNow.gy, t.dir, false);
-    if (Math.abs(t.dir.x) > 0) spr.y = lanePos.y;
-    else spr.x = lanePos.x;
+    // ease into the lane (lane changes slide across instead of jumping)
+    const lanePos = grid.lanePoint(cNow.gx, cNow.gy, t.dir, t.lane);
+    const shift = LANE_SHIFT_PX_PER_SEC * dt;
+    if (Math.abs(t.dir.x) > 0) spr.y += Phaser.Math.Clamp(lanePos.y - spr.y, -shift, shift);
+    else spr.x += Phaser.Math.Clamp(lanePos.x - spr.x, -shift, shift);
   }
 
   // ========== BEZIER EXECUTE ==========
   _doBezierTurn(t, spr, dt) {
     const nav = this.scene.navigationSystem;
 
-    t.turn.s += (BASE_SPEED * t.speedMult * dt) / (t.turn.len || TILE);
+    t.turn.s += (BASE_SPEED * t.speedMult * this.env.turn * dt) / (t.turn.len || TILE);
     t.turn.s = Math.min(1, t.turn.s);
 
     const s = t.turn.s;
@@ -502,6 +782,7 @@ export class TrafficSystem {
 
     if (s >= 1) {
       t.dir = t.turn.newDir;
+      t.lane = 0;
       spr.setRotation(nav.angleForDir(t.dir));
       t.turn = null;
       return;
@@ -513,10 +794,6 @@ export class TrafficSystem {
 
   // ====== CLEANUP ======
   destroy() {
-    if (this.spawnTimer) {
-      this.spawnTimer.destroy();
-      this.spawnTimer = null;
-    }
     for (const t of this.traffic) {
       if (t.spr) t.spr.destroy();
     }
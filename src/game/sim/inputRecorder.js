@@ -0,0 +1,105 @@
+// src/game/sim/inputRecorder.js
+// APB run recordings: the run's seed and starting state plus one input per
+// fixed sim step — enough to replay the run bit-for-bit
+// - createInputRecorder(meta): push(input) every step, taint(reason) when the
+//   run stops being replayable (ride, city edit), finish(outcome) → recording
+// - createInputPlayer(recording): next() → the input for the next step
+// - saveReplay / loadReplay: the last recorded run (pm_apb_replay_v1)
+//
+// Step input: { dx, dy, viewW, viewH, prod }
+//   dx/dy:  -1 | 0 | 1 steering
+//   viewW/H: visible world size (spawns avoid the view)
+//   prod:   "idle" | "boosted" | "stacked" (player + cop speeds)
+// Stored run-length encoded as [steer, viewW, viewH, prod, count].
+import { getJSON, setJSON } from "../../modules/storage";
+
+const KEY = "pm_apb_replay_v1";
+export const REPLAY_VERSION = 1;
+
+const PRODS = ["idle", "boosted", "stacked"];
+
+const encode = ({ dx, dy, viewW, viewH, prod }) => [
+  (dx + 1) + 3 * (dy + 1),
+  viewW | 0,
+  viewH | 0,
+  Math.max(0, PRODS.indexOf(prod)),
+];
+
+const decode = ([steer, viewW, viewH, prod]) => ({
+  dx: (steer % 3) - 1,
+  dy: Math.floor(steer / 3) - 1,
+  viewW,
+  viewH,
+  prod: PRODS[prod] || "idle",
+});
+
+const sameRun = (a, b) => a && a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3];
+
+/**
+ * meta: { seed, layout, simStart, stepMs, car: { x, y, dirX, dirY },
+ *         heat, hitReward, durationSec }
+ */
+export function createInputRecorder(meta) {
+  const runs = [];
+  const tainted = new Set();
+  let steps = 0;
+
+  return {
+    push(input) {
+      const enc = encode(input);
+      const last = runs[runs.length - 1];
+      if (sameRun(last, enc)) last[4] += 1;
+      else runs.push([...enc, 1]);
+      steps += 1;
+    },
+
+    /** Marks the run as not replayable (the reason is reported on replay). */
+    taint(reason) {
+      tainted.add(reason);
+    },
+
+    get steps() { return steps; },
+
+    /** outcome: { result, hits, stash, end: { x, y } } — replays compare against it. */
+    finish(outcome) {
+      return {
+        v: REPLAY_VERSION,
+        ...meta,
+        tainted: [...tainted],
+        steps,
+        inputs: runs,
+        outcome,
+        recordedAt: Date.now(),
+      };
+    },
+  };
+}
+
+export function createInputPlayer(recording) {
+  const runs = recording?.inputs || [];
+  let i = 0;
+  let used = 0;
+
+  return {
+    /** Input for the next step, or null once the recording is used up. */
+    next() {
+      while (i < runs.length && used >= runs[i][4]) {
+        i += 1;
+        used = 0;
+      }
+      if (i >= runs.length) return null;
+      used += 1;
+      return decode(runs[i]);
+    },
+  };
+}
+
+export function saveReplay(recording) {
+  return setJSON(KEY, recording);
+}
+
+/** Last recorded run, or null (missing or from an older format). */
+export function loadReplay() {
+  const rec = getJSON(KEY, null);
+  return rec?.v === REPLAY_VERSION && Array.isArray(rec.inputs) ? rec : null;
+}
@@ -0,0 +1,71 @@
+// src/game/sim/random.js
+// Seeded PRNG for everything the city sim rolls (spawns, personas, turns, cops, rides, fx)
+// - createRng: mulberry32 stream; its whole state is one uint32, so runs can
+//   be saved and resumed
+// - fork(label): child stream seeded from (seed, label). Reseeding a parent
+//   reseeds its children, so each system draws from its own stream and one
+//   system rolling more often never shifts another's numbers
+// - hashSeed: numbers/strings → uint32 seed (FNV-1a)
+
+/** uint32 seed from any mix of numbers and strings. */
+export function hashSeed(...parts) {
+  const str = parts.join("|");
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** Fresh seed for a new run (the only place wall-clock entropy enters the sim). */
+export function randomSeed() {
+  return hashSeed(Date.now(), Math.random());
+}
+
+export function createRng(seed = randomSeed()) {
+  let base = seed >>> 0;
+  let state = base;
+  const children = new Map(); // label → child rng
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    /** Float in [0, 1); safe to pass around unbound (e.g. pickPersonaKey(rng.next)). */
+    next,
+    /** Float in [min, max). */
+    range: (min, max) => min + next() * (max - min),
+    /** Integer in [0, n). */
+    int: (n) => Math.floor(next() * n),
+    pick: (arr) => (arr?.length ? arr[Math.floor(next() * arr.length)] : undefined),
+    chance: (p) => next() < p,
+
+    get seed() { return base; },
+
+    /** Child stream for `label`; the same label always returns the same stream. */
+    fork(label) {
+      let child = children.get(label);
+      if (!child) {
+        child = createRng(hashSeed(base, label));
+        children.set(label, child);
+      }
+      return child;
+    },
+
+    /** Restarts this stream and every fork from `seed`. */
+    reseed(nextSeed) {
+      base = nextSeed >>> 0;
+      state = base;
+      for (const [label, child] of children) child.reseed(hashSeed(base, label));
+    },
+
+    getState: () => state,
+    setState: (s) => { state = s >>> 0; },
+  };
+}
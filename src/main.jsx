@@ -1,14 +1,20 @@
+import "./setup/migrate.js"; // must run before any module reads localStorage
 import React from "react";
 import { createRoot } from "react-dom/client";
 import "./index.css";
-import App from "./App.jsx";
+import { initKV } from "./modules/storage.js";
 
 import { AvatarProvider } from "./context/AvatarContext";
 
-createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <AvatarProvider>
-      <App />
-    </AvatarProvider>
-  </React.StrictMode>
-);
+// App's modules read the large keys (city grids, builder history, sync queues)
+// synchronously, some at import time: load them from IndexedDB before App.
+initKV().then(async () => {
+  const { default: App } = await import("./App.jsx");
+  createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <AvatarProvider>
+        <App />
+      </AvatarProvider>
+    </React.StrictMode>
+  );
+});
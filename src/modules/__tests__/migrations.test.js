@@ -0,0 +1,189 @@
+// Runner + registry tests for src/modules/migrations.js on fixture localStorage
+// snapshots (fixtures/*.json: key → raw stored string). Run: npm test
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  dryRunMigrations,
+  getSchemaState,
+  restoreSchemaBackup,
+  runMigrations,
+} from "../migrations.js";
+
+const VERSION_KEY = "pm_schema_version_v1";
+const BACKUP_KEY = "pm_schema_backup_v1";
+
+/* ---------- localStorage shim ---------- */
+let store;
+let dropWrites; // keys whose setItem is silently ignored (full/flaky storage)
+
+globalThis.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => { if (!dropWrites.has(k)) store.set(k, String(v)); },
+  removeItem: (k) => { store.delete(k); },
+};
+
+function load(name) {
+  const raw = JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+  store = new Map(Object.entries(raw));
+  return raw;
+}
+const read = (k) => (store.has(k) ? JSON.parse(store.get(k)) : null);
+const appKeys = () => Object.fromEntries([...store].filter(([k]) => k !== VERSION_KEY && k !== BACKUP_KEY));
+
+beforeEach(() => {
+  store = new Map();
+  dropWrites = new Set();
+});
+
+/* ---------- runner ---------- */
+test("runs every migration in version order from a v0 snapshot", () => {
+  load("legacy-v0.json");
+  const report = runMigrations();
+
+  assert.equal(report.ok, true);
+  assert.equal(report.from, 0);
+  assert.equal(report.to, SCHEMA_VERSION);
+  assert.deepEqual(report.steps.map((s) => s.version), MIGRATIONS.map((m) => m.version));
+  assert.deepEqual(getSchemaState().applied.map((a) => a.name), MIGRATIONS.map((m) => m.name));
+
+  assert.deepEqual(read("pm_stats_v2"), { coinsEarned: 120, adsWatched: 3 });
+  assert.equal(read("pm_stats_v1"), null);
+  assert.deepEqual(read("pm_profile_v2"), read("pm_profile_v1"));
+  assert.equal(read("pm_subscription_state_v1").isActive, true);
+  assert.equal(read("pm_is_subscriber_v1"), null);
+
+  // single save (v4) → old layouts → slot index (v5)
+  assert.equal(read("pm_city_sim_v2"), null);
+  assert.equal(read("pm_city_layouts_v1"), null);
+  const idx = read("pm_city_slots_index_v2");
+  assert.deepEqual(idx.slots.map((s) => [s.id, s.name, s.kind]), [["main", "Main Base", "city"]]);
+  assert.equal(idx.activeId, "main");
+  assert.equal(read("pm_layout_grid_v1:main").grid[2][0], "home");
+});
+
+test("only runs migrations above the stored version", () => {
+  load("city-layouts-v4.json");
+  const report = runMigrations();
+  assert.equal(report.ok, true);
+  assert.deepEqual(report.steps.map((s) => s.name), ["unify_city_layouts"]);
+});
+
+test("is idempotent: a second run changes nothing", () => {
+  load("legacy-v0.json");
+  runMigrations();
+  const after = new Map(store);
+
+  const again = runMigrations();
+  assert.equal(again.ok, true);
+  assert.deepEqual(again.steps, []);
+  assert.deepEqual(store, after);
+});
+
+test("dry run reports the same steps without writing", () => {
+  const before = load("legacy-v0.json");
+  const dry = dryRunMigrations();
+
+  assert.equal(dry.ok, true);
+  assert.equal(dry.dryRun, true);
+  assert.deepEqual(Object.fromEntries(store), before);
+
+  const real = runMigrations();
+  assert.deepEqual(dry.steps.map((s) => [s.name, s.changes.map((c) => c.key)]),
+    real.steps.map((s) => [s.name, s.changes.map((c) => c.key)]));
+});
+
+test("backs up touched keys; restoreSchemaBackup puts the snapshot back", () => {
+  const before = load("legacy-v0.json");
+  runMigrations();
+
+  const backup = read(BACKUP_KEY);
+  assert.equal(backup.from, 0);
+  assert.equal(backup.to, SCHEMA_VERSION);
+  assert.equal(backup.data.pm_stats_v1, before.pm_stats_v1);
+
+  assert.equal(restoreSchemaBackup(), true);
+  assert.deepEqual(appKeys(), before);
+  assert.equal(getSchemaState().version, 0);
+});
+
+test("a failing check() aborts the run before anything is written", () => {
+  const before = load("legacy-v0.json");
+  const migrations = [
+    { version: 1, name: "ok", keys: ["a"], up: (ctx) => ctx.write("a", 1), check: () => true },
+    { version: 2, name: "broken", keys: ["pm_stats_v1"], up: (ctx) => ctx.remove("pm_stats_v1"), check: () => false },
+  ];
+  const report = runMigrations({ migrations });
+
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.error, { version: 2, name: "broken", message: "check failed" });
+  assert.deepEqual(Object.fromEntries(store), before);
+});
+
+test("a check() failing on the committed result rolls back from the backup", () => {
+  const before = load("legacy-v0.json");
+  dropWrites.add("pm_profile_v2"); // storage silently loses this write
+  const report = runMigrations();
+
+  assert.equal(report.ok, false);
+  assert.equal(report.error.message, "check failed after commit");
+  assert.deepEqual(appKeys(), before);
+  assert.equal(getSchemaState().version, 0);
+});
+
+test("a throwing up() is reported and leaves storage untouched", () => {
+  const before = load("legacy-v0.json");
+  const migrations = [{ version: 1, name: "throws", up() { throw new Error("boom"); } }];
+  const report = runMigrations({ migrations });
+
+  assert.equal(report.ok, false);
+  assert.equal(report.error.message, "boom");
+  assert.deepEqual(Object.fromEntries(store), before);
+});
+
+/* ---------- 5: unify_city_layouts ---------- */
+test("unify_city_layouts merges old layouts into the slot index", () => {
+  load("city-layouts-v4.json");
+  runMigrations();
+
+  const idx = read("pm_city_slots_index_v2");
+  // existing slot kept, id clash suffixed, untouched starter dropped, war kind kept
+  assert.deepEqual(idx.slots.map((s) => [s.id, s.kind]), [["main", "city"], ["main-2", "city"], ["base", "war"]]);
+  assert.equal(idx.activeId, "main");
+  assert.deepEqual(read("pm_layout_grid_v1:main").grid, [["road", "home"]]);
+  assert.equal(read("pm_layout_grid_v1:main-2").grid[2][0], "home");
+  assert.deepEqual(read("pm_layout_grid_v1:base"), {
+    w: 2, h: 2, grid: [["road", "road"], ["house", ""]], meta: { name: "War base", kind: "war" },
+  });
+  assert.equal(read("pm_layout_grid_v1:starter"), null);
+
+  // builder-era snapshot is ignored once slots exist; every old key is gone
+  assert.equal(read("pm_layout_grid_v1:default"), null);
+  for (const k of ["pm_city_layouts_v1", "pm_city_active_slot_v1", "pm_city_state_v1"]) {
+    assert.equal(read(k), null, k);
+  }
+});
+
+test("unify_city_layouts turns a builder-era snapshot into the default slot", () => {
+  load("builder-era-v4.json");
+  runMigrations();
+
+  const idx = read("pm_city_slots_index_v2");
+  assert.deepEqual(idx.slots.map((s) => s.id), ["default"]);
+  assert.equal(idx.activeId, "default");
+  // out-of-range tiles are dropped
+  assert.deepEqual(read("pm_layout_grid_v1:default").grid, [["road", "home", ""], ["", "", ""]]);
+  assert.equal(read("pm_city_slot_active_v1"), null);
+});
+
+test("unify_city_layouts leaves an empty install without an index", () => {
+  store.set(VERSION_KEY, JSON.stringify({ version: 4, applied: [] }));
+  const report = runMigrations();
+
+  assert.equal(report.ok, true);
+  assert.equal(read("pm_city_slots_index_v2"), null);
+});
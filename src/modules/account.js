@@ -0,0 +1,80 @@
+// FILE: src/modules/account.js
+// Client session for the payments/dev server.
+// - signUp / logIn / logOut against /api/auth/*
+// - Keeps the bearer token in localStorage and exposes authHeaders() so
+//   payments.js (and future server calls) send the session automatically
+// - Emits "pm:session" on sign-in/out
+
+export const API_BASE = (import.meta.env.VITE_API_BASE || "http://localhost:8787").replace(/\/+$/,"");
+const API = API_BASE;
+const KEY = "pm_session_v1"; // { token, uid, email, expiresAt }
+
+function read() {
+  try {
+    const s = JSON.parse(localStorage.getItem(KEY) || "null");
+    if (!s || !s.token) return null;
+    if (s.expiresAt && s.expiresAt < Date.now()) { localStorage.removeItem(KEY); return null; }
+    return s;
+  } catch { return null; }
+}
+function write(s) {
+  try {
+    if (s) localStorage.setItem(KEY, JSON.stringify(s));
+    else localStorage.removeItem(KEY);
+  } catch {}
+  try { window.dispatchEvent(new Event("pm:session")); } catch {}
+}
+
+/** Current session or null. */
+export function getSession() { return read(); }
+export function isSignedIn() { return !!read(); }
+
+/** Headers to merge into any authenticated request. */
+export function authHeaders() {
+  const s = read();
+  return s ? { Authorization: `Bearer ${s.token}` } : {};
+}
+
+async function post(path, body) {
+  const r = await fetch(`${API}${path}`, {
+    method: "POST",
+    credentials: "include",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: JSON.stringify(body || {}),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+  return data;
+}
+
+/** Creates an account and signs in. Throws with the server error code on failure. */
+export async function signUp(email, password) {
+  const { token, uid, expiresAt } = await post("/api/auth/signup", { email, password });
+  const s = { token, uid, email: String(email).toLowerCase(), expiresAt };
+  write(s);
+  return s;
+}
+
+export async function logIn(email, password) {
+  const { token, uid, expiresAt } = await post("/api/auth/login", { email, password });
+  const s = { token, uid, email: String(email).toLowerCase(), expiresAt };
+  write(s);
+  return s;
+}
+
+export async function logOut() {
+  try { if (read()) await post("/api/auth/logout"); } catch {}
+  write(null);
+}
+
+/** Listen for sign-in/out. Returns an unsubscribe fn. */
+export function onSessionChange(fn) {
+  const h = () => fn(read());
+  const onStorage = (e) => { if (e.key === KEY) h(); };
+  window.addEventListener("pm:session", h);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener("pm:session", h);
+    window.removeEventListener("storage", onStorage);
+  };
+}
@@ -0,0 +1,44 @@
+// src/modules/apbRuns.js
+// Recorded APB runs per city slot: the last few runs plus the personal best.
+// - Stored under pm_apb_runs_v1:<slotId> as { runs: [newest first], best }
+// - A run is { id, at, stats, sampleMs, frames, pickups } (see GhostSystem):
+//   frames are [tMs, carX, carY, ...copX/copY pairs], pickups [tMs, x, y, coins]
+// - "Best" is the highest total payout; more hits, then the shorter run,
+//   break ties
+import { getJSON, setJSON } from "./storage";
+
+const KEY = "pm_apb_runs_v1";
+export const MAX_RUNS = 5;
+
+const keyFor = (slotId) => `${KEY}:${slotId || "default"}`;
+
+export function loadRuns(slotId) {
+  const v = getJSON(keyFor(slotId), null) || {};
+  return {
+    runs: Array.isArray(v.runs) ? v.runs : [],
+    best: v.best && Array.isArray(v.best.frames) ? v.best : null,
+  };
+}
+
+/** True if run `a` beats run `b` (or there is no `b`). */
+export function isBetterRun(a, b) {
+  if (!b) return true;
+  const sa = a.stats || {}, sb = b.stats || {};
+  if ((sa.total | 0) !== (sb.total | 0)) return (sa.total | 0) > (sb.total | 0);
+  if ((sa.hits | 0) !== (sb.hits | 0)) return (sa.hits | 0) > (sb.hits | 0);
+  return (sa.durationSec | 0) < (sb.durationSec | 0);
+}
+
+/**
+ * Keeps `run` among the slot's last `keep` runs and as best if it beats the
+ * old one. Returns { isBest }.
+ */
+export function saveRun(slotId, run, { keep = MAX_RUNS } = {}) {
+  const cur = loadRuns(slotId);
+  const isBest = isBetterRun(run, cur.best);
+  setJSON(keyFor(slotId), {
+    runs: [run, ...cur.runs].slice(0, Math.max(1, keep)),
+    best: isBest ? run : cur.best,
+  });
+  return { isBest };
+}
@@ -217,6 +217,7 @@ export function getBuildingTypes() {
     // Infrastructure
     road: { name: 'Road', category: 'infrastructure', consumable: true },
     roundabout: { name: 'Roundabout', category: 'infrastructure', consumable: true },
+    signal: { name: 'Traffic Signal', category: 'infrastructure', consumable: true },
     
     // Residential
     home: { name: 'Home (Player)', category: 'residential', consumable: false },
@@ -0,0 +1,285 @@
+// FILE: src/modules/cityCodes.js
+// Shareable city codes + JSON files for city layouts.
+// - encodeCityCode(layout) → "PMC1.<base64url>" — compact binary:
+//     [version][w][h][kind][name len][name utf8…]
+//     tile runs (row-major) as [tile index][run length varint] until w*h cells
+//     [house color count varint] then [cell varint][color id len][color id…]
+//     [checksum] (byte sum mod 256, catches mistyped codes)
+// - toCityJSON(layout) → the same layout as a readable JSON file (plus its code)
+// - parseCityImport(text) → { ok, layout } | { ok: false, reason, detail? }
+//   Accepts either form; tiles are checked against the TILES registry.
+//
+// layout: { name, kind: "city" | "war", w, h, grid: string[][],
+//           houseColors: { "x,y": colorId } }  (a slot keeps them in meta.houseColors)
+// Inventory / unlock checks live in BuilderManager.importLayout().
+
+import { TILES, normalizeId } from "../data/tiles";
+import { HOUSE_TINT_COLORS } from "./paintShop";
+
+const PREFIX = "PMC";
+export const CITY_CODE_VERSION = 1;
+export const CITY_FILE_FORMAT = "procrastimate-city";
+
+// v1 tile table — append only, index 0 is an empty cell
+const TILE_TABLE_V1 = [
+  "",
+  "road",
+  "avenue",
+  "roundabout",
+  "signal",
+  "home",
+  "house",
+  "park",
+  "shop",
+  "hq",
+  "apb",
+  "bank",
+  "garage",
+  "paintshop",
+];
+const KINDS = ["city", "war"];
+const MAX_SIDE = 48;
+const MAX_NAME_BYTES = 48;
+
+/* ---------- bytes ---------- */
+
+// Drop whole code points until the UTF-8 name fits (a byte cut can split one)
+function clampName(name) {
+  const enc = new TextEncoder();
+  const chars = Array.from(name);
+  while (chars.length && enc.encode(chars.join("")).length > MAX_NAME_BYTES) chars.pop();
+  return chars.join("");
+}
+
+function pushVarint(out, n) {
+  let v = Math.max(0, Math.floor(n));
+  while (v >= 0x80) {
+    out.push((v & 0x7f) | 0x80);
+    v = Math.floor(v / 128);
+  }
+  out.push(v);
+}
+
+function reader(bytes) {
+  let i = 0;
+  const byte = () => {
+    if (i >= bytes.length) throw new Error("truncated");
+    return bytes[i++];
+  };
+  const varint = () => {
+    let n = 0;
+    let mul = 1;
+    for (let k = 0; k < 5; k++) {
+      const b = byte();
+      n += (b & 0x7f) * mul;
+      if (!(b & 0x80)) return n;
+      mul *= 128;
+    }
+    throw new Error("bad varint");
+  };
+  const take = (len) => {
+    if (i + len > bytes.length) throw new Error("truncated");
+    const s = bytes.slice(i, i + len);
+    i += len;
+    return s;
+  };
+  return { byte, varint, take, pos: () => i };
+}
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+const checksum = (bytes, len = bytes.length) => {
+  let sum = 0;
+  for (let k = 0; k < len; k++) sum = (sum + bytes[k]) & 0xff;
+  return sum;
+};
+
+/* ---------- layout shape ---------- */
+
+function cellId(raw) {
+  if (!raw) return "";
+  return normalizeId(raw) || null; // null = not a tile we know
+}
+
+// Checks + normalizes a layout from either source
+function cleanLayout(raw) {
+  const w = Number(raw?.w) | 0;
+  const h = Number(raw?.h) | 0;
+  if (w < 1 || h < 1 || w > MAX_SIDE || h > MAX_SIDE) {
+    return { ok: false, reason: "bad_size", detail: `${raw?.w}×${raw?.h}` };
+  }
+  if (!Array.isArray(raw.grid)) return { ok: false, reason: "bad_grid" };
+
+  const grid = [];
+  for (let y = 0; y < h; y++) {
+    const row = Array.isArray(raw.grid[y]) ? raw.grid[y] : [];
+    const out = [];
+    for (let x = 0; x < w; x++) {
+      const id = cellId(row[x]);
+      if (id === null || (id && !TILES[id]?.placeable)) {
+        return { ok: false, reason: "unknown_tile", detail: String(row[x]) };
+      }
+      out.push(id);
+    }
+    grid.push(out);
+  }
+
+  const houseColors = {};
+  for (const [key, colorId] of Object.entries(raw.houseColors || {})) {
+    const [x, y] = key.split(",").map(Number);
+    if (grid[y]?.[x] !== "house" || !HOUSE_TINT_COLORS[colorId]) continue;
+    houseColors[`${x},${y}`] = colorId;
+  }
+
+  return {
+    ok: true,
+    layout: {
+      name: clampName(String(raw.name || "Imported city")),
+      kind: raw.kind === "war" ? "war" : "city",
+      w,
+      h,
+      grid,
+      houseColors,
+    },
+  };
+}
+
+/* ---------- encode / decode ---------- */
+
+export function encodeCityCode(layout) {
+  const clean = cleanLayout(layout);
+  if (!clean.ok) throw new Error(`encodeCityCode: ${clean.reason}`);
+  const { name, kind, w, h, grid, houseColors } = clean.layout;
+
+  const bytes = [CITY_CODE_VERSION, w, h, Math.max(0, KINDS.indexOf(kind))];
+
+  const nameBytes = new TextEncoder().encode(name); // cleanLayout clamps it to MAX_NAME_BYTES
+  bytes.push(nameBytes.length, ...nameBytes);
+
+  let run = null;
+  let len = 0;
+  const flush = () => {
+    if (run === null) return;
+    bytes.push(run);
+    pushVarint(bytes, len);
+  };
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = TILE_TABLE_V1.indexOf(grid[y][x]);
+      if (idx === run) {
+        len++;
+      } else {
+        flush();
+        run = idx;
+        len = 1;
+      }
+    }
+  }
+  flush();
+
+  const colors = Object.entries(houseColors);
+  pushVarint(bytes, colors.length);
+  for (const [key, colorId] of colors) {
+    const [x, y] = key.split(",").map(Number);
+    pushVarint(bytes, y * w + x);
+    bytes.push(colorId.length, ...Array.from(colorId, (c) => c.charCodeAt(0)));
+  }
+
+  bytes.push(checksum(bytes));
+  return `${PREFIX}${CITY_CODE_VERSION}.${toBase64Url(bytes)}`;
+}
+
+export function decodeCityCode(code) {
+  const str = String(code || "").trim();
+  const m = /^PMC(\d+)\.([A-Za-z0-9_-]+)$/.exec(str);
+  if (!m) return { ok: false, reason: "bad_code" };
+  if (Number(m[1]) !== CITY_CODE_VERSION) {
+    return { ok: false, reason: "bad_version", detail: m[1] };
+  }
+
+  let bytes;
+  try {
+    bytes = fromBase64Url(m[2]);
+  } catch {
+    return { ok: false, reason: "bad_code" };
+  }
+  if (bytes.length < 2 || checksum(bytes, bytes.length - 1) !== bytes[bytes.length - 1]) {
+    return { ok: false, reason: "corrupt_code" };
+  }
+
+  try {
+    const r = reader(bytes.subarray(0, bytes.length - 1));
+    if (r.byte() !== CITY_CODE_VERSION) return { ok: false, reason: "bad_version" };
+    const w = r.byte();
+    const h = r.byte();
+    const kind = KINDS[r.byte()] || "city";
+    const name = new TextDecoder().decode(r.take(r.byte()));
+
+    const cells = [];
+    while (cells.length < w * h) {
+      const idx = r.byte();
+      const len = r.varint();
+      if (idx >= TILE_TABLE_V1.length) {
+        return { ok: false, reason: "unknown_tile", detail: `#${idx}` };
+      }
+      if (len < 1 || cells.length + len > w * h) return { ok: false, reason: "corrupt_code" };
+      for (let k = 0; k < len; k++) cells.push(TILE_TABLE_V1[idx]);
+    }
+    const grid = Array.from({ length: h }, (_, y) => cells.slice(y * w, (y + 1) * w));
+
+    const houseColors = {};
+    const colorCount = r.varint();
+    for (let k = 0; k < colorCount; k++) {
+      const cell = r.varint();
+      const colorId = String.fromCharCode(...r.take(r.byte()));
+      houseColors[`${cell % w},${Math.floor(cell / w)}`] = colorId;
+    }
+
+    return cleanLayout({ name, kind, w, h, grid, houseColors });
+  } catch {
+    return { ok: false, reason: "corrupt_code" };
+  }
+}
+
+/* ---------- JSON file ---------- */
+
+export function toCityJSON(layout) {
+  const clean = cleanLayout(layout);
+  if (!clean.ok) throw new Error(`toCityJSON: ${clean.reason}`);
+  return {
+    format: CITY_FILE_FORMAT,
+    version: CITY_CODE_VERSION,
+    ...clean.layout,
+    code: encodeCityCode(clean.layout),
+    exportedAt: Date.now(),
+  };
+}
+
+// A pasted code or the text of a city JSON file
+export function parseCityImport(text) {
+  const str = String(text || "").trim();
+  if (!str) return { ok: false, reason: "empty" };
+  if (str.startsWith(PREFIX)) return decodeCityCode(str);
+
+  let data;
+  try {
+    data = JSON.parse(str);
+  } catch {
+    return { ok: false, reason: "bad_code" };
+  }
+  if (data?.format !== CITY_FILE_FORMAT) return { ok: false, reason: "bad_file" };
+  if (Number(data.version) > CITY_CODE_VERSION) {
+    return { ok: false, reason: "bad_version", detail: String(data.version) };
+  }
+  return cleanLayout(data);
+}
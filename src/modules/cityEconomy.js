@@ -2,6 +2,8 @@
 // Computes passive income (Mate/min). Wallet handles crediting on a 60s tick.
 
 import { getBoostTimes } from "./boost";
+import { loadSim, onLayoutsChange } from "./citySlots";
+import { analyzeLayout } from "../game/ai/roadNetwork";
 
 /* ---------- policy & tuning ---------- */
 // Passive policy
@@ -19,6 +21,7 @@ const TILE_RATE = {
   road:        0.000,
   avenue:      0.000,
   roundabout:  0.000,
+  signal:      0.000,
   house:       0.050,
   home:        0.050,
   shop:        0.080,
@@ -28,15 +31,25 @@ const TILE_RATE = {
   start:       0,
 };
 
+// Evening trade: shops pay more while the city clock is in this window
+const SHOP_EVENING_FROM = 17;   // 17:00
+const SHOP_EVENING_TO   = 22;   // 22:00
+const SHOP_EVENING_MULT = 1.5;
+
+// Foot traffic: shop visits/min per shop → utilization bonus
+const FOOT_TRAFFIC_WEIGHT = 0.05;  // +5% per visit/min per shop…
+const FOOT_TRAFFIC_CAP    = 0.15;  // …up to +15%
+
+// City health (road network analyzer, 0..100): a broken network pays less
+const HEALTH_FULL_FROM = 90;    // no penalty at 90+
+const HEALTH_MIN_MULT  = 0.5;   // health 0 → city portion halved
+
 // APB policy
 const APB_COOLDOWN_SEC   = 20 * 60;  // 20 minutes
 const APB_FREE_SEC       = 30;       // 30s free
 const APB_SUB_SEC        = 45;       // 45s for subscribers
 const APB_LS_KEY         = "pm_apb_times_v1"; // { lastRun, nextAllowed }
 
-// Builder fallback storage key (same as CityScene)
-const BUILDER_LS_KEY = "pm_city_state_v1";
-
 /* ---------- tolerant helpers & optional globals ---------- */
 const lsGet = (k, f) => {
   try {
@@ -53,18 +66,45 @@ const lsSet = (k, v) => {
 };
 
 // Optional globals (soft deps):
-// window.__pmCitySlots   -> { loadSim() }
 // window.__pmMembership  -> { isSubscribed(): boolean, isActive(): boolean }
 // window.__pmGearState   -> { getActiveMods(scope): { passive_city_pct?: number } }
 // window.__pmAdGuard     -> { watchAd(kind): Promise<{ok:boolean,reason?:string,usdShare?:number}> }
-const gCitySlots  = () =>
-  (typeof window !== "undefined" ? window.__pmCitySlots : null);
+// window.__pmCityClock   -> { getHour(): number }  (CityScene's day/night clock, 0–24)
+// window.__pmFootTraffic -> { getShopVisitsPerMin(): number }  (CityScene's pedestrians)
 const gMember     = () =>
   (typeof window !== "undefined" ? window.__pmMembership : null);
 const gGear       = () =>
   (typeof window !== "undefined" ? window.__pmGearState : null);
 const gAdGuard    = () =>
   (typeof window !== "undefined" ? window.__pmAdGuard : null);
+const gCityClock  = () =>
+  (typeof window !== "undefined" ? window.__pmCityClock : null);
+const gFootTraffic = () =>
+  (typeof window !== "undefined" ? window.__pmFootTraffic : null);
+
+// Last rate the city reported, kept while the city scene is closed
+let _footPerMin = 0;
+function shopVisitsPerMin() {
+  try {
+    const v = Number(gFootTraffic()?.getShopVisitsPerMin?.());
+    if (Number.isFinite(v)) _footPerMin = Math.max(0, v);
+  } catch {}
+  return _footPerMin;
+}
+
+/** City hour (0–24): the sim clock while the city runs, else local time. */
+function cityHour() {
+  try {
+    const h = Number(gCityClock()?.getHour?.());
+    if (Number.isFinite(h)) return h;
+  } catch {}
+  const d = new Date();
+  return d.getHours() + d.getMinutes() / 60;
+}
+
+function shopTimeMultiplier(hour) {
+  return hour >= SHOP_EVENING_FROM && hour < SHOP_EVENING_TO ? SHOP_EVENING_MULT : 1;
+}
 
 /* ---------- normalize tile ids from grid/tiles ---------- */
 function normId(id = "") {
@@ -82,29 +122,36 @@ function normId(id = "") {
 }
 
 /* ---------- count tiles from active layout ---------- */
+// Cached until citySlots reports a layout change.
+let _counts = null;
+onLayoutsChange(() => { _counts = null; _snapCache.t = 0; });
+
+function emptyCounts() {
+  return {
+    roads: 0,
+    avenues: 0,
+    rbs: 0,
+    houses: 0,
+    shops: 0,
+    parks: 0,
+    hq: 0,
+    offices: 0,
+    health: 100,
+  };
+}
+
 function countsFromSlots() {
-  const slots = gCitySlots();
-  if (!slots?.loadSim) return null;
   try {
-    const sim = slots.loadSim();
+    const sim = loadSim();
     const g = Array.isArray(sim?.grid) ? sim.grid : [];
     if (!g.length) return null;
 
-    const c = {
-      roads: 0,
-      avenues: 0,
-      rbs: 0,
-      houses: 0,
-      shops: 0,
-      parks: 0,
-      hq: 0,
-      offices: 0,
-    };
+    const c = emptyCounts();
     for (let y = 0; y < g.length; y++) {
       const row = Array.isArray(g[y]) ? g[y] : [];
       for (let x = 0; x < row.length; x++) {
         const k = normId(row[x]);
-        if (k === "road") c.roads++;
+        if (k === "road" || k === "signal") c.roads++;
         else if (k === "avenue") c.avenues++;
         else if (k === "roundabout") c.rbs++;
         else if (k === "house" || k === "home") c.houses++;
@@ -114,54 +161,16 @@ function countsFromSlots() {
         else if (k === "office") c.offices++;
       }
     }
+    c.health = analyzeLayout(g).health;
     return c;
   } catch {
     return null;
   }
 }
 
-function countsFromBuilderLS() {
-  const snap = lsGet(BUILDER_LS_KEY, null);
-  if (!snap || !Array.isArray(snap.tiles)) return null;
-
-  const c = {
-    roads: 0,
-    avenues: 0,
-    rbs: 0,
-    houses: 0,
-    shops: 0,
-    parks: 0,
-    hq: 0,
-    offices: 0,
-  };
-  for (const t of snap.tiles) {
-    const k = normId(t?.id);
-    if (k === "road") c.roads++;
-    else if (k === "avenue") c.avenues++;
-    else if (k === "roundabout") c.rbs++;
-    else if (k === "house" || k === "home") c.houses++;
-    else if (k === "shop") c.shops++;
-    else if (k === "park") c.parks++;
-    else if (k === "hq") c.hq++;
-    else if (k === "office") c.offices++;
-  }
-  return c;
-}
-
 function getCounts() {
-  return (
-    countsFromSlots() ||
-    countsFromBuilderLS() || {
-      roads: 0,
-      avenues: 0,
-      rbs: 0,
-      houses: 0,
-      shops: 0,
-      parks: 0,
-      hq: 0,
-      offices: 0,
-    }
-  );
+  if (!_counts) _counts = countsFromSlots() || emptyCounts();
+  return _counts;
 }
 
 /* ---------- utilization (roads enable buildings) ---------- */
@@ -173,13 +182,16 @@ function getCounts() {
  * drivable  = roads + avenues + roundabouts
  *
  * ratio = buildings / max(1, drivable)
- * utilization = clamp(0.75 + 0.5*ratio, 0.60, 1.10)
+ * utilization = clamp(0.75 + 0.5*ratio, 0.60, 1.10) + foot
+ *
+ * foot = min(FOOT_TRAFFIC_CAP, FOOT_TRAFFIC_WEIGHT * shop visits/min per shop):
+ * shops that pedestrians actually walk to lift the whole city's take.
  *
  * Examples:
  *  - Many buildings, few roads: ratio high → up to +10% bonus
  *  - Many roads, few buildings: ratio low → down to -40% penalty
  */
-function computeUtilization(counts) {
+function computeUtilization(counts, footPerMin = 0) {
   const buildings =
     (counts.houses | 0) +
     (counts.shops | 0) +
@@ -190,7 +202,25 @@ function computeUtilization(counts) {
     (counts.roads | 0) + (counts.avenues | 0) + (counts.rbs | 0);
   const ratio = buildings / Math.max(1, drivable);
   const util = 0.75 + 0.5 * ratio;
-  return Math.max(0.6, Math.min(1.1, util));
+  return Math.max(0.6, Math.min(1.1, util)) + footTrafficBonus(counts, footPerMin);
+}
+
+function footTrafficBonus(counts, footPerMin) {
+  const shops = counts.shops | 0;
+  if (shops <= 0 || footPerMin <= 0) return 0;
+  return Math.min(FOOT_TRAFFIC_CAP, FOOT_TRAFFIC_WEIGHT * (footPerMin / shops));
+}
+
+/* ---------- city health (road network) ---------- */
+/**
+ * healthMult = 1 at HEALTH_FULL_FROM and above, then linear down to
+ * HEALTH_MIN_MULT at health 0. Islands, dead ends, unreachable buildings and
+ * a missing spawn edge all lower health (see game/ai/roadNetwork.js).
+ */
+export function cityHealthMultiplier(health = 100) {
+  const h = Math.max(0, Math.min(100, Number(health) || 0));
+  if (h >= HEALTH_FULL_FROM) return 1;
+  return HEALTH_MIN_MULT + (1 - HEALTH_MIN_MULT) * (h / HEALTH_FULL_FROM);
 }
 
 /* ---------- passive snapshot ---------- */
@@ -202,6 +232,8 @@ export function computeCityIncomeSnapshot() {
 
   const counts = getCounts();
   const { roads, avenues, rbs, houses, shops, parks, hq, offices } = counts;
+  const hour = cityHour();
+  const shopTimeMult = shopTimeMultiplier(hour);
 
   // City contribution (roads yield 0 by design)
   const cityPerMin =
@@ -209,14 +241,16 @@ export function computeCityIncomeSnapshot() {
     avenues * (TILE_RATE.avenue || 0) +
     rbs * (TILE_RATE.roundabout || 0) +
     houses * (TILE_RATE.house || 0) +
-    shops * (TILE_RATE.shop || 0) +
+    shops * (TILE_RATE.shop || 0) * shopTimeMult +
     parks * (TILE_RATE.park || 0) +
     hq * (TILE_RATE.hq || 0) +
     offices * (TILE_RATE.office || 0);
 
-  // Apply utilization on the “city” portion only
-  const utilization = computeUtilization(counts);
-  const cityAdj = cityPerMin * utilization;
+  // Apply utilization + city health on the “city” portion only
+  const footPerMin = shopVisitsPerMin();
+  const utilization = computeUtilization(counts, footPerMin);
+  const healthMult = cityHealthMultiplier(counts.health);
+  const cityAdj = cityPerMin * utilization * healthMult;
 
   const basePlusCity = BASE_PER_MIN + cityAdj;
 
@@ -248,6 +282,12 @@ export function computeCityIncomeSnapshot() {
     cityPerMin: +cityPerMin.toFixed(4),
     cityPerMinUtilized: +cityAdj.toFixed(4),
     utilization,
+    footTrafficPerMin: +footPerMin.toFixed(2),
+    footTrafficBonus: +footTrafficBonus(counts, footPerMin).toFixed(4),
+    health: counts.health,
+    healthMult: +healthMult.toFixed(4),
+    hour: +hour.toFixed(2),
+    shopTimeMult,
     adPct: AD_PCT,
     gearPct,
     // When no ad/boost, treat effective extra as 0% (we crawl via CRAWL_FACTOR)
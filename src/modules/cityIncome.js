@@ -2,7 +2,7 @@
 // Passive MateCoin income based on city tiles, boosted by Boost multiplier.
 // Ticks every 10s. Simulates offline accrual on load.
 
-import { loadCity } from "./cityState";
+import { loadCity } from "./citySlots";
 import { getBoostTimes, isBoostActive } from "./boost";
 import { grantAdReward } from "./wallet";
 
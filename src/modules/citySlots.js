@@ -1,16 +1,19 @@
 // FILE: src/modules/citySlots.js
 // Hybrid city-slot manager (ENGINE-FIRST, LS-BACKED)
+// The one authoritative layout store (replaces the old cityState.js).
 //
 // Responsibilities:
-// - Own the canonical list of city slots (IDs, names, created/updated).
+// - Own the canonical list of city slots (IDs, names, created/updated, thumb, stats).
 // - Own the saved layout grid for each slot.
 // - Expose legacy helpers for Shop (slot caps) and Prestige (clearAllSlots).
 // - Provide a clean engine-facing API for Builder + CityScene.
+// - Emit "pm:layouts" on every change (onLayoutsChange); CityScene,
+//   BuilderSlotSystem and cityEconomy subscribe instead of polling storage.
 //
-// Storage layout (localStorage):
+// Storage layout (localStorage, grids in IndexedDB via storage.js kv*Sync):
 //   pm_city_slots_index_v2 -> {
 //     activeId: string | null,
-//     slots: Array<{ id, name, createdAt, updatedAt }>
+//     slots: Array<{ id, name, kind, createdAt, updatedAt, thumb, stats }>
 //   }
 //
 //   pm_layout_grid_v1:<slotId> -> {
@@ -20,13 +23,17 @@
 //     meta?: { ... }
 //   }
 //
+//   pm_city_prestige_blueprint_v1 -> { name, w, h, grid, savedAt }
+//     the active layout as it was before the last clearAllSlots() (prestige),
+//     offered as a blueprint in the builder
+//
 // Slot cap meta (for Shop screen):
 //   pm_city_slots_store_v1    -> integer (0–5)
 //   pm_city_slots_prestige_v1 -> integer (0–5)
 //
-// Legacy builder keys are cleaned up via clearAllSlots().
+// Older keys (pm_city_layouts_v1, pm_city_state_v1, …) are folded in by migrations.js.
 
-import { getStore } from "./store";
+import { setJSON, kvGetSync, kvSetSync, kvRemoveSync, onKVChange } from "./storage";
 
 // ---------- DEBUG ----------
 
@@ -57,12 +64,9 @@ function lsRead(key, fallback = null) {
 }
 
 function lsWrite(key, value) {
-  try {
-    dbgSlots("lsWrite", key, value);
-    localStorage.setItem(key, JSON.stringify(value));
-  } catch {
-    /* ignore */
-  }
+  dbgSlots("lsWrite", key, value);
+  // A failed write raises a "pm:storage" warning.
+  return setJSON(key, value);
 }
 
 function lsRemove(key) {
@@ -78,14 +82,7 @@ function lsRemove(key) {
 
 const INDEX_KEY = "pm_city_slots_index_v2";
 const SLOT_GRID_PREFIX = "pm_layout_grid_v1:";
-
-// Legacy / builder-era keys we clean on prestige:
-const LEGACY_KEYS = [
-  "pm_city_slots_index_v1",
-  "pm_city_state_v1",
-  "pm_city_state_v2",
-  "pm_city_slot_active_v1",
-];
+const PRESTIGE_BLUEPRINT_KEY = "pm_city_prestige_blueprint_v1";
 
 // Slot cap meta (Shop)
 const STORE_SLOTS_KEY = "pm_city_slots_store_v1"; // 0–5 extra from store
@@ -96,12 +93,31 @@ const STORE_SLOTS_MAX = 5;
 const PRESTIGE_SLOTS_MAX = 5;
 const SLOT_CAP_MAX = BASE_FREE_SLOTS + STORE_SLOTS_MAX + PRESTIGE_SLOTS_MAX;
 
+// ---------- Grid helpers ----------
+
+// Grids are the biggest keys: they live in IndexedDB (storage.js mirror).
+function gridRead(slotId) {
+  const v = kvGetSync(SLOT_GRID_PREFIX + slotId, null);
+  dbgSlots("gridRead", slotId, v);
+  return v;
+}
+
+function gridWrite(slotId, value) {
+  dbgSlots("gridWrite", slotId, value);
+  return kvSetSync(SLOT_GRID_PREFIX + slotId, value);
+}
+
+function gridRemove(slotId) {
+  dbgSlots("gridRemove", slotId);
+  kvRemoveSync(SLOT_GRID_PREFIX + slotId);
+}
+
 // ---------- Internal: index structure ----------
 
 // Shape:
 // {
 //   activeId: string | null,
-//   slots: Array<{ id, name, createdAt, updatedAt }>
+//   slots: Array<{ id, name, kind, createdAt, updatedAt, thumb, stats }>
 // }
 
 function makeEmptyIndex() {
@@ -122,8 +138,11 @@ function normalizeIndex(raw) {
       return {
         id,
         name: String(s.name || id),
+        kind: s.kind === "war" ? "war" : "city",
         createdAt: Number.isFinite(s.createdAt) ? s.createdAt : Date.now(),
         updatedAt: Number.isFinite(s.updatedAt) ? s.updatedAt : Date.now(),
+        thumb: Array.isArray(s.thumb) ? s.thumb : null,
+        stats: s.stats && typeof s.stats === "object" ? s.stats : null,
       };
     })
     .filter(Boolean);
@@ -140,6 +159,113 @@ function normalizeIndex(raw) {
   return norm;
 }
 
+// ---------- Internal: slot metadata ----------
+
+// short/legacy → canonical ids (same mapping the builder uses)
+function normTileId(x = "") {
+  const t = String(x || "").toLowerCase();
+  if (!t) return "";
+  if (t.includes("@")) return normTileId(t.split("@")[0]);
+  if (t === "r") return "road";
+  if (t === "av") return "avenue";
+  if (t === "rb" || t === "round" || t === "ra") return "roundabout";
+  if (t === "st" || t === "start") return "home";
+  return t;
+}
+
+const DRIVABLE = new Set(["road", "avenue", "roundabout", "signal"]);
+const THUMB_MAX = 16;
+// one char per thumbnail cell
+const THUMB_CHAR = { road: "#", avenue: "=", roundabout: "o", signal: "x", home: "H", house: "h", shop: "s", park: "p", hq: "Q", office: "b" };
+
+function blankGrid(w, h) {
+  return Array.from({ length: h }, () => Array.from({ length: w }, () => ""));
+}
+
+// { tiles, drivable, buildings, byType:{ id: count } }
+function computeStats(grid) {
+  const byType = {};
+  let tiles = 0;
+  let drivable = 0;
+  for (const row of Array.isArray(grid) ? grid : []) {
+    for (const cell of Array.isArray(row) ? row : []) {
+      const id = normTileId(cell);
+      if (!id) continue;
+      tiles++;
+      if (DRIVABLE.has(id)) drivable++;
+      byType[id] = (byType[id] || 0) + 1;
+    }
+  }
+  return { tiles, drivable, buildings: tiles - drivable, byType };
+}
+
+// Downsampled preview: up to 16 strings of up to 16 chars ("." = empty)
+function makeThumb(grid) {
+  const h = Array.isArray(grid) ? grid.length : 0;
+  const w = h ? (grid[0]?.length || 0) : 0;
+  if (!w || !h) return [];
+  const step = Math.max(1, Math.ceil(Math.max(w, h) / THUMB_MAX));
+  const out = [];
+  for (let y = 0; y < h; y += step) {
+    let line = "";
+    for (let x = 0; x < w; x += step) {
+      const id = normTileId(grid[y]?.[x]);
+      line += id ? THUMB_CHAR[id] || "+" : ".";
+    }
+    out.push(line);
+  }
+  return out;
+}
+
+function describeSlot(slot, grid) {
+  slot.thumb = makeThumb(grid);
+  slot.stats = computeStats(grid);
+  return slot;
+}
+
+// ---------- Events ----------
+
+export const LAYOUT_EVENT = "pm:layouts";
+
+// detail: { type, slotId, activeId, external? }
+//   type: "saved" | "active" | "created" | "deleted" | "renamed" | "cap" | "cleared" | "external"
+function emitLayouts(type, slotId = null, extra = {}) {
+  dbgSlots("emit", type, slotId);
+  try {
+    const activeId = loadIndex().activeId;
+    window.dispatchEvent(new CustomEvent(LAYOUT_EVENT, { detail: { type, slotId, activeId, ...extra } }));
+  } catch {
+    /* ignore */
+  }
+}
+
+let storageBridge = false;
+// Another tab wrote our keys: re-emit as a layout event.
+function ensureStorageBridge() {
+  if (storageBridge || typeof window === "undefined") return;
+  storageBridge = true;
+  window.addEventListener("storage", (e) => {
+    const k = e?.key || "";
+    if (k === INDEX_KEY || k === STORE_SLOTS_KEY || k === PRESTIGE_SLOTS_KEY) {
+      emitLayouts("external", null, { external: true, key: k });
+    }
+  });
+  onKVChange(({ key }) => {
+    if (key.startsWith(SLOT_GRID_PREFIX)) {
+      emitLayouts("external", key.slice(SLOT_GRID_PREFIX.length), { external: true, key });
+    }
+  });
+}
+
+/** Subscribe to layout changes (this tab and others). Returns an unsubscribe function. */
+export function onLayoutsChange(fn) {
+  if (typeof window === "undefined") return () => {};
+  ensureStorageBridge();
+  const h = (e) => fn(e.detail || {});
+  window.addEventListener(LAYOUT_EVENT, h);
+  return () => window.removeEventListener(LAYOUT_EVENT, h);
+}
+
 function loadIndex() {
   const raw = lsRead(INDEX_KEY, null);
   const idx = normalizeIndex(raw);
@@ -151,17 +277,6 @@ function saveIndex(idx) {
   const norm = normalizeIndex(idx);
   dbgSlots("saveIndex", norm);
   lsWrite(INDEX_KEY, norm);
-  // Broadcast so Builder/CityScene can react to slot changes
-  try {
-    window.dispatchEvent(
-      new StorageEvent("storage", {
-        key: INDEX_KEY,
-        newValue: JSON.stringify(norm),
-      })
-    );
-  } catch {
-    /* ignore */
-  }
   return norm;
 }
 
@@ -171,12 +286,16 @@ function ensureSlots() {
   if (!idx.slots.length) {
     dbgSlots("ensureSlots: no slots, creating default");
     const now = Date.now();
-    const def = {
+    const w = 6;
+    const h = 6;
+    const grid = blankGrid(w, h);
+    const def = describeSlot({
       id: "default",
       name: "Default City",
+      kind: "city",
       createdAt: now,
       updatedAt: now,
-    };
+    }, grid);
     idx = {
       activeId: def.id,
       slots: [def],
@@ -184,12 +303,13 @@ function ensureSlots() {
     saveIndex(idx);
 
     // also create an empty grid for it
-    const w = 6;
-    const h = 6;
-    const grid = Array.from({ length: h }, () =>
-      Array.from({ length: w }, () => "")
-    );
-    lsWrite(SLOT_GRID_PREFIX + def.id, { w, h, grid, meta: { createdAt: now } });
+    gridWrite(def.id, { w, h, grid, meta: { createdAt: now } });
+  } else if (idx.slots.some((s) => !s.stats)) {
+    // backfill metadata for slots saved before thumbs/stats existed
+    for (const s of idx.slots) {
+      if (!s.stats) describeSlot(s, gridRead(s.id)?.grid || []);
+    }
+    saveIndex(idx);
   } else {
     dbgSlots("ensureSlots: existing slots", idx);
   }
@@ -201,7 +321,14 @@ function ensureSlots() {
 export function listSlots() {
   const idx = ensureSlots();
   dbgSlots("listSlots ->", idx.slots);
-  return idx.slots.slice();
+  return idx.slots.map((s) => ({ ...s, active: s.id === idx.activeId }));
+}
+
+// Metadata for one slot (null if unknown)
+export function getSlotMeta(id) {
+  const idx = ensureSlots();
+  const slot = idx.slots.find((s) => s.id === (id || idx.activeId));
+  return slot ? { ...slot, active: slot.id === idx.activeId } : null;
 }
 
 export function getActiveSlot() {
@@ -218,15 +345,20 @@ export function setActiveSlot(id) {
     dbgSlots("setActiveSlot: id not found", id);
     return idx.activeId;
   }
+  if (idx.activeId === id) return id;
   idx.activeId = id;
   const norm = saveIndex(idx);
   dbgSlots("setActiveSlot: updated", norm.activeId);
+  emitLayouts("active", norm.activeId);
   return norm.activeId;
 }
 
 // Create new slot (returns { success, id, reason? })
-export function createSlot(id, name) {
+// Second arg is a display name or a base layout ({ w, h, grid, meta }).
+export function createSlot(id, nameOrBase) {
   const cleanId = String(id || "").trim();
+  const base = nameOrBase && typeof nameOrBase === "object" ? nameOrBase : null;
+  const name = base ? base.meta?.name : nameOrBase;
   dbgSlots("createSlot request", { id: cleanId, name });
   if (!cleanId) {
     return { success: false, reason: "invalid_id" };
@@ -247,26 +379,29 @@ export function createSlot(id, name) {
   }
 
   const now = Date.now();
-  const slot = {
+  // start with the base grid, else blank
+  const hasGrid = Array.isArray(base?.grid) && base.grid.length > 0;
+  const w = hasGrid ? base.grid[0]?.length || 6 : base?.w || 6;
+  const h = hasGrid ? base.grid.length : base?.h || 6;
+  const grid = hasGrid ? JSON.parse(JSON.stringify(base.grid)) : blankGrid(w, h);
+  const kind = base?.meta?.kind === "war" ? "war" : "city";
+
+  const slot = describeSlot({
     id: cleanId,
     name: String(name || cleanId),
+    kind,
     createdAt: now,
     updatedAt: now,
-  };
+  }, grid);
 
   idx.slots.push(slot);
   idx.activeId = slot.id;
   saveIndex(idx);
 
-  // start with blank grid
-  const w = 6;
-  const h = 6;
-  const grid = Array.from({ length: h }, () =>
-    Array.from({ length: w }, () => "")
-  );
-  lsWrite(SLOT_GRID_PREFIX + slot.id, { w, h, grid, meta: { createdAt: now } });
+  gridWrite(slot.id, { w, h, grid, meta: { ...(base?.meta || {}), kind, createdAt: now } });
 
   dbgSlots("createSlot: created", slot);
+  emitLayouts("created", slot.id);
   return { success: true, id: slot.id };
 }
 
@@ -281,13 +416,14 @@ export function deleteSlot(id) {
   }
 
   const [removed] = idx.slots.splice(i, 1);
-  lsRemove(SLOT_GRID_PREFIX + removed.id);
+  gridRemove(removed.id);
 
   if (!idx.slots.length) {
     // reset to empty index; ensureSlots() will recreate a default
     dbgSlots("deleteSlot: removed last slot, resetting index");
     lsRemove(INDEX_KEY);
     ensureSlots();
+    emitLayouts("deleted", removed.id);
     return { success: true };
   }
 
@@ -296,6 +432,7 @@ export function deleteSlot(id) {
   }
   saveIndex(idx);
   dbgSlots("deleteSlot: success", { removed: removed.id, newActive: idx.activeId });
+  emitLayouts("deleted", removed.id);
   return { success: true };
 }
 
@@ -319,9 +456,19 @@ export function renameSlot(id, newName) {
   slot.updatedAt = Date.now();
   saveIndex(idx);
   dbgSlots("renameSlot: success", { id, name });
+  emitLayouts("renamed", id);
   return { success: true };
 }
 
+// Copy a slot's layout into a new slot (returns { success, id, reason? })
+export function cloneSlot(fromId, toId) {
+  const idx = ensureSlots();
+  const from = idx.slots.find((s) => s.id === fromId);
+  if (!from) return { success: false, reason: "not_found" };
+  const sim = loadSim(fromId);
+  return createSlot(toId, { ...sim, meta: { ...(sim.meta || {}), name: toId, kind: from.kind } });
+}
+
 // ---------- Layout IO ----------
 
 // loadSim(): when slotIdOpt omitted, uses active slot
@@ -333,8 +480,7 @@ export function loadSim(slotIdOpt) {
     return null;
   }
 
-  const key = SLOT_GRID_PREFIX + activeId;
-  const snap = lsRead(key, null);
+  const snap = gridRead(activeId);
   dbgSlots("loadSim raw", { activeId, snap });
 
   if (!snap || !Array.isArray(snap.grid)) {
@@ -342,9 +488,7 @@ export function loadSim(slotIdOpt) {
       slotId: activeId,
       w: 6,
       h: 6,
-      grid: Array.from({ length: 6 }, () =>
-        Array.from({ length: 6 }, () => "")
-      ),
+      grid: blankGrid(6, 6),
       meta: { createdAt: Date.now() },
     };
     dbgSlots("loadSim: returning fallback", fallback);
@@ -384,11 +528,8 @@ export function saveSim(sim, slotIdOpt) {
   const grid =
     Array.isArray(sim.grid) && sim.grid.length
       ? sim.grid
-      : Array.from({ length: h }, () =>
-          Array.from({ length: w }, () => "")
-        );
+      : blankGrid(w, h);
 
-  const key = SLOT_GRID_PREFIX + activeId;
   const payload = {
     w,
     h,
@@ -399,19 +540,38 @@ export function saveSim(sim, slotIdOpt) {
     },
   };
   dbgSlots("saveSim payload", { activeId, w, h, rows: grid.length });
-  lsWrite(key, payload);
+  gridWrite(activeId, payload);
 
-  // update index.updatedAt for this slot
+  // update index metadata for this slot
   const now = Date.now();
   const slot = idx.slots.find((s) => s.id === activeId);
   if (slot) {
     slot.updatedAt = now;
+    if (payload.meta.kind) slot.kind = payload.meta.kind === "war" ? "war" : "city";
+    describeSlot(slot, grid);
     saveIndex(idx);
   }
 
+  emitLayouts("saved", activeId);
   return { success: true };
 }
 
+// Grid only (cityIncome/economy callers)
+export function loadCity(slotIdOpt) {
+  return loadSim(slotIdOpt)?.grid || [];
+}
+
+export function getLayoutKind(slotIdOpt) {
+  return getSlotMeta(slotIdOpt)?.kind || "city"; // "city" or future kinds
+}
+
+export function setLayoutKind(kind, slotIdOpt) {
+  if (kind !== "war" && kind !== "city") return false;
+  if (!getSlotMeta(slotIdOpt)) return false;
+  const sim = loadSim(slotIdOpt);
+  return saveSim({ ...sim, meta: { ...(sim.meta || {}), kind } }, slotIdOpt || sim.slotId).success;
+}
+
 // ---------- Shop-facing helpers: slot caps ----------
 
 // internal: clamp int
@@ -464,16 +624,7 @@ export function setStoreSlotCount(n) {
   const val = clampInt(n, 0, STORE_SLOTS_MAX);
   dbgSlots("setStoreSlotCount", val);
   lsWrite(STORE_SLOTS_KEY, val);
-  try {
-    window.dispatchEvent(
-      new StorageEvent("storage", {
-        key: STORE_SLOTS_KEY,
-        newValue: JSON.stringify(val),
-      })
-    );
-  } catch {
-    /* ignore */
-  }
+  emitLayouts("cap");
 }
 
 // Absolute prestige slot count (0–5)
@@ -484,16 +635,7 @@ export function setPrestigeSlotCount(n) {
   const val = clampInt(n, 0, PRESTIGE_SLOTS_MAX);
   dbgSlots("setPrestigeSlotCount", val);
   lsWrite(PRESTIGE_SLOTS_KEY, val);
-  try {
-    window.dispatchEvent(
-      new StorageEvent("storage", {
-        key: PRESTIGE_SLOTS_KEY,
-        newValue: JSON.stringify(val),
-      })
-    );
-  } catch {
-    /* ignore */
-  }
+  emitLayouts("cap");
 }
 
 // Convenience: is current slots list already at cap?
@@ -513,11 +655,25 @@ export function clearAllSlots() {
   dbgSlots("clearAllSlots: start");
   const idx = loadIndex();
 
+  // Keep the active city as a blueprint to rebuild from
+  const activeId = idx?.activeId || idx?.slots?.[0]?.id;
+  const snap = activeId ? gridRead(activeId) : null;
+  if (snap?.grid?.some((row) => Array.isArray(row) && row.some(Boolean))) {
+    const name = idx.slots.find((s) => s.id === activeId)?.name || activeId;
+    lsWrite(PRESTIGE_BLUEPRINT_KEY, {
+      name: `${name} (before prestige)`,
+      w: snap.w,
+      h: snap.h,
+      grid: snap.grid,
+      savedAt: Date.now(),
+    });
+  }
+
   // Remove each slot grid
   if (idx && Array.isArray(idx.slots)) {
     for (const s of idx.slots) {
       if (s?.id) {
-        lsRemove(SLOT_GRID_PREFIX + s.id);
+        gridRemove(s.id);
       }
     }
   }
@@ -525,21 +681,16 @@ export function clearAllSlots() {
   // Drop index
   lsRemove(INDEX_KEY);
 
-  // Clear legacy/builder keys
-  for (const k of LEGACY_KEYS) {
-    lsRemove(k);
-  }
-
-  try {
-    window.dispatchEvent(
-      new StorageEvent("storage", { key: "slotscleared" })
-    );
-  } catch {
-    /* ignore */
-  }
+  emitLayouts("cleared");
   dbgSlots("clearAllSlots: done");
 }
 
+// Layout saved by the last clearAllSlots() (null if none)
+export function getPrestigeBlueprint() {
+  const bp = lsRead(PRESTIGE_BLUEPRINT_KEY, null);
+  return bp && Array.isArray(bp.grid) ? bp : null;
+}
+
 // ---------- Optional debug helper ----------
 
 // Quick helper you can call from devtools: citySlots.__debugDumpAll()
@@ -547,7 +698,7 @@ export function __debugDumpAll() {
   const idx = loadIndex();
   const layouts = {};
   for (const s of idx.slots) {
-    const snap = lsRead(SLOT_GRID_PREFIX + s.id, null);
+    const snap = gridRead(s.id);
     layouts[s.id] = {
       w: snap?.w,
       h: snap?.h,
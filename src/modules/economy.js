@@ -1,7 +1,7 @@
 // src/modules/economy.js
 import { addCoins } from "./wallet";
 import { getBoostTimes, isBoostActive } from "./boost";
-import { loadSim } from "./cityState";
+import { loadSim } from "./citySlots";
 
 const LS_TS = "pm_income_ts_v1";
 const LS_CARRY = "pm_income_carry_v1";
@@ -3,6 +3,8 @@
 // - Supports subs map: { sub_ad_lite: true, sub_ad_free: true }
 // - Supports legacy flags adLite/adFree and coinPacks
 // - Emits "pm_entitlements_changed" on any mutation
+// - Single source of truth for subscription state: subscription.js and
+//   subGuard.ts read/write through here (their old keys are folded in by migrations.js)
 
 const LS = {
   get: (k, f) => { try { const v = localStorage.getItem(k); return v ? JSON.parse(v) : f; } catch { return f; } },
@@ -11,7 +13,7 @@ const LS = {
 
 const K = {
   ENTITLE: "pm_entitlements_v1",        // { subs:{}, coins:number, adLite:boolean, adFree:boolean, coinPacks:{}, lastSync:number }
-  SUB:     "pm_subscription_state_v1",  // { adTier:'none'|'lite'|'free', renewsAt:number|null, isActive:boolean }
+  SUB:     "pm_subscription_state_v1",  // { adTier, renewsAt, isActive, status, graceUntil }
 };
 
 function loadEntRaw() {
@@ -31,18 +33,37 @@ function loadSubRaw() {
   s.adTier = s.adTier || "none";
   s.renewsAt = s.renewsAt ?? null;
   s.isActive = !!s.isActive;
+  s.status = s.status || (s.isActive ? "active" : "expired");
+  s.graceUntil = Number(s.graceUntil || 0);
+  // Local expiry: a cached "active" past its renewal (and grace) date is no longer active.
+  const now = Date.now();
+  if (s.isActive && s.renewsAt && now > s.renewsAt && now > s.graceUntil) {
+    s.isActive = false;
+    s.status = "expired";
+  }
   return s;
 }
 function saveSubRaw(s) { LS.set(K.SUB, s); }
 
 // ---------- Queries ----------
+// The ad tier comes only from the active subscription mirror: an expired or
+// revoked sub keeps its last adTier but no longer counts.
 export function hasAdFree() {
-  const e = loadEntRaw(), sub = loadSubRaw();
-  return !!(e.subs?.sub_ad_free || e.adFree || sub.adTier === "free");
+  const sub = loadSubRaw();
+  return sub.isActive && sub.adTier === "free";
 }
 export function hasAdLite() {
-  const e = loadEntRaw(), sub = loadSubRaw();
-  return !!(e.subs?.sub_ad_lite || e.adLite || sub.adTier === "lite" || hasAdFree());
+  const sub = loadSubRaw();
+  return sub.isActive && (sub.adTier === "lite" || sub.adTier === "free");
+}
+/** True when any paid subscription is currently active (includes grace and cancelled-but-paid-up). */
+export function isSubscribed() {
+  const sub = loadSubRaw();
+  return sub.isActive && sub.adTier !== "none";
+}
+/** Normalized subscription mirror: { adTier, renewsAt, isActive, status, graceUntil }. */
+export function getSubscriptionState() {
+  return { ...loadSubRaw() };
 }
 export function bannersEnabled() {
   // We only hide banners for Ad-Free; Ad-Lite can show light banners.
@@ -51,23 +72,22 @@ export function bannersEnabled() {
 
 // Generic checker used by some UI components
 export function hasEntitlement(key) {
-  const e = loadEntRaw();
-  if (key in (e.subs || {})) return !!e.subs[key];
   if (key === "sub_ad_free") return hasAdFree();
   if (key === "sub_ad_lite") return hasAdLite();
-  return false;
+  const e = loadEntRaw();
+  return !!e.subs?.[key];
 }
 
 // Snapshot (normalized for UI)
 export function getEntitlements() {
   const e = loadEntRaw();
   const sub = loadSubRaw();
-  // mirror legacy booleans from subs to keep older code stable
-  const adLite = e.adLite || !!e.subs.sub_ad_lite;
-  const adFree = e.adFree || !!e.subs.sub_ad_free;
+  // legacy booleans + ad subs follow the active subscription mirror
+  const adLite = hasAdLite();
+  const adFree = hasAdFree();
 
   return {
-    subs: { ...e.subs, ...(adLite ? { sub_ad_lite: true } : {}), ...(adFree ? { sub_ad_free: true } : {}) },
+    subs: { ...e.subs, sub_ad_lite: adLite, sub_ad_free: adFree },
     coins: e.coins,
     coinPacks: { ...e.coinPacks },
     adLite,
@@ -82,6 +102,43 @@ function emitChanged() {
   try { window.dispatchEvent(new Event("pm_entitlements_changed")); } catch {}
 }
 
+/** Listen for entitlement changes (this tab and others). Returns an unsubscribe fn. */
+export function onEntitlementsChange(fn) {
+  if (typeof fn !== "function" || typeof window === "undefined") return () => {};
+  const h = () => fn(getEntitlements());
+  const onStorage = (e) => { if (e.key === K.ENTITLE || e.key === K.SUB) h(); };
+  window.addEventListener("pm_entitlements_changed", h);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener("pm_entitlements_changed", h);
+    window.removeEventListener("storage", onStorage);
+  };
+}
+
+/** Server entitlement (GET /api/entitlement) → subscription patch. */
+function subFromServer(ent) {
+  const adTier = ent.adTier || (ent.isActive && ent.tier !== "free" ? "lite" : "none");
+  return {
+    adTier: ent.isActive ? adTier : "none",
+    renewsAt: Number(ent.expiresAt) || null,
+    isActive: !!ent.isActive,
+    status: ent.status || (ent.isActive ? "active" : "expired"),
+    graceUntil: Number(ent.graceUntil || 0),
+  };
+}
+
+/** Server entitlement → subs map (only the tier it reports as active). */
+function subsFromServer(ent) {
+  const tier = ent.isActive ? ent.adTier : "none";
+  return { sub_ad_lite: tier === "lite", sub_ad_free: tier === "free" };
+}
+
+/** Applies a GET /api/entitlement payload. */
+export function applyServerEntitlement(ent) {
+  if (!ent || typeof ent !== "object") return getEntitlements();
+  return applyReceiptPatch({ entitlement: ent });
+}
+
 export function creditCoinPack(id, amount) {
   const e = loadEntRaw();
   e.coinPacks[id] = (e.coinPacks[id] || 0) + Math.max(0, Number(amount || 0));
@@ -95,23 +152,32 @@ export function creditCoinPack(id, amount) {
  * - Modern: { subs:{ sub_ad_free:true, sub_ad_lite:false }, coins: number }
  * - Legacy: { adLite:boolean, adFree:boolean, coinPacks:{[id]:number} }
  * - With subscription mirror: { sub:{ adTier:'none'|'lite'|'free', renewsAt:number|null, isActive:boolean } }
+ * - Server entitlement: { entitlement:{ isActive, tier, adTier, status, expiresAt, graceUntil } }
  */
 export function applyReceiptPatch(patch) {
   if (!patch || typeof patch !== "object") return getEntitlements();
 
   const e = loadEntRaw();
-
-  // Modern subs map
-  if (patch.subs && typeof patch.subs === "object") {
-    e.subs = { ...e.subs, ...Object.fromEntries(
-      Object.entries(patch.subs).map(([k,v]) => [String(k), !!v])
-    ) };
+  const subsPatch =
+    patch.subs && typeof patch.subs === "object"
+      ? Object.fromEntries(Object.entries(patch.subs).map(([k, v]) => [String(k), !!v]))
+      : null;
+
+  if (patch.entitlement && typeof patch.entitlement === "object") {
+    // Server state is complete: rebuild subs + legacy flags so a lapsed or
+    // revoked sub is dropped instead of merged over
+    e.subs = subsPatch || subsFromServer(patch.entitlement);
+    e.adLite = !!e.subs.sub_ad_lite;
+    e.adFree = !!e.subs.sub_ad_free;
+  } else {
+    // Modern subs map
+    if (subsPatch) e.subs = { ...e.subs, ...subsPatch };
+
+    // Legacy flags
+    if (patch.adLite != null) e.adLite = !!patch.adLite;
+    if (patch.adFree != null) e.adFree = !!patch.adFree;
   }
 
-  // Legacy flags
-  if (patch.adLite != null) e.adLite = !!patch.adLite;
-  if (patch.adFree != null) e.adFree = !!patch.adFree;
-
   // Coins (absolute or additive—treat as absolute if provided as number)
   if (Number.isFinite(patch.coins)) e.coins = Math.max(0, Number(patch.coins));
 
@@ -125,13 +191,20 @@ export function applyReceiptPatch(patch) {
   e.lastSync = Date.now();
   saveEntRaw(e);
 
-  // Subscription mirror
-  if (patch.sub && typeof patch.sub === "object") {
+  // Subscription mirror (server entitlement wins over a client-built `sub`)
+  const subPatch =
+    patch.entitlement && typeof patch.entitlement === "object"
+      ? subFromServer(patch.entitlement)
+      : patch.sub;
+  if (subPatch && typeof subPatch === "object") {
     const cur = loadSubRaw();
+    const isActive = subPatch.isActive != null ? !!subPatch.isActive : cur.isActive;
     const next = {
-      adTier: patch.sub.adTier ?? cur.adTier ?? "none",
-      renewsAt: patch.sub.renewsAt ?? cur.renewsAt ?? null,
-      isActive: patch.sub.isActive != null ? !!patch.sub.isActive : cur.isActive,
+      adTier: subPatch.adTier ?? cur.adTier ?? "none",
+      renewsAt: subPatch.renewsAt ?? cur.renewsAt ?? null,
+      isActive,
+      status: subPatch.status ?? (isActive ? "active" : "expired"),
+      graceUntil: Number(subPatch.graceUntil ?? cur.graceUntil ?? 0),
     };
     saveSubRaw(next);
   }
@@ -142,6 +215,6 @@ export function applyReceiptPatch(patch) {
 
 export function resetEntitlements() {
   saveEntRaw({ subs: {}, coins: 0, adLite: false, adFree: false, coinPacks: {}, lastSync: 0 });
-  saveSubRaw({ adTier: "none", renewsAt: null, isActive: false });
+  saveSubRaw({ adTier: "none", renewsAt: null, isActive: false, status: "expired", graceUntil: 0 });
   emitChanged();
 }
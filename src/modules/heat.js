@@ -1,40 +1,126 @@
 // src/modules/heat.js
+// Heat (0–100) and the wanted stars it maps to.
+// - Heat rises from APB events (traffic pickups, crashes, cop contact) and
+//   from running down pedestrians
+// - Decays ~1 point every 15s; lastTick is persisted, so it keeps cooling
+//   while the game is closed
+// - Stars (0–5) pick a WANTED_LEVELS row: cop count, cop speed, roadblocks
+//   and the APB payout multiplier
+// - Changes are broadcast as a "pm:heat" event ({ level, stars })
+import { getJSON, setJSON } from "./storage";
+
 const KEY = "pm_heat_v1";
+const DECAY_MS = 15000;
+export const HEAT_EVENT = "pm:heat";
+
+/** Heat added per event. */
+export const HEAT_GAIN = {
+  pickup: 2,
+  crash: 8,
+  copContact: 10,
+  pedestrian: 6,
+};
+
+/** Minimum heat for 1..5 stars. */
+export const STAR_THRESHOLDS = [10, 25, 45, 65, 85];
+
+/**
+ * Per-star tuning.
+ *  cops:               units chasing during an APB
+ *  speedMult:          multiplier on the boost-based cop speed
+ *  roadblockEverySec:  seconds between roadblocks (0 = none)
+ *  payoutMult:         multiplier on APB hit coins and the evasion bonus
+ */
+export const WANTED_LEVELS = [
+  { stars: 0, cops: 1, speedMult: 1.00, roadblockEverySec: 0,  payoutMult: 1.0 },
+  { stars: 1, cops: 1, speedMult: 1.05, roadblockEverySec: 0,  payoutMult: 1.1 },
+  { stars: 2, cops: 2, speedMult: 1.10, roadblockEverySec: 0,  payoutMult: 1.25 },
+  { stars: 3, cops: 2, speedMult: 1.15, roadblockEverySec: 18, payoutMult: 1.5 },
+  { stars: 4, cops: 3, speedMult: 1.20, roadblockEverySec: 12, payoutMult: 1.75 },
+  { stars: 5, cops: 4, speedMult: 1.30, roadblockEverySec: 8,  payoutMult: 2.0 },
+];
 
 function read() {
-  try { return JSON.parse(localStorage.getItem(KEY) || "{}"); } catch { return {}; }
+  const s = getJSON(KEY, {}) || {};
+  return {
+    level: typeof s.level === "number" ? s.level : 0,
+    lastTick: typeof s.lastTick === "number" ? s.lastTick : Date.now(),
+  };
+}
+
+function write(s, prevLevel) {
+  setJSON(KEY, s);
+  if (s.level === prevLevel) return;
+  try {
+    window.dispatchEvent(new CustomEvent(HEAT_EVENT, { detail: { level: s.level, stars: heatToStars(s.level) } }));
+  } catch {}
 }
-function write(s) { try { localStorage.setItem(KEY, JSON.stringify(s)); } catch {} }
 
 export function getHeat() {
-  const s = read();
-  if (typeof s.level !== "number") s.level = 0;
-  if (typeof s.lastTick !== "number") s.lastTick = Date.now();
-  return s;
+  return read();
+}
+
+export function heatToStars(level) {
+  let stars = 0;
+  for (const t of STAR_THRESHOLDS) if ((level || 0) >= t) stars += 1;
+  return stars;
+}
+
+/** Stars and WANTED_LEVELS row for a heat level (no storage access). */
+export function wantedForLevel(level) {
+  const stars = heatToStars(level);
+  return { level, ...WANTED_LEVELS[stars] };
+}
+
+// Level with the decay owed since lastTick applied (read-only; tickHeat books it)
+function decayedLevel(s, now = Date.now()) {
+  const steps = Math.floor((now - s.lastTick) / DECAY_MS);
+  return steps > 0 ? Math.max(0, s.level - steps) : s.level;
 }
+
+/** Current heat (decay since lastTick included), stars and the matching WANTED_LEVELS row. */
+export function getWanted() {
+  return wantedForLevel(decayedLevel(read()));
+}
+
 export function addHeat(amount) {
-  const s = getHeat();
-  s.level = Math.min(100, (s.level || 0) + (amount || 0));
-  s.lastTick = Date.now();
-  write(s);
+  const s = read();
+  const prev = s.level;
+  s.level = Math.max(0, Math.min(100, prev + (Number(amount) || 0)));
+  write(s, prev);
   return s.level;
 }
-// decay ~1 point every 15s
-export function tickHeat() {
-  const s = getHeat();
+
+/** addHeat by HEAT_GAIN source ("pickup" | "crash" | "copContact" | "pedestrian"). */
+export function addHeatFor(source) {
+  return addHeat(HEAT_GAIN[source] || 0);
+}
+
+/**
+ * Applies decay for the time since lastTick. With { hold: true } the clock
+ * moves on without cooling (heat doesn't drop mid-chase).
+ */
+export function tickHeat({ hold = false } = {}) {
+  const s = read();
   const now = Date.now();
-  const steps = Math.floor((now - (s.lastTick || now)) / 15000);
-  if (steps > 0) {
-    s.level = Math.max(0, (s.level || 0) - steps);
-    s.lastTick = now;
-    write(s);
-  }
-  return s.level || 0;
+  const steps = Math.floor((now - s.lastTick) / DECAY_MS);
+  if (steps <= 0) return s.level;
+  const prev = s.level;
+  if (!hold) s.level = decayedLevel(s, now);
+  // keep the partial step so frequent ticks still decay
+  s.lastTick += steps * DECAY_MS;
+  write(s, prev);
+  return s.level;
 }
+
+/** Subscribe to heat changes. Returns an unsubscribe function. */
+export function onHeatChange(fn) {
+  if (typeof window === "undefined") return () => {};
+  const h = (e) => fn(e.detail);
+  window.addEventListener(HEAT_EVENT, h);
+  return () => window.removeEventListener(HEAT_EVENT, h);
+}
+
 export function getHeatMultiplier() {
-  const h = (getHeat().level || 0);
-  if (h >= 75) return 1.5;
-  if (h >= 50) return 1.25;
-  if (h >= 25) return 1.1;
-  return 1.0;
+  return getWanted().payoutMult;
 }
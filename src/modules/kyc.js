@@ -1,8 +1,7 @@
 // src/modules/kyc.js
 // Local-only payout profile + soft KYC reminders. No resets or hard gates.
 
-const KEY_V2 = "pm_profile_v2";
-const KEY_V1 = "pm_profile_v1";            // migrate if present
+const KEY_V2 = "pm_profile_v2";            // v1 → v2 handled by migrations.js
 const LAST_EARN_TS = "pm_last_earn_ts";    // ms epoch of last coin/USD earn
 const REMIND_DISMISS = "pm_kyc_remind_dismiss"; // ms epoch user dismissed until
 
@@ -11,13 +10,6 @@ const read = (k, f) => { try { const v = localStorage.getItem(k); return v ? JSO
 const write = (k, v) => { try { localStorage.setItem(k, JSON.stringify(v)); } catch {} return v; };
 const now = () => Date.now();
 
-/* ---------- migrate v1 -> v2 once ---------- */
-(function migrate() {
-  if (localStorage.getItem(KEY_V2)) return;
-  const v1 = read(KEY_V1, null);
-  if (v1 && typeof v1 === "object") write(KEY_V2, v1);
-})();
-
 /* ---------- profile ---------- */
 const DEFAULT = { paypalEmail: "", legalName: "", country: "", birthYear: "" };
 
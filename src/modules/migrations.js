@@ -0,0 +1,314 @@
+// FILE: src/modules/migrations.js
+// Versioned localStorage schema migrations (client side of server/store.js MIGRATIONS).
+// - Ordered registry; each entry upgrades local storage to `version`
+// - Runs once at boot (src/setup/migrate.js) before any module reads its keys
+// - Every pending migration runs against an in-memory overlay first and must pass
+//   its own check(); only then are the touched keys backed up and the writes committed
+// - After commit every check() runs again on the stored result; a failure (e.g.
+//   a write the browser silently dropped) restores the backup
+// - dryRunMigrations() returns the same report without writing anything
+//
+// Never edit a shipped migration; append a new one instead. Modules should read
+// only their current key and leave upgrades from older keys to this file.
+
+const VERSION_KEY = "pm_schema_version_v1"; // { version, applied:[{ version, name, at }] }
+const BACKUP_KEY = "pm_schema_backup_v1";   // { at, from, to, data:{ key: raw|null } }
+
+/* ---------- overlay ---------- */
+// Reads see pending writes; nothing touches localStorage until commit().
+function makeCtx() {
+  const writes = new Map(); // key → raw string | null (removed)
+  const raw = (k) => {
+    if (writes.has(k)) return writes.get(k);
+    try { return localStorage.getItem(k); } catch { return null; }
+  };
+  return {
+    writes,
+    has: (k) => raw(k) != null,
+    read(k, fallback = null) {
+      const v = raw(k);
+      if (v == null) return fallback;
+      try { return JSON.parse(v); } catch { return fallback; }
+    },
+    write(k, val) { writes.set(k, JSON.stringify(val)); },
+    remove(k) { writes.set(k, null); },
+  };
+}
+
+function diffOf(writes) {
+  const out = [];
+  for (const [key, next] of writes) {
+    let prev = null;
+    try { prev = localStorage.getItem(key); } catch {}
+    if (prev === next) continue;
+    out.push({
+      key,
+      op: next == null ? "remove" : prev == null ? "create" : "update",
+      bytesBefore: prev?.length || 0,
+      bytesAfter: next?.length || 0,
+    });
+  }
+  return out;
+}
+
+/* ---------- registry ---------- */
+const CITY_SIM_KEYS = ["pm_city_sim_v3", "pm_city_sim_v2", "pm_city_sim"];
+const CITY_INDEX_KEY = "pm_city_slots_index_v2";   // citySlots.js INDEX_KEY
+const CITY_GRID_PREFIX = "pm_layout_grid_v1:";     // citySlots.js SLOT_GRID_PREFIX
+const CITY_OLD_KEYS = [
+  "pm_city_layouts_v1", "pm_city_active_slot_v1",  // old cityState.js
+  "pm_city_state_v1", "pm_city_state_v2",          // builder-era { cols, rows, tiles }
+  "pm_city_slots_index_v1", "pm_city_slot_active_v1",
+];
+
+// The old cityState.js seeded every install with this 16×16 starter; not worth a slot.
+function isUntouchedStarter(grid) {
+  if (grid.length !== 16 || grid[0]?.length !== 16) return false;
+  const filled = [];
+  grid.forEach((row, y) => row.forEach((c, x) => { if (c) filled.push(`${x},${y}:${c}`); }));
+  return filled.join("|") === "1,5:home|2,5:road|3,5:road|3,6:road";
+}
+
+/**
+ * Ordered migrations.
+ *   keys:    every key the migration may read or write (backed up before commit)
+ *   up(ctx): performs the upgrade through ctx.read/write/remove
+ *   check(ctx): returns true if the result is sane; false aborts the whole run
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "stats_v1_to_v2",
+    keys: ["pm_stats_v1", "pm_stats_v2"],
+    up(ctx) {
+      if (!ctx.has("pm_stats_v1")) return;
+      const v1 = ctx.read("pm_stats_v1", null);
+      if (v1 && !ctx.has("pm_stats_v2")) ctx.write("pm_stats_v2", v1); // stats.js normalizes on read
+      ctx.remove("pm_stats_v1");
+    },
+    check: (ctx) => !ctx.has("pm_stats_v1"),
+  },
+  {
+    version: 2,
+    name: "profile_v1_to_v2",
+    keys: ["pm_profile_v1", "pm_profile_v2"],
+    up(ctx) {
+      const v1 = ctx.read("pm_profile_v1", null);
+      if (!ctx.has("pm_profile_v2") && v1 && typeof v1 === "object") ctx.write("pm_profile_v2", v1);
+      // pm_profile_v1 stays: store.js still reads its country/birthYear fields
+    },
+    check: (ctx) => !ctx.read("pm_profile_v1", null) || ctx.has("pm_profile_v2"),
+  },
+  {
+    version: 3,
+    name: "fold_legacy_subscription_keys",
+    keys: ["pm_is_subscriber_v1", "pm_sub_entitlement_v1", "pm_subscription_state_v1"],
+    up(ctx) {
+      const guard = ctx.read("pm_sub_entitlement_v1", null);
+      const member = ctx.read("pm_is_subscriber_v1", null);
+      if (guard == null && member == null) return;
+      if (!ctx.read("pm_subscription_state_v1", null)) {
+        const active = !!(guard?.isActive || member);
+        ctx.write("pm_subscription_state_v1", {
+          adTier: active ? "lite" : "none",
+          renewsAt: Number(guard?.expiresAt) || null,
+          isActive: active,
+          status: active ? (guard?.graceUntil ? "grace" : "active") : "expired",
+          graceUntil: Number(guard?.graceUntil || 0),
+        });
+      }
+      ctx.remove("pm_sub_entitlement_v1");
+      ctx.remove("pm_is_subscriber_v1");
+    },
+    check: (ctx) => !ctx.has("pm_sub_entitlement_v1") && !ctx.has("pm_is_subscriber_v1"),
+  },
+  {
+    version: 4,
+    name: "city_single_save_to_layouts",
+    keys: [...CITY_SIM_KEYS, "pm_city_layouts_v1", "pm_city_active_slot_v1"],
+    up(ctx) {
+      const legacy = CITY_SIM_KEYS.map((k) => ctx.read(k, null)).find((v) => v && Array.isArray(v.grid));
+      if (legacy && !ctx.read("pm_city_layouts_v1", null)) {
+        // readers normalize short tile ids
+        const meta = { ...(legacy.meta || {}), name: "Main Base", kind: legacy.meta?.kind || "city", updatedAt: Date.now() };
+        ctx.write("pm_city_layouts_v1", { slots: { main: { ...legacy, meta } } });
+        ctx.write("pm_city_active_slot_v1", "main");
+      }
+      for (const k of CITY_SIM_KEYS) if (ctx.has(k)) ctx.remove(k);
+    },
+    check(ctx) {
+      if (CITY_SIM_KEYS.some((k) => ctx.has(k))) return false;
+      const layouts = ctx.read("pm_city_layouts_v1", null);
+      return !layouts || (layouts.slots && typeof layouts.slots === "object");
+    },
+  },
+  {
+    version: 5,
+    name: "unify_city_layouts",
+    keys: [...CITY_OLD_KEYS, CITY_INDEX_KEY],
+    up(ctx) {
+      const raw = ctx.read(CITY_INDEX_KEY, null);
+      const idx = { activeId: raw?.activeId || null, slots: Array.isArray(raw?.slots) ? raw.slots.filter((s) => s?.id) : [] };
+      const taken = new Set(idx.slots.map((s) => String(s.id)));
+      const now = Date.now();
+      let changed = false;
+
+      const addSlot = (id, name, kind, grid, meta = {}) => {
+        let sid = String(id), n = 2;
+        while (taken.has(sid)) sid = `${id}-${n++}`;
+        taken.add(sid);
+        ctx.write(CITY_GRID_PREFIX + sid, { w: grid[0]?.length || 0, h: grid.length, grid, meta: { ...meta, kind } });
+        idx.slots.push({ id: sid, name, kind, createdAt: Number(meta.createdAt) || now, updatedAt: Number(meta.updatedAt) || now });
+        changed = true;
+        return sid;
+      };
+
+      // old cityState.js layouts (thumbs/stats are backfilled by citySlots.js on first read)
+      const layouts = ctx.read("pm_city_layouts_v1", null);
+      const oldActive = ctx.read("pm_city_active_slot_v1", null);
+      let importedActive = null;
+      for (const [id, sim] of Object.entries(layouts?.slots || {})) {
+        const grid = Array.isArray(sim?.grid) ? sim.grid : [];
+        if (!grid.length || isUntouchedStarter(grid)) continue;
+        const kind = sim.meta?.kind === "war" ? "war" : "city";
+        const sid = addSlot(id, sim.meta?.name || id, kind, grid, sim.meta || {});
+        if (id === oldActive) importedActive = sid;
+      }
+
+      // builder-era snapshot, only if nothing else exists
+      const snap = ctx.read("pm_city_state_v1", null);
+      if (!idx.slots.length && Number.isFinite(snap?.cols) && Number.isFinite(snap?.rows) && snap.tiles?.length) {
+        const grid = Array.from({ length: snap.rows }, () => Array.from({ length: snap.cols }, () => ""));
+        for (const t of snap.tiles) {
+          const x = t?.x | 0, y = t?.y | 0;
+          if (x >= 0 && y >= 0 && x < snap.cols && y < snap.rows) grid[y][x] = String(t.id || "");
+        }
+        importedActive = addSlot("default", "Default City", "city", grid);
+      }
+
+      if (changed) {
+        idx.activeId = idx.activeId || importedActive || idx.slots[0].id;
+        ctx.write(CITY_INDEX_KEY, idx);
+      }
+      for (const k of CITY_OLD_KEYS) if (ctx.has(k)) ctx.remove(k);
+    },
+    check(ctx) {
+      if (CITY_OLD_KEYS.some((k) => ctx.has(k))) return false;
+      const idx = ctx.read(CITY_INDEX_KEY, null);
+      return !idx || Array.isArray(idx.slots);
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/* ---------- runner ---------- */
+export function getSchemaState() {
+  const ctx = makeCtx();
+  const s = ctx.read(VERSION_KEY, null) || {};
+  const b = ctx.read(BACKUP_KEY, null);
+  return {
+    version: Number(s.version) || 0,
+    target: SCHEMA_VERSION,
+    applied: Array.isArray(s.applied) ? s.applied : [],
+    backup: b ? { at: b.at, from: b.from, to: b.to } : null,
+  };
+}
+
+/**
+ * Runs pending migrations. With { dryRun:true } nothing is written.
+ * `migrations` defaults to the registry (tests pass their own).
+ * @returns {{ ok:boolean, dryRun:boolean, from:number, to:number,
+ *             steps:Array<{ version:number, name:string, changes:object[] }>,
+ *             error?:{ version:number, name:string, message:string } }}
+ */
+export function runMigrations({ dryRun = false, migrations = MIGRATIONS } = {}) {
+  const { version: from, applied } = getSchemaState();
+  const pending = migrations.filter((m) => m.version > from);
+  const report = { ok: true, dryRun, from, to: from, steps: [] };
+  if (!pending.length) return report;
+
+  const ctx = makeCtx();
+  for (const m of pending) {
+    const before = new Map(ctx.writes);
+    try {
+      m.up(ctx);
+      if (m.check && !m.check(ctx)) throw new Error("check failed");
+    } catch (e) {
+      report.ok = false;
+      report.error = { version: m.version, name: m.name, message: String(e?.message || e) };
+      break;
+    }
+    const changes = diffOf(new Map([...ctx.writes].filter(([k, v]) => !before.has(k) || before.get(k) !== v)));
+    report.steps.push({ version: m.version, name: m.name, changes });
+    report.to = m.version;
+  }
+
+  // A failed step leaves storage untouched; modules keep reading what they have.
+  if (!report.ok || dryRun) return report;
+
+  const touched = new Set(pending.flatMap((m) => m.keys || []));
+  for (const k of ctx.writes.keys()) touched.add(k);
+  const data = {};
+  for (const k of touched) {
+    try { data[k] = localStorage.getItem(k); } catch { data[k] = null; }
+  }
+  try {
+    localStorage.setItem(BACKUP_KEY, JSON.stringify({ at: Date.now(), from, to: report.to, data }));
+  } catch (e) {
+    // No backup, no migration.
+    report.ok = false;
+    report.error = { version: from, name: "backup", message: String(e?.message || e) };
+    return report;
+  }
+
+  try {
+    for (const [k, v] of ctx.writes) {
+      if (v == null) localStorage.removeItem(k);
+      else localStorage.setItem(k, v);
+    }
+    const at = Date.now();
+    localStorage.setItem(VERSION_KEY, JSON.stringify({
+      version: report.to,
+      applied: [...applied, ...report.steps.map((s) => ({ version: s.version, name: s.name, at }))],
+    }));
+  } catch (e) {
+    restoreSchemaBackup();
+    report.ok = false;
+    report.error = { version: report.to, name: "commit", message: String(e?.message || e) };
+    return report;
+  }
+
+  // Re-check what actually landed in storage
+  const stored = makeCtx();
+  const bad = pending.find((m) => m.check && !m.check(stored));
+  if (bad) {
+    restoreSchemaBackup();
+    report.ok = false;
+    report.error = { version: bad.version, name: bad.name, message: "check failed after commit" };
+  }
+  return report;
+}
+
+export function dryRunMigrations() {
+  return runMigrations({ dryRun: true });
+}
+
+/** Puts back every key captured by the last backup (and the schema version it came from). */
+export function restoreSchemaBackup() {
+  const ctx = makeCtx();
+  const b = ctx.read(BACKUP_KEY, null);
+  if (!b?.data) return false;
+  try {
+    for (const [k, v] of Object.entries(b.data)) {
+      if (v == null) localStorage.removeItem(k);
+      else localStorage.setItem(k, v);
+    }
+    const s = ctx.read(VERSION_KEY, null) || {};
+    const applied = (Array.isArray(s.applied) ? s.applied : []).filter((a) => a.version <= b.from);
+    localStorage.setItem(VERSION_KEY, JSON.stringify({ version: b.from, applied }));
+  } catch {
+    return false;
+  }
+  return true;
+}
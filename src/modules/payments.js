@@ -1,6 +1,9 @@
 // FILE: src/modules/payments.js
 // Client-side payments bridge: talks to your local server (or mocks in dev).
 // Exposes: createCheckoutSession, refreshEntitlements, openBillingPortal.
+// Requests carry the signed-in session (see account.js); the server derives uid from it.
+
+import { authHeaders } from "./account.js";
 
 const API = (import.meta.env.VITE_API_BASE || "http://localhost:8787").replace(/\/+$/,"");
 const USE_MOCK =
@@ -18,10 +21,11 @@ function redirect(url) {
 }
 async function req(path, opts = {}) {
   const url = `${API}${path}`;
+  const { headers, ...rest } = opts;
   const r = await withTimeout(fetch(url, {
     credentials: "include",
-    headers: { "Content-Type": "application/json" },
-    ...opts,
+    ...rest,
+    headers: { "Content-Type": "application/json", ...authHeaders(), ...(headers || {}) },
   }));
   if (!r.ok) {
     const text = await r.text().catch(()=>"");
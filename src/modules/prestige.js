@@ -2,8 +2,8 @@
 // One-click prestige: bump level, reset soft progress, keep premium.
 // Now locked behind milestones.
 
-import { getWallet } from "./wallet";
 import {
+  forfeitAllMate,
   getPrestigeLevel,
   setPrestigeLevel,
   isPremium,
@@ -94,17 +94,8 @@ export function prestigeReset() {
     // ignore in non-browser environments
   }
 
-  // 3) zero only coins in wallet, keep USD
-  const w = getWallet();
-  const nextW = {
-    ...w,
-    coins: 0,
-    history: [
-      ...(w.history || []),
-      { k: "prestige", amt: 0, t: Date.now() },
-    ].slice(-400),
-  };
-  safeWrite("pm_wallet_v2", nextW);
+  // 3) zero only coins in wallet, keep USD (journaled so the server ledger agrees)
+  forfeitAllMate({ k: "prestige" });
 
   // 4) bump level
   setPrestigeLevel(getPrestigeLevel() + 1);
@@ -1,11 +1,37 @@
 // src/modules/rides.js
-// Minimal productoRides: NPC ride or periodic Self-Drive offer.
+// Ride jobs for the city: NPC-driven or Self-Drive.
+// - A ride goes from a pickup building to a destination building; both are
+//   { gx, gy, kind } plus the road cell a car stops at
+// - The quote scales with route length (cells); the final payout also
+//   weighs time against the ETA and damage taken on the way
+// - Self-Drive offers come around every 8 minutes; NPC rides cost a fare
+import { getJSON, setJSON } from "./storage";
 
 const KEY = "pm_rides_v1";
 const OFFER_KEY = "pm_ride_offer_ts";
+const MAX_KEPT = 30;
 
-function load() { try { return JSON.parse(localStorage.getItem(KEY) || "[]"); } catch { return []; } }
-function save(arr) { try { localStorage.setItem(KEY, JSON.stringify(arr)); } catch {} }
+// Quote tuning
+const BASE_COINS = 20;
+const COINS_PER_CELL = 6;
+const SEC_PER_CELL = 1.6;          // ETA budget per route cell
+const NPC_PAYOUT_SHARE = 0.7;      // hired driver keeps a cut
+const NPC_FARE_SHARE = 0.3;        // paid up front
+const EARLY_BONUS_MAX = 0.25;      // +25% when arriving well inside the ETA
+const LATE_FLOOR = 0.5;            // time factor never drops below this
+const DAMAGE_FLOOR = 0.3;          // damage factor never drops below this
+
+function load() { const v = getJSON(KEY, []); return Array.isArray(v) ? v : []; }
+function save(arr) { setJSON(KEY, arr.slice(-MAX_KEPT)); }
+
+function update(id, fn) {
+  const all = load();
+  const r = all.find((x) => x.id === id && x.active);
+  if (!r) return null;
+  fn(r);
+  save(all);
+  return r;
+}
 
 export function getActiveRide() {
   return load().find(r => r.active);
@@ -23,42 +49,93 @@ export function markOffered() {
   localStorage.setItem(OFFER_KEY, String(Date.now()));
 }
 
-export function offerSelfRide() {
-  const ride = {
-    id: crypto.randomUUID(),
-    kind: "self",           // you drive
-    from: "dotA", to: "dotB",
-    etaMs: 2000,            // quick prep
-    fareCoins: 0,           // no fare
-    payoutCoins: 140,       // higher payout
-    active: true,
-    startedAt: Date.now(),
+/** Quote for a route of `cells` road cells. */
+export function quoteRide(kind, cells) {
+  const n = Math.max(1, Math.round(Number(cells) || 0));
+  const base = BASE_COINS + COINS_PER_CELL * n;
+  return {
+    etaMs: Math.round(n * SEC_PER_CELL * 1000),
+    fareCoins: kind === "npc" ? Math.ceil(base * NPC_FARE_SHARE) : 0,
+    payoutCoins: kind === "npc" ? Math.round(base * NPC_PAYOUT_SHARE) : base,
+  };
+}
+
+/**
+ * Final payout: quote × time factor × damage factor.
+ * Time runs from pickup; damage is 0–100.
+ */
+export function settlePayout(ride, now = Date.now()) {
+  const took = Math.max(0, now - (ride.pickedUpAt || ride.startedAt || now));
+  const eta = Math.max(1, ride.etaMs || 1);
+  const ratio = took / eta;
+  const timeFactor = ratio <= 1
+    ? 1 + EARLY_BONUS_MAX * (1 - ratio)
+    : Math.max(LATE_FLOOR, 1 - (ratio - 1) * 0.5);
+  const damageFactor = Math.max(DAMAGE_FLOOR, 1 - (ride.damage || 0) / 100);
+  return {
+    payout: Math.max(1, Math.round((ride.payoutCoins || 0) * timeFactor * damageFactor)),
+    timeFactor: Math.round(timeFactor * 100) / 100,
+    damageFactor: Math.round(damageFactor * 100) / 100,
+    tookMs: took,
   };
-  const all = load(); all.push(ride); save(all);
-  return ride;
 }
 
-export function requestNpcRide() {
+function createRide(kind, { from, to, cells, slotId = null }) {
   const ride = {
     id: crypto.randomUUID(),
-    kind: "npc",            // driver picks you
-    from: "dotA", to: "dotC",
-    etaMs: 6000,            // driver ETA
-    fareCoins: 30,          // you pay fare
-    payoutCoins: 100,       // base payout
+    kind,
+    from, to,               // { gx, gy, kind, stop:{ gx, gy } }
+    cells: Math.max(1, cells | 0),
+    ...quoteRide(kind, cells),
+    slotId,
+    status: "pickup",       // pickup → enroute → done | failed
+    damage: 0,
     active: true,
     startedAt: Date.now(),
   };
-  const all = load(); all.push(ride); save(all);
+  const all = load().filter((r) => !r.active); // one active ride at a time
+  all.push(ride);
+  save(all);
   return ride;
 }
 
+/** You drive: pick the passenger up at `from`, drop them at `to`. */
+export function offerSelfRide(job) {
+  return createRide("self", job);
+}
+
+/** A hired car drives the route; the caller charges the fare (and refunds it if the ride fails). */
+export function requestNpcRide(job) {
+  return createRide("npc", job);
+}
+
+export function markPickedUp(id) {
+  return update(id, (r) => { r.status = "enroute"; r.pickedUpAt = Date.now(); });
+}
+
+/** Adds damage (0–100 total) to the active ride. */
+export function addRideDamage(id, amount) {
+  return update(id, (r) => { r.damage = Math.min(100, (r.damage || 0) + Math.max(0, Number(amount) || 0)); });
+}
+
+/** Closes the ride and records its settled payout. */
 export function completeRide(id) {
-  const all = load();
-  const r = all.find(x => x.id === id && x.active);
-  if (!r) return null;
-  r.active = false;
-  r.completedAt = Date.now();
-  save(all);
-  return r;
+  return update(id, (r) => {
+    const s = settlePayout(r);
+    r.active = false;
+    r.status = "done";
+    r.completedAt = Date.now();
+    r.paidCoins = s.payout;
+    r.timeFactor = s.timeFactor;
+    r.damageFactor = s.damageFactor;
+  });
+}
+
+export function failRide(id, reason = "cancelled") {
+  return update(id, (r) => {
+    r.active = false;
+    r.status = "failed";
+    r.reason = reason;
+    r.completedAt = Date.now();
+  });
 }
@@ -1,9 +1,16 @@
 // src/modules/stats.js
-// Offline-safe stats with a local op queue. Queue is only for potential cloud sync;
-// locally we APPLY then CLEAR to avoid double counting.
+// Offline-safe stats with a local op queue. Locally we APPLY each op once (marked
+// `applied`) and keep it queued until the "stats" sync stream gets a server ack.
+// Signed out (nothing will ack) or past QUEUE_SOFT_CAP, applied ops fold into
+// one running delta op per kind ({ k, n, data: sums }) — never dropped.
+
+import { registerStream, requestFlush } from "./syncTransport.js";
+import { setJSON, kvGetSync, kvSetSync } from "./storage.js";
+import { isSignedIn } from "./account.js";
 
 const STATS_KEY = "pm_stats_v2";
 const QUEUE_KEY = "pm_stats_queue_v1";
+const QUEUE_SOFT_CAP = 500;
 
 const now = () => Date.now();
 
@@ -17,9 +24,7 @@ function readJSON(key, fallback) {
   }
 }
 function writeJSON(key, val) {
-  try {
-    localStorage.setItem(key, JSON.stringify(val));
-  } catch {}
+  setJSON(key, val); // warns (and compacts) if storage is full
   return val;
 }
 
@@ -77,19 +82,20 @@ function normalize(s) {
   return out;
 }
 
-/* ---------- migration ---------- */
-(function migrate() {
+/* ---------- seed ---------- */
+// pm_stats_v1 → v2 is handled by migrations.js
+(function seed() {
   if (readJSON(STATS_KEY, null)) return;
-  const v1 = readJSON("pm_stats_v1", null);
-  writeJSON(STATS_KEY, normalize(v1 || defaultStats()));
+  writeJSON(STATS_KEY, defaultStats());
 })();
 
 /* ---------- op queue ---------- */
 function readQueue() {
-  return readJSON(QUEUE_KEY, []);
+  return kvGetSync(QUEUE_KEY, []);
 }
 function writeQueue(q) {
-  return writeJSON(QUEUE_KEY, q);
+  kvSetSync(QUEUE_KEY, q); // IndexedDB (storage.js mirror)
+  return q;
 }
 function rid() {
   try {
@@ -105,8 +111,37 @@ function rid() {
 function enqueue(op) {
   const q = readQueue();
   q.push({ id: rid(), t: now(), ...op });
-  if (q.length > 500) q.splice(0, q.length - 500);
   writeQueue(q);
+  requestFlush("stats");
+}
+
+// Ops currently being posted; they keep their ids so the ack still matches
+const inflight = new Set();
+
+// Folds applied, idle ops into one delta op per kind. `n` is how many ops it
+// stands for; numeric data fields are summed (the server keeps count + sums).
+function compactQueue(q) {
+  const out = [];
+  const deltas = new Map();
+  for (const op of q) {
+    if (!op.applied || inflight.has(op.id)) {
+      out.push(op);
+      continue;
+    }
+    let d = deltas.get(op.k);
+    if (!d) {
+      d = { id: rid(), k: op.k, t: op.t, n: 0, data: {}, applied: true };
+      deltas.set(op.k, d);
+      out.push(d);
+    }
+    d.n += Math.max(1, Math.floor(Number(op.n) || 1));
+    d.t = Math.max(d.t, op.t);
+    for (const [field, v] of Object.entries(op.data || {})) {
+      const num = Number(v);
+      if (Number.isFinite(num) && typeof v !== "boolean") d.data[field] = (d.data[field] || 0) + num;
+    }
+  }
+  return out;
 }
 
 function applyOp(stats, op) {
@@ -194,14 +229,16 @@ function applyOp(stats, op) {
   return stats;
 }
 
-// Apply and CLEAR local queue
+// Apply not-yet-applied ops; they stay queued (flagged) until synced
 function flushQueueLocally() {
   const stats = getStats();
   const q = readQueue();
-  if (!q.length) return stats;
-  const next = q.reduce((acc, op) => applyOp(acc, op), { ...stats });
+  const fresh = q.filter((op) => !op.applied);
+  if (!fresh.length) return stats;
+  const next = fresh.reduce((acc, op) => applyOp(acc, op), { ...stats });
   writeJSON(STATS_KEY, normalize(next));
-  writeQueue([]); // prevent re-apply
+  for (const op of fresh) op.applied = true; // prevent re-apply
+  writeQueue(!isSignedIn() || q.length > QUEUE_SOFT_CAP ? compactQueue(q) : q);
   return next;
 }
 
@@ -294,6 +331,14 @@ export function markStatsOpsSynced(ids = []) {
   return writeQueue(readQueue().filter((op) => !set.has(op.id)));
 }
 
+// Only applied ops go to the server, so local and remote totals agree
+registerStream("stats", {
+  read: () => readQueue().filter((op) => op.applied),
+  onSend: (ops) => ops.forEach((op) => inflight.add(op.id)),
+  onSettled: (ops) => ops.forEach((op) => inflight.delete(op.id)),
+  onAck: (acks) => markStatsOpsSynced(acks.map((a) => a.id)),
+});
+
 /* ---------- dev hook ---------- */
 if (import.meta.env?.DEV && typeof window !== "undefined") {
   // @ts-ignore
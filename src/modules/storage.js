@@ -1,24 +1,477 @@
 // src/modules/storage.js
-// Tiny JSON helpers + “please don’t evict me” request.
-const ls = {
-  getJSON(key, fallback) {
-    try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : fallback; }
-    catch { return fallback; }
-  },
-  setJSON(key, value) {
-    try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
-  },
-  remove(key) {
-    try { localStorage.removeItem(key); } catch {}
-  }
-};
+// Key-value storage: async IndexedDB store with a localStorage fallback,
+// plus the small sync JSON helpers, quota detection and compaction.
+// - kvGet/kvSet/kvRemove/kvKeys: async, IndexedDB ("procrastimate" → "kv");
+//   fall back to localStorage (prefixed "pm_kv_v1:") when IDB is unavailable
+// - kv*Sync: the large keys (LARGE_KEYS: city grids, builder history, sync
+//   queues) in IndexedDB behind an in-memory mirror. initKV() loads it at boot
+//   and moves those keys out of localStorage; writes land in the mirror now and
+//   in IDB on the next tick, and other tabs hear about them via onKVChange().
+//   Without IDB (or before initKV) they read/write plain localStorage.
+// - getJSON/setJSON/setRaw/remove: synchronous localStorage (for hot paths)
+// - Failed writes are never silent: they raise a warning ("pm:storage" event)
+//   and a quota failure triggers one compaction + retry
+// - compactStorage(): trims pm_history_v1, moves the auto backup into IDB and
+//   drops a stale migration backup
+
+import { ls as nsLS } from "./ls.js";
+
+const DB_NAME = "procrastimate";
+const DB_STORE = "kv";
+const DB_VERSION = 1;
+const FALLBACK_PREFIX = "pm_kv_v1:";
+
+const LS_CAP_BYTES = 5 * 1024 * 1024;  // typical per-origin localStorage cap
+const LS_WARN_PCT = 0.8;
+
+const HISTORY_KEY = nsLS.key("pm_history_v1"); // history.js stores it namespaced
+const AUTO_BACKUP_KEY = "pm_backup_auto_v1";   // from sync.js BACKUP_KEY
+const SCHEMA_BACKUP_KEY = "pm_schema_backup_v1"; // from migrations.js BACKUP_KEY
+const SCHEMA_BACKUP_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/* ---------- warnings ---------- */
+const MAX_WARNINGS = 20;
+const warnings = [];
+
+function warn(reason, key, extra = {}) {
+  const w = { at: Date.now(), reason, key: key || null, ...extra };
+  warnings.unshift(w);
+  if (warnings.length > MAX_WARNINGS) warnings.length = MAX_WARNINGS;
+  try { console.warn("[storage]", reason, key || "", extra); } catch {}
+  try { window.dispatchEvent(new CustomEvent("pm:storage", { detail: w })); } catch {}
+}
+
+export function getStorageWarnings() {
+  return warnings.slice();
+}
+
+/** Subscribe to storage warnings. Returns an unsubscribe function. */
+export function onStorageWarning(fn) {
+  if (typeof window === "undefined") return () => {};
+  const h = (e) => fn(e.detail);
+  window.addEventListener("pm:storage", h);
+  return () => window.removeEventListener("pm:storage", h);
+}
+
+export function isQuotaError(e) {
+  if (!e) return false;
+  return (
+    e.name === "QuotaExceededError" ||
+    e.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    e.code === 22 ||
+    e.code === 1014
+  );
+}
+
+/* ---------- sync localStorage helpers ---------- */
+function lsWriteRaw(key, raw) {
+  try {
+    localStorage.setItem(key, raw);
+    return true;
+  } catch (e) {
+    if (!isQuotaError(e)) {
+      warn("write_failed", key, { message: String(e?.message || e) });
+      return false;
+    }
+    warn("quota_exceeded", key, { bytes: raw.length * 2 });
+    compactLocal();
+    try {
+      localStorage.setItem(key, raw);
+      return true;
+    } catch (e2) {
+      warn("write_failed", key, { message: String(e2?.message || e2), quota: isQuotaError(e2) });
+      return false;
+    }
+  }
+}
+
+/** Raw string write; same warning/compaction path as setJSON. */
+export function setRaw(key, raw) {
+  return lsWriteRaw(key, String(raw));
+}
+
+export function getJSON(key, fallback) {
+  try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : fallback; }
+  catch { return fallback; }
+}
+
+/** Returns false (and raises a warning) if the value could not be stored. */
+export function setJSON(key, value) {
+  let raw;
+  try { raw = JSON.stringify(value); }
+  catch (e) { warn("serialize_failed", key, { message: String(e?.message || e) }); return false; }
+  return lsWriteRaw(key, raw);
+}
+
+export function remove(key) {
+  try { localStorage.removeItem(key); } catch {}
+}
+
+/* ---------- IndexedDB ---------- */
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    try {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(DB_STORE)) req.result.createObjectStore(DB_STORE);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { warn("idb_unavailable", null, { message: String(req.error?.message || req.error) }); resolve(null); };
+      req.onblocked = () => resolve(null);
+    } catch (e) {
+      warn("idb_unavailable", null, { message: String(e?.message || e) });
+      resolve(null);
+    }
+  });
+  return dbPromise;
+}
+
+function idbRun(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, mode);
+    const req = fn(tx.objectStore(DB_STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error || req?.error);
+    tx.onabort = () => reject(tx.error || req?.error);
+  });
+}
+
+/** "indexeddb" | "localstorage" */
+export async function getStorageBackend() {
+  return (await openDB()) ? "indexeddb" : "localstorage";
+}
+
+export async function kvGet(key, fallback) {
+  const db = await openDB();
+  if (db) {
+    try {
+      const v = await idbRun(db, "readonly", (s) => s.get(key));
+      return v === undefined ? fallback : v;
+    } catch (e) {
+      warn("read_failed", key, { message: String(e?.message || e) });
+    }
+  }
+  return getJSON(FALLBACK_PREFIX + key, fallback);
+}
+
+/** Resolves true if stored (in IDB, or in localStorage as a fallback). */
+export async function kvSet(key, value) {
+  const db = await openDB();
+  if (db) {
+    try {
+      await idbRun(db, "readwrite", (s) => s.put(value, key));
+      return true;
+    } catch (e) {
+      warn(isQuotaError(e) ? "quota_exceeded" : "write_failed", key, { message: String(e?.message || e), backend: "indexeddb" });
+      return false;
+    }
+  }
+  return setJSON(FALLBACK_PREFIX + key, value);
+}
+
+export async function kvRemove(key) {
+  const db = await openDB();
+  if (db) {
+    try { await idbRun(db, "readwrite", (s) => s.delete(key)); } catch {}
+  }
+  remove(FALLBACK_PREFIX + key);
+}
+
+export async function kvKeys(prefix = "") {
+  const out = new Set();
+  const db = await openDB();
+  if (db) {
+    try {
+      for (const k of await idbRun(db, "readonly", (s) => s.getAllKeys())) {
+        if (String(k).startsWith(prefix)) out.add(String(k));
+      }
+    } catch {}
+  }
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k && k.startsWith(FALLBACK_PREFIX + prefix)) out.add(k.slice(FALLBACK_PREFIX.length));
+    }
+  } catch {}
+  return [...out];
+}
+
+/* ---------- large keys: IndexedDB behind a sync mirror ---------- */
+// Keys (or key prefixes) too big for the ~5 MB localStorage budget
+const LARGE_KEYS = [
+  "pm_layout_grid_v1:",      // citySlots.js SLOT_GRID_PREFIX
+  "pm_builder_history_v1:",  // BuilderHistorySystem STORAGE_KEY
+  "pm_sync_wallet_v1",       // wallet.js JOURNAL_KEY
+  "pm_stats_queue_v1",       // stats.js QUEUE_KEY
+  "pm_sync_queue_v1",        // syncQueue.js KEY
+];
+const KV_EVENT = "pm:kv";
+const KV_CHANNEL = "pm_kv_v1";
+
+const isLargeKey = (k) => LARGE_KEYS.some((p) => String(k).startsWith(p));
+
+let mirror = null;        // Map<key, raw JSON string> once hydrated into IDB
+let initPromise = null;
+const pending = new Map(); // key → raw | null (delete), flushed to IDB together
+let flushTimer = null;
+let channel = null;
+
+function lsLargeKeys() {
+  const out = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k && isLargeKey(k)) out.push(k);
+    }
+  } catch {}
+  return out;
+}
+
+function idbEntries(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, "readonly");
+    const s = tx.objectStore(DB_STORE);
+    const keys = s.getAllKeys();
+    const values = s.getAll();
+    tx.oncomplete = () => resolve(keys.result.map((k, i) => [String(k), values.result[i]]));
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function emitKV(key) {
+  try { window.dispatchEvent(new CustomEvent(KV_EVENT, { detail: { key, external: true } })); } catch {}
+}
+
+// Another tab flushed these keys: refresh them from IDB (unless we have a newer write queued).
+async function onRemoteKeys(keys) {
+  const db = await openDB();
+  if (!db || !mirror) return;
+  for (const key of keys) {
+    if (pending.has(key)) continue;
+    try {
+      const v = await idbRun(db, "readonly", (s) => s.get(key));
+      if (typeof v === "string") mirror.set(key, v);
+      else mirror.delete(key);
+      emitKV(key);
+    } catch {}
+  }
+}
+
+async function hydrate() {
+  const db = await openDB();
+  if (!db) return false;
+
+  const m = new Map();
+  try {
+    for (const [k, v] of await idbEntries(db)) if (isLargeKey(k) && typeof v === "string") m.set(k, v);
+  } catch (e) {
+    warn("read_failed", null, { message: String(e?.message || e), backend: "indexeddb" });
+    return false;
+  }
+
+  // Anything still in localStorage was written since the last move (or never moved): it wins.
+  const legacy = lsLargeKeys();
+  for (const k of legacy) {
+    try { const raw = localStorage.getItem(k); if (raw != null) m.set(k, raw); } catch {}
+  }
+  if (legacy.length) {
+    try {
+      await idbRun(db, "readwrite", (s) => { for (const k of legacy) s.put(m.get(k), k); });
+      for (const k of legacy) remove(k);
+    } catch (e) {
+      warn(isQuotaError(e) ? "quota_exceeded" : "write_failed", null, { message: String(e?.message || e), backend: "indexeddb" });
+      return false; // keep using localStorage; try again next boot
+    }
+  }
+
+  mirror = m;
+  try {
+    channel = new BroadcastChannel(KV_CHANNEL);
+    channel.onmessage = (e) => { if (Array.isArray(e.data?.keys)) onRemoteKeys(e.data.keys); };
+  } catch {}
+  try { window.addEventListener("pagehide", flushKV); } catch {}
+  return true;
+}
+
+/**
+ * Loads the large keys into memory (moving them out of localStorage first).
+ * Await before importing modules that read them. Never rejects.
+ * @returns {Promise<boolean>} true if they are served from IndexedDB
+ */
+export function initKV() {
+  if (!initPromise) initPromise = hydrate().catch(() => false);
+  return initPromise;
+}
+
+async function flushKV() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!pending.size) return;
+  const batch = [...pending];
+  pending.clear();
+  const db = await openDB();
+  if (!db) return;
+  try {
+    await idbRun(db, "readwrite", (s) => {
+      for (const [k, raw] of batch) {
+        if (raw == null) s.delete(k);
+        else s.put(raw, k);
+      }
+    });
+    channel?.postMessage({ keys: batch.map(([k]) => k) });
+  } catch (e) {
+    for (const [k] of batch) {
+      warn(isQuotaError(e) ? "quota_exceeded" : "write_failed", k, { message: String(e?.message || e), backend: "indexeddb" });
+    }
+  }
+}
+
+function queueWrite(key, raw) {
+  pending.set(key, raw);
+  if (!flushTimer) flushTimer = setTimeout(flushKV, 0);
+}
+
+export function kvGetRawSync(key) {
+  if (mirror) return mirror.get(key) ?? null;
+  try { return localStorage.getItem(key); } catch { return null; }
+}
+
+/** Returns false (and raises a warning) if the value could not be stored. */
+export function kvSetRawSync(key, raw) {
+  if (!mirror) return lsWriteRaw(key, String(raw));
+  mirror.set(key, String(raw));
+  queueWrite(key, String(raw));
+  return true;
+}
+
+export function kvGetSync(key, fallback) {
+  try { const v = kvGetRawSync(key); return v ? JSON.parse(v) : fallback; }
+  catch { return fallback; }
+}
+
+/** Returns false (and raises a warning) if the value could not be stored. */
+export function kvSetSync(key, value) {
+  let raw;
+  try { raw = JSON.stringify(value); }
+  catch (e) { warn("serialize_failed", key, { message: String(e?.message || e) }); return false; }
+  return kvSetRawSync(key, raw);
+}
+
+export function kvRemoveSync(key) {
+  if (!mirror) return remove(key);
+  mirror.delete(key);
+  queueWrite(key, null);
+}
+
+export function kvKeysSync(prefix = "") {
+  const keys = mirror ? [...mirror.keys()] : lsLargeKeys();
+  return keys.filter((k) => k.startsWith(prefix));
+}
+
+/** Large keys changed by another tab: fn({ key, external:true }). Returns an unsubscribe function. */
+export function onKVChange(fn) {
+  if (typeof window === "undefined") return () => {};
+  const h = (e) => fn(e.detail);
+  // Not hydrated: the keys are plain localStorage, so the native event covers other tabs.
+  const s = (e) => { if (!mirror && e.key && isLargeKey(e.key)) fn({ key: e.key, external: true }); };
+  window.addEventListener(KV_EVENT, h);
+  window.addEventListener("storage", s);
+  return () => {
+    window.removeEventListener(KV_EVENT, h);
+    window.removeEventListener("storage", s);
+  };
+}
+
+/* ---------- quota ---------- */
+/** Approximate localStorage usage (UTF-16: 2 bytes per char). */
+export function getLocalUsage() {
+  let bytes = 0;
+  const byKey = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      const n = ((k?.length || 0) + (localStorage.getItem(k)?.length || 0)) * 2;
+      bytes += n;
+      byKey.push({ key: k, bytes: n });
+    }
+  } catch {}
+  byKey.sort((a, b) => b.bytes - a.bytes);
+  return { bytes, cap: LS_CAP_BYTES, pct: bytes / LS_CAP_BYTES, largest: byKey.slice(0, 5) };
+}
+
+/**
+ * Local + origin-wide usage. Warns once per call when localStorage is past 80%.
+ * @returns {Promise<{ backend:string, persisted:boolean|null, local:object, origin:{ usage:number, quota:number }|null }>}
+ */
+export async function getStorageReport() {
+  const local = getLocalUsage();
+  if (local.pct >= LS_WARN_PCT) warn("local_near_quota", null, { bytes: local.bytes, pct: Math.round(local.pct * 100) });
+  let origin = null, persisted = null;
+  try {
+    if (navigator.storage?.estimate) {
+      const e = await navigator.storage.estimate();
+      origin = { usage: e.usage || 0, quota: e.quota || 0 };
+    }
+    if (navigator.storage?.persisted) persisted = await navigator.storage.persisted();
+  } catch {}
+  return { backend: await getStorageBackend(), persisted, local, origin };
+}
 
 // Ask the browser for persistent storage (so data isn’t cleared under pressure)
 export async function ensurePersistentStorage() {
-  if (!('storage' in navigator) || !navigator.storage.persist) return false;
+  if (typeof navigator === "undefined" || !('storage' in navigator) || !navigator.storage.persist) return false;
   try { return await navigator.storage.persist(); } catch { return false; }
 }
 
-export function getJSON(key, fallback) { return ls.getJSON(key, fallback); }
-export function setJSON(key, value) { ls.setJSON(key, value); }
-export function remove(key) { ls.remove(key); }
+/* ---------- compaction ---------- */
+function compactHistory({ max, maxAgeDays }) {
+  const list = getJSON(HISTORY_KEY, null);
+  if (!Array.isArray(list)) return { before: 0, after: 0 };
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const kept = list.filter((e) => !e?.t || e.t >= cutoff).slice(0, max); // newest first
+  if (kept.length !== list.length) {
+    try { localStorage.setItem(HISTORY_KEY, JSON.stringify(kept)); } catch {}
+  }
+  return { before: list.length, after: kept.length };
+}
+
+function dropStaleSchemaBackup() {
+  const b = getJSON(SCHEMA_BACKUP_KEY, null);
+  if (!b || Date.now() - (Number(b.at) || 0) < SCHEMA_BACKUP_TTL_MS) return false;
+  remove(SCHEMA_BACKUP_KEY);
+  return true;
+}
+
+// Synchronous part, safe to run from inside a failed write.
+function compactLocal(opts = {}) {
+  const history = compactHistory({ max: opts.historyMax ?? 200, maxAgeDays: opts.historyMaxAgeDays ?? 180 });
+  // The auto backup is a copy of live keys; under pressure the live keys win.
+  const droppedAutoBackup = getJSON(AUTO_BACKUP_KEY, null) != null;
+  remove(AUTO_BACKUP_KEY);
+  return { history, droppedAutoBackup, droppedSchemaBackup: dropStaleSchemaBackup() };
+}
+
+/**
+ * Frees localStorage: trims history, moves the auto backup into IndexedDB and
+ * drops a migration backup older than 30 days.
+ * @returns {Promise<{ freedBytes:number, history:{ before:number, after:number }, movedAutoBackup:boolean, droppedSchemaBackup:boolean }>}
+ */
+export async function compactStorage({ historyMax = 200, historyMaxAgeDays = 180 } = {}) {
+  const before = getLocalUsage().bytes;
+
+  let movedAutoBackup = false;
+  const raw = (() => { try { return localStorage.getItem(AUTO_BACKUP_KEY); } catch { return null; } })();
+  if (raw != null && (await getStorageBackend()) === "indexeddb" && (await kvSet(AUTO_BACKUP_KEY, raw))) {
+    remove(AUTO_BACKUP_KEY);
+    movedAutoBackup = true;
+  }
+
+  const history = compactHistory({ max: historyMax, maxAgeDays: historyMaxAgeDays });
+  const droppedSchemaBackup = dropStaleSchemaBackup();
+  return { freedBytes: Math.max(0, before - getLocalUsage().bytes), history, movedAutoBackup, droppedSchemaBackup };
+}
@@ -1,50 +1,60 @@
 // src/modules/subGuard.ts
+// Network refresh for the subscription entitlement. Cached state lives in
+// entitlements.js; this module only fetches /api/entitlement and exposes a typed view.
+import { getSubscriptionState, applyServerEntitlement, onEntitlementsChange } from './entitlements.js';
+import { authHeaders } from './account.js';
+
 export type Entitlement = {
   isActive: boolean;
   tier: 'free' | 'plus';
   expiresAt: number;     // ms epoch
   graceUntil?: number;   // ms epoch
+  status?: 'active' | 'grace' | 'cancelled' | 'expired';
 };
 
 type Listener = (e: Entitlement) => void;
 
-let cached: Entitlement = { isActive: false, tier: 'free', expiresAt: 0 };
-const LS_KEY = 'pm_sub_entitlement_v1';
-const TTL_MS = 10 * 60 * 1000; // 10 min cache
+const API = ((import.meta as any).env?.VITE_API_BASE || 'http://localhost:8787').replace(/\/+$/, '');
 
-function readLS(): Entitlement | null {
-  try { return JSON.parse(localStorage.getItem(LS_KEY) || 'null'); } catch { return null; }
-}
-function writeLS(e: Entitlement) {
-  try { localStorage.setItem(LS_KEY, JSON.stringify(e)); } catch {}
+function current(): Entitlement {
+  const s = getSubscriptionState();
+  const active = !!s.isActive && s.adTier !== 'none';
+  const e: Entitlement = {
+    isActive: active,
+    tier: active ? 'plus' : 'free',
+    expiresAt: Number(s.renewsAt || 0),
+    status: s.status,
+  };
+  if (s.graceUntil) e.graceUntil = s.graceUntil;
+  return e;
 }
 
-export function isSubscriber(): boolean { return cached.isActive && cached.tier !== 'free'; }
-export function tier(): Entitlement['tier'] { return cached.tier; }
+export function isSubscriber(): boolean { const e = current(); return e.isActive && e.tier !== 'free'; }
+export function tier(): Entitlement['tier'] { return current().tier; }
 
 const listeners = new Set<Listener>();
 export function onChange(fn: Listener){ listeners.add(fn); return ()=>listeners.delete(fn); }
-function emit(){ for (const f of listeners) f(cached); }
+function emit(){ const e = current(); for (const f of listeners) f(e); }
+
+onEntitlementsChange(() => emit());
 
 export async function refreshEntitlement() {
-  // Try network first
+  // Try network first; applying it updates entitlements.js, which notifies listeners
   try {
-    const r = await fetch('/api/entitlement', { credentials: 'include' });
+    const r = await fetch(`${API}/api/entitlement`, { credentials: 'include', headers: authHeaders() });
     if (r.ok) {
-      const e = await r.json() as Entitlement;
-      cached = e; writeLS(e); emit(); return cached;
+      applyServerEntitlement(await r.json());
+      return current();
     }
   } catch {}
-  // Fallback: cached value if within TTL or grace
-  const ls = readLS();
-  if (ls) cached = ls;
+  // Fallback: cached value (entitlements.js expires it locally past renewal + grace)
   emit();
-  return cached;
+  return current();
 }
 
 // Initialization
 export async function initEntitlement() {
-  // Use LS immediately for UX, then refresh in background
-  const ls = readLS(); if (ls) { cached = ls; emit(); }
+  // Use cache immediately for UX, then refresh in background
+  emit();
   refreshEntitlement();
 }
@@ -1,8 +1,14 @@
 // FILE: src/modules/subscription.js
-// Minimal, safe membership stub with change notifications and a window global.
-// Keep the same API if you later swap in a real backend.
+// Membership facade with change notifications and a window global.
+// State lives in entitlements.js (single source of truth); this module only
+// keeps the old API (isSubscriber/isActive/setSubscriber/onChange) stable.
 
-const KEY = "pm_is_subscriber_v1";
+import {
+  isSubscribed,
+  getSubscriptionState,
+  applyReceiptPatch,
+  onEntitlementsChange,
+} from "./entitlements.js";
 
 // --- tiny event bus ---
 const listeners = new Set();
@@ -15,7 +21,7 @@ function emit(status) {
 
 /** Return true if user is a subscriber. */
 export function isSubscriber() {
-  try { return !!JSON.parse(localStorage.getItem(KEY) || "false"); }
+  try { return isSubscribed(); }
   catch { return false; }
 }
 
@@ -24,11 +30,17 @@ export function isActive() {
   return isSubscriber();
 }
 
-/** Toggle/assign subscriber flag. */
+/** Toggle/assign subscriber flag (dev/admin; real state comes from the server). */
 export function setSubscriber(v) {
   try {
-    localStorage.setItem(KEY, JSON.stringify(!!v));
-    emit({ isSubscriber: !!v, isActive: !!v });
+    const cur = getSubscriptionState();
+    applyReceiptPatch({
+      sub: {
+        adTier: v ? (cur.adTier !== "none" ? cur.adTier : "lite") : "none",
+        isActive: !!v,
+        status: v ? "active" : "cancelled",
+      },
+    });
   } catch {}
 }
 
@@ -39,12 +51,14 @@ export function onChange(fn) {
   return () => listeners.delete(fn);
 }
 
-// Cross-tab sync
-if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
-  window.addEventListener("storage", (e) => {
-    if (e.key === KEY) emit({ isSubscriber: isSubscriber(), isActive: isSubscriber() });
-  });
-}
+// Relay entitlement changes (this tab and cross-tab) as membership changes
+let last = null;
+onEntitlementsChange(() => {
+  const on = isSubscriber();
+  if (on === last) return;
+  last = on;
+  emit({ isSubscriber: on, isActive: on });
+});
 
 // Optional global shim for modules that probe window.__pmMembership
 try {
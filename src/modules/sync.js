@@ -1,14 +1,20 @@
 // src/modules/sync.js
 // Lightweight background sync + manual backup/import.
 // Also surfaces pending local queues (wallet/stats) for the SyncPanel.
+// Cloud save: snapshots go to /api/save per account; pulls from another device
+// are merged per key (see MERGE_RULES) and only applied after the user accepts.
+
+import { API_BASE, authHeaders, isSignedIn } from "./account.js";
+import { kvSet, setRaw, kvGetSync, kvGetRawSync, kvSetRawSync, kvKeysSync } from "./storage.js";
 
 const BACKUP_KEY = "pm_backup_auto_v1";
 const META_KEY   = "pm_backup_meta_v1";
 const LAST_SYNC_KEY = "pm_backup_last_sync_v1";
 
-// Queues to count (kept in their own modules but we read LS directly)
+// Queues to count (kept in their own modules, in IndexedDB via storage.js kv*Sync)
 const WALLET_QUEUE_KEY = "pm_sync_wallet_v1";   // from wallet.js SYNC_KEY
 const STATS_QUEUE_KEY  = "pm_stats_queue_v1";   // from stats.js  QUEUE_KEY
+const EVENTS_QUEUE_KEY = "pm_sync_queue_v1";    // from syncQueue.js KEY
 
 // Everything we consider part of the user state to snapshot
 const KEYS = [
@@ -30,13 +36,33 @@ const KEYS = [
   "pm_offline_v1",
   "pm_inventory_v1",
   "pm_profile_v1",
+  "pm_store_v3",
+  "pm_build_inv_v2",
+  "pm_city_slots_index_v2",
 ];
 
+// Dynamic keys (one per city slot, in IndexedDB via storage.js kv*Sync) included by prefix
+const KEY_PREFIXES = ["pm_layout_grid_v1:"];
+
+function isSnapshotKey(k) {
+  return KEYS.includes(k) || KEY_PREFIXES.some((p) => k.startsWith(p));
+}
+
+function snapshotKeys() {
+  const out = new Set(KEYS);
+  for (const p of KEY_PREFIXES) for (const k of kvKeysSync(p)) out.add(k);
+  return [...out];
+}
+
 const now = () => Date.now();
 
-// ---------- safe LS helpers ----------
-function safeGet(k) { try { return localStorage.getItem(k); } catch { return null; } }
-function safeSet(k, v) { try { localStorage.setItem(k, v); } catch {} }
+// ---------- safe storage helpers ----------
+const isKVKey = (k) => KEY_PREFIXES.some((p) => k.startsWith(p));
+function safeGet(k) {
+  if (isKVKey(k)) return kvGetRawSync(k);
+  try { return localStorage.getItem(k); } catch { return null; }
+}
+function safeSet(k, v) { return isKVKey(k) ? kvSetRawSync(k, v) : setRaw(k, v); } // warns (and compacts) on failure
 function readJSON(k, f) { try { const v = localStorage.getItem(k); return v ? JSON.parse(v) : f; } catch { return f; } }
 function writeJSON(k, v) { try { localStorage.setItem(k, JSON.stringify(v)); } catch {}; return v; }
 
@@ -50,7 +76,7 @@ function hashString(s) {
 // ---------- snapshot / meta ----------
 function takeSnapshot() {
   const payload = {};
-  for (const k of KEYS) {
+  for (const k of snapshotKeys()) {
     const v = safeGet(k);
     if (v !== null && v !== undefined) payload[k] = v;
   }
@@ -65,8 +91,9 @@ function takeSnapshot() {
   return { json, meta };
 }
 
+// The snapshot itself lives in IndexedDB (it can be as large as all other keys together).
 function writeToLocalBackup(json, meta) {
-  safeSet(BACKUP_KEY, json);
+  kvSet(BACKUP_KEY, json);
   writeJSON(META_KEY, meta);
 }
 
@@ -76,18 +103,20 @@ export function getSyncMeta() {
 
 // ---------- pending counts (used by SyncPanel) ----------
 export function getPendingCounts() {
-  const walletQ = readJSON(WALLET_QUEUE_KEY, []);
-  const statsQ  = readJSON(STATS_QUEUE_KEY, []);
+  const walletQ = kvGetSync(WALLET_QUEUE_KEY, []);
+  const statsQ  = kvGetSync(STATS_QUEUE_KEY, []);
+  const eventsQ = kvGetSync(EVENTS_QUEUE_KEY, []);
   const wallet = Array.isArray(walletQ) ? walletQ.length : 0;
   const stats  = Array.isArray(statsQ)  ? statsQ.length  : 0;
-  return { wallet, stats, total: wallet + stats };
+  const events = Array.isArray(eventsQ) ? eventsQ.length : 0;
+  return { wallet, stats, events, total: wallet + stats + events };
 }
 
 // ---------- manual backup/export/import (used by SyncPanel) ----------
 export function getBackupSnapshot() {
   // Return a JS object mapping key -> string value (not stringified again)
   const obj = {};
-  for (const k of KEYS) {
+  for (const k of snapshotKeys()) {
     const v = safeGet(k);
     if (v !== null && v !== undefined) obj[k] = v;
   }
@@ -98,12 +127,16 @@ export function restoreBackupSnapshot(map) {
   try {
     if (!map || typeof map !== "object") return { ok: false, msg: "Invalid backup object" };
     let restored = 0;
-    for (const k of KEYS) {
-      if (k in map) { safeSet(k, String(map[k])); restored++; }
+    const failed = [];
+    for (const k of Object.keys(map)) {
+      if (!isSnapshotKey(k)) continue;
+      if (safeSet(k, String(map[k]))) restored++;
+      else failed.push(k);
     }
     const { json, meta } = takeSnapshot();
     writeToLocalBackup(json, { ...meta, reason: "manual_import" });
     setLastSync(Date.now());
+    if (failed.length) return { ok: false, restored, failed, msg: `Storage full: ${failed.length} key(s) not restored` };
     return { ok: true, restored };
   } catch {
     return { ok: false, msg: "Restore failed" };
@@ -140,6 +173,10 @@ let _started = false;
 function doSync(reason = "interval") {
   const { json, meta } = takeSnapshot();
   writeToLocalBackup(json, { ...meta, reason });
+  // Fast-forward the cloud save; a conflict waits for the user in SyncPanel.
+  if (isSignedIn() && meta.hash !== getCloudState().hash) {
+    pushCloudSave(parse(json) || {}).catch(() => {});
+  }
   // we only mark a "last sync" when we do an explicit "Mark as synced" in UI,
   // but you can uncomment next line if you prefer autosync to update it:
   // setLastSync(meta.ts);
@@ -155,9 +192,251 @@ export function startAutoSync({ intervalMs = 3 * 60 * 1000 } = {}) {
   _started = true;
   setTimeout(() => doSync("boot"), 1000);
   _timer = setInterval(() => doSync("interval"), intervalMs);
-  window.addEventListener("storage", (e) => {
-    if (e.key === BACKUP_KEY || e.key === META_KEY) {
-      // could surface cross-tab "synced just now" toast if desired
+}
+
+// ---------- cloud save ----------
+const CLOUD_KEY  = "pm_cloud_save_v1";   // { version, hash, at, baseHashes:{key:hash} }
+const DEVICE_KEY = "pm_device_id_v1";
+
+// Wallet balances are server-authoritative (ledger); never take them from a save.
+const LOCAL_ONLY = new Set(["pm_wallet_v1", "pm_wallet_v2", "pm_dark", "pm_tab"]);
+
+/**
+ * Per-key merge rules. Anything not listed is last-writer-wins by save time.
+ *   max   – lifetime counters: numeric fields take the larger value
+ *   union – owned items: maps/arrays are unioned, flags OR-ed
+ *   city  – layouts: last-writer-wins, but a prompt when both sides changed
+ */
+const MERGE_RULES = {
+  pm_stats_v1: "max",
+  pm_stats_v2: "max",
+  pm_store_v2: "union",
+  pm_store_v3: "union",
+  pm_city_slots_index_v2: "city",
+};
+function ruleFor(key) {
+  if (LOCAL_ONLY.has(key)) return "local";
+  if (key.startsWith("pm_layout_grid_v1:")) return "city";
+  return MERGE_RULES[key] || "lww";
+}
+
+function deviceId() {
+  let id = safeGet(DEVICE_KEY);
+  if (!id) {
+    id = (crypto.randomUUID?.() || `${now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+    safeSet(DEVICE_KEY, id);
+  }
+  return id;
+}
+
+export function getCloudState() {
+  return readJSON(CLOUD_KEY, { version: 0, hash: "", at: 0, baseHashes: {} });
+}
+function setCloudState(st) { return writeJSON(CLOUD_KEY, st); }
+
+function hashesOf(map) {
+  const out = {};
+  for (const [k, v] of Object.entries(map || {})) out[k] = hashString(String(v));
+  return out;
+}
+
+function parse(v) { try { return JSON.parse(v); } catch { return undefined; } }
+
+function maxMerge(a, b) {
+  if (typeof a === "number" && typeof b === "number") return Math.max(a, b);
+  if (Array.isArray(a) && Array.isArray(b)) return unionArrays(a, b).slice(-400);
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    const out = { ...a };
+    for (const [k, v] of Object.entries(b)) out[k] = k in a ? maxMerge(a[k], v) : v;
+    return out;
+  }
+  return b ?? a;
+}
+
+function unionArrays(a, b) {
+  const seen = new Set(a.map((x) => JSON.stringify(x)));
+  const out = a.slice();
+  for (const x of b) {
+    const j = JSON.stringify(x);
+    if (!seen.has(j)) { seen.add(j); out.push(x); }
+  }
+  return out;
+}
+
+// `prefer` wins for scalar fields (e.g. equipped items); collections are unioned.
+function unionMerge(a, b, prefer) {
+  if (Array.isArray(a) && Array.isArray(b)) return unionArrays(a, b);
+  if (typeof a === "boolean" || typeof b === "boolean") return !!(a || b);
+  if (typeof a === "number" && typeof b === "number") return Math.max(a, b);
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    const out = { ...a };
+    for (const [k, v] of Object.entries(b)) out[k] = k in a ? unionMerge(a[k], v, prefer) : v;
+    return out;
+  }
+  if (a == null) return b;
+  if (b == null) return a;
+  return prefer === "remote" ? b : a;
+}
+
+/**
+ * Line-level description of how local and remote differ.
+ * @returns {Array<{ key, status:"same"|"local_only"|"remote_only"|"changed", localBytes, remoteBytes }>}
+ */
+export function diffSnapshots(local = {}, remote = {}) {
+  const keys = [...new Set([...Object.keys(local), ...Object.keys(remote)])].sort();
+  return keys.map((key) => {
+    const l = local[key], r = remote[key];
+    const status =
+      l === r ? "same" : r === undefined ? "local_only" : l === undefined ? "remote_only" : "changed";
+    return { key, status, localBytes: l ? l.length : 0, remoteBytes: r ? r.length : 0 };
+  });
+}
+
+/**
+ * Plans a merge of the remote save into the local state.
+ * `baseHashes` (from the last sync) tells which side changed a key since then.
+ * @returns {{ merged:Object, decisions:Array<{ key, rule, status, result, needsPrompt }>, needsPrompt:boolean }}
+ */
+export function mergeSnapshots(local = {}, remote = {}, { baseHashes = {}, localTs = 0, remoteTs = 0 } = {}) {
+  const merged = {};
+  const decisions = [];
+  const newer = remoteTs > localTs ? "remote" : "local";
+
+  for (const d of diffSnapshots(local, remote)) {
+    const { key, status } = d;
+    const l = local[key], r = remote[key];
+    const rule = ruleFor(key);
+    let result = "local";
+    let needsPrompt = false;
+
+    if (status === "same") {
+      result = "same";
+    } else if (rule === "local") {
+      result = "local";
+    } else if (status === "local_only") {
+      result = "local";
+    } else if (status === "remote_only") {
+      result = "remote";
+    } else {
+      const base = baseHashes[key];
+      const localChanged = !base || base !== hashString(l);
+      const remoteChanged = !base || base !== hashString(r);
+
+      if (!remoteChanged) result = "local";
+      else if (!localChanged) result = "remote";
+      else if (rule === "max" || rule === "union") {
+        const a = parse(l), b = parse(r);
+        if (a === undefined || b === undefined) result = newer;
+        else {
+          merged[key] = JSON.stringify(rule === "max" ? maxMerge(a, b) : unionMerge(a, b, newer));
+          result = "merged";
+        }
+      } else if (rule === "city") {
+        result = newer;
+        needsPrompt = true;
+      } else {
+        result = newer;
+      }
     }
+
+    if (result === "local" || result === "same") { if (l !== undefined) merged[key] = l; }
+    else if (result === "remote") merged[key] = r;
+    decisions.push({ key, rule, status, result, needsPrompt });
+  }
+
+  return { merged, decisions, needsPrompt: decisions.some((x) => x.needsPrompt) };
+}
+
+async function cloudReq(method, body) {
+  const r = await fetch(`${API_BASE}/api/save`, {
+    method,
+    credentials: "include",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  const data = await r.json().catch(() => ({}));
+  return { status: r.status, ok: r.ok, data };
+}
+
+/** Fetches the account's cloud save: { version, snapshot, meta, updatedAt }. */
+export async function pullCloudSave() {
+  if (!isSignedIn()) return { ok: false, reason: "signed_out" };
+  const r = await cloudReq("GET");
+  if (!r.ok) return { ok: false, reason: r.data?.error || `http_${r.status}` };
+  return { ok: true, remote: r.data };
+}
+
+/**
+ * Uploads the local snapshot on top of the last known cloud version.
+ * On a version conflict returns { ok:false, conflict:true, remote } for the UI to merge.
+ */
+export async function pushCloudSave(snapshot = getBackupSnapshot()) {
+  if (!isSignedIn()) return { ok: false, reason: "signed_out" };
+  const st = getCloudState();
+  const json = JSON.stringify(snapshot);
+  const meta = { ts: now(), device: deviceId(), keys: Object.keys(snapshot).length, hash: hashString(json) };
+
+  const r = await cloudReq("PUT", { baseVersion: st.version, snapshot, meta });
+  if (r.status === 409) return { ok: false, conflict: true, remote: r.data?.remote };
+  if (!r.ok) return { ok: false, reason: r.data?.error || `http_${r.status}` };
+
+  setCloudState({ version: r.data.version, hash: meta.hash, at: meta.ts, baseHashes: hashesOf(snapshot) });
+  setLastSync(meta.ts);
+  return { ok: true, version: r.data.version };
+}
+
+/**
+ * Everything SyncPanel needs to show before the user accepts a pull:
+ * remote + local versions, per-key diff, and the merge plan.
+ */
+export async function previewCloudMerge() {
+  const pulled = await pullCloudSave();
+  if (!pulled.ok) return pulled;
+  const remote = pulled.remote;
+  const local = getBackupSnapshot();
+  const st = getCloudState();
+  const localMeta = { ...getSyncMeta(), hash: hashString(JSON.stringify(local)), version: st.version };
+
+  const plan = mergeSnapshots(local, remote.snapshot || {}, {
+    baseHashes: st.baseHashes,
+    localTs: Math.max(st.at || 0, getSyncMeta().ts || 0),
+    remoteTs: remote.meta?.ts || remote.updatedAt || 0,
   });
+  return {
+    ok: true,
+    remote: { version: remote.version, meta: remote.meta, updatedAt: remote.updatedAt },
+    local: localMeta,
+    upToDate: remote.version === st.version,
+    diff: diffSnapshots(local, remote.snapshot || {}),
+    plan,
+    _remoteSnapshot: remote.snapshot || {},
+  };
+}
+
+/**
+ * Applies an accepted merge plan locally and uploads it as the new cloud version.
+ * @param preview   result of previewCloudMerge()
+ * @param cityChoice "local" | "remote" for keys that needed a prompt
+ */
+export async function acceptCloudMerge(preview, { cityChoice } = {}) {
+  if (!preview?.ok) return { ok: false, reason: "no_preview" };
+  const local = getBackupSnapshot();
+  const merged = { ...preview.plan.merged };
+  for (const d of preview.plan.decisions) {
+    if (!d.needsPrompt || !cityChoice) continue;
+    const src = cityChoice === "remote" ? preview._remoteSnapshot : local;
+    if (src[d.key] !== undefined) merged[d.key] = src[d.key];
+  }
+
+  for (const [k, v] of Object.entries(merged)) {
+    if (!LOCAL_ONLY.has(k) && safeGet(k) !== v) safeSet(k, v);
+  }
+
+  // Build on the remote version we just merged with.
+  const st = getCloudState();
+  setCloudState({ ...st, version: preview.remote.version, baseHashes: hashesOf(preview._remoteSnapshot) });
+  const pushed = await pushCloudSave(getBackupSnapshot());
+  const { json, meta } = takeSnapshot();
+  writeToLocalBackup(json, { ...meta, reason: "cloud_merge" });
+  return pushed;
 }
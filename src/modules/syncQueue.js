@@ -1,43 +1,32 @@
 // src/modules/syncQueue.js
 // Offline queue: enqueue events while offline, auto-flush when back online.
-import { getJSON, setJSON } from "./storage";
+// Delivery goes through the "events" sync stream (syncTransport.js); an event
+// leaves the queue only after the server acknowledges its id.
+import { kvGetSync, kvSetSync } from "./storage";
+import { registerStream, requestFlush, flushStream } from "./syncTransport.js";
 
 const KEY = "pm_sync_queue_v1";
 
-// In your real backend, replace this with a fetch() to your API.
-async function sendToServer(event) {
-  // Simulate network work
-  await new Promise(r => setTimeout(r, 120));
-  // Pretend success
-  return { ok: true };
-}
-
 export function enqueue(type, payload) {
-  const q = getJSON(KEY, []);
+  const q = kvGetSync(KEY, []);
   q.push({ id: crypto.randomUUID?.() || String(Date.now()) + Math.random(), type, payload, at: Date.now() });
-  setJSON(KEY, q);
+  kvSetSync(KEY, q);
+  requestFlush("events");
 }
 
-export async function flushQueue() {
-  const q = getJSON(KEY, []);
-  if (!q.length) return;
+registerStream("events", {
+  read: () => kvGetSync(KEY, []),
+  onAck(acks) {
+    const done = new Set(acks.map((a) => a.id));
+    kvSetSync(KEY, kvGetSync(KEY, []).filter((evt) => !done.has(evt.id)));
+  },
+});
 
-  const remaining = [];
-  for (const evt of q) {
-    try {
-      // If offline, stop and keep the rest.
-      if (!navigator.onLine) { remaining.push(evt); continue; }
-      const res = await sendToServer(evt);
-      if (!res?.ok) remaining.push(evt);
-    } catch {
-      remaining.push(evt);
-    }
-  }
-  setJSON(KEY, remaining);
+export async function flushQueue() {
+  return flushStream("events");
 }
 
 export function startQueueAutoFlush() {
-  // Flush now, then on every “online”
+  // Flush now; the transport re-flushes on "online" and sign-in
   flushQueue();
-  window.addEventListener("online", flushQueue);
 }
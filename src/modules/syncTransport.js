@@ -0,0 +1,160 @@
+// FILE: src/modules/syncTransport.js
+// Batched transport for local op queues → POST /api/sync/ops.
+// - Each queue registers a stream ("wallet", "stats", "events") with read/ack hooks
+// - Ops carry their own id; the server acks per id and the queue drops only acked ops
+// - Failures back off exponentially (with jitter) per stream; 401 waits for sign-in
+// - Flushes on "online" and "pm:session", and whenever a queue calls requestFlush()
+
+import { API_BASE, authHeaders, isSignedIn } from "./account.js";
+
+const BATCH = 100;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+const DEBOUNCE_MS = 2000;
+
+/**
+ * name → {
+ *   read(): op[]                       pending ops (each with a stable `id`)
+ *   onAck(acks, response, sentOps)     drop acked ops from the local queue
+ *   onSend?(ops) / onSettled?(ops)     optional in-flight bookkeeping
+ *   state: { failures, nextAt, lastOkAt, lastError, authBlocked, timer, running }
+ * }
+ */
+const streams = new Map();
+
+function backoff(failures) {
+  const exp = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, failures - 1));
+  return Math.round(exp * (0.5 + Math.random() * 0.5));
+}
+
+async function postBatch(ops) {
+  const ctl = typeof AbortController !== "undefined" ? new AbortController() : null;
+  const t = setTimeout(() => ctl?.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const r = await fetch(`${API_BASE}/api/sync/ops`, {
+      method: "POST",
+      credentials: "include",
+      headers: { "Content-Type": "application/json", ...authHeaders() },
+      body: JSON.stringify({ ops }),
+      signal: ctl?.signal,
+    });
+    const data = await r.json().catch(() => ({}));
+    return { status: r.status, ok: r.ok, data };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function schedule(name, delay) {
+  const s = streams.get(name);
+  if (!s) return;
+  clearTimeout(s.state.timer);
+  s.state.nextAt = Date.now() + delay;
+  s.state.timer = setTimeout(() => {
+    s.state.timer = null;
+    flushStream(name);
+  }, delay);
+}
+
+/**
+ * Drains one stream until empty or a failure. Resolves with a summary.
+ * Concurrent calls share the same run.
+ */
+export function flushStream(name) {
+  const s = streams.get(name);
+  if (!s) return Promise.resolve({ ok: false, reason: "unknown_stream" });
+  if (s.state.running) return s.state.running;
+
+  s.state.running = (async () => {
+    if (!isSignedIn()) return { ok: false, reason: "signed_out" };
+    if (typeof navigator !== "undefined" && navigator.onLine === false) return { ok: false, reason: "offline" };
+
+    let sent = 0;
+    for (;;) {
+      const ops = (s.read() || []).filter((op) => op && op.id).slice(0, BATCH);
+      if (!ops.length) break;
+
+      s.onSend?.(ops);
+      let res;
+      try {
+        res = await postBatch(ops.map((op) => ({ ...op, stream: name })));
+      } catch (e) {
+        res = { ok: false, status: 0, data: { error: String(e?.message || e) } };
+      } finally {
+        s.onSettled?.(ops);
+      }
+
+      if (!res.ok) {
+        s.state.failures += 1;
+        s.state.lastError = res.data?.error || `http_${res.status}`;
+        // Unauthenticated: wait for the next "pm:session" instead of hammering.
+        if (res.status === 401) s.state.authBlocked = true;
+        else schedule(name, backoff(s.state.failures));
+        return { ok: false, reason: s.state.lastError, sent };
+      }
+
+      const acks = Array.isArray(res.data?.acks) ? res.data.acks : [];
+      s.onAck(acks, res.data, ops);
+      s.state.failures = 0;
+      s.state.lastError = null;
+      s.state.lastOkAt = Date.now();
+      sent += acks.length;
+      if (!acks.length) break; // server made no progress; don't spin
+    }
+    return { ok: true, sent };
+  })().finally(() => { s.state.running = null; });
+
+  return s.state.running;
+}
+
+export function flushAll() {
+  return Promise.all([...streams.keys()].map((n) => flushStream(n)));
+}
+
+/** Debounced flush for a stream (call after enqueueing). */
+export function requestFlush(name) {
+  const s = streams.get(name);
+  if (!s || !isSignedIn() || s.state.authBlocked) return;
+  // Respect an active backoff window.
+  const wait = Math.max(DEBOUNCE_MS, (s.state.nextAt || 0) - Date.now());
+  if (s.state.failures > 0 && s.state.timer) return;
+  schedule(name, wait);
+}
+
+/** Registers a queue. Re-registering replaces the hooks but keeps state. */
+export function registerStream(name, hooks) {
+  const prev = streams.get(name);
+  streams.set(name, {
+    ...hooks,
+    state: prev?.state || {
+      failures: 0, nextAt: 0, lastOkAt: 0, lastError: null, authBlocked: false, timer: null, running: null,
+    },
+  });
+  ensureListeners();
+}
+
+/** Per-stream transport state for debug/SyncPanel. */
+export function getTransportState() {
+  const out = {};
+  for (const [name, s] of streams) {
+    const { failures, nextAt, lastOkAt, lastError } = s.state;
+    out[name] = { pending: (s.read() || []).length, failures, nextAt, lastOkAt, lastError };
+  }
+  return out;
+}
+
+let listening = false;
+function ensureListeners() {
+  if (listening || typeof window === "undefined") return;
+  listening = true;
+  const kick = () => {
+    for (const s of streams.values()) {
+      s.state.failures = 0;
+      s.state.authBlocked = false;
+    }
+    flushAll();
+  };
+  window.addEventListener("online", kick);
+  window.addEventListener("pm:session", kick);
+}
@@ -1,12 +1,21 @@
 // FILE: src/modules/wallet.js
 // Micro-units wallet with legacy `coins` mirror for UI compatibility.
 // 1 Mate = 1_000_000 microMate.
+//
+// The server ledger (server/ledger.js) is authoritative. Every balance op here
+// also appends a journal op to JOURNAL_KEY; the "wallet" sync stream posts them
+// (syncTransport.js) and each ack rebases the local balance on the confirmed
+// server balance + still-pending ops.
 
 import { addCoinsEarned, addUsdSkim } from "./stats";
 import { recordEarnEvent } from "./kyc";
 import { getPassivePerMinute } from "./cityEconomy";
+import { isSignedIn } from "./account.js";
+import { registerStream, requestFlush, flushStream } from "./syncTransport.js";
+import { kvGetSync, kvSetSync } from "./storage.js";
 
 const KEY = "pm_wallet_v3";
+const JOURNAL_KEY = "pm_sync_wallet_v1"; // pending ledger ops, in IndexedDB (counted by sync.js)
 export const isDev = !!import.meta.env?.DEV;
 
 /* ---------- economy ---------- */
@@ -163,6 +172,157 @@ function pushHist(w, k, amt = 0, extra = {}) {
   if (w.history.length > 400) w.history.splice(0, w.history.length - 400);
 }
 
+/* ---------- ledger journal (pending ops) ---------- */
+const toCents = (usd) => Math.round((Number(usd) || 0) * 100);
+const inflight = new Set();
+
+function readJournal() {
+  const q = kvGetSync(JOURNAL_KEY, []);
+  return Array.isArray(q) ? q : [];
+}
+function writeJournal(q) {
+  if (!kvSetSync(JOURNAL_KEY, q)) console.error("❌ wallet journal write FAILED");
+  return q;
+}
+function opId() {
+  try {
+    return crypto.randomUUID();
+  } catch {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+}
+
+/**
+ * Appends a ledger op. kind: deposit|spend|refund (micro), skim|hold|release (USD cents).
+ * Passive deposits coalesce into the last unsent passive op to keep the queue short.
+ */
+function journal(kind, amount, meta = {}) {
+  const amt = Math.floor(Number(amount) || 0);
+  if (amt <= 0) return;
+  const q = readJournal();
+  const last = q[q.length - 1];
+  if (
+    kind === "deposit" &&
+    meta.passive &&
+    last?.kind === "deposit" &&
+    last.meta?.passive &&
+    !inflight.has(last.id)
+  ) {
+    last.amount += amt;
+    last.t = Date.now();
+  } else {
+    q.push({ id: opId(), kind, amount: amt, t: Date.now(), meta });
+  }
+  writeJournal(q);
+  requestFlush("wallet");
+}
+
+// Carry a pre-ledger local balance over as a one-time "opening" op.
+function ensureOpening(w) {
+  if (w.ledger_opened) return w;
+  w.ledger_opened = true;
+  const q = readJournal();
+  q.unshift({
+    id: opId(),
+    kind: "opening",
+    amount: w.micro,
+    usdHoldCents: toCents(w.usd_review_hold),
+    usdCents: toCents(w.usd),
+    t: Date.now(),
+  });
+  writeJournal(q);
+  return w;
+}
+
+// Signed local effect of ops that the server has not confirmed yet.
+function pendingTotals(q = readJournal()) {
+  const p = { micro: 0, holdCents: 0, usdCents: 0, ops: q.length };
+  for (const op of q) {
+    const a = Number(op.amount) || 0;
+    if (op.kind === "deposit" || op.kind === "refund") p.micro += a;
+    else if (op.kind === "spend") p.micro -= a;
+    else if (op.kind === "skim" || op.kind === "hold") p.holdCents += a;
+    else if (op.kind === "release") { p.holdCents -= a; p.usdCents += a; }
+    else if (op.kind === "opening") {
+      p.micro += a;
+      p.holdCents += Number(op.usdHoldCents) || 0;
+      p.usdCents += Number(op.usdCents) || 0;
+    }
+  }
+  return p;
+}
+
+/**
+ * Confirmed (server) vs pending (local, unsent) amounts.
+ * confirmed is null until the first successful reconcile.
+ */
+export function getWalletStatus() {
+  const w = getWallet();
+  const p = pendingTotals();
+  return {
+    confirmed: w.confirmed
+      ? {
+          micro: w.confirmed.micro,
+          usd_review_hold: w.confirmed.usdHoldCents / 100,
+          usd: w.confirmed.usdCents / 100,
+          at: w.confirmed.at,
+        }
+      : null,
+    pending: {
+      micro: p.micro,
+      usd_review_hold: p.holdCents / 100,
+      usd: p.usdCents / 100,
+      ops: p.ops,
+    },
+    signedIn: isSignedIn(),
+  };
+}
+
+// Server balance + ops still queued → local cache.
+function rebase(balance) {
+  if (!balance) return;
+  const p = pendingTotals();
+  const w = norm(readRaw());
+  w.micro = Math.max(0, balance.micro + p.micro);
+  w.usd_review_hold = Math.max(0, (balance.usdHoldCents + p.holdCents) / 100);
+  w.usd = Math.max(0, (balance.usdCents + p.usdCents) / 100);
+  w.usd_ytd = balance.usdYtdCents / 100;
+  w.usd_cap = balance.usdCapCents / 100;
+  w.confirmed = { ...balance, at: Date.now() };
+  w.ledger_opened = true;
+  syncLegacyCoins(w);
+  writeRawImmediate(w);
+  notify();
+}
+
+registerStream("wallet", {
+  read() {
+    const w = norm(readRaw());
+    if (!w.ledger_opened) writeRawImmediate(ensureOpening(w));
+    return readJournal();
+  },
+  onSend(ops) { ops.forEach((op) => inflight.add(op.id)); },
+  onSettled(ops) { ops.forEach((op) => inflight.delete(op.id)); },
+  // Every ack (accepted or permanently rejected, e.g. insufficient_funds)
+  // drops the op; a rejected op's local effect disappears with the rebase.
+  onAck(acks, res) {
+    const done = new Set(acks.map((x) => x.id));
+    writeJournal(readJournal().filter((op) => !done.has(op.id)));
+    const rejected = acks.filter((x) => !x.ok);
+    if (rejected.length) {
+      const w = norm(readRaw());
+      pushHist(w, "ledger_rejected", rejected.length, { errors: rejected.map((x) => x.error) });
+      writeRawImmediate(w);
+    }
+    rebase(res?.wallet);
+  },
+});
+
+/** Posts pending journal ops now and rebases on the server balance. */
+export function reconcileWallet() {
+  return flushStream("wallet");
+}
+
 /* ---------- getters / formatting ---------- */
 export function getWallet() {
   return norm(readRaw());
@@ -219,6 +379,7 @@ export function depositMicro(micro = 0, meta = {}) {
   pushHist(w, "micro_add", add, meta);
 
   writeRawImmediate(w);
+  journal("deposit", add, meta);
   notify();
   try {
     addCoinsEarned(Math.round(add / MICRO_PER_MATE));
@@ -231,6 +392,28 @@ export function depositMate(mate = 0, meta = {}) {
   return depositMicro(Math.floor((Number(mate) || 0) * MICRO_PER_MATE), meta);
 }
 
+/**
+ * Gives back Mate from an earlier spend (builder undo, failed import).
+ * Not earnings: no coinsEarned / earn event, journaled as "refund".
+ */
+export function refundMicro(micro = 0, meta = {}) {
+  const add = Math.floor(Number(micro) || 0);
+  if (add <= 0) return getWallet();
+
+  const w = norm(readRaw());
+  w.micro += add;
+  syncLegacyCoins(w);
+  pushHist(w, "micro_refund", add, meta);
+  writeRawImmediate(w);
+  journal("refund", add, meta);
+  notify();
+  return w;
+}
+
+export function refundMate(mate = 0, meta = {}) {
+  return refundMicro(Math.floor((Number(mate) || 0) * MICRO_PER_MATE), meta);
+}
+
 export function addCoins(n = 0) {
   const amt = Number(n) || 0;
   if (!Number.isFinite(amt) || amt === 0) return getWallet();
@@ -250,6 +433,8 @@ export function addCoins(n = 0) {
     w.micro += addMicro;
     syncLegacyCoins(w);
     pushHist(w, "coins_add", whole);
+    if (whole > 0) journal("deposit", addMicro, { k: "coins_add" });
+    else journal("spend", -addMicro, { k: "coins_add" });
     try {
       addCoinsEarned(whole);
     } catch {}
@@ -274,10 +459,25 @@ export function spendMate(mate = 0, meta = {}) {
   syncLegacyCoins(w);
   pushHist(w, "micro_spend", -need, meta);
   writeRawImmediate(w);
+  journal("spend", need, meta);
   notify();
   return { ok: true, wallet: w };
 }
 
+/** Forfeits the whole Mate balance (prestige). USD is untouched. */
+export function forfeitAllMate(meta = {}) {
+  const w = norm(readRaw());
+  const all = w.micro;
+  if (all <= 0) return w;
+  w.micro = 0;
+  syncLegacyCoins(w);
+  pushHist(w, "micro_forfeit", -all, meta);
+  writeRawImmediate(w);
+  journal("spend", all, { k: "forfeit", ...meta });
+  notify();
+  return w;
+}
+
 export function grantAdReward({ baseCoins = 0, boostMult = 1 }) {
   const mate = Math.floor(
     (Number(baseCoins) || 0) * Math.max(1, Number(boostMult) || 1)
@@ -314,6 +514,7 @@ export function creditUsdReview(amount = 0, meta = {}) {
   pushHist(w, histKey, addRounded, extraUsd);
 
   writeRawImmediate(w);  // ← Use immediate write instead of delayed write
+  journal(histKey.startsWith("skim") ? "skim" : "hold", cents, { k: histKey });
   notify();
 
   // Only true "skim" (auto drip) should hit the skim stats.
@@ -351,6 +552,7 @@ export function releaseUsdHold() {
 
   pushHist(w, "review_release", amt);
   writeRawImmediate(w);
+  journal("release", toCents(amt));
   notify();
   return w;
 }
@@ -377,6 +579,7 @@ function tickOnce() {
         syncLegacyCoins(w);
         pushHist(w, "passive_tick_micro", addMicro);
         writeRawImmediate(w);  // Use immediate write
+        journal("deposit", addMicro, { k: "passive_tick_micro", passive: true });
         notify();
         try {
           addCoinsEarned(Math.round(addMicro / MICRO_PER_MATE));
@@ -409,6 +612,7 @@ function catchUpOffline(w) {
         w.micro += addMicro;
         syncLegacyCoins(w);
         pushHist(w, "offline_catchup", addMicro, { minutes });
+        journal("deposit", addMicro, { k: "offline_catchup", minutes, passive: true });
         try {
           addCoinsEarned(Math.round(addMicro / MICRO_PER_MATE));
         } catch {}
@@ -423,8 +627,9 @@ function catchUpOffline(w) {
 
 function startTicker() {
   if (window.__pm_wallet_tick) clearInterval(window.__pm_wallet_tick);
-  const w = norm(readRaw());
+  const w = ensureOpening(norm(readRaw()));
   writeRawImmediate(catchUpOffline(w));  // Use immediate write
+  requestFlush("wallet");
   const skew = Date.now() % TICK_MS;
   setTimeout(() => {
     tickOnce();
@@ -438,6 +643,8 @@ if (typeof window !== "undefined") {
   } catch {}
 }
 
+// Dev only: clears the local cache. Once signed in, the next reconcile
+// restores the server balance, since the ledger is authoritative.
 export function resetWallet() {
   const fresh = norm({
     micro: 0,
@@ -446,7 +653,9 @@ export function resetWallet() {
     usd_review_hold: 0,
     usd_ytd: 0,
   });
+  fresh.ledger_opened = true;
   writeRawImmediate(fresh);
+  writeJournal([]);
   notify();
   try {
     localStorage.setItem(CARRY_KEY, "0");
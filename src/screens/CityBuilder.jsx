@@ -7,12 +7,52 @@ import * as walletModule from "../modules/wallet";
 import * as citySlots from "../modules/citySlots";
 import { BuilderManager } from "../game/builder/BuilderManager.js";
 import { getWallet, fmtUSD, convertCoinsToUsd } from "../modules/wallet";
+import { cityHealthMultiplier } from "../modules/cityEconomy";
 
 const CELL = 32;
 
+const DRAG_TOOL_BUTTONS = [
+  { id: "paint", label: "✏️ Paint", title: "Click or drag to paint cells" },
+  { id: "line", label: "📏 Line", title: "Drag an L-shaped road/avenue run" },
+  { id: "rect", label: "▭ Fill", title: "Drag a box to fill (parks)" },
+  { id: "erase_box", label: "🧽 Erase box", title: "Drag a box to clear" },
+];
+
+const IMPORT_ERRORS = {
+  empty: "Paste a city code or pick a file",
+  bad_code: "That isn't a city code",
+  bad_file: "That file isn't a city export",
+  bad_version: "That code is from a newer version",
+  corrupt_code: "That code is damaged (mistyped?)",
+  unknown_tile: "The layout uses an unknown tile",
+  bad_size: "The layout size isn't supported",
+  bad_grid: "The layout has no grid",
+  cap_reached: "No free city slots – buy more in the Store",
+  insufficient_funds: "Not enough coins to build it",
+  no_blueprint: "No blueprint on this slot",
+};
+
+const SKIP_REASONS = {
+  occupied: "occupied",
+  needs_road: "needs a road",
+  locked_area: "locked",
+  out_of_bounds: "off the lot",
+  not_unlocked: "not unlocked",
+  max_owned_reached: "none left",
+  line_roads_only: "line tool is for roads/avenues",
+};
+
+// Road network issues (game/ai/roadNetwork.js) → board outline colour
+const ISSUE_COLORS = {
+  road_island: "#f59e0b",
+  dead_end: "#f97316",
+  no_road: "#ef4444",
+  unreachable: "#ef4444",
+};
+
 /* ---------- Helpers ---------- */
 
-const ROADLIKE = new Set(["road", "avenue", "roundabout"]);
+const ROADLIKE = new Set(["road", "avenue", "roundabout", "signal"]);
 const BUILDINGS = new Set([
   "home",
   "house",
@@ -119,6 +159,18 @@ export default function CityBuilder({ dark = true }) {
   const [rot, setRot] = useState(0);
   const [dragMode, setDragMode] = useState(null);
   const [showUnlock, setShowUnlock] = useState(false);
+  const [history, setHistory] = useState(() => manager.getHistoryState());
+  const [tool, setTool] = useState(() => ui.getDragTool());
+  const [autoConnect, setAutoConnect] = useState(() => ui.getAutoConnect());
+  const [preview, setPreview] = useState(null);
+  const toolDragRef = useRef(null); // { from, to } while a tool drag is open
+  const [showShare, setShowShare] = useState(false);
+  const [share, setShare] = useState(null); // { code, json } of the active slot
+  const [importText, setImportText] = useState("");
+  const importFileRef = useRef(null);
+  const [blueprintRev, setBlueprintRev] = useState(0); // bump after set/clear
+  const [showBlueprint, setShowBlueprint] = useState(true);
+  const [showIssues, setShowIssues] = useState(true);
 
   const cellSize = CELL;
   const cols = grid.cols || 6;
@@ -166,8 +218,12 @@ export default function CityBuilder({ dark = true }) {
     setSlots(slot.getSlots() || []);
     setActiveSlot(slot.activeSlot || slot.getSlots()?.[0]?.id || "default");
 
+    const offHistory = manager.on("history:changed", setHistory);
+    setHistory(manager.getHistoryState());
+
     return () => {
       console.debug("[CityBuilder] unmount – destroying manager");
+      offHistory();
       manager.destroy();
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -366,17 +422,238 @@ export default function CityBuilder({ dark = true }) {
     const c = grid.cols || 6;
     const r = grid.rows || 6;
     const current = placement.toGrid(c, r) || [];
-    for (let y = 0; y < current.length; y++) {
-      const row = current[y];
-      if (!row) continue;
-      for (let x = 0; x < row.length; x++) {
-        if (row[x]) manager.removeTile(x, y);
+    manager.batch("reset", () => {
+      for (let y = 0; y < current.length; y++) {
+        const row = current[y];
+        if (!row) continue;
+        for (let x = 0; x < row.length; x++) {
+          if (row[x]) manager.removeTile(x, y);
+        }
       }
-    }
+    });
     syncFromSystems();
     say("Layout cleared!");
   };
 
+  /* ---------- Undo / redo ---------- */
+
+  const handleHistory = (dir) => {
+    const res = dir === "undo" ? manager.undo() : manager.redo();
+    if (!res || !res.success) {
+      if (res?.reason === "insufficient_funds") {
+        say(`Need ${res.cost} more coins to redo`);
+      } else if (res?.reason === "stale_history") {
+        say("Layout changed elsewhere – history cleared");
+      } else if (res?.reason && !res.reason.startsWith("nothing_to")) {
+        say(res.reason);
+      }
+      return;
+    }
+    if (res.slotChanged) {
+      setSlots(slot.getSlots() || []);
+      setActiveSlot(res.slotId);
+    }
+    syncFromSystems();
+  };
+
+  const handleSwitchSlot = (newSlot) => {
+    const res = manager.switchSlot(newSlot);
+    if (!res || !res.success) {
+      say(res?.reason || "Failed to switch slot");
+      return;
+    }
+    setActiveSlot(newSlot);
+  };
+
+  /* ---------- Share: export / import city codes ---------- */
+
+  const openShare = () => {
+    const res = manager.exportLayout();
+    if (!res.success) {
+      say(res.reason || "Export failed");
+      return;
+    }
+    setShare(res);
+    setShowShare(true);
+  };
+
+  // Keep the code in step with edits while the panel is open
+  useEffect(() => {
+    if (!showShare) return;
+    const res = manager.exportLayout();
+    if (res.success) setShare(res);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [placedMap, activeSlot, showShare]);
+
+  const copyShareCode = () => {
+    if (!share?.code) return;
+    navigator.clipboard
+      ?.writeText(share.code)
+      .then(() => say("Code copied"))
+      .catch(() => say("Copy failed – select the code instead"));
+  };
+
+  const downloadShareJson = () => {
+    if (!share?.json) return;
+    const blob = new Blob([JSON.stringify(share.json, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `ProcrastiMate-city-${activeSlot}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const runImport = (text) => {
+    const res = manager.importLayout(text);
+    if (!res.success) {
+      say(IMPORT_ERRORS[res.reason] || res.reason, 2400);
+      return;
+    }
+    setImportText("");
+    setSlots(slot.getSlots() || []);
+    setActiveSlot(res.slotId);
+    setShowShare(false);
+
+    if (!res.blueprint) {
+      say(`Imported "${res.layout.name}" into a new slot`);
+      return;
+    }
+    const r = res.requirements;
+    const missing = [
+      ...Object.entries(r.missing).map(([id, n]) => `${n} ${id}`),
+      ...r.locked.map((id) => `${id} (locked)`),
+      r.outside ? `${r.outside} cells outside your lot` : null,
+      r.cost > r.balance ? `${Math.ceil(r.cost - r.balance)} MC` : null,
+    ].filter(Boolean);
+    say(`Saved as a blueprint – missing ${missing.join(", ")}`, 3600);
+  };
+
+  const importFromFile = async (e) => {
+    const file = e?.target?.files?.[0];
+    if (!file) return;
+    runImport(await file.text());
+    if (importFileRef.current) importFileRef.current.value = "";
+  };
+
+  /* ---------- Blueprint ---------- */
+
+  const blueprint = useMemo(
+    () => manager.getBlueprintStatus(),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [placedMap, usage, blueprintRev, activeSlot]
+  );
+  /* ---------- City health ---------- */
+
+  const health = useMemo(
+    () => manager.analyzeLayout(),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [placedMap, activeSlot]
+  );
+  const healthIssues = useMemo(() => {
+    const byType = {};
+    for (const c of health.cellIssues) {
+      (byType[c.type] ??= { type: c.type, reason: c.reason, count: 0 }).count++;
+    }
+    return [...health.issues, ...Object.values(byType)];
+  }, [health]);
+
+  const prestigeBlueprint = useMemo(
+    () => citySlots.getPrestigeBlueprint(),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [blueprintRev]
+  );
+
+  const applyBlueprintResult = (res) => {
+    if (!res.success) {
+      say(IMPORT_ERRORS[res.reason] || res.reason || "Couldn't load blueprint", 2400);
+      return;
+    }
+    setImportText("");
+    setShowShare(false);
+    setShowBlueprint(true);
+    setBlueprintRev((v) => v + 1);
+    say("Blueprint loaded");
+  };
+
+  const handleClearBlueprint = () => {
+    manager.clearBlueprint();
+    setBlueprintRev((v) => v + 1);
+  };
+
+  const handleFillBlueprint = () => {
+    const res = manager.fillBlueprint();
+    if (!res.success) {
+      say(
+        res.reason === "insufficient_funds"
+          ? "Can't afford any blueprint cells yet"
+          : SKIP_REASONS[res.reason] || res.reason
+      );
+      return;
+    }
+    syncFromSystems();
+    const left = res.plan.skipped.length + res.failed.length;
+    say(
+      `Placed ${res.placed} blueprint tile${res.placed === 1 ? "" : "s"}` +
+        (res.spent ? ` · ${res.spent} MC` : "") +
+        (left ? ` · ${left} left` : "")
+    );
+  };
+
+  /* ---------- Drag tools (line / fill / erase box) ---------- */
+
+  const chooseTool = (id) => {
+    ui.setDragTool(id);
+    setTool(ui.getDragTool());
+    cancelToolDrag();
+  };
+
+  const toggleAutoConnect = () => {
+    ui.setAutoConnect(!ui.getAutoConnect());
+    setAutoConnect(ui.getAutoConnect());
+  };
+
+  const toolTileId = () =>
+    tool === "erase_box" ? null : normalizeId(select);
+
+  const planToolDrag = (from, to) =>
+    manager.previewDrag(tool, from, to, toolTileId(), { autoConnect });
+
+  const cancelToolDrag = () => {
+    toolDragRef.current = null;
+    setPreview(null);
+  };
+
+  const commitToolDrag = () => {
+    const drag = toolDragRef.current;
+    cancelToolDrag();
+    if (!drag) return;
+
+    const res = manager.applyDrag(tool, drag.from, drag.to, toolTileId(), { autoConnect });
+    if (!res.success) {
+      if (res.reason === "insufficient_funds") {
+        say(`Need ${res.cost} MC for this drag`);
+      } else if (res.reason === "too_many_cells") {
+        say("That drag is too big");
+      } else if (res.reason !== "nothing_to_do") {
+        say(SKIP_REASONS[res.reason] || res.reason);
+      }
+      return;
+    }
+
+    syncFromSystems();
+    if (res.removed) {
+      say(`Cleared ${res.removed} tile${res.removed === 1 ? "" : "s"}`);
+    } else {
+      const skipped = res.plan.skipped.length + res.failed.length;
+      say(
+        `Placed ${res.placed}` +
+          (res.spent ? ` · ${res.spent} MC` : "") +
+          (skipped ? ` · ${skipped} skipped` : "")
+      );
+    }
+  };
+
   /* ---------- Persist layout → citySlots (for CityScene) ---------- */
 
   useEffect(() => {
@@ -520,6 +797,16 @@ export default function CityBuilder({ dark = true }) {
       ghost.style.height = cellSize + "px";
       ghost.style.opacity = isCellUnlocked(gx, gy) ? "0.7" : "0.3";
 
+      // Tool drag: re-plan when the end cell changes
+      const drag = toolDragRef.current;
+      if (drag) {
+        if (drag.to.x !== gx || drag.to.y !== gy) {
+          drag.to = { x: gx, y: gy };
+          setPreview(planToolDrag(drag.from, drag.to));
+        }
+        return;
+      }
+
       // Apply placement on drag
       if (dragMode) {
         applyAt(gx, gy);
@@ -545,25 +832,64 @@ export default function CityBuilder({ dark = true }) {
       el.removeEventListener("mouseleave", onLeave);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [cols, rows, cellSize, dragMode, select, rot]);
+  }, [cols, rows, cellSize, dragMode, select, rot, tool, autoConnect]);
 
   /* ---------- Mouse / Touch Interaction ---------- */
 
+  const cellFromEvent = (e) => {
+    const rect = gridRef.current?.getBoundingClientRect();
+    if (!rect) return null;
+    const p = e.touches ? e.touches[0] : e;
+    return {
+      x: clamp(Math.floor((p.clientX - rect.left) / cellSize), 0, cols - 1),
+      y: clamp(Math.floor((p.clientY - rect.top) / cellSize), 0, rows - 1),
+    };
+  };
+
   const onMouseDown = (e) => {
+    if (tool !== "paint" && e.button === 0) {
+      if (tool !== "erase_box" && (!select || select === "erase")) {
+        say("Pick a tile first");
+        return;
+      }
+      const cell = cellFromEvent(e);
+      if (!cell) return;
+      toolDragRef.current = { from: cell, to: cell };
+      setPreview(planToolDrag(cell, cell));
+      return;
+    }
     if (e.button === 2) {
+      manager.beginBatch("erase");
       setDragMode("erase");
       return;
     }
     if (e.button !== 0) return;
+    manager.beginBatch("paint");
     setDragMode("place");
   };
 
+  // One drag stroke = one undo step
   const onMouseUp = () => {
+    if (toolDragRef.current) {
+      commitToolDrag();
+      return;
+    }
+    if (dragMode) manager.endBatch();
     setDragMode(null);
   };
 
+  const onMouseLeave = () => {
+    if (toolDragRef.current) {
+      cancelToolDrag();
+      return;
+    }
+    onMouseUp();
+  };
+
   // CRITICAL FIX: Handle single clicks
   const onClick = (e) => {
+    if (tool !== "paint") return; // tools commit on mouse up
+
     const rect = gridRef.current?.getBoundingClientRect();
     if (!rect) return;
 
@@ -576,8 +902,22 @@ export default function CityBuilder({ dark = true }) {
 
   /* ---------- Keyboard ---------- */
 
+  const historyRef = useRef(handleHistory);
+  historyRef.current = handleHistory;
+
   useEffect(() => {
     const onKey = (e) => {
+      if (e.ctrlKey || e.metaKey) {
+        const k = e.key.toLowerCase();
+        if (k === "z" && !e.shiftKey) {
+          e.preventDefault();
+          historyRef.current("undo");
+        } else if (k === "y" || (k === "z" && e.shiftKey)) {
+          e.preventDefault();
+          historyRef.current("redo");
+        }
+        return;
+      }
       if (e.key === "r" || e.key === "R") {
         e.preventDefault();
         setRot((v) => (v + 90) % 360);
@@ -588,6 +928,8 @@ export default function CityBuilder({ dark = true }) {
       }
       if (e.key === "Escape") {
         e.preventDefault();
+        toolDragRef.current = null;
+        setPreview(null);
         setSelect("erase");
         setRot(0);
       }
@@ -655,9 +997,7 @@ export default function CityBuilder({ dark = true }) {
         <select
           value={activeSlot}
           onChange={(e) => {
-            const newSlot = e.target.value;
-            setActiveSlot(newSlot);
-            slot.setActive(newSlot);
+            handleSwitchSlot(e.target.value);
           }}
           className="px-2 py-1 rounded border text-sm"
           style={{
@@ -669,6 +1009,7 @@ export default function CityBuilder({ dark = true }) {
           {slots.map((s) => (
             <option key={s.id} value={s.id}>
               {s.name}
+              {s.stats ? ` · ${s.stats.buildings} bldg / ${s.stats.drivable} road` : ""}
             </option>
           ))}
         </select>
@@ -683,6 +1024,43 @@ export default function CityBuilder({ dark = true }) {
         >
           Reset
         </button>
+        <button
+          onClick={() => handleHistory("undo")}
+          disabled={!history.canUndo}
+          className="px-2 py-1 rounded border text-xs"
+          style={{
+            background: dark ? "#1f2937" : "#f9fafb",
+            borderColor: dark ? "#374151" : "#d1d5db",
+            opacity: history.canUndo ? 1 : 0.4,
+          }}
+          title={history.undoLabel ? `Undo ${history.undoLabel} (Ctrl+Z)` : "Undo (Ctrl+Z)"}
+        >
+          ↶ Undo
+        </button>
+        <button
+          onClick={() => handleHistory("redo")}
+          disabled={!history.canRedo}
+          className="px-2 py-1 rounded border text-xs"
+          style={{
+            background: dark ? "#1f2937" : "#f9fafb",
+            borderColor: dark ? "#374151" : "#d1d5db",
+            opacity: history.canRedo ? 1 : 0.4,
+          }}
+          title={history.redoLabel ? `Redo ${history.redoLabel} (Ctrl+Y)` : "Redo (Ctrl+Y)"}
+        >
+          ↷ Redo
+        </button>
+        <button
+          onClick={() => (showShare ? setShowShare(false) : openShare())}
+          className="px-2 py-1 rounded border text-xs"
+          style={{
+            background: dark ? "#1f2937" : "#f9fafb",
+            borderColor: dark ? "#374151" : "#d1d5db",
+          }}
+          title="Export this city as a code, or import one"
+        >
+          🔗 Share
+        </button>
       </div>
 
       {/* Grid unlock */}
@@ -842,6 +1220,289 @@ export default function CityBuilder({ dark = true }) {
         </button>
       </div>
 
+      {/* City health */}
+      {healthIssues.length > 0 && (
+        <div
+          className="mb-3 p-3 rounded-lg border text-xs flex flex-col gap-1"
+          style={{
+            background: dark ? "#1f1a0c" : "#fffbeb",
+            borderColor: health.health >= 60 ? (dark ? "#854d0e" : "#fcd34d") : "#ef4444",
+          }}
+        >
+          <div className="flex items-center justify-between gap-2">
+            <div className="font-semibold text-sm">
+              🩺 City health {health.health}/100{" "}
+              <span className="opacity-70 font-normal">
+                · income ×{cityHealthMultiplier(health.health).toFixed(2)}
+              </span>
+            </div>
+            <label className="flex items-center gap-1 opacity-80">
+              <input
+                type="checkbox"
+                checked={showIssues}
+                onChange={() => setShowIssues((v) => !v)}
+              />
+              Highlight
+            </label>
+          </div>
+          {healthIssues.map((i) => (
+            <div key={i.type} className="flex items-center gap-2">
+              <span
+                className="inline-block w-2 h-2 rounded-full"
+                style={{ background: ISSUE_COLORS[i.type] || "#ef4444" }}
+              />
+              {i.reason}
+              {i.count ? <span className="opacity-70">×{i.count}</span> : null}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Blueprint checklist */}
+      {blueprint && (
+        <div
+          className="mb-3 p-3 rounded-lg border text-xs flex flex-col gap-2"
+          style={{
+            background: dark ? "#0c1a2b" : "#eff6ff",
+            borderColor: dark ? "#1e3a8a" : "#93c5fd",
+          }}
+        >
+          <div className="flex items-center justify-between gap-2">
+            <div className="font-semibold text-sm">
+              📐 {blueprint.name}{" "}
+              <span className="opacity-70 font-normal">
+                {blueprint.done}/{blueprint.total} built
+                {blueprint.blocked ? ` · ${blueprint.blocked} blocked` : ""}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="flex items-center gap-1 opacity-80">
+                <input
+                  type="checkbox"
+                  checked={showBlueprint}
+                  onChange={() => setShowBlueprint((v) => !v)}
+                />
+                Ghost
+              </label>
+              <button
+                onClick={handleClearBlueprint}
+                className="px-2 py-1 rounded border border-transparent hover:border-stone-500"
+              >
+                clear
+              </button>
+            </div>
+          </div>
+
+          {blueprint.todo === 0 ? (
+            <div className="opacity-80">
+              {blueprint.blocked
+                ? "Everything else is built – clear the blocked cells to finish."
+                : "Blueprint complete! 🎉"}
+            </div>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-x-4 gap-y-1">
+                {Object.entries(blueprint.byTile).map(([id, t]) => {
+                  const info = ui.getTileInfo(id);
+                  const fromStock = Math.min(t.need, t.have);
+                  const extra = t.need - fromStock;
+                  const ok = t.unlocked && (extra === 0 || t.mateCost > 0);
+                  return (
+                    <span key={id} className={ok ? "" : "text-red-400"}>
+                      {ok ? "✓" : "✗"} {info.icon} {info.name} ×{t.need}
+                      <span className="opacity-70">
+                        {" "}
+                        · {fromStock} in stock
+                        {extra > 0 &&
+                          (t.mateCost > 0
+                            ? ` · ${extra}×${t.mateCost}🪙`
+                            : ` · ${extra} missing`)}
+                        {!t.unlocked && " · 🔒 locked"}
+                      </span>
+                    </span>
+                  );
+                })}
+              </div>
+              <button
+                onClick={handleFillBlueprint}
+                disabled={blueprint.fill.count === 0}
+                className="px-2 py-1 rounded border self-start"
+                style={{
+                  background: dark ? "#1e40af" : "#3b82f6",
+                  color: "#fff",
+                  borderColor: dark ? "#1e3a8a" : "#2563eb",
+                  opacity: blueprint.fill.count ? 1 : 0.5,
+                }}
+                title="One undo step"
+              >
+                Fill what I can afford ({blueprint.fill.count} of {blueprint.todo}
+                {blueprint.fill.cost ? ` · ${blueprint.fill.cost} MC` : ""})
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Drag tools */}
+      <div className="mb-3 flex flex-wrap items-center gap-2 text-xs">
+        {DRAG_TOOL_BUTTONS.map((t) => {
+          const active = tool === t.id;
+          return (
+            <button
+              key={t.id}
+              onClick={() => chooseTool(t.id)}
+              className="px-2 py-1 rounded-lg border"
+              title={t.title}
+              style={{
+                background: active
+                  ? dark
+                    ? "#374151"
+                    : "#e5e7eb"
+                  : dark
+                  ? "#1f2937"
+                  : "#f9fafb",
+                borderColor: active
+                  ? dark
+                    ? "#4b5563"
+                    : "#d1d5db"
+                  : dark
+                  ? "#374151"
+                  : "#e5e7eb",
+              }}
+            >
+              {t.label}
+            </button>
+          );
+        })}
+        <label
+          className="flex items-center gap-1 opacity-80"
+          title="Line tool: orient roads and turn junctions into roundabouts"
+        >
+          <input
+            type="checkbox"
+            checked={autoConnect}
+            onChange={toggleAutoConnect}
+          />
+          Auto-connect
+        </label>
+
+        {preview && (
+          <span
+            className="px-2 py-1 rounded border"
+            style={{
+              borderColor: preview.affordable
+                ? dark
+                  ? "#065f46"
+                  : "#6ee7b7"
+                : dark
+                ? "#991b1b"
+                : "#fca5a5",
+            }}
+          >
+            {preview.tool === "erase_box"
+              ? `Clear ${preview.erase.length}`
+              : `${preview.place.length} tile${preview.place.length === 1 ? "" : "s"}` +
+                (preview.fromStock ? ` · ${preview.fromStock} from stock` : "") +
+                ` · ${preview.cost} MC` +
+                (preview.affordable ? "" : ` (have ${Math.floor(preview.balance)})`)}
+            {preview.skipped.length > 0 &&
+              ` · ${preview.skipped.length} skipped (${
+                SKIP_REASONS[preview.skipped[0].reason] || preview.skipped[0].reason
+              })`}
+          </span>
+        )}
+      </div>
+
+      {/* Share panel */}
+      {showShare && (
+        <div
+          className="mb-3 p-3 rounded-lg border text-xs flex flex-col gap-2"
+          style={{
+            background: dark ? "#111827" : "#f9fafb",
+            borderColor: dark ? "#4b5563" : "#e5e7eb",
+          }}
+        >
+          <div className="flex items-center justify-between">
+            <div className="font-semibold text-sm">🔗 Share city</div>
+            <button
+              onClick={() => setShowShare(false)}
+              className="text-xs px-2 py-1 rounded border border-transparent hover:border-stone-500"
+            >
+              close
+            </button>
+          </div>
+
+          <div className="opacity-75">City code for this slot</div>
+          <textarea
+            readOnly
+            value={share?.code || ""}
+            onFocus={(e) => e.target.select()}
+            rows={2}
+            className="w-full px-2 py-1 rounded border font-mono"
+            style={{
+              background: dark ? "#1f2937" : "#fff",
+              color: dark ? "#f9fafb" : "#111827",
+              borderColor: dark ? "#374151" : "#d1d5db",
+              wordBreak: "break-all",
+            }}
+          />
+          <div className="flex gap-2">
+            <button onClick={copyShareCode} className="px-2 py-1 rounded border">
+              Copy code
+            </button>
+            <button onClick={downloadShareJson} className="px-2 py-1 rounded border">
+              Download JSON
+            </button>
+          </div>
+
+          <div className="opacity-75 mt-1">
+            Import into a new slot (you'll get a blueprint if you're missing tiles)
+          </div>
+          <textarea
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="PMC1.…"
+            rows={2}
+            className="w-full px-2 py-1 rounded border font-mono"
+            style={{
+              background: dark ? "#1f2937" : "#fff",
+              color: dark ? "#f9fafb" : "#111827",
+              borderColor: dark ? "#374151" : "#d1d5db",
+            }}
+          />
+          <div className="flex gap-2 items-center">
+            <button onClick={() => runImport(importText)} className="px-2 py-1 rounded border">
+              Import code
+            </button>
+            <button
+              onClick={() => applyBlueprintResult(manager.setBlueprintFromCode(importText))}
+              className="px-2 py-1 rounded border"
+              title="Show the code's city as a ghost plan on this slot"
+            >
+              Use as blueprint
+            </button>
+            <label className="px-2 py-1 rounded border cursor-pointer">
+              Import file…
+              <input
+                ref={importFileRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={importFromFile}
+                style={{ display: "none" }}
+              />
+            </label>
+          </div>
+          {prestigeBlueprint && (
+            <button
+              onClick={() => applyBlueprintResult(manager.setBlueprint(prestigeBlueprint))}
+              className="px-2 py-1 rounded border self-start"
+            >
+              Blueprint: {prestigeBlueprint.name}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Unlock panel */}
       {showUnlock && (
         <div className="mb-3 p-3 rounded-lg border border-amber-400/60 bg-amber-50/80 dark:bg-stone-900/80 dark:border-stone-600">
@@ -906,6 +1567,7 @@ export default function CityBuilder({ dark = true }) {
           onClick={onClick}
           onMouseDown={onMouseDown}
           onMouseUp={onMouseUp}
+          onMouseLeave={onMouseLeave}
           onContextMenu={(e) => e.preventDefault()}
           style={{
             width: cols * cellSize,
@@ -1028,6 +1690,83 @@ export default function CityBuilder({ dark = true }) {
             );
           })}
 
+          {/* Blueprint ghost */}
+          {showBlueprint &&
+            blueprint?.cells
+              .filter((c) => c.status !== "done")
+              .map((c) => (
+                <div
+                  key={`bp-${c.x}-${c.y}`}
+                  title={
+                    c.status === "blocked"
+                      ? `blueprint: ${c.id} (blocked by ${c.current})`
+                      : `blueprint: ${c.id}`
+                  }
+                  style={{
+                    position: "absolute",
+                    left: c.x * cellSize,
+                    top: c.y * cellSize,
+                    width: cellSize,
+                    height: cellSize,
+                    borderRadius: c.id === "roundabout" ? cellSize : 4,
+                    pointerEvents: "none",
+                    background: c.status === "todo" ? ui.getTileInfo(c.id).color : "transparent",
+                    opacity: c.status === "todo" ? 0.3 : 0.9,
+                    border: `1px dashed ${c.status === "blocked" ? "#ef4444" : dark ? "#93c5fd" : "#1d4ed8"}`,
+                  }}
+                />
+              ))}
+
+          {/* Road network issues */}
+          {showIssues &&
+            health.cellIssues.map((c) => (
+              <div
+                key={`hi-${c.x}-${c.y}`}
+                title={c.reason}
+                style={{
+                  position: "absolute",
+                  left: c.x * cellSize,
+                  top: c.y * cellSize,
+                  width: cellSize,
+                  height: cellSize,
+                  borderRadius: 4,
+                  pointerEvents: "none",
+                  boxShadow: `inset 0 0 0 2px ${ISSUE_COLORS[c.type] || "#ef4444"}`,
+                }}
+              />
+            ))}
+
+          {/* Drag tool preview */}
+          {preview &&
+            [
+              ...preview.place.map((c) => ({ ...c, kind: "place" })),
+              ...preview.erase.map((c) => ({ ...c, kind: "erase" })),
+              ...preview.skipped.map((c) => ({ ...c, kind: "skip" })),
+            ].map((c) => (
+              <div
+                key={`pv-${c.kind}-${c.x}-${c.y}`}
+                title={c.kind === "skip" ? SKIP_REASONS[c.reason] || c.reason : c.id}
+                style={{
+                  position: "absolute",
+                  left: c.x * cellSize,
+                  top: c.y * cellSize,
+                  width: cellSize,
+                  height: cellSize,
+                  borderRadius: c.kind === "place" && c.id === "roundabout" ? cellSize : 4,
+                  pointerEvents: "none",
+                  background:
+                    c.kind === "place"
+                      ? preview.affordable
+                        ? "rgba(16,185,129,0.45)"
+                        : "rgba(239,68,68,0.45)"
+                      : c.kind === "erase"
+                      ? "rgba(239,68,68,0.35)"
+                      : "rgba(107,114,128,0.35)",
+                  border: `1px dashed ${c.kind === "skip" ? "#9ca3af" : dark ? "#f9fafb" : "#111827"}`,
+                }}
+              />
+            ))}
+
           {/* Ghost cursor */}
           <div
             ref={ghostRef}
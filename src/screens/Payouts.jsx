@@ -556,6 +556,8 @@ function labelFor(h) {
       return `Coins spent • ${when}`;
     case "micro_add":
       return `Balance added • ${when}`;
+    case "micro_refund":
+      return `Refund • ${when}`;
     case "passive_tick_micro":
       return `Passive income • ${when}`;
     case "offline_catchup":
@@ -625,6 +627,7 @@ function amountFor(h) {
   // micro-based coin entries (passive + direct micro deposits + builder unlocks)
   if (
     k === "micro_add" ||
+    k === "micro_refund" ||
     k.includes("_micro") ||
     k === "offline_catchup" ||
     k === "store_buy" ||
@@ -5,11 +5,17 @@ import {
   fmtUSD,
   getCoinToUsdRate,
   getUsdSkimPct,
+  getWalletStatus,
+  reconcileWallet,
+  fmtMate,
+  MICRO_PER_MATE,
 } from "../modules/wallet.js";
 import { isBetaMode, setBetaMode } from "../modules/config.js";
 import { resetStatsLocal } from "../modules/stats.js";
 import { getPrestigeInfo, prestigeReset } from "../modules/prestige.js";
 import { getProfile, setProfileField, isValidPaypalEmail } from "../modules/kyc";
+import { getSession, signUp, logIn, logOut, onSessionChange } from "../modules/account.js";
+import SyncPanel from "../components/SyncPanel.jsx";
 
 export default function Settings({ dark = true, setDark = () => {}, onResetAll = () => {} }) {
   // wallet snapshot (read once; values change rarely and are informational)
@@ -19,6 +25,13 @@ export default function Settings({ dark = true, setDark = () => {}, onResetAll =
   const yearUsd = w.usd_ytd ?? 0;   // aligned with wallet v3
   const cap = w.usd_cap ?? 500;     // aligned with wallet v3
 
+  // ledger status: server-confirmed vs not-yet-synced amounts
+  const [ledger, setLedger] = useState(() => getWalletStatus());
+  async function doReconcile() {
+    await reconcileWallet().catch(() => {});
+    setLedger(getWalletStatus());
+  }
+
   // payout profile via KYC module
   const [profile, setProfile] = useState(() => getProfile());
   useEffect(() => {
@@ -31,6 +44,22 @@ export default function Settings({ dark = true, setDark = () => {}, onResetAll =
     setBetaMode(beta);
   }, [beta]);
 
+  // account session (server purchases are tied to it)
+  const [session, setSession] = useState(() => getSession());
+  const [auth, setAuth] = useState({ email: "", password: "", busy: false, error: "" });
+  useEffect(() => onSessionChange(setSession), []);
+
+  async function doAuth(kind) {
+    setAuth((a) => ({ ...a, busy: true, error: "" }));
+    try {
+      const fn = kind === "signup" ? signUp : logIn;
+      await fn(auth.email.trim(), auth.password);
+      setAuth({ email: "", password: "", busy: false, error: "" });
+    } catch (e) {
+      setAuth((a) => ({ ...a, busy: false, error: String(e?.message || e) }));
+    }
+  }
+
   // prestige info
   const [prestige, setPrestige] = useState(getPrestigeInfo());
   const refreshPrestige = () => setPrestige(getPrestigeInfo());
@@ -83,6 +112,68 @@ Type PRESTIGE to confirm.`;
     <div className={card}>
       <h2 className="text-xl font-semibold mb-4">Settings</h2>
 
+      {/* Account */}
+      <section className="mb-6">
+        <div className="font-medium mb-2">Account</div>
+        {session ? (
+          <div className="flex items-center gap-3">
+            <span className="text-sm opacity-90">
+              Signed in as <b>{session.email}</b>
+            </span>
+            <button
+              onClick={() => logOut()}
+              className="px-3 py-1.5 rounded-lg border border-stone-300 dark:border-stone-600"
+            >
+              Sign out
+            </button>
+          </div>
+        ) : (
+          <div className="grid sm:grid-cols-[1fr_1fr_auto_auto] gap-2 items-end">
+            <input
+              type="email"
+              value={auth.email}
+              onChange={(e) => setAuth((a) => ({ ...a, email: e.target.value }))}
+              placeholder="you@example.com"
+              className={inputCls}
+              inputMode="email"
+              aria-label="Account email"
+            />
+            <input
+              type="password"
+              value={auth.password}
+              onChange={(e) => setAuth((a) => ({ ...a, password: e.target.value }))}
+              placeholder="Password (8+ chars)"
+              className={inputCls}
+              aria-label="Account password"
+            />
+            <button
+              onClick={() => doAuth("login")}
+              disabled={auth.busy}
+              className="px-3 py-2 rounded-lg bg-amber-600 hover:bg-amber-700 text-white"
+            >
+              Log in
+            </button>
+            <button
+              onClick={() => doAuth("signup")}
+              disabled={auth.busy}
+              className="px-3 py-2 rounded-lg border border-stone-300 dark:border-stone-600"
+            >
+              Sign up
+            </button>
+          </div>
+        )}
+        <div className="text-xs opacity-70 mt-2">
+          {auth.error
+            ? `Sign-in failed: ${auth.error}`
+            : "Purchases and subscriptions are tied to your account."}
+        </div>
+      </section>
+
+      {/* Backup + cloud save */}
+      <section className="mb-6">
+        <SyncPanel dark={dark} />
+      </section>
+
       {/* Theme */}
       <section className="mb-6">
         <div className="font-medium mb-2">Theme</div>
@@ -131,6 +222,23 @@ Type PRESTIGE to confirm.`;
           <Stat label="This Year Paid" value={fmtUSD(yearUsd)} />
           <Stat label="Annual Cap" value={fmtUSD(cap)} />
         </div>
+        <div className="text-xs opacity-70 mt-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+          <span>
+            Confirmed:{" "}
+            {ledger.confirmed
+              ? `${fmtMate(ledger.confirmed.micro / MICRO_PER_MATE)} 🪙 · ${fmtUSD(ledger.confirmed.usd)}`
+              : "not synced yet"}
+          </span>
+          <span>
+            Pending: {fmtMate(ledger.pending.micro / MICRO_PER_MATE)} 🪙 ·{" "}
+            {fmtUSD(ledger.pending.usd_review_hold)} in review ({ledger.pending.ops} ops)
+          </span>
+          {ledger.signedIn && (
+            <button onClick={doReconcile} className="underline">
+              Sync now
+            </button>
+          )}
+        </div>
         <div className="text-xs opacity-70 mt-2">
           Payouts limited to {fmtUSD(cap)} / year per compliance.
         </div>
@@ -5,7 +5,12 @@ import {
   refreshEntitlements,
   openBillingPortal,
 } from "../modules/payments";
-import { getEntitlements, applyReceiptPatch } from "../modules/entitlements";
+import {
+  getEntitlements,
+  applyReceiptPatch,
+  hasAdLite,
+  hasAdFree,
+} from "../modules/entitlements";
 import {
   getWallet,
   convertCoinsToUsd,
@@ -15,7 +20,7 @@ import {
 import { getStore, buyItem, listCatalog, isOwned } from "../modules/store";
 import { useAvatar } from "../context/AvatarContext";
 import SafeBanner from "../components/SafeBanner";
-import { getSlotCapMeta, listSlots } from "../modules/citySlots";
+import { getSlotCapMeta, listSlots, onLayoutsChange } from "../modules/citySlots";
 
 /* ---------- Top-Up plans/packs ---------- */
 const PLANS = [
@@ -169,12 +174,9 @@ export default function Shop() {
     setEntSnap(getEntitlements());
     return () => window.removeEventListener("pm_entitlements_changed", onEnt);
   }, []);
-  const hasLite = !!(
-    entSnap?.flags?.ad_lite || entSnap?.subs?.includes?.("sub_ad_lite")
-  );
-  const hasFree = !!(
-    entSnap?.flags?.ad_free || entSnap?.subs?.includes?.("sub_ad_free")
-  );
+  // entSnap only drives re-render; entitlements.js is the source of truth
+  const hasLite = !!entSnap && hasAdLite();
+  const hasFree = !!entSnap && hasAdFree();
 
   /* ---------- Spend-Mate (old Store) state ---------- */
   const { equipped, equipHat, equipSkin } = useAvatar();
@@ -220,7 +222,7 @@ export default function Shop() {
         // ignore
       }
     };
-    window.addEventListener("storage", refreshSlots);
+    const offLayouts = onLayoutsChange(refreshSlots);
     refreshSlots();
 
     let alive = true;
@@ -250,7 +252,7 @@ export default function Shop() {
       offWallet?.();
       window.removeEventListener("store:owned", refreshStore);
       window.removeEventListener("store:purchase", refreshStore);
-      window.removeEventListener("storage", refreshSlots);
+      offLayouts();
       alive = false;
       clearInterval(id);
     };
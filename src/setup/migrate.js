@@ -0,0 +1,21 @@
+// FILE: src/setup/migrate.js
+// Runs local schema migrations before the app's modules load (imported first in main.jsx).
+
+import { runMigrations, dryRunMigrations, getSchemaState, restoreSchemaBackup } from "../modules/migrations.js";
+
+(function () {
+  const report = runMigrations();
+  if (report.steps.length || !report.ok) {
+    try { console.info("[migrations]", report); } catch {}
+  }
+
+  // devtools: __pmMigrations.dryRun(), .state(), .restore()
+  if (typeof window !== "undefined") {
+    window.__pmMigrations = {
+      lastRun: report,
+      dryRun: dryRunMigrations,
+      state: getSchemaState,
+      restore: restoreSchemaBackup,
+    };
+  }
+})();